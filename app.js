@@ -5,6 +5,9 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const { all, get } = require('./db-helpers');
+const { releaseExpiredHolds } = require('./booking-helpers');
+const { getBookingBalances } = require('./balance-helpers');
+const { BOOKING_STATUSES, STATUS_BADGES, OCCUPYING_STATUS_SQL } = require('./booking-lifecycle');
 const session = require('express-session');
 
 const app = express();
@@ -18,6 +21,10 @@ const logoUploadDir = path.join(__dirname, 'public/uploads/logos');
 if (!fs.existsSync(logoUploadDir)) {
     fs.mkdirSync(logoUploadDir, { recursive: true });
 }
+const meterPhotoDir = path.join(__dirname, 'public/uploads/meter_readings');
+if (!fs.existsSync(meterPhotoDir)) {
+    fs.mkdirSync(meterPhotoDir, { recursive: true });
+}
 
 // Middleware
 app.use(express.json()); // For future API endpoints
@@ -38,10 +45,14 @@ app.use(session({
 const spaceRoutes = require('./routes/space');
 const bookingRoutes = require('./routes/booking');
 const electricRoutes = require('./routes/electric');
+const electricMeterRoutes = require('./routes/electric-meters');
 const materialRoutes = require('./routes/material');
 const materialsRoutes = require('./routes/materials'); // For material stock management
 const settingsRoutes = require('./routes/settings'); // Ensure this line exists
 const chargesRoutes = require('./routes/charges');
+const cashShiftRoutes = require('./routes/cash-shifts');
+const bankReconciliationRoutes = require('./routes/bank-reconciliation');
+const taxInvoiceRoutes = require('./routes/tax-invoices');
 const electricItemsRoutes = require('./routes/electric-items');
 const shedRoutes = require('./routes/shed');
 const reportRoutes = require('./routes/report');
@@ -52,6 +63,8 @@ const notificationRoutes = require('./routes/notification');
 const sessionHandler = require('./sessionHandler');
 const sessionRoutes = require('./routes/sessions');
 const ticketingRoutes = require('./routes/ticketing');
+const clientRoutes = require('./routes/clients');
+const portalRoutes = require('./routes/portal'); // Exhibitor self-service portal
 
 // Middleware to handle flash messages
 app.use((req, res, next) => {
@@ -67,6 +80,8 @@ app.use((req, res, next) => {
   res.locals.appName = "Exhibition Manager"; // Set global app name
   res.locals.user = req.session.user;
   res.locals.currentPath = req.path;
+  res.locals.bookingStatuses = BOOKING_STATUSES;
+  res.locals.statusBadges = STATUS_BADGES;
   next();
 });
 
@@ -80,18 +95,24 @@ const { isAuthenticated, hasRole, isAdmin } = require('./routes/auth');
 // The auth routes for login/logout should be defined in a separate file or here.
 // Assuming they are now missing, I'll add a placeholder. If you have them elsewhere, you can adjust.
 app.use('/', require('./routes/authRoutes')); // We will create this file.
+app.use('/portal', portalRoutes); // Exhibitors log in with one-time links, not staff accounts
 
 // Route usage
 app.use('/space', isAuthenticated, hasRole(['booking_manager']), spaceRoutes);
 app.use('/booking', isAuthenticated, hasRole(['booking_manager']), bookingRoutes);
+app.use('/clients', isAuthenticated, hasRole(['booking_manager']), clientRoutes);
 app.use('/electric', isAuthenticated, hasRole(['booking_manager']), electricRoutes);
+app.use('/electric-meters', isAuthenticated, hasRole(['booking_manager']), electricMeterRoutes);
 app.use('/material', isAuthenticated, hasRole(['booking_manager', 'admin']), materialRoutes); // Old form-based system
 app.use('/materials', isAuthenticated, hasRole(['admin', 'material_handler']), materialsRoutes); // QR-based system
 app.use('/charges', isAuthenticated, hasRole(['accountant']), chargesRoutes);
+app.use('/cash-shifts', isAuthenticated, hasRole(['accountant', 'ticketing_manager']), cashShiftRoutes);
 app.use('/shed', isAuthenticated, hasRole(['booking_manager']), shedRoutes);
 app.use('/staff', isAuthenticated, isAdmin, staffRoutes);
 app.use('/ticketing', isAuthenticated, hasRole(['ticketing_manager', 'admin']), ticketingRoutes);
 app.use('/accounting', isAuthenticated, hasRole(['accountant']), accountingRoutes);
+app.use('/bank-reconciliation', isAuthenticated, hasRole(['accountant']), bankReconciliationRoutes);
+app.use('/tax-invoices', isAuthenticated, hasRole(['accountant']), taxInvoiceRoutes);
 
 app.use('/report', isAuthenticated, isAdmin, reportRoutes); // Reports for admins only for now
 app.use('/users', isAuthenticated, isAdmin, userRoutes);
@@ -125,21 +146,29 @@ app.get('/dashboard', isAuthenticated, (req, res, next) => {
     // --- Space/Stall Summary Queries (now session-aware) ---
     const categoryQuery = 'SELECT type, COUNT(*) as count FROM spaces WHERE is_active = 1 GROUP BY type';
     const totalQuery = 'SELECT COUNT(*) as count FROM spaces WHERE is_active = 1';
-    const bookedSpacesQuery = get("SELECT COUNT(DISTINCT bs.space_id) as count FROM booking_spaces bs JOIN bookings b ON bs.booking_id = b.id WHERE b.event_session_id = ? AND b.booking_status = 'active'", [viewingSessionId]);
-    const unallocatedBookingsQuery = get("SELECT COUNT(*) as count FROM bookings WHERE event_session_id = ? AND booking_status = 'unallocated'", [viewingSessionId]);
+    const bookedSpacesQuery = get(`SELECT COUNT(DISTINCT bs.space_id) as count FROM booking_spaces bs JOIN bookings b ON bs.booking_id = b.id WHERE b.event_session_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL}`, [viewingSessionId]);
+    const unallocatedBookingsQuery = get("SELECT COUNT(*) as count FROM bookings WHERE event_session_id = ? AND booking_status = 'registered'", [viewingSessionId]);
     const spacesQuery = `
       SELECT 
         s.*, 
         b.facia_name,
         b.exhibitor_name,
         b.booking_id,
-        CASE WHEN b.booking_id IS NOT NULL THEN 'Booked' ELSE 'Available' END as session_status
+        h.hold_booking_id,
+        h.hold_exhibitor_name,
+        h.held_until,
+        CASE WHEN b.booking_id IS NOT NULL THEN 'Booked' WHEN h.hold_booking_id IS NOT NULL THEN 'Held' ELSE 'Available' END as session_status
       FROM spaces s
       LEFT JOIN (
         SELECT b.id as booking_id, bs.space_id, b.facia_name, b.exhibitor_name 
         FROM bookings b JOIN booking_spaces bs ON b.id = bs.booking_id 
-        WHERE b.event_session_id = ? AND b.booking_status = 'active'
+        WHERE b.event_session_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL}
       ) b ON s.id = b.space_id
+      LEFT JOIN (
+        SELECT sh.space_id, sh.booking_id as hold_booking_id, sh.held_until, hb.exhibitor_name as hold_exhibitor_name
+        FROM space_holds sh JOIN bookings hb ON sh.booking_id = hb.id
+        WHERE sh.event_session_id = ? AND sh.status = 'held' AND sh.held_until > datetime('now', 'localtime')
+      ) h ON s.id = h.space_id
       WHERE s.is_active = 1
       ORDER BY 
         CASE s.type
@@ -152,12 +181,7 @@ app.get('/dashboard', isAuthenticated, (req, res, next) => {
 
     // --- Financial Summary Queries ---
     const financialQueries = [
-      get('SELECT SUM(rent_amount - COALESCE(discount, 0)) as charged FROM bookings WHERE event_session_id = ?', [viewingSessionId]),
-      get('SELECT SUM(advance_amount) as paid_advance FROM bookings WHERE event_session_id = ?', [viewingSessionId]),
-      get('SELECT SUM(p.rent_paid) as paid_rent, SUM(p.electric_paid) as paid_electric, SUM(p.material_paid) as paid_material, SUM(p.shed_paid) as paid_shed FROM payments p WHERE p.event_session_id = ?', [viewingSessionId]),
-      get('SELECT SUM(total_amount) as charged FROM electric_bills WHERE event_session_id = ?', [viewingSessionId]),
-      get('SELECT SUM(total_payable) as charged FROM material_issues WHERE event_session_id = ?', [viewingSessionId]),
-      get('SELECT SUM(s.rent) as charged FROM shed_allocations sa JOIN sheds s ON sa.shed_id = s.id WHERE sa.event_session_id = ?', [viewingSessionId])
+      getBookingBalances({ sessionId: viewingSessionId })
     ];
     // Fetch pending approvals for admins
     if (req.session.user && req.session.user.role === 'admin') {
@@ -190,12 +214,7 @@ app.get('/dashboard', isAuthenticated, (req, res, next) => {
       bookedSpacesResult,
       unallocatedBookingsResult,
       allSpaces,
-      rentStats,
-      advanceStats,
-      paymentStats,
-      electricStats,
-      materialStats,
-      shedStats,
+      balances,
       contextualData, // This will be pendingApprovals for admins, or userNotifications for users
       recentActivities
     ] = await Promise.all([
@@ -203,7 +222,7 @@ app.get('/dashboard', isAuthenticated, (req, res, next) => {
       get(totalQuery),
       bookedSpacesQuery,
       unallocatedBookingsQuery,
-      all(spacesQuery, [viewingSessionId]),
+      all(spacesQuery, [viewingSessionId, viewingSessionId]),
       ...financialQueries,
       all('SELECT timestamp, username, action, details FROM logs WHERE event_session_id = ? ORDER BY timestamp DESC LIMIT 5', [viewingSessionId])
     ]);
@@ -216,7 +235,8 @@ app.get('/dashboard', isAuthenticated, (req, res, next) => {
     const totalSpacesCount = total ? total.count : 0;
     const bookedCount = bookedSpacesResult ? bookedSpacesResult.count : 0;
     const unallocatedCount = unallocatedBookingsResult ? unallocatedBookingsResult.count : 0;
-    const statusCounts = { Booked: bookedCount, Available: totalSpacesCount - bookedCount, Unallocated: unallocatedCount };
+    const heldCount = (allSpaces || []).filter(space => space.session_status === 'Held').length;
+    const statusCounts = { Booked: bookedCount, Held: heldCount, Available: totalSpacesCount - bookedCount - heldCount, Unallocated: unallocatedCount };
 
     // Group spaces by type for the layout view
     const spacesByType = (allSpaces || []).reduce((acc, space) => {
@@ -233,38 +253,26 @@ app.get('/dashboard', isAuthenticated, (req, res, next) => {
       return num.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
     };
 
-    const financials = {
-      rent: {
-        charged: rentStats?.charged || 0,
-        paid: (advanceStats?.paid_advance || 0) + (paymentStats?.paid_rent || 0)
-      },
-      electric: {
-        charged: electricStats?.charged || 0,
-        paid: paymentStats?.paid_electric || 0
-      },
-      material: {
-        charged: materialStats?.charged || 0,
-        paid: paymentStats?.paid_material || 0
-      },
-      shed: {
-        charged: shedStats?.charged || 0,
-        paid: paymentStats?.paid_shed || 0
-      }
-    };
-    Object.values(financials).forEach(cat => {
-      cat.due = cat.charged - cat.paid;
+    // Charges are net of credit notes; the total due also takes off write-offs and adds back refunds.
+    const financials = {};
+    ['rent', 'electric', 'material', 'shed', 'total'].forEach(head => { financials[head] = { charged: 0, paid: 0, due: 0 }; });
+    balances.forEach(balance => {
+      ['rent', 'electric', 'material', 'shed'].forEach(head => {
+        financials[head].charged += balance[head].charged - balance[head].credited;
+        financials[head].paid += balance[head].paid;
+        financials[head].due += balance[head].due;
+      });
+      financials.total.charged += balance.charged - balance.credited;
+      financials.total.paid += balance.paid;
+      financials.total.due += balance.due;
+    });
+    ['rent', 'electric', 'material', 'shed'].forEach(head => {
+      const cat = financials[head];
       cat.chargedFormatted = formatCurrency(cat.charged);
       cat.paidFormatted = formatCurrency(cat.paid);
       cat.dueFormatted = formatCurrency(cat.due);
     });
 
-    // Calculate and format grand totals
-    financials.total = {
-      charged: financials.rent.charged + financials.electric.charged + financials.material.charged + financials.shed.charged,
-      paid: financials.rent.paid + financials.electric.paid + financials.material.paid + financials.shed.paid,
-    };
-    financials.total.due = financials.total.charged - financials.total.paid;
-
     financials.total.chargedFormatted = formatCurrency(financials.total.charged);
     financials.total.paidFormatted = formatCurrency(financials.total.paid);
     financials.total.dueFormatted = formatCurrency(financials.total.due);
@@ -332,6 +340,12 @@ app.get('/', (req, res) => {
   res.redirect('/dashboard');
 });
 
+// Background sweep: release space holds that have passed their expiry
+const HOLD_SWEEP_INTERVAL_MS = 60 * 1000;
+setInterval(() => {
+  releaseExpiredHolds().catch(err => console.error('Error releasing expired space holds:', err.message));
+}, HOLD_SWEEP_INTERVAL_MS);
+
 //Port configuration
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
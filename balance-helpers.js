@@ -0,0 +1,146 @@
+//balance-helpers.js
+
+const { all, run } = require('./db-helpers');
+
+// Charge heads a booking owes on, in the order they are shown.
+const HEADS = ['rent', 'electric', 'material', 'shed'];
+
+const round2 = (n) => Math.round((n || 0) * 100) / 100;
+
+/**
+ * Works out what bookings owe from the underlying charges, payments, credit notes, write-offs and
+ * refunds. This is the only place dues are calculated; screens, reports and CSVs all read from it,
+ * and bookings.due_amount is just a stored copy kept in step by syncStoredDue.
+ *
+ * Each head is charged − credited − paid, where a head's charges include bounce charges put on it for returned cheques and the GST that issued tax invoices
+ * added on top of it when its charges exclude GST. The total due
+ * also takes off write-offs, which are not tied to a head, and adds back money refunded on cancellation.
+ * Every figure is scoped to the booking's own session.
+ * @param {{sessionId?: number, bookingIds?: Array<number>}} scope - Every booking in a session, or the given bookings.
+ * @param {{all: Function}} [db] - The transaction to read in, if any.
+ * @returns {Promise<Map<number, Object>>} Balances keyed by booking ID. Each has rent/electric/material/shed
+ *   ({charged, gst, credited, paid, due, since}, where gst is the part of charged added by tax invoices) and the totals charged, credited, paid, writeOffs, refunded, due,
+ *   along with the stored due_amount.
+ */
+async function getBookingBalances({ sessionId = null, bookingIds = null } = {}, db = { all }) {
+  if (!sessionId && (!bookingIds || bookingIds.length === 0)) return new Map();
+  const where = sessionId ? 'b.event_session_id = ?' : `b.id IN (${bookingIds.map(() => '?').join(', ')})`;
+  const params = sessionId ? [sessionId] : bookingIds;
+
+  const [bookings, electric, material, shedAllocations, shedBills, payments, credits, writeOffs, refunds, bounceCharges, invoiceGst] = await Promise.all([
+    db.all(`SELECT b.id, b.exhibitor_name, b.event_session_id, b.booking_date, b.rent_amount, b.discount, b.due_amount FROM bookings b WHERE ${where}`, params),
+    db.all(`SELECT b.id, SUM(eb.total_amount) AS total, MIN(eb.bill_date) AS since FROM electric_bills eb JOIN bookings b ON eb.booking_id = b.id AND eb.event_session_id = b.event_session_id WHERE ${where} GROUP BY b.id`, params),
+    db.all(`SELECT b.id, SUM(mi.total_payable) AS total, MIN(mi.issue_date) AS since FROM material_issues mi JOIN bookings b ON mi.client_id = b.client_id AND mi.event_session_id = b.event_session_id WHERE ${where} GROUP BY b.id`, params),
+    db.all(`SELECT b.id, SUM(s.rent) AS total, MIN(sa.allocation_date) AS since FROM shed_allocations sa JOIN sheds s ON sa.shed_id = s.id JOIN bookings b ON sa.booking_id = b.id AND sa.event_session_id = b.event_session_id WHERE ${where} GROUP BY b.id`, params),
+    db.all(`SELECT b.id, SUM(sb.amount) AS total, MIN(sb.bill_date) AS since FROM shed_bills sb JOIN bookings b ON sb.booking_id = b.id AND sb.event_session_id = b.event_session_id WHERE ${where} GROUP BY b.id`, params),
+    db.all(`SELECT b.id, SUM(p.rent_paid) AS rent, SUM(p.electric_paid) AS electric, SUM(p.material_paid) AS material, SUM(p.shed_paid) AS shed FROM payments p JOIN bookings b ON p.booking_id = b.id AND p.event_session_id = b.event_session_id WHERE ${where} GROUP BY b.id`, params),
+    db.all(`SELECT b.id, cn.charge_type, SUM(cn.amount) AS total FROM credit_notes cn JOIN bookings b ON cn.booking_id = b.id AND cn.event_session_id = b.event_session_id WHERE ${where} GROUP BY b.id, cn.charge_type`, params),
+    db.all(`SELECT b.id, SUM(wo.amount) AS total FROM write_offs wo JOIN bookings b ON wo.booking_id = b.id AND wo.event_session_id = b.event_session_id WHERE ${where} GROUP BY b.id`, params),
+    db.all(`SELECT b.id, bc.refund_amount AS total FROM booking_cancellations bc JOIN bookings b ON bc.booking_id = b.id WHERE ${where}`, params),
+    db.all(`SELECT b.id, p.bounce_charge_head AS charge_type, SUM(p.bounce_charge) AS total, MIN(p.bounced_on) AS since FROM payments p JOIN bookings b ON p.booking_id = b.id AND p.event_session_id = b.event_session_id WHERE ${where} AND p.clearance_status = 'bounced' AND p.bounce_charge > 0 GROUP BY b.id, p.bounce_charge_head`, params),
+    db.all(`SELECT b.id, l.charge_type, SUM(l.amount - l.taxable_value) AS total FROM tax_invoice_lines l JOIN tax_invoices i ON l.invoice_id = i.id JOIN bookings b ON i.booking_id = b.id WHERE ${where} AND i.status = 'issued' AND l.gst_inclusive = 0 GROUP BY b.id, l.charge_type`, params)
+  ]);
+
+  const byId = (rows) => new Map(rows.map(r => [r.id, r]));
+  const [electricById, materialById, shedAllocationsById, shedBillsById, paymentsById, writeOffsById, refundsById] =
+    [electric, material, shedAllocations, shedBills, payments, writeOffs, refunds].map(byId);
+  const creditsById = new Map();
+  credits.forEach(c => {
+    if (!creditsById.has(c.id)) creditsById.set(c.id, {});
+    creditsById.get(c.id)[c.charge_type] = c.total;
+  });
+  const bounceChargesById = new Map();
+  bounceCharges.forEach(c => {
+    if (!bounceChargesById.has(c.id)) bounceChargesById.set(c.id, {});
+    bounceChargesById.get(c.id)[c.charge_type] = c;
+  });
+  const invoiceGstById = new Map();
+  invoiceGst.forEach(g => {
+    if (!invoiceGstById.has(g.id)) invoiceGstById.set(g.id, {});
+    invoiceGstById.get(g.id)[g.charge_type] = g.total;
+  });
+
+  const balances = new Map();
+  for (const b of bookings) {
+    const shedAllocation = shedAllocationsById.get(b.id) || {};
+    const shedBill = shedBillsById.get(b.id) || {};
+    const paid = paymentsById.get(b.id) || {};
+    const credited = creditsById.get(b.id) || {};
+    const bounced = bounceChargesById.get(b.id) || {};
+    const gst = invoiceGstById.get(b.id) || {};
+    const charged = {
+      rent: { total: (b.rent_amount || 0) - (b.discount || 0), since: b.booking_date },
+      electric: electricById.get(b.id) || {},
+      material: materialById.get(b.id) || {},
+      shed: {
+        total: (shedAllocation.total || 0) + (shedBill.total || 0),
+        since: [shedAllocation.since, shedBill.since].filter(Boolean).sort()[0]
+      }
+    };
+    const balance = { bookingId: b.id, exhibitorName: b.exhibitor_name, sessionId: b.event_session_id, stored: round2(b.due_amount) };
+    for (const head of HEADS) {
+      const bounce = bounced[head] || {};
+      balance[head] = {
+        charged: round2((charged[head].total || 0) + (bounce.total || 0) + (gst[head] || 0)),
+        gst: round2(gst[head]),
+        credited: round2(credited[head]),
+        paid: round2(paid[head]),
+        since: [charged[head].since, bounce.since].filter(Boolean).sort()[0] || null
+      };
+      balance[head].due = round2(balance[head].charged - balance[head].credited - balance[head].paid);
+    }
+    balance.writeOffs = round2((writeOffsById.get(b.id) || {}).total);
+    balance.refunded = round2((refundsById.get(b.id) || {}).total);
+    balance.charged = round2(HEADS.reduce((sum, head) => sum + balance[head].charged, 0));
+    balance.credited = round2(HEADS.reduce((sum, head) => sum + balance[head].credited, 0));
+    balance.paid = round2(HEADS.reduce((sum, head) => sum + balance[head].paid, 0) - balance.refunded);
+    balance.due = round2(balance.charged - balance.credited - balance.paid - balance.writeOffs);
+    balances.set(b.id, balance);
+  }
+  return balances;
+}
+
+/**
+ * Works out one booking's balance. See getBookingBalances.
+ * @param {number|string} bookingId - The booking ID.
+ * @param {{all: Function}} [db] - The transaction to read in, if any.
+ * @returns {Promise<Object|null>} The balance, or null if the booking does not exist.
+ */
+async function getBookingBalance(bookingId, db = { all }) {
+  const balances = await getBookingBalances({ bookingIds: [Number(bookingId)] }, db);
+  return balances.get(Number(bookingId)) || null;
+}
+
+/**
+ * Brings the stored due_amount of a booking in line with its computed balance. Call it after
+ * anything that changes a booking's charges or payments, inside the same transaction.
+ * @param {number|string} bookingId - The booking ID.
+ * @param {{all: Function, run: Function}} [db] - The transaction to write in, if any.
+ * @returns {Promise<number|null>} The booking's due, or null if it does not exist.
+ */
+async function syncStoredDue(bookingId, db = { all, run }) {
+  const balance = await getBookingBalance(bookingId, db);
+  if (!balance) return null;
+  await db.run('UPDATE bookings SET due_amount = ? WHERE id = ?', [balance.due, balance.bookingId]);
+  return balance.due;
+}
+
+/**
+ * Lists the bookings of a session whose stored due_amount differs from the computed balance.
+ * @param {number} sessionId - The event session ID.
+ * @returns {Promise<Array<Object>>} The balances, each with the difference (stored − computed).
+ */
+async function findDueMismatches(sessionId) {
+  const balances = await getBookingBalances({ sessionId });
+  return [...balances.values()]
+    .map(balance => ({ ...balance, difference: round2(balance.stored - balance.due) }))
+    .filter(balance => Math.abs(balance.difference) > 0.005)
+    .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+}
+
+module.exports = {
+  getBookingBalances,
+  getBookingBalance,
+  syncStoredDue,
+  findDueMismatches,
+};
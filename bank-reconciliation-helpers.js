@@ -0,0 +1,354 @@
+//bank-reconciliation-helpers.js
+
+const csv = require('csv-parser');
+const XLSX = require('xlsx');
+const { Readable } = require('stream');
+const { all, get, transaction } = require('./db-helpers');
+
+// How many days a statement line may be away from the payment or settlement it is matched to by amount.
+const DATE_TOLERANCE_DAYS = 2;
+
+// Column headings used by banks and payment apps, compared with spaces and punctuation removed.
+const COLUMN_ALIASES = {
+  date: ['date', 'txndate', 'transactiondate', 'valuedate', 'postingdate', 'trandate'],
+  credit: ['credit', 'creditamount', 'creditamt', 'deposit', 'depositamount', 'depositamt', 'cramount', 'amountcr'],
+  amount: ['amount', 'txnamount', 'transactionamount', 'amountinr', 'amountrs'],
+  type: ['type', 'drcr', 'crdr', 'txntype', 'transactiontype'],
+  reference: ['reference', 'referenceno', 'refno', 'utr', 'utrno', 'rrn', 'upirefno', 'upireference', 'transactionid', 'txnid', 'chequerefno', 'refnochequeno'],
+  description: ['description', 'narration', 'remarks', 'particulars', 'details']
+};
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+/**
+ * Brings a UPI reference to the form it is compared in: upper case without spaces.
+ * @param {*} reference
+ * @returns {string|null}
+ */
+function normaliseReference(reference) {
+  const ref = String(reference ?? '').replace(/\s+/g, '').toUpperCase();
+  return ref || null;
+}
+
+const normaliseHeading = (heading) => String(heading ?? '').replace(/^\uFEFF/, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Reads a statement date as YYYY-MM-DD. Accepts dates from spreadsheets and the usual text forms
+ * (2024-10-05, 05/10/2024, 05-10-24, 05-Oct-2024). Day-first, as Indian banks write them.
+ * @param {*} value
+ * @returns {string|null}
+ */
+function parseStatementDate(value) {
+  if (value instanceof Date && !isNaN(value)) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  if (typeof value === 'number') {
+    const d = XLSX.SSF.parse_date_code(value);
+    return d ? `${d.y}-${pad(d.m)}-${pad(d.d)}` : null;
+  }
+  const text = String(value ?? '').trim();
+  let m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return `${m[1]}-${pad(m[2])}-${pad(m[3])}`;
+  m = text.match(/^(\d{1,2})[/\-. ]([A-Za-z]{3,}|\d{1,2})[/\-. ](\d{2,4})/);
+  if (!m) return null;
+  const month = /^\d+$/.test(m[2]) ? parseInt(m[2], 10) : MONTHS[m[2].slice(0, 3).toLowerCase()];
+  const year = m[3].length === 2 ? 2000 + parseInt(m[3], 10) : parseInt(m[3], 10);
+  if (!month || month > 12) return null;
+  return `${year}-${pad(month)}-${pad(m[1])}`;
+}
+
+/**
+ * Reads an amount such as "1,250.00", "₹ 500" or "500.00 CR".
+ * @param {*} value
+ * @returns {{amount: number, isDebit: boolean}|null}
+ */
+function parseStatementAmount(value) {
+  if (typeof value === 'number') return { amount: value, isDebit: value < 0 };
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  const amount = parseFloat(text.replace(/[^0-9.-]/g, ''));
+  if (isNaN(amount)) return null;
+  return { amount, isDebit: amount < 0 || /\bdr\b/i.test(text) };
+}
+
+/**
+ * Reads an uploaded statement into rows of cells. CSV files go through csv-parser, spreadsheets
+ * (XLSX/XLS) through xlsx, first sheet only.
+ * @param {{buffer: Buffer, originalname: string}} file - The multer upload.
+ * @returns {Promise<Array<Array<*>>>}
+ */
+function readStatementFile(file) {
+  if (/\.xlsx?$/i.test(file.originalname)) {
+    const workbook = XLSX.read(file.buffer, { type: 'buffer', cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return Promise.resolve(XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: true }));
+  }
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from(file.buffer.toString())
+      .pipe(csv({ headers: false }))
+      .on('data', (row) => rows.push(Object.keys(row).sort((a, b) => a - b).map(key => row[key])))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Picks the credit lines out of statement rows. The heading row is the first that names a date and
+ * an amount column, so title rows some banks put above it are skipped; debit lines are left out.
+ * When there is no reference column, a 12-digit UPI reference is looked for in the description.
+ * @param {Array<Array<*>>} rows - The rows read by readStatementFile.
+ * @returns {Array<{txnDate: string|null, amount: number, reference: string|null, description: string}>}
+ * @throws {Error} If no heading row with a date and an amount column is found.
+ */
+function readStatementLines(rows) {
+  const findColumn = (headings, field) => headings.findIndex(h => COLUMN_ALIASES[field].includes(h));
+  let headerIndex = -1;
+  let columns;
+  for (let i = 0; i < Math.min(rows.length, 30); i++) {
+    const headings = rows[i].map(normaliseHeading);
+    columns = Object.fromEntries(Object.keys(COLUMN_ALIASES).map(field => [field, findColumn(headings, field)]));
+    if (columns.date >= 0 && (columns.credit >= 0 || columns.amount >= 0)) {
+      headerIndex = i;
+      break;
+    }
+  }
+  if (headerIndex < 0) {
+    throw new Error('Could not find the heading row. The statement needs a date column and an amount or credit column.');
+  }
+
+  const lines = [];
+  for (const row of rows.slice(headerIndex + 1)) {
+    const parsed = parseStatementAmount(row[columns.credit >= 0 ? columns.credit : columns.amount]);
+    if (!parsed || parsed.amount === 0) continue;
+    const type = columns.type >= 0 ? String(row[columns.type]).trim().toLowerCase() : '';
+    if (parsed.isDebit || type.startsWith('d') || type === 'withdrawal') continue;
+
+    const description = columns.description >= 0 ? String(row[columns.description] ?? '').trim() : '';
+    const found = description.match(/\b\d{12}\b/);
+    lines.push({
+      txnDate: parseStatementDate(row[columns.date]),
+      amount: Math.abs(parsed.amount),
+      reference: normaliseReference(columns.reference >= 0 ? row[columns.reference] : (found && found[0])),
+      description
+    });
+  }
+  return lines;
+}
+
+/**
+ * Loads the UPI receipts of a session that no statement line has been matched to yet: the UPI part
+ * of payments and of ticket settlements.
+ * @param {number} sessionId - The event session ID.
+ * @param {{all: Function}} [db] - The transaction to read in, if any.
+ * @returns {Promise<Array<{kind: string, id: number, date: string, amount: number, reference: string|null, label: string}>>}
+ */
+async function getUnmatchedUpiEntries(sessionId, db = { all }) {
+  const [payments, settlements] = await Promise.all([
+    db.all(
+      `SELECT p.id, p.payment_date, p.upi_paid, p.upi_reference, p.receipt_number, b.exhibitor_name
+       FROM payments p JOIN bookings b ON p.booking_id = b.id
+       WHERE p.event_session_id = ? AND p.upi_paid > 0
+         AND p.id NOT IN (SELECT payment_id FROM bank_statement_lines WHERE match_status = 'matched' AND payment_id IS NOT NULL)
+       ORDER BY p.payment_date, p.id`,
+      [sessionId]
+    ),
+    db.all(
+      `SELECT td.id, td.settlement_date, td.upi_amount, td.upi_reference, bs.name AS staff_name
+       FROM ticket_distributions td JOIN booking_staff bs ON td.staff_id = bs.id
+       WHERE td.event_session_id = ? AND td.status = 'Settled' AND td.upi_amount > 0
+         AND td.id NOT IN (SELECT ticket_distribution_id FROM bank_statement_lines WHERE match_status = 'matched' AND ticket_distribution_id IS NOT NULL)
+       ORDER BY td.settlement_date, td.id`,
+      [sessionId]
+    )
+  ]);
+  return [
+    ...payments.map(p => ({
+      kind: 'payment', id: p.id, date: p.payment_date, amount: p.upi_paid, reference: normaliseReference(p.upi_reference),
+      label: `Receipt ${p.receipt_number || p.id} - ${p.exhibitor_name}`
+    })),
+    ...settlements.map(t => ({
+      kind: 'ticket', id: t.id, date: t.settlement_date, amount: t.upi_amount, reference: normaliseReference(t.upi_reference),
+      label: `Ticket settlement #${t.id} - ${t.staff_name}`
+    }))
+  ];
+}
+
+const daysApart = (a, b) => Math.abs(new Date(a) - new Date(b)) / 86400000;
+
+/**
+ * Matches statement lines to unmatched UPI receipts. A line is taken as a duplicate if its reference
+ * (or, without one, its date, amount and description) was imported before or appears earlier in the
+ * file. Otherwise it is matched on reference first, then on amount within a couple of days of the
+ * receipt date when exactly one receipt fits. Receipts carrying a different reference are never
+ * matched on amount.
+ * @param {number} sessionId - The event session ID.
+ * @param {Array<Object>} lines - Lines from readStatementLines.
+ * @param {{all: Function}} [db] - The transaction to read in, if any.
+ * @returns {Promise<Array<Object>>} The lines with status, method, note and the matched entry.
+ */
+async function matchStatementLines(sessionId, lines, db = { all }) {
+  const pool = await getUnmatchedUpiEntries(sessionId, db);
+  const previous = await db.all(
+    "SELECT id, import_id, txn_date, amount, reference, description FROM bank_statement_lines WHERE event_session_id = ? AND match_status <> 'ignored'",
+    [sessionId]
+  );
+  const seen = [];
+
+  return lines.map(line => {
+    const sameLine = (other) => line.reference
+      ? other.reference === line.reference
+      : !other.reference && other.txn_date === line.txnDate && Math.abs(other.amount - line.amount) < 0.005 && (other.description || '') === line.description;
+    const earlier = previous.find(sameLine) || seen.find(sameLine);
+    seen.push({ reference: line.reference, txn_date: line.txnDate, amount: line.amount, description: line.description });
+    if (earlier) {
+      return { ...line, status: 'duplicate', note: earlier.import_id ? `Already imported in statement #${earlier.import_id}` : 'Appears earlier in this file' };
+    }
+
+    let entry = pool.find(e => e.reference && (e.reference === line.reference || (e.reference.length >= 6 && line.description.toUpperCase().includes(e.reference))));
+    let method = 'reference';
+    let note = null;
+    if (!entry) {
+      const candidates = pool.filter(e =>
+        Math.abs(e.amount - line.amount) < 0.005 &&
+        (!e.reference || !line.reference) &&
+        line.txnDate && daysApart(e.date, line.txnDate) <= DATE_TOLERANCE_DAYS
+      );
+      if (candidates.length === 1) {
+        entry = candidates[0];
+        method = 'amount_date';
+      } else if (candidates.length > 1) {
+        note = `${candidates.length} receipts of this amount around this date`;
+      }
+    }
+    if (!entry) return { ...line, status: 'unmatched', note };
+
+    pool.splice(pool.indexOf(entry), 1);
+    return { ...line, status: 'matched', method, entry };
+  });
+}
+
+/**
+ * Stores a receipt's UPI reference from the statement line it was matched to, if it had none.
+ * @param {{run: Function}} db - The transaction.
+ * @param {{kind: string, id: number}} entry
+ * @param {string|null} reference
+ */
+async function fillUpiReference(db, entry, reference) {
+  if (!reference) return;
+  const table = entry.kind === 'ticket' ? 'ticket_distributions' : 'payments';
+  await db.run(`UPDATE ${table} SET upi_reference = ? WHERE id = ? AND (upi_reference IS NULL OR upi_reference = '')`, [reference, entry.id]);
+}
+
+/**
+ * Imports statement lines, matching them as they are stored.
+ * @param {{sessionId: number, fileName: string, userId: number, lines: Array<Object>}} statement
+ * @returns {Promise<{importId: number, counts: Object<string, number>}>} The import and how many lines ended up in each status.
+ */
+async function importStatement({ sessionId, fileName, userId, lines }) {
+  let importId;
+  const counts = { matched: 0, unmatched: 0, duplicate: 0 };
+  await transaction(async (db) => {
+    const matched = await matchStatementLines(sessionId, lines, db);
+    ({ lastID: importId } = await db.run(
+      'INSERT INTO bank_statement_imports (event_session_id, file_name, user_id, line_count) VALUES (?, ?, ?, ?)',
+      [sessionId, fileName, userId, lines.length]
+    ));
+    for (const line of matched) {
+      await db.run(
+        `INSERT INTO bank_statement_lines (import_id, event_session_id, txn_date, amount, reference, description, match_status, match_method, match_note, payment_id, ticket_distribution_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [importId, sessionId, line.txnDate, line.amount, line.reference, line.description || null, line.status, line.method || null, line.note || null,
+          line.entry && line.entry.kind === 'payment' ? line.entry.id : null,
+          line.entry && line.entry.kind === 'ticket' ? line.entry.id : null]
+      );
+      if (line.entry) await fillUpiReference(db, line.entry, line.reference);
+      counts[line.status]++;
+    }
+  });
+  return { importId, counts };
+}
+
+/**
+ * Loads an import with its lines and what each is matched to.
+ * @param {number|string} importId - The bank_statement_imports ID.
+ * @param {number} sessionId - The session the import must belong to.
+ * @returns {Promise<Object|null>}
+ */
+async function getStatementImport(importId, sessionId) {
+  const statement = await get(
+    `SELECT bi.*, u.username FROM bank_statement_imports bi LEFT JOIN users u ON bi.user_id = u.id
+     WHERE bi.id = ? AND bi.event_session_id = ?`,
+    [importId, sessionId]
+  );
+  if (!statement) return null;
+  statement.lines = await all(
+    `SELECT l.*, p.receipt_number, p.upi_paid, p.payment_date, b.exhibitor_name,
+            td.settlement_date, td.upi_amount, bs.name AS staff_name, u.username AS resolved_by
+     FROM bank_statement_lines l
+     LEFT JOIN payments p ON l.payment_id = p.id
+     LEFT JOIN bookings b ON p.booking_id = b.id
+     LEFT JOIN ticket_distributions td ON l.ticket_distribution_id = td.id
+     LEFT JOIN booking_staff bs ON td.staff_id = bs.id
+     LEFT JOIN users u ON l.resolved_by_user_id = u.id
+     WHERE l.import_id = ?
+     ORDER BY l.txn_date, l.id`,
+    [statement.id]
+  );
+  return statement;
+}
+
+/**
+ * Resolves a statement line by hand: match it to a receipt, undo a match, ignore it (a duplicate or
+ * money that is not for this exhibition) or bring an ignored or duplicate line back as unmatched.
+ * @param {number|string} lineId - The bank_statement_lines ID.
+ * @param {number} sessionId - The session the line must belong to.
+ * @param {{action: string, target?: string}} resolution - `target` is "payment:<id>" or "ticket:<id>" for a match.
+ * @param {number} userId - The user resolving the line.
+ * @returns {Promise<Object>} The line before the change.
+ * @throws {Error} With a user-facing message if the line cannot be resolved that way.
+ */
+async function resolveStatementLine(lineId, sessionId, { action, target }, userId) {
+  let line;
+  await transaction(async (db) => {
+    line = await db.get('SELECT * FROM bank_statement_lines WHERE id = ? AND event_session_id = ?', [lineId, sessionId]);
+    if (!line) throw new Error('Statement line not found.');
+
+    const setStatus = (status, method, paymentId, ticketId) => db.run(
+      `UPDATE bank_statement_lines SET match_status = ?, match_method = ?, payment_id = ?, ticket_distribution_id = ?,
+         resolved_by_user_id = ?, resolved_at = datetime('now', 'localtime') WHERE id = ?`,
+      [status, method, paymentId, ticketId, userId, line.id]
+    );
+
+    if (action === 'match') {
+      if (line.match_status === 'matched') throw new Error('This line is already matched. Unmatch it first.');
+      const [kind, id] = String(target || '').split(':');
+      const entry = (await getUnmatchedUpiEntries(sessionId, db)).find(e => e.kind === kind && e.id === parseInt(id, 10));
+      if (!entry) throw new Error('That receipt is not available to match; it may already be matched to another line.');
+      await setStatus('matched', 'manual', kind === 'payment' ? entry.id : null, kind === 'ticket' ? entry.id : null);
+      await fillUpiReference(db, entry, line.reference);
+    } else if (action === 'unmatch' || action === 'restore') {
+      await setStatus('unmatched', null, null, null);
+    } else if (action === 'ignore') {
+      if (line.match_status === 'matched') throw new Error('Unmatch this line before ignoring it.');
+      await setStatus('ignored', null, null, null);
+    } else {
+      throw new Error('Unknown action.');
+    }
+  });
+  return line;
+}
+
+module.exports = {
+  DATE_TOLERANCE_DAYS,
+  normaliseReference,
+  parseStatementDate,
+  readStatementFile,
+  readStatementLines,
+  getUnmatchedUpiEntries,
+  matchStatementLines,
+  importStatement,
+  getStatementImport,
+  resolveStatementLine,
+};
@@ -0,0 +1,598 @@
+//booking-helpers.js
+
+const { all, get, run, logAction, transaction } = require('./db-helpers');
+const { calculateRent, parseRentBreakdown } = require('./pricing-helpers');
+const { OCCUPYING_STATUS_SQL, transitionBooking, recordInitialStatus } = require('./booking-lifecycle');
+const { CREDIT_PAYMENT_MODE, BOOKING_ADVANCE_SQL, getPaymentAllocations, describeAllocation, recordCreditEntry, getCreditBalance, getCreditEntries } = require('./payment-helpers');
+const { getBookingBalance, syncStoredDue } = require('./balance-helpers');
+const { attachBillItems } = require('./electric-bill-helpers');
+
+/**
+ * Allocates one or more spaces to a registered booking inside a single transaction.
+ * Used by both the allocation form on the booking details page and the floor-plan drag & drop.
+ * The rent is computed by the session's pricing rules and its breakdown stored on the booking.
+ * @param {number|string} bookingId - The booking receiving the spaces.
+ * @param {Array<number|string>} spaceIds - The spaces to allocate.
+ * @param {number|string} discount - Discount to apply on the total rent.
+ * @param {number} sessionId - The active event session ID.
+ * @param {{id: number, username: string}|null} user - The user allocating, recorded in the booking's status history.
+ * @returns {Promise<{totalRent: number, discount: number, dueAmount: number, breakdown: Array}>}
+ * @throws {Error} With a user-facing message if the booking or any space cannot be allocated.
+ */
+async function allocateSpaces(bookingId, spaceIds, discount, sessionId, user) {
+  if (!Array.isArray(spaceIds)) {
+    spaceIds = spaceIds ? [spaceIds] : [];
+  }
+  if (spaceIds.length === 0) {
+    throw new Error('You must select a space to allocate.');
+  }
+
+  let result;
+  await transaction(async (db) => {
+    const booking = await db.get('SELECT id, booking_date, product_category, booking_status, event_session_id FROM bookings WHERE id = ?', [bookingId]);
+    if (!booking || booking.event_session_id !== sessionId) {
+      throw new Error('Booking not found in the active session.');
+    }
+    if (booking.booking_status !== 'registered') {
+      throw new Error('Only registered bookings without a space can be allocated one.');
+    }
+
+    const spaces = [];
+    for (const spaceId of spaceIds) {
+      const space = await db.get(`
+        SELECT s.id, s.name, s.type, COALESCE(ssr.rent_amount, s.rent_amount) AS rent_amount, s.is_corner, s.is_active
+        FROM spaces s LEFT JOIN space_session_rents ssr ON ssr.space_id = s.id AND ssr.event_session_id = ?
+        WHERE s.id = ?
+      `, [sessionId, spaceId]);
+      if (!space || space.is_active === 0) {
+        throw new Error(`Space ID ${spaceId} does not exist or is inactive.`);
+      }
+
+      // Concurrency check: Make sure each space is still available
+      const existingAllocation = await db.get(`SELECT bs.id FROM booking_spaces bs JOIN bookings b ON bs.booking_id = b.id WHERE bs.space_id = ? AND b.event_session_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL}`, [spaceId, sessionId]);
+      if (existingAllocation) {
+        throw new Error(`Space ${space.name} was just booked by someone else. Please try again.`);
+      }
+
+      // A space on hold can only be allocated to the booking holding it.
+      const hold = await db.get(`
+        SELECT sh.booking_id, sh.held_until, b.exhibitor_name FROM space_holds sh JOIN bookings b ON sh.booking_id = b.id
+        WHERE sh.space_id = ? AND sh.event_session_id = ? AND sh.status = 'held' AND sh.held_until > datetime('now', 'localtime')
+      `, [spaceId, sessionId]);
+      if (hold && String(hold.booking_id) !== String(bookingId)) {
+        throw new Error(`Space ${space.name} is on hold for ${hold.exhibitor_name} until ${hold.held_until}.`);
+      }
+
+      await db.run('INSERT INTO booking_spaces (booking_id, space_id) VALUES (?, ?)', [bookingId, spaceId]);
+      spaces.push(space);
+    }
+
+    const { total: totalRent, lines } = await calculateRent(booking, spaces, sessionId, db);
+
+    const discountAmount = parseFloat(discount) || 0;
+
+    await db.run(
+      'UPDATE bookings SET rent_amount = ?, rent_breakdown_json = ?, discount = ? WHERE id = ?',
+      [totalRent, JSON.stringify(lines), discountAmount, bookingId]
+    );
+    const dueAmount = await syncStoredDue(bookingId, db);
+    await transitionBooking(bookingId, 'allocated', user, { db });
+
+    // Close any open waitlist offers for these spaces, and any other offers held by this booking.
+    const placeholders = spaceIds.map(() => '?').join(', ');
+    await db.run(
+      `UPDATE waitlist_offers SET status = CASE WHEN booking_id = ? AND space_id IN (${placeholders}) THEN 'accepted' ELSE 'withdrawn' END, responded_at = datetime('now', 'localtime')
+       WHERE status = 'offered' AND event_session_id = ? AND (space_id IN (${placeholders}) OR booking_id = ?)`,
+      [bookingId, ...spaceIds, sessionId, ...spaceIds, bookingId]
+    );
+
+    // Holds on the allocated spaces are fulfilled; any other holds of this booking are no longer needed.
+    await db.run(
+      `UPDATE space_holds SET status = CASE WHEN space_id IN (${placeholders}) THEN 'converted' ELSE 'released' END, released_at = datetime('now', 'localtime')
+       WHERE booking_id = ? AND status = 'held'`,
+      [...spaceIds, bookingId]
+    );
+
+    result = { totalRent, discount: discountAmount, dueAmount, breakdown: lines };
+  });
+  return result;
+}
+
+/**
+ * Parses the ranked preferred space IDs stored as JSON on a booking preference.
+ * @param {string|null} json - The stored JSON array.
+ * @returns {Array<number>} Space IDs in order of preference.
+ */
+function parsePreferredSpaceIds(json) {
+  try {
+    const ids = JSON.parse(json || '[]');
+    return Array.isArray(ids) ? ids.map(Number).filter(Boolean) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Checks whether a space satisfies a booking's waitlist preferences.
+ * A space matches if it is within the maximum rent and is either one of the ranked spaces,
+ * of the preferred type, or the booking has no space/type preference at all.
+ * @param {Object} preference - A booking_preferences row.
+ * @param {Object} space - A spaces row (id, type, rent_amount).
+ * @returns {boolean}
+ */
+function preferenceMatchesSpace(preference, space) {
+  if (preference.max_rent !== null && preference.max_rent !== undefined && (space.rent_amount || 0) > preference.max_rent) {
+    return false;
+  }
+  const preferredIds = parsePreferredSpaceIds(preference.preferred_space_ids);
+  if (preferredIds.includes(space.id)) return true;
+  if (preference.space_type) return preference.space_type === space.type;
+  return preferredIds.length === 0;
+}
+
+/**
+ * Finds the first waitlisted booking, in the order they joined the waitlist, whose preferences match a space.
+ * Bookings that already hold an open offer, or declined this space before, are skipped.
+ * @param {Object} space - A spaces row (id, type, rent_amount).
+ * @param {number} sessionId - The event session ID.
+ * @returns {Promise<Object|null>} The matching preference row joined with the exhibitor name, or null.
+ */
+async function findWaitlistMatch(space, sessionId) {
+  const candidates = await all(`
+    SELECT bp.*, b.exhibitor_name
+    FROM booking_preferences bp
+    JOIN bookings b ON bp.booking_id = b.id
+    WHERE b.event_session_id = ? AND b.booking_status = 'registered'
+      AND NOT EXISTS (
+        SELECT 1 FROM waitlist_offers wo
+        WHERE wo.booking_id = b.id AND (wo.status = 'offered' OR (wo.status = 'declined' AND wo.space_id = ?))
+      )
+    ORDER BY bp.created_at, bp.id
+  `, [sessionId, space.id]);
+  return candidates.find(candidate => preferenceMatchesSpace(candidate, space)) || null;
+}
+
+/**
+ * Offers spaces that have just been freed to the first matching exhibitor on the waitlist.
+ * Each offer is recorded in waitlist_offers and written to the audit log.
+ * @param {Array<number|string>} spaceIds - The spaces that became free.
+ * @param {number} sessionId - The active event session ID.
+ * @param {{id: number, username: string}} user - The user whose action freed the spaces.
+ * @returns {Promise<Array<{space_name: string, booking_id: number, exhibitor_name: string}>>} The offers made.
+ */
+async function offerFreedSpaces(spaceIds, sessionId, user) {
+  const offers = [];
+  for (const spaceId of spaceIds) {
+    // An offer failing must never undo the de-allocation that freed the space.
+    try {
+      const space = await get(`
+        SELECT s.id, s.name, s.type, COALESCE(ssr.rent_amount, s.rent_amount) AS rent_amount
+        FROM spaces s LEFT JOIN space_session_rents ssr ON ssr.space_id = s.id AND ssr.event_session_id = ?
+        WHERE s.id = ? AND s.is_active = 1
+      `, [sessionId, spaceId]);
+      if (!space) continue;
+
+      // Skip spaces that are already taken again, on hold, or already have an open offer.
+      const taken = await get(`
+        SELECT 1 FROM booking_spaces bs JOIN bookings b ON bs.booking_id = b.id
+        WHERE bs.space_id = ? AND b.event_session_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL}
+        UNION ALL
+        SELECT 1 FROM space_holds WHERE space_id = ? AND event_session_id = ? AND status = 'held' AND held_until > datetime('now', 'localtime')
+        UNION ALL
+        SELECT 1 FROM waitlist_offers WHERE space_id = ? AND event_session_id = ? AND status = 'offered'
+      `, [spaceId, sessionId, spaceId, sessionId, spaceId, sessionId]);
+      if (taken) continue;
+
+      const match = await findWaitlistMatch(space, sessionId);
+      if (!match) continue;
+
+      await run(
+        `INSERT INTO waitlist_offers (booking_id, space_id, event_session_id, status, offered_at, offered_by_user_id)
+         VALUES (?, ?, ?, 'offered', datetime('now', 'localtime'), ?)`,
+        [match.booking_id, space.id, sessionId, user ? user.id : null]
+      );
+      await logAction(user ? user.id : null, user ? user.username : 'system', 'waitlist_offer', `Offered space ${space.name} (#${space.id}) to waitlisted booking #${match.booking_id} (${match.exhibitor_name}).`, sessionId);
+      offers.push({ space_name: space.name, booking_id: match.booking_id, exhibitor_name: match.exhibitor_name });
+    } catch (err) {
+      console.error(`Failed to offer space #${spaceId} to the waitlist:`, err.message);
+    }
+  }
+  return offers;
+}
+
+/**
+ * Places a time-limited hold on a free space for a registered booking that has no space yet.
+ * @param {number|string} bookingId - The booking the space is held for.
+ * @param {number|string} spaceId - The space to hold.
+ * @param {number} hours - How long the hold lasts.
+ * @param {number} sessionId - The active event session ID.
+ * @param {{id: number, username: string}} user - The user placing the hold.
+ * @returns {Promise<{space_name: string, held_until: string, exhibitor_name: string}>}
+ * @throws {Error} With a user-facing message if the space cannot be held.
+ */
+async function placeHold(bookingId, spaceId, hours, sessionId, user) {
+  let result;
+  await transaction(async (db) => {
+    const booking = await db.get("SELECT id, exhibitor_name FROM bookings WHERE id = ? AND event_session_id = ? AND booking_status = 'registered'", [bookingId, sessionId]);
+    if (!booking) {
+      throw new Error('Only registered bookings in the active session can hold a space.');
+    }
+    const space = await db.get('SELECT id, name FROM spaces WHERE id = ? AND is_active = 1', [spaceId]);
+    if (!space) {
+      throw new Error('The selected space does not exist or is inactive.');
+    }
+    const conflict = await db.get(`
+      SELECT 'booked' AS reason FROM booking_spaces bs JOIN bookings b ON bs.booking_id = b.id
+      WHERE bs.space_id = ? AND b.event_session_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL}
+      UNION ALL
+      SELECT 'held' FROM space_holds WHERE space_id = ? AND event_session_id = ? AND status = 'held' AND held_until > datetime('now', 'localtime')
+    `, [spaceId, sessionId, spaceId, sessionId]);
+    if (conflict) {
+      throw new Error(`Space ${space.name} is already ${conflict.reason}.`);
+    }
+
+    await db.run(
+      `INSERT INTO space_holds (space_id, booking_id, event_session_id, held_until, status, created_by_user_id, created_at)
+       VALUES (?, ?, ?, datetime('now', 'localtime', ?), 'held', ?, datetime('now', 'localtime'))`,
+      [space.id, booking.id, sessionId, `+${hours} hours`, user.id]
+    );
+    const hold = await db.get("SELECT held_until FROM space_holds WHERE space_id = ? AND booking_id = ? AND status = 'held' ORDER BY id DESC", [space.id, booking.id]);
+    result = { space_name: space.name, held_until: hold.held_until, exhibitor_name: booking.exhibitor_name };
+  });
+  await logAction(user.id, user.username, 'space_hold', `Held space ${result.space_name} (#${spaceId}) for booking #${bookingId} (${result.exhibitor_name}) until ${result.held_until}.`, sessionId);
+  return result;
+}
+
+/**
+ * Releases an active hold before it expires and offers the space to the waitlist.
+ * @param {number|string} holdId - The hold to release.
+ * @param {{id: number, username: string}} user - The user releasing the hold.
+ * @returns {Promise<Object|null>} The released hold, or null if it was not active.
+ */
+async function releaseHold(holdId, user) {
+  const hold = await get("SELECT sh.*, s.name AS space_name FROM space_holds sh JOIN spaces s ON sh.space_id = s.id WHERE sh.id = ? AND sh.status = 'held'", [holdId]);
+  if (!hold) return null;
+
+  await run("UPDATE space_holds SET status = 'released', released_at = datetime('now', 'localtime') WHERE id = ?", [hold.id]);
+  await logAction(user.id, user.username, 'space_hold_release', `Released hold on space ${hold.space_name} (#${hold.space_id}) for booking #${hold.booking_id}.`, hold.event_session_id);
+  hold.offers = await offerFreedSpaces([hold.space_id], hold.event_session_id, user);
+  return hold;
+}
+
+/**
+ * Background sweep: marks holds past their expiry as expired, writes an audit entry for each
+ * and offers the freed space to the waitlist. Run periodically from app.js.
+ * @returns {Promise<number>} The number of holds released.
+ */
+async function releaseExpiredHolds() {
+  const expired = await all(`
+    SELECT sh.*, s.name AS space_name FROM space_holds sh JOIN spaces s ON sh.space_id = s.id
+    WHERE sh.status = 'held' AND sh.held_until <= datetime('now', 'localtime')
+  `);
+  for (const hold of expired) {
+    const result = await run("UPDATE space_holds SET status = 'expired', released_at = datetime('now', 'localtime') WHERE id = ? AND status = 'held'", [hold.id]);
+    if (result.changes === 0) continue; // Converted or released in the meantime.
+    await logAction(null, 'system', 'space_hold_expired', `Hold on space ${hold.space_name} (#${hold.space_id}) for booking #${hold.booking_id} expired at ${hold.held_until}.`, hold.event_session_id);
+    await offerFreedSpaces([hold.space_id], hold.event_session_id, null);
+  }
+  return expired.length;
+}
+
+/**
+ * Loads everything charged to and paid by a booking in a session, together with the per-head
+ * financial summary shown on the booking details page and the exhibitor portal. The client's
+ * credit is included from every session, since it carries over, along with the advance taken when the
+ * booking was registered, which is part of that credit.
+ * @param {Object} booking - The bookings row (id, client_id, discount).
+ * @param {number} sessionId - The event session of the booking.
+ * @returns {Promise<{materials: Array, electricBills: Array, shedAllocations: Array, payments: Array, financials: Object}>}
+ */
+async function getBookingStatement(booking, sessionId) {
+  const bookingId = booking.id;
+
+  // Fetch related material issues
+  const materials = await all('SELECT * FROM material_issues WHERE client_id = ? AND event_session_id = ?', [booking.client_id, sessionId]);
+
+  // Fetch related electric bills with their line items
+  const electricBills = await attachBillItems(await all('SELECT * FROM electric_bills WHERE booking_id = ? AND event_session_id = ?', [bookingId, sessionId]));
+
+  // Fetch related shed allocations
+  const shedAllocations = await all('SELECT sa.id, s.name as shed_name, s.rent, sa.allocation_date, sa.released_date FROM shed_allocations sa JOIN sheds s ON sa.shed_id = s.id WHERE sa.booking_id = ? AND sa.event_session_id = ?', [bookingId, sessionId]);
+
+  // Fetch related payments with the heads each one was allocated to
+  const paymentsRaw = await all('SELECT * FROM payments WHERE booking_id = ? AND event_session_id = ? ORDER BY payment_date DESC', [bookingId, sessionId]);
+  const allocations = await getPaymentAllocations(paymentsRaw.map(p => p.id));
+  const payments = paymentsRaw.map(p => {
+    const lines = allocations.get(p.id);
+    return {
+      id: p.id,
+      payment_date: p.payment_date,
+      receipt_number: p.receipt_number,
+      type: describeAllocation(lines),
+      amount: lines.reduce((sum, line) => sum + line.amount, 0),
+      clearance_status: p.clearance_status,
+      remarks: p.remarks
+    };
+  });
+
+  // --- Detailed Financial Calculations ---
+  const balance = await getBookingBalance(bookingId);
+  const head = ({ charged, credited, paid, due }) => ({ charged, credited, paid, due });
+
+  const financials = {
+    rent: head(balance.rent),
+    electric: head(balance.electric),
+    material: head(balance.material),
+    shed: head(balance.shed),
+    write_offs: { amount: balance.writeOffs },
+    total: head(balance),
+    cancellation: await get('SELECT * FROM booking_cancellations WHERE booking_id = ?', [bookingId]) || null,
+    advance: (await get(`SELECT ${BOOKING_ADVANCE_SQL} AS total FROM bookings b WHERE b.id = ?`, [bookingId])).total,
+    clientCredit: booking.client_id
+      ? { balance: await getCreditBalance(booking.client_id), entries: await getCreditEntries(booking.client_id) }
+      : { balance: 0, entries: [] }
+  };
+
+  return { materials, electricBills, shedAllocations, payments, financials };
+}
+
+/**
+ * Loads a booking with its client and spaces for the rent receipt.
+ * @param {number|string} bookingId - The booking ID.
+ * @returns {Promise<Object|undefined>} The booking, with rentBreakdown lines and its rent balance, or undefined if not found.
+ */
+async function getReceiptBooking(bookingId) {
+  const sql = `SELECT b.*, c.name AS client_name, c.full_address AS client_address, GROUP_CONCAT(s.name, ', ') AS space_name, GROUP_CONCAT(s.size, ', ') AS space_size FROM bookings b JOIN clients c ON b.client_id = c.id LEFT JOIN booking_spaces bs ON b.id = bs.booking_id LEFT JOIN spaces s ON bs.space_id = s.id WHERE b.id = ? GROUP BY b.id`;
+  const booking = await get(sql, [bookingId]);
+  if (booking) {
+    booking.rentBreakdown = parseRentBreakdown(booking.rent_breakdown_json);
+    booking.rent = (await getBookingBalance(booking.id)).rent;
+  }
+  return booking;
+}
+
+/**
+ * Loads a booking with its client and spaces for the invoice.
+ * @param {number|string} bookingId - The booking ID.
+ * @returns {Promise<Object|undefined>} The booking, with rentBreakdown lines and total, or undefined if not found.
+ */
+async function getInvoiceBooking(bookingId) {
+  const sql = `SELECT b.*, c.name AS client_name, c.contact_number AS contact, GROUP_CONCAT(s.name, ', ') AS space_name, GROUP_CONCAT(s.type, ', ') AS space_type, GROUP_CONCAT(s.facilities, '; ') as facilities FROM bookings b JOIN clients c ON b.client_id = c.id LEFT JOIN booking_spaces bs ON b.id = bs.booking_id LEFT JOIN spaces s ON bs.space_id = s.id WHERE b.id = ? GROUP BY b.id`;
+  const booking = await get(sql, [bookingId]);
+  if (booking) {
+    booking.rentBreakdown = parseRentBreakdown(booking.rent_breakdown_json);
+    booking.total = (booking.rent_amount || 0) - (booking.discount || 0);
+  }
+  return booking;
+}
+
+/**
+ * Re-books an exhibitor into another session as a new registered booking. Contact details
+ * come from the client's master record, falling back to the original booking.
+ * @param {number|string} originalBookingId - The booking being re-booked.
+ * @param {number|string} targetSessionId - The session to create the booking in.
+ * @param {{id: number, username: string}} user - The user re-booking, recorded in the status history.
+ * @returns {Promise<{bookingId?: number, existingBookingId?: number, original: Object}>} The new booking,
+ *   or the booking the client already has in the target session.
+ * @throws {Error} If the original booking does not exist.
+ */
+async function rebookBooking(originalBookingId, targetSessionId, user) {
+  const original = await get(`
+    SELECT b.id, b.client_id, b.exhibitor_name, b.facia_name, b.product_category,
+      COALESCE(NULLIF(c.contact_person, ''), b.contact_person) AS contact_person,
+      COALESCE(NULLIF(c.full_address, ''), b.full_address) AS full_address,
+      COALESCE(NULLIF(c.contact_number, ''), b.contact_number) AS contact_number,
+      COALESCE(NULLIF(c.secondary_number, ''), b.secondary_number) AS secondary_number,
+      COALESCE(NULLIF(c.id_proof, ''), b.id_proof) AS id_proof,
+      b.form_submitted
+    FROM bookings b
+    LEFT JOIN clients c ON b.client_id = c.id
+    WHERE b.id = ?
+  `, [originalBookingId]);
+  if (!original) {
+    throw new Error('Original booking not found.');
+  }
+
+  // Check if a booking for this client already exists in the target session to prevent duplicates
+  const existing = await get('SELECT id FROM bookings WHERE client_id = ? AND event_session_id = ?', [original.client_id, targetSessionId]);
+  if (existing) {
+    return { existingBookingId: existing.id, original };
+  }
+
+  const { lastID } = await run(`
+    INSERT INTO bookings (
+      client_id, booking_date, exhibitor_name, facia_name, product_category,
+      contact_person, full_address, contact_number, secondary_number, id_proof,
+      event_session_id, booking_status,
+      rent_amount, discount, advance_amount, due_amount, form_submitted, rebooked_from_booking_id
+    ) VALUES (?, datetime('now'), ?, ?, ?, ?, ?, ?, ?, ?, ?, 'registered', 0, 0, 0, 0, ?, ?)
+  `, [
+    original.client_id, original.exhibitor_name, original.facia_name,
+    original.product_category, original.contact_person, original.full_address,
+    original.contact_number, original.secondary_number, original.id_proof,
+    targetSessionId, original.form_submitted, original.id
+  ]);
+  await recordInitialStatus(lastID, 'registered', user);
+  return { bookingId: lastID, original };
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Lists the charges a booking carries in a session that have not yet been reversed by a credit note:
+ * rent first, then electric, material and shed.
+ * @param {{get: Function, all: Function}} db - The database or transaction to read from.
+ * @param {Object} booking - The bookings row (id, client_id, rent_amount, discount).
+ * @param {number} sessionId - The event session of the booking.
+ * @returns {Promise<Array<{charge_type: string, source_table: string, source_id: number, description: string, amount: number}>>}
+ */
+async function getOpenCharges(db, booking, sessionId) {
+  const charges = [
+    { charge_type: 'rent', source_table: 'bookings', source_id: booking.id, description: 'Space rent', amount: (booking.rent_amount || 0) - (booking.discount || 0) }
+  ];
+  const electricBills = await db.all('SELECT id, sl_no, total_amount FROM electric_bills WHERE booking_id = ? AND event_session_id = ?', [booking.id, sessionId]);
+  electricBills.forEach(b => charges.push({ charge_type: 'electric', source_table: 'electric_bills', source_id: b.id, description: `Electric bill ${b.sl_no || '#' + b.id}`, amount: b.total_amount || 0 }));
+  const materials = await db.all('SELECT id, total_payable FROM material_issues WHERE client_id = ? AND event_session_id = ?', [booking.client_id, sessionId]);
+  materials.forEach(m => charges.push({ charge_type: 'material', source_table: 'material_issues', source_id: m.id, description: `Material issue #${m.id}`, amount: m.total_payable || 0 }));
+  const sheds = await db.all('SELECT sa.id, s.name, s.rent FROM shed_allocations sa JOIN sheds s ON sa.shed_id = s.id WHERE sa.booking_id = ? AND sa.event_session_id = ?', [booking.id, sessionId]);
+  sheds.forEach(s => charges.push({ charge_type: 'shed', source_table: 'shed_allocations', source_id: s.id, description: `Shed ${s.name}`, amount: s.rent || 0 }));
+  const shedBills = await db.all('SELECT id, description, amount FROM shed_bills WHERE booking_id = ? AND event_session_id = ?', [booking.id, sessionId]);
+  shedBills.forEach(b => charges.push({ charge_type: 'shed', source_table: 'shed_bills', source_id: b.id, description: b.description || `Shed bill #${b.id}`, amount: b.amount || 0 }));
+
+  const credits = await db.all('SELECT source_table, source_id, SUM(amount) AS credited FROM credit_notes WHERE booking_id = ? GROUP BY source_table, source_id', [booking.id]);
+  const creditedBySource = new Map(credits.map(c => [`${c.source_table}:${c.source_id}`, c.credited]));
+  return charges
+    .map(c => ({ ...c, amount: c.amount - (creditedBySource.get(`${c.source_table}:${c.source_id}`) || 0) }))
+    .filter(c => c.amount > 0.005);
+}
+
+/**
+ * Works out how a cancellation splits the money received between a refund and the amount retained.
+ * Give either a refund amount or a forfeiture percentage of the money received. Retained money is
+ * set against the booking's open charges; it can never exceed what is still owed after write-offs.
+ * An advance held as client credit is not money received on the booking; it stays with the client.
+ * @param {{get: Function, all: Function}} db - The database or transaction to read from.
+ * @param {Object} booking - The bookings row.
+ * @param {number} sessionId - The event session of the booking.
+ * @param {{refundAmount?: number|string, forfeiturePercent?: number|string}} terms - How much to refund.
+ * @returns {Promise<{received: number, writeOffs: number, charges: Array, maxRetainable: number, forfeiturePercent: number|null, refund: number, retained: number}>}
+ * @throws {Error} With a user-facing message if the terms are not valid.
+ */
+async function getCancellationQuote(db, booking, sessionId, { refundAmount, forfeiturePercent } = {}) {
+  const charges = await getOpenCharges(db, booking, sessionId);
+  const paid = await db.get(
+    'SELECT COALESCE(SUM(rent_paid), 0) AS rent, COALESCE(SUM(electric_paid), 0) AS electric, COALESCE(SUM(material_paid), 0) AS material, COALESCE(SUM(shed_paid), 0) AS shed FROM payments WHERE booking_id = ? AND event_session_id = ?',
+    [booking.id, sessionId]
+  );
+  const { writeOffs } = await db.get('SELECT COALESCE(SUM(amount), 0) AS writeOffs FROM write_offs WHERE booking_id = ? AND event_session_id = ?', [booking.id, sessionId]);
+  const received = round2(paid.rent + paid.electric + paid.material + paid.shed);
+  const openTotal = charges.reduce((sum, c) => sum + c.amount, 0);
+  const maxRetainable = round2(Math.max(Math.min(openTotal - writeOffs, received), 0));
+
+  let percent = null;
+  let retained;
+  if (refundAmount !== undefined && refundAmount !== null && refundAmount !== '') {
+    const refund = parseFloat(refundAmount);
+    if (isNaN(refund) || refund < 0) throw new Error('Refund amount must be zero or more.');
+    if (refund > received + 0.005) throw new Error(`Cannot refund more than the ₹${received.toFixed(2)} received.`);
+    retained = round2(received - refund);
+    if (retained > maxRetainable + 0.005) {
+      throw new Error(`Only ₹${maxRetainable.toFixed(2)} of charges are still owed, so at least ₹${(received - maxRetainable).toFixed(2)} must be refunded.`);
+    }
+  } else {
+    percent = parseFloat(forfeiturePercent);
+    if (isNaN(percent) || percent < 0 || percent > 100) throw new Error('Forfeiture must be a percentage between 0 and 100.');
+    retained = round2(Math.min(received * percent / 100, maxRetainable));
+  }
+
+  return { received, paidByHead: paid, writeOffs, charges, maxRetainable, forfeiturePercent: percent, refund: round2(received - retained), retained };
+}
+
+/**
+ * Cancels a booking without deleting any of its charges. The money kept and any write-offs are set
+ * against the open charges, and a credit note reverses whatever remains of each charge.
+ * A refund is recorded as an expenditure in the accounting ledger, linked to the booking; with the
+ * client credit refund mode it is held as the client's credit instead of being paid out. Sheds are released and the booking's due amount is cleared.
+ * @param {number|string} bookingId - The booking to cancel.
+ * @param {{refundAmount?: number|string, forfeiturePercent?: number|string, refundMode?: string, reason?: string}} terms
+ * @param {{id: number, username: string}} user - The user cancelling.
+ * @param {number} sessionId - The active event session ID.
+ * @returns {Promise<{refund: number, retained: number, credited: number, freedSpaceIds: Array<number>}>}
+ * @throws {Error} With a user-facing message if the booking cannot be cancelled on these terms.
+ */
+async function cancelBooking(bookingId, { refundAmount, forfeiturePercent, refundMode, reason } = {}, user, sessionId) {
+  let result;
+  await transaction(async (db) => {
+    const booking = await db.get('SELECT * FROM bookings WHERE id = ? AND event_session_id = ?', [bookingId, sessionId]);
+    if (!booking) throw new Error('Booking not found in this session.');
+
+    const quote = await getCancellationQuote(db, booking, sessionId, { refundAmount, forfeiturePercent });
+    const today = new Date().toISOString().split('T')[0];
+    const note = reason || 'Booking cancelled.';
+
+    // Retained money settles each charge from what was paid towards its own head first, so no head is
+    // left owing while another is in credit; any remainder, then write-offs, settle charges in order.
+    // Whatever is left of each charge is reversed by a credit note.
+    const headPool = { ...quote.paidByHead };
+    const settled = quote.charges.map(() => 0);
+    let retainedLeft = quote.retained;
+    const settle = (i, limit) => {
+      const amount = Math.max(Math.min(quote.charges[i].amount - settled[i], limit), 0);
+      settled[i] += amount;
+      return amount;
+    };
+    quote.charges.forEach((charge, i) => {
+      const amount = settle(i, Math.min(headPool[charge.charge_type], retainedLeft));
+      headPool[charge.charge_type] -= amount;
+      retainedLeft -= amount;
+    });
+    quote.charges.forEach((charge, i) => { retainedLeft -= settle(i, retainedLeft); });
+    let writeOffsLeft = quote.writeOffs;
+    quote.charges.forEach((charge, i) => { writeOffsLeft -= settle(i, writeOffsLeft); });
+
+    let credited = 0;
+    for (const [i, charge] of quote.charges.entries()) {
+      const creditAmount = round2(charge.amount - settled[i]);
+      if (creditAmount > 0) {
+        await db.run(
+          'INSERT INTO credit_notes (booking_id, event_session_id, charge_type, source_table, source_id, amount, reason, issue_date, user_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+          [booking.id, sessionId, charge.charge_type, charge.source_table, charge.source_id, creditAmount, `${charge.description} reversed on cancellation. ${note}`, today, user.id]
+        );
+        credited += creditAmount;
+      }
+    }
+
+    let accountingTransactionId = null;
+    if (quote.refund > 0) {
+      const { lastID } = await db.run(
+        'INSERT INTO accounting_transactions (transaction_type, category, description, amount, transaction_date, user_id, event_session_id, booking_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        ['expenditure', 'Booking Refund', `Refund to ${booking.exhibitor_name} on cancelling booking #${booking.id}${refundMode ? ` (${refundMode})` : ''}`, quote.refund, today, user.id, sessionId, booking.id]
+      );
+      accountingTransactionId = lastID;
+
+      // A refund held as client credit stays with us until it is applied or paid back
+      if (refundMode === CREDIT_PAYMENT_MODE) {
+        await recordCreditEntry(db, {
+          clientId: booking.client_id,
+          bookingId: booking.id,
+          sessionId,
+          type: 'refund_pending',
+          amount: quote.refund,
+          description: `Refund held on cancelling booking #${booking.id}`,
+          date: today,
+          userId: user.id
+        });
+      }
+    }
+
+    await db.run('UPDATE shed_allocations SET released_date = ? WHERE booking_id = ? AND event_session_id = ? AND released_date IS NULL', [today, booking.id, sessionId]);
+    await transitionBooking(booking.id, 'cancelled', user, { note: reason || null, db });
+    await db.run(
+      `INSERT INTO booking_cancellations (booking_id, event_session_id, cancellation_date, reason, amount_received, forfeiture_percent, refund_amount, retained_amount, refund_mode, accounting_transaction_id, user_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [booking.id, sessionId, today, reason || null, quote.received, quote.forfeiturePercent, quote.refund, quote.retained, quote.refund > 0 ? (refundMode || null) : null, accountingTransactionId, user.id]
+    );
+    await syncStoredDue(booking.id, db);
+
+    const spaces = await db.all('SELECT space_id FROM booking_spaces WHERE booking_id = ?', [booking.id]);
+    result = { refund: quote.refund, retained: quote.retained, credited: round2(credited), freedSpaceIds: spaces.map(s => s.space_id) };
+  });
+  return result;
+}
+
+module.exports = {
+  allocateSpaces,
+  parsePreferredSpaceIds,
+  preferenceMatchesSpace,
+  findWaitlistMatch,
+  offerFreedSpaces,
+  placeHold,
+  releaseHold,
+  releaseExpiredHolds,
+  getBookingStatement,
+  getReceiptBooking,
+  getInvoiceBooking,
+  rebookBooking,
+  getCancellationQuote,
+  cancelBooking,
+};
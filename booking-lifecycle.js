@@ -0,0 +1,181 @@
+//booking-lifecycle.js
+
+const { get, run } = require('./db-helpers');
+const { ON_SITE_STATUS_SQL } = require('./electric-work-order-helpers');
+
+// Every booking status, in lifecycle order, with its display label.
+const BOOKING_STATUSES = {
+  enquiry: 'Enquiry',
+  registered: 'Registered',
+  allocated: 'Allocated',
+  confirmed: 'Confirmed',
+  moved_in: 'Moved In',
+  vacated: 'Vacated',
+  cancelled: 'Cancelled'
+};
+
+// Allowed next statuses for each status. Going back to 'registered' is de-allocation.
+const TRANSITIONS = {
+  enquiry: ['registered', 'cancelled'],
+  registered: ['allocated', 'cancelled'],
+  allocated: ['registered', 'confirmed', 'cancelled'],
+  confirmed: ['registered', 'moved_in', 'cancelled'],
+  moved_in: ['vacated'],
+  vacated: [],
+  cancelled: []
+};
+
+// Statuses in which a booking holds its spaces. A space is free in a session unless one of its bookings is in one of these.
+const OCCUPYING_STATUSES = ['allocated', 'confirmed', 'moved_in'];
+const OCCUPYING_STATUS_SQL = `(${OCCUPYING_STATUSES.map(s => `'${s}'`).join(', ')})`;
+
+// Badge classes used wherever a status is shown.
+const STATUS_BADGES = {
+  enquiry: 'bg-info text-dark',
+  registered: 'bg-warning text-dark',
+  allocated: 'bg-primary',
+  confirmed: 'bg-success',
+  moved_in: 'bg-dark',
+  vacated: 'bg-secondary',
+  cancelled: 'bg-danger'
+};
+
+// Moves offered as plain buttons on the booking page, keyed "from:to". Allocation, de-allocation and
+// cancellation change more than the status, so they go through their own routes.
+const STATUS_ACTIONS = {
+  'enquiry:registered': 'Register Exhibitor',
+  'allocated:confirmed': 'Confirm Booking',
+  'confirmed:moved_in': 'Mark Moved In',
+  'moved_in:vacated': 'Mark Vacated'
+};
+
+const statusLabel = (status) => BOOKING_STATUSES[status] || status;
+
+/**
+ * Guards checked before entering a status. Each returns an error message, or null if the move is allowed.
+ * They run inside the caller's transaction, so they see spaces inserted earlier in it.
+ */
+const GUARDS = {
+  async allocated(booking, db) {
+    const space = await db.get('SELECT id FROM booking_spaces WHERE booking_id = ? LIMIT 1', [booking.id]);
+    return space ? null : 'A booking needs at least one space to be allocated.';
+  },
+
+  async registered(booking, db) {
+    // Coming back from allocated/confirmed is de-allocation: the spaces must have been released first.
+    const space = await db.get('SELECT id FROM booking_spaces WHERE booking_id = ? LIMIT 1', [booking.id]);
+    return space ? 'Release the booking\'s spaces before moving it back to Registered.' : null;
+  },
+
+  async confirmed(booking, db) {
+    const session = await db.get('SELECT confirm_min_advance_percent FROM event_sessions WHERE id = ?', [booking.event_session_id]);
+    const minPercent = (session && session.confirm_min_advance_percent) || 0;
+    const rentPayable = (booking.rent_amount || 0) - (booking.discount || 0);
+    const { total: rentPaid } = await db.get('SELECT COALESCE(SUM(rent_paid), 0) AS total FROM payments WHERE booking_id = ?', [booking.id]);
+    const required = rentPayable * minPercent / 100;
+    if (rentPaid + 0.005 < required) {
+      // An advance is held as client credit and counts only once it is applied to the rent.
+      const { credit } = await db.get('SELECT COALESCE(SUM(amount), 0) AS credit FROM client_credit_entries WHERE client_id = ?', [booking.client_id]);
+      const hint = credit > 0.005 ? ` The client has ₹${credit.toFixed(2)} of credit that can be applied to the rent from Receive Payment.` : '';
+      return `Cannot confirm until at least ${minPercent}% of the rent is paid (₹${required.toFixed(2)} required, ₹${rentPaid.toFixed(2)} paid).${hint}`;
+    }
+    return null;
+  },
+
+  async vacated(booking, db) {
+    // Electrical items put up at the stall must be ticked off their removal checklists first.
+    const { count } = await db.get(`SELECT COUNT(*) AS count FROM electric_work_orders WHERE booking_id = ? AND status IN ${ON_SITE_STATUS_SQL}`, [booking.id]);
+    return count > 0 ? `Cannot vacate until the electrical removal checklist is complete (${count} work order${count === 1 ? ' still has' : 's still have'} items installed).` : null;
+  }
+};
+
+/**
+ * Lists the statuses a booking can move to from its current status.
+ * @param {string} status - The current status.
+ * @returns {Array<string>} The allowed next statuses.
+ */
+function allowedTransitions(status) {
+  return TRANSITIONS[status] || [];
+}
+
+/**
+ * Lists the plain status actions available for a booking in the given status.
+ * @param {string} status - The current status.
+ * @returns {Array<{to: string, label: string}>}
+ */
+function statusActions(status) {
+  return allowedTransitions(status)
+    .filter(to => STATUS_ACTIONS[`${status}:${to}`])
+    .map(to => ({ to, label: STATUS_ACTIONS[`${status}:${to}`] }));
+}
+
+/**
+ * Moves a booking to a new status, checking the transition is allowed and its guard passes,
+ * and records the change with a timestamp in booking_status_history.
+ * Pass the transaction's `db` when the status change is part of a larger update.
+ * @param {number|string} bookingId - The booking to move.
+ * @param {string} toStatus - The status to move to.
+ * @param {{id: number, username: string}|null} user - The user making the change, or null for system changes.
+ * @param {{note?: string, db?: {get: Function, run: Function}}} [options]
+ * @returns {Promise<{from: string, to: string}>}
+ * @throws {Error} With a user-facing message if the booking does not exist, the transition is not allowed or a guard fails.
+ */
+async function transitionBooking(bookingId, toStatus, user, { note = null, db = { get, run } } = {}) {
+  if (!BOOKING_STATUSES[toStatus]) {
+    throw new Error(`Unknown booking status "${toStatus}".`);
+  }
+  const booking = await db.get('SELECT id, client_id, booking_status, event_session_id, rent_amount, discount FROM bookings WHERE id = ?', [bookingId]);
+  if (!booking) {
+    throw new Error('Booking not found.');
+  }
+  const fromStatus = booking.booking_status;
+  if (!allowedTransitions(fromStatus).includes(toStatus)) {
+    throw new Error(`A booking that is ${statusLabel(fromStatus)} cannot be moved to ${statusLabel(toStatus)}.`);
+  }
+
+  const guard = GUARDS[toStatus];
+  const guardError = guard ? await guard(booking, db) : null;
+  if (guardError) {
+    throw new Error(guardError);
+  }
+
+  await db.run(
+    `UPDATE bookings SET booking_status = ?,
+      vacated_date = CASE WHEN ? IN ('vacated', 'cancelled') THEN date('now') ELSE vacated_date END
+     WHERE id = ?`,
+    [toStatus, toStatus, bookingId]
+  );
+  await db.run(
+    'INSERT INTO booking_status_history (booking_id, from_status, to_status, user_id, username, note) VALUES (?, ?, ?, ?, ?, ?)',
+    [bookingId, fromStatus, toStatus, user ? user.id : null, user ? user.username : null, note]
+  );
+  return { from: fromStatus, to: toStatus };
+}
+
+/**
+ * Records the starting status of a newly created booking in its history.
+ * @param {number} bookingId - The new booking.
+ * @param {string} status - The status it was created with.
+ * @param {{id: number, username: string}|null} user - The user who created it.
+ * @param {{run: Function}} [db] - The transaction to record in, if any.
+ */
+async function recordInitialStatus(bookingId, status, user, db = { run }) {
+  await db.run(
+    'INSERT INTO booking_status_history (booking_id, from_status, to_status, user_id, username) VALUES (?, NULL, ?, ?, ?)',
+    [bookingId, status, user ? user.id : null, user ? user.username : null]
+  );
+}
+
+module.exports = {
+  BOOKING_STATUSES,
+  TRANSITIONS,
+  OCCUPYING_STATUSES,
+  OCCUPYING_STATUS_SQL,
+  STATUS_BADGES,
+  STATUS_ACTIONS,
+  statusLabel,
+  allowedTransitions,
+  statusActions,
+  transitionBooking,
+  recordInitialStatus,
+};
@@ -0,0 +1,206 @@
+//cash-shift-helpers.js
+
+const { all, get } = require('./db-helpers');
+
+// Notes and coins counted into the drawer at close, largest first.
+const DENOMINATIONS = [500, 200, 100, 50, 20, 10, 5, 2, 1];
+
+/**
+ * Finds the shift a user has open in a session. A user has at most one open shift across all sessions.
+ * @param {number} userId - The cashier's user ID.
+ * @param {number} sessionId - The event session the cash belongs to.
+ * @param {{get: Function}} [db] - The transaction to read in, if any.
+ * @returns {Promise<Object|undefined>} The cash_shifts row.
+ */
+async function getOpenShift(userId, sessionId, db = { get }) {
+  return db.get("SELECT * FROM cash_shifts WHERE user_id = ? AND event_session_id = ? AND status = 'open'", [userId, sessionId]);
+}
+
+/**
+ * Finds a shift the user left open in another session, which must be closed before they open one here.
+ * @param {number} userId - The cashier's user ID.
+ * @param {number} sessionId - The session they are working in.
+ * @returns {Promise<Object|undefined>} The cash_shifts row with its session_name.
+ */
+async function getOpenShiftElsewhere(userId, sessionId) {
+  return get(
+    `SELECT cs.*, es.name AS session_name FROM cash_shifts cs LEFT JOIN event_sessions es ON cs.event_session_id = es.id
+     WHERE cs.user_id = ? AND cs.event_session_id != ? AND cs.status = 'open'`,
+    [userId, sessionId]
+  );
+}
+
+/**
+ * Finds the open shift cash being taken now goes into. Taking cash without an open shift in the
+ * session the cash belongs to is refused, so that every rupee in the drawer is accounted for at close.
+ * @param {number} userId - The user taking the cash.
+ * @param {number} sessionId - The event session of the payment or settlement.
+ * @param {number} cashAmount - The cash part of the payment or settlement.
+ * @param {{get: Function}} [db] - The transaction to read in, if any.
+ * @returns {Promise<number|null>} The shift ID, or null when no cash is taken.
+ * @throws {Error} If cash is taken and the user has no open shift in the session.
+ */
+async function shiftForCash(userId, sessionId, cashAmount, db = { get }) {
+  if (!(cashAmount > 0)) return null;
+  const shift = await getOpenShift(userId, sessionId, db);
+  if (!shift) throw new Error('Open a cash shift in this session before taking cash.');
+  return shift.id;
+}
+
+/**
+ * Refuses changes to the cash of a shift that has been closed, since its count has already been taken.
+ * @param {number|null} shiftId - The cash_shift_id of the payment or settlement being changed.
+ * @param {{get: Function}} [db] - The transaction to read in, if any.
+ * @throws {Error} If the shift is closed.
+ */
+async function assertShiftOpen(shiftId, db = { get }) {
+  if (!shiftId) return;
+  const shift = await db.get('SELECT status, closed_at FROM cash_shifts WHERE id = ?', [shiftId]);
+  if (shift && shift.status === 'closed') {
+    throw new Error(`The cash shift this was taken in was closed on ${shift.closed_at}; its cash can no longer be changed.`);
+  }
+}
+
+/**
+ * Reads a denomination count from the close form (fields `denom_500`, `denom_200`, ...).
+ * @param {Object} body - The submitted form fields.
+ * @returns {{counts: Object<string, number>, total: number}}
+ * @throws {Error} If a count is not a whole number of zero or more.
+ */
+function parseDenominations(body) {
+  const counts = {};
+  let total = 0;
+  for (const denomination of DENOMINATIONS) {
+    const raw = body[`denom_${denomination}`];
+    const count = raw === undefined || raw === '' ? 0 : Number(raw);
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`The count of ₹${denomination} must be a whole number.`);
+    }
+    counts[denomination] = count;
+    total += denomination * count;
+  }
+  return { counts, total };
+}
+
+/**
+ * Works out what a shift took and what should be in its drawer: the opening float plus the cash of
+ * its payments and ticket settlements. UPI is listed too but does not go into the drawer.
+ * @param {number} shiftId - The cash_shifts ID.
+ * @param {{get: Function, all: Function}} [db] - The transaction to read in, if any.
+ * @returns {Promise<Object|null>} The shift with its cashier, payments, ticket settlements, totals and
+ *   expected cash; for a closed shift also its parsed denomination count. Null if not found.
+ */
+async function getShiftSummary(shiftId, db = { get, all }) {
+  const shift = await db.get(
+    `SELECT cs.*, u.username, cu.username AS closed_by, su.username AS settled_by, es.name AS session_name
+     FROM cash_shifts cs
+     JOIN users u ON cs.user_id = u.id
+     LEFT JOIN users cu ON cs.closed_by_user_id = cu.id
+     LEFT JOIN users su ON cs.settled_by_user_id = su.id
+     LEFT JOIN event_sessions es ON cs.event_session_id = es.id
+     WHERE cs.id = ?`,
+    [shiftId]
+  );
+  if (!shift) return null;
+
+  const [payments, ticketSettlements] = await Promise.all([
+    db.all(
+      `SELECT p.id, p.receipt_number, p.payment_date, p.payment_mode, p.cash_paid, p.upi_paid, b.exhibitor_name
+       FROM payments p JOIN bookings b ON p.booking_id = b.id
+       WHERE p.cash_shift_id = ? ORDER BY p.id`,
+      [shiftId]
+    ),
+    db.all(
+      `SELECT td.id, td.settlement_date, td.tickets_sold, td.calculated_revenue, td.cash_amount, td.upi_amount, bs.name AS staff_name
+       FROM ticket_distributions td JOIN booking_staff bs ON td.staff_id = bs.id
+       WHERE td.cash_shift_id = ? ORDER BY td.id`,
+      [shiftId]
+    )
+  ]);
+
+  const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+  const totals = {
+    paymentCash: sum(payments, 'cash_paid'),
+    paymentUpi: sum(payments, 'upi_paid'),
+    ticketCash: sum(ticketSettlements, 'cash_amount'),
+    ticketUpi: sum(ticketSettlements, 'upi_amount')
+  };
+  const expectedCash = shift.opening_float + totals.paymentCash + totals.ticketCash;
+
+  return {
+    ...shift,
+    denominations: shift.denominations ? JSON.parse(shift.denominations) : null,
+    payments,
+    ticketSettlements,
+    totals,
+    // A closed shift keeps the figure it was counted against
+    expectedCash: shift.status === 'closed' ? shift.expected_cash : expectedCash
+  };
+}
+
+/**
+ * Posts a closed shift's short or excess to staff_settlements, where it is cleared like a ticket
+ * seller's. The shift's own settlement_status is kept in step by clearShiftSettlement.
+ * @param {{run: Function}} db - The transaction.
+ * @param {Object} shift - The shift summary, with its cashier's user_id.
+ * @param {{counted: number, difference: number, notes: string|null}} close - The count taken at close.
+ * @param {number} userId - The user closing the shift.
+ * @returns {Promise<void>}
+ */
+async function postShiftSettlement(db, shift, { counted, difference, notes }, userId) {
+  await db.run(
+    `INSERT INTO staff_settlements (user_id, cash_shift_id, event_session_id, settlement_date, expected_amount, actual_amount, difference, notes, settled_by_user_id, status)
+     VALUES (?, ?, ?, date('now', 'localtime'), ?, ?, ?, ?, ?, 'unsettled')`,
+    [shift.user_id, shift.id, shift.event_session_id, shift.expectedCash, counted, difference, notes, userId]
+  );
+}
+
+/**
+ * Marks a shift's short or excess as cleared, both on the shift and on its staff_settlements row.
+ * @param {{run: Function}} db - The transaction.
+ * @param {number} shiftId - The cash_shifts ID.
+ * @param {number} userId - The admin clearing it.
+ * @returns {Promise<void>}
+ */
+async function clearShiftSettlement(db, shiftId, userId) {
+  await db.run("UPDATE cash_shifts SET settlement_status = 'settled', settled_by_user_id = ?, settled_on_date = date('now') WHERE id = ?", [userId, shiftId]);
+  await db.run("UPDATE staff_settlements SET status = 'settled', settled_on_date = date('now') WHERE cash_shift_id = ?", [shiftId]);
+}
+
+/**
+ * Lists a session's shifts, newest first.
+ * @param {number} sessionId - The event session ID.
+ * @param {{status?: string}} [filters] - 'open', 'closed', 'unsettled' or 'settled'; anything else lists all.
+ * @returns {Promise<Array<Object>>}
+ */
+async function listShifts(sessionId, { status } = {}) {
+  const whereClauses = ['cs.event_session_id = ?'];
+  const params = [sessionId];
+  if (status === 'open' || status === 'closed') {
+    whereClauses.push('cs.status = ?');
+    params.push(status);
+  } else if (status === 'unsettled' || status === 'settled') {
+    whereClauses.push('cs.settlement_status = ?');
+    params.push(status);
+  }
+  return all(
+    `SELECT cs.*, u.username
+     FROM cash_shifts cs JOIN users u ON cs.user_id = u.id
+     WHERE ${whereClauses.join(' AND ')}
+     ORDER BY cs.opened_at DESC, cs.id DESC`,
+    params
+  );
+}
+
+module.exports = {
+  DENOMINATIONS,
+  getOpenShift,
+  getOpenShiftElsewhere,
+  shiftForCash,
+  assertShiftOpen,
+  parseDenominations,
+  getShiftSummary,
+  postShiftSettlement,
+  clearShiftSettlement,
+  listShifts,
+};
@@ -0,0 +1,194 @@
+//client-helpers.js
+
+const { all, get, logAction, transaction } = require('./db-helpers');
+
+// Profile fields of the clients master record, with their form labels.
+const CLIENT_FIELDS = {
+  name: 'Name',
+  contact_person: 'Contact Person',
+  contact_number: 'Contact Number',
+  secondary_number: 'Secondary Number',
+  email: 'Email',
+  gstin: 'GSTIN',
+  full_address: 'Address',
+  billing_address: 'Billing Address',
+  id_proof: 'ID Proof',
+  tags: 'Tags',
+  notes: 'Notes'
+};
+
+// Two names at least this similar (0-1) are reported as possible duplicates.
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+// Words that do not tell two businesses apart.
+const NAME_STOP_WORDS = new Set(['the', 'and', 'm/s', 'ms', 'pvt', 'private', 'ltd', 'limited', 'llp', 'co', 'company', 'enterprises', 'traders']);
+
+/**
+ * Normalises a client name for comparison: lower case, no punctuation, no stop words.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9/ ]+/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !NAME_STOP_WORDS.has(word))
+    .join(' ');
+}
+
+/**
+ * Normalises a phone number to its last 10 digits, so +91 and leading-zero forms match.
+ * @param {string} phone
+ * @returns {string} The digits, or '' if there are too few to compare.
+ */
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 6 ? digits.slice(-10) : '';
+}
+
+/**
+ * Similarity of two strings from 0 to 1, based on their Levenshtein distance.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Gives the reasons two clients look like the same exhibitor, if any.
+ * @param {Object} a - A clients row.
+ * @param {Object} b - A clients row.
+ * @returns {Array<string>} Empty if the clients do not look alike.
+ */
+function duplicateReasons(a, b) {
+  const reasons = [];
+  const nameScore = similarity(normalizeName(a.name), normalizeName(b.name));
+  if (nameScore >= NAME_SIMILARITY_THRESHOLD) {
+    reasons.push(nameScore === 1 ? 'Same name' : `Similar name (${Math.round(nameScore * 100)}%)`);
+  }
+  const phonesA = [a.contact_number, a.secondary_number].map(normalizePhone).filter(Boolean);
+  const phonesB = new Set([b.contact_number, b.secondary_number].map(normalizePhone).filter(Boolean));
+  if (phonesA.some(phone => phonesB.has(phone))) {
+    reasons.push('Same phone number');
+  }
+  return reasons;
+}
+
+/**
+ * Finds pairs of clients that are probably the same exhibitor, by fuzzy name and phone match.
+ * @returns {Promise<Array<{a: Object, b: Object, reasons: Array<string>}>>} Pairs with the older client first.
+ */
+async function findDuplicateClients() {
+  const clients = await all(`
+    SELECT c.*, (SELECT COUNT(*) FROM bookings b WHERE b.client_id = c.id) AS booking_count
+    FROM clients c ORDER BY c.id
+  `);
+  const pairs = [];
+  for (let i = 0; i < clients.length; i++) {
+    for (let j = i + 1; j < clients.length; j++) {
+      const reasons = duplicateReasons(clients[i], clients[j]);
+      if (reasons.length > 0) {
+        pairs.push({ a: clients[i], b: clients[j], reasons });
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Finds existing clients that look like a new registration.
+ * @param {{name: string, contact_number: string, secondary_number?: string}} candidate
+ * @param {number} [excludeId] - A client to leave out, e.g. the one just created.
+ * @returns {Promise<Array<Object>>}
+ */
+async function findSimilarClients(candidate, excludeId = null) {
+  const clients = await all('SELECT * FROM clients WHERE id IS NOT ?', [excludeId]);
+  return clients.filter(client => duplicateReasons(candidate, client).length > 0);
+}
+
+/**
+ * Merges a duplicate client into the surviving client in one transaction: every booking,
+ * material issue, issued material, material history row, credit entry and tax invoice is re-pointed, blank profile
+ * fields of the survivor are filled from the duplicate, and the duplicate is deleted.
+ * @param {number|string} survivorId - The client that is kept.
+ * @param {number|string} duplicateId - The client that is merged away.
+ * @param {{id: number, username: string}} user - The user performing the merge.
+ * @param {number} sessionId - The active event session, for the audit log.
+ * @returns {Promise<Object>} Counts of re-pointed rows per table.
+ * @throws {Error} With a user-facing message if the merge is not possible.
+ */
+async function mergeClients(survivorId, duplicateId, user, sessionId) {
+  if (String(survivorId) === String(duplicateId)) {
+    throw new Error('A client cannot be merged into itself.');
+  }
+
+  const counts = {};
+  let survivor, duplicate;
+  await transaction(async (db) => {
+    survivor = await db.get('SELECT * FROM clients WHERE id = ?', [survivorId]);
+    duplicate = await db.get('SELECT * FROM clients WHERE id = ?', [duplicateId]);
+    if (!survivor || !duplicate) {
+      throw new Error('One of the clients no longer exists.');
+    }
+
+    // Two bookings of the same client in one session would break session lookups by client.
+    const clash = await db.get(`
+      SELECT es.name FROM bookings a JOIN bookings b ON a.event_session_id = b.event_session_id
+      JOIN event_sessions es ON es.id = a.event_session_id
+      WHERE a.client_id = ? AND b.client_id = ? AND a.booking_status <> 'cancelled' AND b.booking_status <> 'cancelled'
+    `, [survivorId, duplicateId]);
+    if (clash) {
+      throw new Error(`Both clients have a booking in session '${clash.name}'. Cancel one of them before merging.`);
+    }
+
+    counts.bookings = (await db.run('UPDATE bookings SET client_id = ? WHERE client_id = ?', [survivorId, duplicateId])).changes;
+    counts.material_issues = (await db.run('UPDATE material_issues SET client_id = ? WHERE client_id = ?', [survivorId, duplicateId])).changes;
+    counts.material_stock = (await db.run('UPDATE material_stock SET issued_to_client_id = ? WHERE issued_to_client_id = ?', [survivorId, duplicateId])).changes;
+    counts.material_history = (await db.run('UPDATE material_history SET client_id = ? WHERE client_id = ?', [survivorId, duplicateId])).changes;
+    await db.run('UPDATE client_portal_tokens SET client_id = ? WHERE client_id = ?', [survivorId, duplicateId]);
+    counts.client_credit_entries = (await db.run('UPDATE client_credit_entries SET client_id = ? WHERE client_id = ?', [survivorId, duplicateId])).changes;
+    counts.tax_invoices = (await db.run('UPDATE tax_invoices SET client_id = ? WHERE client_id = ?', [survivorId, duplicateId])).changes;
+
+    const filled = Object.keys(CLIENT_FIELDS).filter(field => !survivor[field] && duplicate[field]);
+    if (filled.length > 0) {
+      await db.run(`UPDATE clients SET ${filled.map(field => `${field} = ?`).join(', ')} WHERE id = ?`, [...filled.map(field => duplicate[field]), survivorId]);
+    }
+    await db.run('DELETE FROM clients WHERE id = ?', [duplicateId]);
+  });
+
+  await logAction(user.id, user.username, 'merge_clients', `Merged client #${duplicate.id} (${duplicate.name}) into #${survivor.id} (${survivor.name}): ${JSON.stringify(counts)}. Removed record: ${JSON.stringify(duplicate)}`, sessionId);
+  return counts;
+}
+
+/**
+ * Loads a client for a booking form, so new bookings and re-bookings start from the master record.
+ * @param {number|string} clientId
+ * @returns {Promise<Object|undefined>}
+ */
+function getClient(clientId) {
+  return get('SELECT * FROM clients WHERE id = ?', [clientId]);
+}
+
+module.exports = {
+  CLIENT_FIELDS,
+  normalizeName,
+  normalizePhone,
+  findDuplicateClients,
+  findSimilarClients,
+  mergeClients,
+  getClient,
+};
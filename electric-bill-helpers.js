@@ -0,0 +1,233 @@
+//electric-bill-helpers.js
+
+const { all, get, run } = require('./db-helpers');
+
+const round2 = (n) => Math.round((n || 0) * 100) / 100;
+
+// Metered lines are reported together rather than one row per meter and slab.
+const METERED_ITEM_NAME = 'Metered consumption (units)';
+
+/**
+ * Loads the line items of electric bills, shaped as the bill form and views expect: id is the
+ * electric item (null for metered or unmatched lines) and total is the line amount.
+ * @param {Array<number>} billIds
+ * @param {{all: Function}} [db] - The transaction to read in, if any.
+ * @returns {Promise<Map<number, Array<Object>>>} Lines keyed by bill ID, in line order.
+ */
+async function getBillItems(billIds, db = { all }) {
+  const items = new Map(billIds.map(id => [id, []]));
+  if (billIds.length === 0) return items;
+  const rows = await db.all(`
+    SELECT * FROM electric_bill_items
+    WHERE electric_bill_id IN (${billIds.map(() => '?').join(', ')})
+    ORDER BY electric_bill_id, line_no
+  `, billIds);
+  rows.forEach(row => {
+    items.get(row.electric_bill_id).push({
+      id: row.electric_item_id,
+      meter_id: row.meter_id,
+      name: row.item_name,
+      quantity: row.quantity,
+      service_charge: row.service_charge,
+      fitting_charge: row.fitting_charge,
+      total: row.amount
+    });
+  });
+  return items;
+}
+
+/**
+ * Sets each bill's items from its line items.
+ * @param {Array<Object>} bills - electric_bills rows.
+ * @param {{all: Function}} [db] - The transaction to read in, if any.
+ * @returns {Promise<Array<Object>>} The same bills.
+ */
+async function attachBillItems(bills, db = { all }) {
+  const items = await getBillItems(bills.map(bill => bill.id), db);
+  bills.forEach(bill => { bill.items = items.get(bill.id); });
+  return bills;
+}
+
+/**
+ * Loads a session's rate card: the catalogue items on it, with the session's rates.
+ * @param {number} sessionId - The event session ID.
+ * @param {{all: Function}} [db] - The transaction to read in, if any.
+ * @returns {Promise<Array<Object>>} electric_items rows (id, name, wattage) with the card's service_charge, fitting_charge and updated_at.
+ */
+async function getRateCard(sessionId, db = { all }) {
+  return db.all(`
+    SELECT ei.id, ei.name, ei.wattage, r.service_charge, r.fitting_charge, r.updated_at
+    FROM electric_item_rates r JOIN electric_items ei ON r.electric_item_id = ei.id
+    WHERE r.event_session_id = ?
+    ORDER BY ei.name
+  `, [sessionId]);
+}
+
+/**
+ * Lists the catalogue items that are not on a session's rate card, and so cannot be billed in it.
+ * @param {number} sessionId - The event session ID.
+ * @returns {Promise<Array<Object>>} electric_items rows (id, name, wattage).
+ */
+async function getItemsOffRateCard(sessionId) {
+  return all(`
+    SELECT ei.id, ei.name, ei.wattage FROM electric_items ei
+    WHERE NOT EXISTS (SELECT 1 FROM electric_item_rates r WHERE r.electric_item_id = ei.id AND r.event_session_id = ?)
+    ORDER BY ei.name
+  `, [sessionId]);
+}
+
+/**
+ * Puts an item on a session's rate card at the given rates, replacing its earlier rates for that session.
+ * Other sessions' cards, and bills already made, are not affected.
+ * @param {number|string} itemId - The electric item.
+ * @param {number} sessionId - The event session the rates apply to.
+ * @param {{serviceCharge: number, fittingCharge: number}} rates
+ * @param {{run: Function}} [db] - The transaction to write in, if any.
+ * @returns {Promise<Object>}
+ */
+function setItemRate(itemId, sessionId, { serviceCharge, fittingCharge }, db = { run }) {
+  return db.run(`
+    INSERT INTO electric_item_rates (electric_item_id, event_session_id, service_charge, fitting_charge, updated_at)
+    VALUES (?, ?, ?, ?, datetime('now', 'localtime'))
+    ON CONFLICT(electric_item_id, event_session_id) DO UPDATE SET
+      service_charge = excluded.service_charge, fitting_charge = excluded.fitting_charge, updated_at = excluded.updated_at
+  `, [itemId, sessionId, round2(serviceCharge), round2(fittingCharge)]);
+}
+
+/**
+ * Starts a session's rate card from the most recent earlier session that has one.
+ * @param {number} sessionId - The event session ID.
+ * @returns {Promise<{count: number, fromSessionName: string}>} How many rates were copied, and from which session.
+ * @throws {Error} With a user-facing message if the session already has a card or no earlier session has one.
+ */
+async function copyPreviousRateCard(sessionId) {
+  if ((await getRateCard(sessionId)).length > 0) throw new Error('This session already has a rate card.');
+  const previous = await get(`
+    SELECT r.event_session_id, es.name FROM electric_item_rates r JOIN event_sessions es ON r.event_session_id = es.id
+    WHERE r.event_session_id < ? ORDER BY r.event_session_id DESC LIMIT 1
+  `, [sessionId]);
+  if (!previous) throw new Error('No earlier session has a rate card to clone.');
+  const result = await run(`
+    INSERT INTO electric_item_rates (electric_item_id, event_session_id, service_charge, fitting_charge, updated_at)
+    SELECT electric_item_id, ?, service_charge, fitting_charge, datetime('now', 'localtime')
+    FROM electric_item_rates WHERE event_session_id = ?
+  `, [sessionId, previous.event_session_id]);
+  return { count: result.changes, fromSessionName: previous.name };
+}
+
+/**
+ * Prices the items posted from the bill form. Catalogue items are charged at the session's rate card,
+ * and the line keeps those rates, so later changes to the card leave the bill as it was. When a bill is
+ * edited, items it already had stay at the rates it was made with. Lines with no catalogue item, such
+ * as metered consumption kept through an edit, keep the name and rates they were saved with.
+ * @param {Array<Object>} items - Each with the electric item's id and a quantity, or a name and rates.
+ * @param {number} sessionId - The session whose rate card prices the bill.
+ * @param {{savedItems?: Array<Object>, db?: {all: Function}}} [options] - savedItems are the bill's
+ *   items as getBillItems returns them, when it is being edited; db is the transaction to read in, if any.
+ * @returns {Promise<{lines: Array<Object>, total: number}>} Lines in the shape saveBillItems takes.
+ */
+async function priceBillItems(items, sessionId, { savedItems = [], db = { all } } = {}) {
+  if (!Array.isArray(items) || items.length === 0) throw new Error('Add at least one item to the bill.');
+  const ids = [...new Set(items.filter(item => item.id).map(item => Number(item.id)))];
+  const card = ids.length > 0 ? await getRateCard(sessionId, db) : [];
+
+  const lines = items.map(item => {
+    const quantity = parseFloat(item.quantity);
+    if (isNaN(quantity) || quantity <= 0) throw new Error(`Enter a quantity for ${item.name || 'every item'}.`);
+    if (item.id) {
+      const match = savedItems.find(saved => saved.id === Number(item.id)) || card.find(c => c.id === Number(item.id));
+      if (!match) throw new Error(`Electric item ${item.name || `#${item.id}`} is not on this session's rate card.`);
+      return {
+        itemId: match.id, meterId: null, name: match.name, quantity,
+        serviceCharge: match.service_charge || 0, fittingCharge: match.fitting_charge || 0,
+        amount: round2(((match.service_charge || 0) + (match.fitting_charge || 0)) * quantity)
+      };
+    }
+    if (!item.name) throw new Error('Every bill line needs an item.');
+    const serviceCharge = parseFloat(item.service_charge) || 0;
+    const fittingCharge = parseFloat(item.fitting_charge) || 0;
+    return {
+      itemId: null, meterId: item.meter_id || null, name: item.name, quantity, serviceCharge, fittingCharge,
+      amount: round2((serviceCharge + fittingCharge) * quantity)
+    };
+  });
+  return { lines, total: round2(lines.reduce((sum, line) => sum + line.amount, 0)) };
+}
+
+/**
+ * Replaces a bill's line items.
+ * @param {{run: Function}} db - The transaction.
+ * @param {number} billId
+ * @param {Array<{itemId: number|null, meterId: number|null, name: string, quantity: number, serviceCharge: number, fittingCharge: number, amount: number}>} lines
+ * @returns {Promise<void>}
+ */
+async function saveBillItems(db, billId, lines) {
+  await db.run('DELETE FROM electric_bill_items WHERE electric_bill_id = ?', [billId]);
+  for (const [i, line] of lines.entries()) {
+    await db.run(
+      `INSERT INTO electric_bill_items (electric_bill_id, line_no, electric_item_id, meter_id, item_name, quantity, service_charge, fitting_charge, amount)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [billId, i + 1, line.itemId || null, line.meterId || null, line.name, line.quantity, line.serviceCharge, line.fittingCharge, line.amount]
+    );
+  }
+}
+
+/**
+ * Totals a session's billed electric items: how many of each were billed, on how many bills, and for
+ * how much. Catalogue items are grouped under their current name, metered lines together, and
+ * anything else under the name it was billed as.
+ * @param {number} sessionId - The event session ID.
+ * @returns {Promise<Array<{item_name: string, electric_item_id: number|null, metered: number, bill_count: number, quantity: number, amount: number, min_rate: number, max_rate: number}>>}
+ */
+async function getItemConsumption(sessionId) {
+  const rows = await all(`
+    SELECT
+      CASE WHEN li.meter_id IS NOT NULL THEN ? ELSE COALESCE(ei.name, li.item_name) END AS item_name,
+      li.electric_item_id,
+      li.meter_id IS NOT NULL AS metered,
+      COUNT(DISTINCT li.electric_bill_id) AS bill_count,
+      SUM(li.quantity) AS quantity,
+      SUM(li.amount) AS amount,
+      MIN(li.service_charge + li.fitting_charge) AS min_rate,
+      MAX(li.service_charge + li.fitting_charge) AS max_rate
+    FROM electric_bill_items li
+    JOIN electric_bills eb ON li.electric_bill_id = eb.id
+    LEFT JOIN electric_items ei ON li.electric_item_id = ei.id
+    WHERE eb.event_session_id = ?
+    GROUP BY CASE
+      WHEN li.meter_id IS NOT NULL THEN 'metered'
+      WHEN li.electric_item_id IS NOT NULL THEN li.electric_item_id
+      ELSE 'name:' || li.item_name
+    END
+    ORDER BY amount DESC
+  `, [METERED_ITEM_NAME, sessionId]);
+  return rows.map(row => ({ ...row, quantity: round2(row.quantity), amount: round2(row.amount) }));
+}
+
+/**
+ * Finds a session's bills whose items could not be moved into line items and still need re-entering.
+ * @param {number} sessionId - The event session ID.
+ * @returns {Promise<Array<Object>>} electric_bills rows with exhibitor_name and facia_name.
+ */
+async function getUnitemisedBills(sessionId) {
+  return all(`
+    SELECT eb.id, eb.sl_no, eb.bill_date, eb.booking_id, eb.total_amount, eb.items_json, b.exhibitor_name, b.facia_name
+    FROM electric_bills eb JOIN bookings b ON eb.booking_id = b.id
+    WHERE eb.event_session_id = ? AND eb.items_json IS NOT NULL
+    ORDER BY eb.id
+  `, [sessionId]);
+}
+
+module.exports = {
+  METERED_ITEM_NAME,
+  getBillItems,
+  attachBillItems,
+  getRateCard,
+  getItemsOffRateCard,
+  setItemRate,
+  copyPreviousRateCard,
+  priceBillItems,
+  saveBillItems,
+  getItemConsumption,
+  getUnitemisedBills,
+};
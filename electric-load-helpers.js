@@ -0,0 +1,231 @@
+//electric-load-helpers.js
+
+const { all, get, run } = require('./db-helpers');
+const { getBillItems } = require('./electric-bill-helpers');
+
+const LOAD_ENFORCEMENT = {
+  warn: 'Warn when over capacity',
+  block: 'Block when over capacity (admins can override)'
+};
+
+// A board at or above this share of its capacity is shown as nearly full.
+const NEAR_CAPACITY_PERCENT = 80;
+
+const round3 = (n) => Math.round((n || 0) * 1000) / 1000;
+
+/**
+ * Loads the distribution boards with the spaces each supplies.
+ * @returns {Promise<Array<Object>>} distribution_boards rows with space_names and space_count.
+ */
+async function listBoards() {
+  return all(`
+    SELECT d.*, GROUP_CONCAT(s.name, ', ') AS space_names, COUNT(s.id) AS space_count
+    FROM distribution_boards d
+    LEFT JOIN spaces s ON s.distribution_board_id = d.id
+    GROUP BY d.id
+    ORDER BY d.name
+  `);
+}
+
+/**
+ * Adds a distribution board, or updates it when an ID is given.
+ * @param {{id?: string|number, name: string, capacityKw: string|number, enforcement: string, notes?: string}} board
+ * @returns {Promise<number>} The board's ID.
+ */
+async function saveBoard({ id, name, capacityKw, enforcement, notes }) {
+  name = (name || '').trim();
+  const capacity = parseFloat(capacityKw);
+  if (!name) throw new Error('Enter the board name.');
+  if (isNaN(capacity) || capacity <= 0) throw new Error('The capacity must be more than 0 kW.');
+  if (!LOAD_ENFORCEMENT[enforcement]) throw new Error('Choose whether going over capacity warns or blocks.');
+  const clash = await get('SELECT id FROM distribution_boards WHERE name = ? AND id <> ?', [name, id || 0]);
+  if (clash) throw new Error(`There is already a board named ${name}.`);
+
+  if (id) {
+    const result = await run('UPDATE distribution_boards SET name = ?, capacity_kw = ?, enforcement = ?, notes = ? WHERE id = ?',
+      [name, capacity, enforcement, (notes || '').trim() || null, id]);
+    if (result.changes === 0) throw new Error('Distribution board not found.');
+    return Number(id);
+  }
+  const result = await run('INSERT INTO distribution_boards (name, capacity_kw, enforcement, notes) VALUES (?, ?, ?, ?)',
+    [name, capacity, enforcement, (notes || '').trim() || null]);
+  return result.lastID;
+}
+
+/**
+ * Removes a distribution board. Its spaces and bills are left without a board.
+ * @param {{run: Function, get: Function}} db - The transaction.
+ * @param {number} boardId
+ * @returns {Promise<Object>} The removed board.
+ */
+async function deleteBoard(db, boardId) {
+  const board = await db.get('SELECT * FROM distribution_boards WHERE id = ?', [boardId]);
+  if (!board) throw new Error('Distribution board not found.');
+  await db.run('UPDATE spaces SET distribution_board_id = NULL WHERE distribution_board_id = ?', [boardId]);
+  await db.run('UPDATE electric_bills SET distribution_board_id = NULL WHERE distribution_board_id = ?', [boardId]);
+  await db.run('DELETE FROM distribution_boards WHERE id = ?', [boardId]);
+  return board;
+}
+
+/**
+ * Maps spaces to the boards that supply them.
+ * @param {{run: Function}} db - The transaction.
+ * @param {Object<string, string>} assignments - Board ID (or '' for none) keyed by space ID.
+ * @returns {Promise<number>} How many spaces changed board.
+ */
+async function assignSpaces(db, assignments) {
+  let changed = 0;
+  for (const [spaceId, boardId] of Object.entries(assignments)) {
+    const result = await db.run(
+      'UPDATE spaces SET distribution_board_id = ? WHERE id = ? AND distribution_board_id IS NOT ?',
+      [boardId || null, spaceId, boardId || null]
+    );
+    changed += result.changes;
+  }
+  return changed;
+}
+
+/**
+ * Finds the board supplying a booking's stall. When its spaces are on different boards, the lowest-numbered board is used.
+ * @param {number} bookingId
+ * @param {{get: Function}} [db] - The transaction to read in, if any.
+ * @returns {Promise<number|null>}
+ */
+async function getBookingBoardId(bookingId, db = { get }) {
+  const row = await db.get(`
+    SELECT MIN(s.distribution_board_id) AS board_id
+    FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id
+    WHERE bs.booking_id = ?
+  `, [bookingId]);
+  return row ? row.board_id : null;
+}
+
+/**
+ * Works out the connected load of an electric bill's items from the wattage of each electric item.
+ * Lines that are not catalogue items, such as metered consumption, add no load.
+ * @param {Array<Object>} items - The bill's items, each with the electric item's id and a quantity.
+ * @param {{all: Function}} [db] - The transaction to read in, if any.
+ * @returns {Promise<number>} The load in kW.
+ */
+async function getItemsLoadKw(items, db = { all }) {
+  const ids = [...new Set(items.filter(item => item.id).map(item => Number(item.id)))];
+  if (ids.length === 0) return 0;
+  const rows = await db.all(`SELECT id, wattage FROM electric_items WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+  const wattage = new Map(rows.map(row => [row.id, row.wattage || 0]));
+  const watts = items.reduce((sum, item) => sum + (wattage.get(Number(item.id)) || 0) * (parseFloat(item.quantity) || 0), 0);
+  return round3(watts / 1000);
+}
+
+/**
+ * Checks what a new or changed electric bill does to its board's load for the session.
+ * @param {{bookingId: number, boardId?: string|number, items: Array<Object>, sessionId: number, excludeBillId?: number}} bill -
+ *   With no boardId the bill draws from the board supplying the booking's stall. excludeBillId leaves
+ *   the bill being edited out of the board's current load.
+ * @param {{get: Function, all: Function}} [db] - The transaction to read in, if any.
+ * @returns {Promise<{boardId: number|null, board: Object|null, loadKw: number, currentKw: number, projectedKw: number, exceeds: boolean, blocked: boolean}>}
+ *   blocked is set when the board blocks bills that take it over capacity.
+ */
+async function assessBillLoad({ bookingId, boardId, items, sessionId, excludeBillId = null }, db = { get, all }) {
+  const loadKw = await getItemsLoadKw(items, db);
+  const resolvedBoardId = boardId ? Number(boardId) : await getBookingBoardId(bookingId, db);
+  const board = resolvedBoardId ? await db.get('SELECT * FROM distribution_boards WHERE id = ?', [resolvedBoardId]) : null;
+  if (!board) {
+    return { boardId: null, board: null, loadKw, currentKw: 0, projectedKw: loadKw, exceeds: false, blocked: false };
+  }
+
+  const current = await db.get(`
+    SELECT COALESCE(SUM(CASE WHEN id IS NOT ? THEN connected_load_kw END), 0) AS others, COALESCE(SUM(connected_load_kw), 0) AS total
+    FROM electric_bills WHERE event_session_id = ? AND distribution_board_id = ?
+  `, [excludeBillId, sessionId, board.id]);
+  const currentKw = round3(current.others);
+  const projectedKw = round3(currentKw + loadKw);
+  // Only a bill that raises the board's load is held back, so edits that keep or cut the load on a
+  // board already over capacity still go through
+  const exceeds = projectedKw > board.capacity_kw && projectedKw > round3(current.total);
+  return { boardId: board.id, board, loadKw, currentKw, projectedKw, exceeds, blocked: exceeds && board.enforcement === 'block' };
+}
+
+/**
+ * Describes a bill that takes its board over capacity.
+ * @param {Object} assessment - From assessBillLoad.
+ * @returns {string}
+ */
+function describeOverload({ board, loadKw, projectedKw }) {
+  return `This bill adds ${loadKw} kW to board ${board.name}, taking it to ${projectedKw} kW against a capacity of ${board.capacity_kw} kW.`;
+}
+
+/**
+ * Loads each board's connected load for a session, with the bookings drawing from it. Bills that
+ * draw from no board are gathered under a board with a null ID.
+ * @param {number} sessionId - The event session ID.
+ * @returns {Promise<Array<Object>>} Boards with load_kw, percent, headroom_kw, status ('ok', 'near', 'over') and bookings.
+ */
+async function getBoardLoads(sessionId) {
+  const [boards, loads] = await Promise.all([
+    listBoards(),
+    all(`
+      SELECT eb.distribution_board_id AS board_id, b.id AS booking_id, b.exhibitor_name, b.facia_name,
+        SUM(eb.connected_load_kw) AS load_kw, COUNT(eb.id) AS bill_count
+      FROM electric_bills eb JOIN bookings b ON eb.booking_id = b.id
+      WHERE eb.event_session_id = ?
+      GROUP BY eb.distribution_board_id, b.id
+      HAVING SUM(eb.connected_load_kw) > 0
+      ORDER BY load_kw DESC
+    `, [sessionId])
+  ]);
+
+  const rows = [...boards, { id: null, name: 'Not on any board', capacity_kw: null, enforcement: null, space_names: null, space_count: 0 }];
+  return rows.map(board => {
+    const bookings = loads.filter(l => l.board_id === board.id).map(l => ({ ...l, load_kw: round3(l.load_kw) }));
+    const loadKw = round3(bookings.reduce((sum, l) => sum + l.load_kw, 0));
+    const percent = board.capacity_kw ? Math.round(loadKw / board.capacity_kw * 1000) / 10 : null;
+    let status = 'ok';
+    if (percent !== null && percent > 100) status = 'over';
+    else if (percent !== null && percent >= NEAR_CAPACITY_PERCENT) status = 'near';
+    return {
+      ...board,
+      bookings,
+      load_kw: loadKw,
+      percent,
+      headroom_kw: board.capacity_kw ? round3(board.capacity_kw - loadKw) : null,
+      status
+    };
+  }).filter(board => board.id !== null || board.bookings.length > 0);
+}
+
+/**
+ * Works the connected load and board of every bill in a session out again from the current item
+ * wattages and space mapping. Bills already on a board stay on it.
+ * @param {{all: Function, run: Function}} db - The transaction.
+ * @param {number} sessionId - The event session ID.
+ * @returns {Promise<number>} How many bills changed.
+ */
+async function recalculateSessionLoads(db, sessionId) {
+  const bills = await db.all('SELECT id, booking_id, distribution_board_id, connected_load_kw FROM electric_bills WHERE event_session_id = ?', [sessionId]);
+  const items = await getBillItems(bills.map(bill => bill.id), db);
+  let changed = 0;
+  for (const bill of bills) {
+    const loadKw = await getItemsLoadKw(items.get(bill.id), db);
+    const boardId = bill.distribution_board_id || await getBookingBoardId(bill.booking_id, db);
+    if (loadKw !== bill.connected_load_kw || boardId !== bill.distribution_board_id) {
+      await db.run('UPDATE electric_bills SET connected_load_kw = ?, distribution_board_id = ? WHERE id = ?', [loadKw, boardId, bill.id]);
+      changed++;
+    }
+  }
+  return changed;
+}
+
+module.exports = {
+  LOAD_ENFORCEMENT,
+  NEAR_CAPACITY_PERCENT,
+  listBoards,
+  saveBoard,
+  deleteBoard,
+  assignSpaces,
+  getBookingBoardId,
+  getItemsLoadKw,
+  assessBillLoad,
+  describeOverload,
+  getBoardLoads,
+  recalculateSessionLoads,
+};
@@ -0,0 +1,386 @@
+//electric-work-order-helpers.js
+
+const { all, get, run } = require('./db-helpers');
+
+// Every work order status, in the order the electricians work through them.
+const WORK_ORDER_STATUSES = {
+  pending: 'Pending',
+  installed: 'Installed',
+  verified: 'Verified',
+  removed: 'Removed'
+};
+
+const WORK_ORDER_BADGES = {
+  pending: 'bg-warning text-dark',
+  installed: 'bg-primary',
+  verified: 'bg-success',
+  removed: 'bg-secondary'
+};
+
+// Moves offered as plain buttons, keyed "from:to". Removal goes through the removal checklist instead.
+const WORK_ORDER_ACTIONS = {
+  'pending:installed': 'Mark Installed',
+  'installed:verified': 'Mark Verified'
+};
+
+// Statuses in which a work order's items are up at the stall and must come down before it vacates.
+const ON_SITE_STATUSES = ['installed', 'verified'];
+const ON_SITE_STATUS_SQL = `(${ON_SITE_STATUSES.map(s => `'${s}'`).join(', ')})`;
+
+// The job sheet zone for bills whose stall is not on a distribution board.
+const NO_ZONE = 'none';
+
+const itemsKey = (items) => items.map(item => `${item.item_name} x ${item.quantity}`).join('|');
+
+/**
+ * Lists the work order actions available in the given status.
+ * @param {string} status - The current status.
+ * @returns {Array<{to: string, label: string}>}
+ */
+function workOrderActions(status) {
+  return Object.entries(WORK_ORDER_ACTIONS)
+    .filter(([move]) => move.startsWith(`${status}:`))
+    .map(([move, label]) => ({ to: move.split(':')[1], label }));
+}
+
+/**
+ * Brings a bill's work order in line with the bill after it is saved. A bill with items to put up gets
+ * an order if it has none. While the order is pending, a change to the items or the booking replaces its
+ * items and moves it with the bill. Metered consumption lines have nothing to install.
+ * Once the items are up the order stays with the stall it is installed at, in its status: items the bill
+ * gains are added to it, and items the bill drops stay on it so they still come down at vacate.
+ * A removed order is left as it is.
+ * @param {{get: Function, all: Function, run: Function}} db - The transaction.
+ * @param {number} billId
+ * @returns {Promise<'created'|'updated'|'deleted'|null>} What changed, or null if nothing did.
+ */
+async function syncWorkOrder(db, billId) {
+  const bill = await db.get('SELECT id, booking_id, event_session_id FROM electric_bills WHERE id = ?', [billId]);
+  if (!bill) return null;
+  const lines = await db.all(
+    'SELECT item_name, quantity FROM electric_bill_items WHERE electric_bill_id = ? AND meter_id IS NULL ORDER BY line_no',
+    [billId]
+  );
+  const order = await db.get('SELECT * FROM electric_work_orders WHERE electric_bill_id = ?', [billId]);
+
+  if (!order) {
+    if (lines.length === 0) return null;
+    const { lastID } = await db.run(
+      'INSERT INTO electric_work_orders (electric_bill_id, booking_id, event_session_id) VALUES (?, ?, ?)',
+      [billId, bill.booking_id, bill.event_session_id]
+    );
+    await saveWorkOrderItems(db, lastID, lines);
+    return 'created';
+  }
+
+  if (order.status === 'removed') return null;
+  if (lines.length === 0) {
+    if (order.status !== 'pending') return null;
+    await deleteWorkOrder(db, billId);
+    return 'deleted';
+  }
+  const current = await db.all('SELECT line_no, item_name, quantity FROM electric_work_order_items WHERE work_order_id = ? ORDER BY line_no', [order.id]);
+  if (ON_SITE_STATUSES.includes(order.status)) {
+    return await addWorkOrderItems(db, order.id, current, lines) ? 'updated' : null;
+  }
+  if (itemsKey(current) === itemsKey(lines) && order.booking_id === bill.booking_id) return null;
+
+  await db.run('UPDATE electric_work_orders SET booking_id = ? WHERE id = ?', [bill.booking_id, order.id]);
+  await saveWorkOrderItems(db, order.id, lines);
+  return 'updated';
+}
+
+/**
+ * Adds to an on-site work order whatever the bill lists beyond the items already on it, leaving the
+ * existing items and their removal ticks alone.
+ * @param {{run: Function}} db - The transaction.
+ * @param {number} workOrderId
+ * @param {Array<{line_no: number, item_name: string, quantity: number}>} current - The order's items.
+ * @param {Array<{item_name: string, quantity: number}>} lines - The bill's lines.
+ * @returns {Promise<number>} How many lines were added.
+ */
+async function addWorkOrderItems(db, workOrderId, current, lines) {
+  const onOrder = new Map();
+  current.forEach(item => onOrder.set(item.item_name, (onOrder.get(item.item_name) || 0) + item.quantity));
+  let lineNo = current.reduce((max, item) => Math.max(max, item.line_no), 0);
+  let added = 0;
+  for (const line of lines) {
+    const covered = onOrder.get(line.item_name) || 0;
+    onOrder.set(line.item_name, Math.max(0, covered - line.quantity));
+    if (line.quantity <= covered) continue;
+    await db.run(
+      'INSERT INTO electric_work_order_items (work_order_id, line_no, item_name, quantity) VALUES (?, ?, ?, ?)',
+      [workOrderId, ++lineNo, line.item_name, line.quantity - covered]
+    );
+    added++;
+  }
+  return added;
+}
+
+/**
+ * Replaces a work order's items, clearing any removal ticks.
+ * @param {{run: Function}} db - The transaction.
+ * @param {number} workOrderId
+ * @param {Array<{item_name: string, quantity: number}>} lines
+ * @returns {Promise<void>}
+ */
+async function saveWorkOrderItems(db, workOrderId, lines) {
+  await db.run('DELETE FROM electric_work_order_items WHERE work_order_id = ?', [workOrderId]);
+  for (const [i, line] of lines.entries()) {
+    await db.run(
+      'INSERT INTO electric_work_order_items (work_order_id, line_no, item_name, quantity) VALUES (?, ?, ?, ?)',
+      [workOrderId, i + 1, line.item_name, line.quantity]
+    );
+  }
+}
+
+/**
+ * Removes a bill's work order and its items, when the bill itself is deleted. Callers refuse the delete
+ * while the order is on site, since it is the removal checklist for those items.
+ * @param {{run: Function}} db - The transaction.
+ * @param {number} billId
+ * @returns {Promise<void>}
+ */
+async function deleteWorkOrder(db, billId) {
+  await db.run('DELETE FROM electric_work_order_items WHERE work_order_id IN (SELECT id FROM electric_work_orders WHERE electric_bill_id = ?)', [billId]);
+  await db.run('DELETE FROM electric_work_orders WHERE electric_bill_id = ?', [billId]);
+}
+
+/**
+ * Creates work orders for a session's bills that have none, such as bills made before work orders existed.
+ * @param {{get: Function, all: Function, run: Function}} db - The transaction.
+ * @param {number} sessionId - The event session ID.
+ * @returns {Promise<number>} How many work orders were created.
+ */
+async function createMissingWorkOrders(db, sessionId) {
+  const bills = await db.all(`
+    SELECT eb.id FROM electric_bills eb
+    WHERE eb.event_session_id = ? AND NOT EXISTS (SELECT 1 FROM electric_work_orders wo WHERE wo.electric_bill_id = eb.id)
+    ORDER BY eb.id
+  `, [sessionId]);
+  let created = 0;
+  for (const bill of bills) {
+    if (await syncWorkOrder(db, bill.id) === 'created') created++;
+  }
+  return created;
+}
+
+/**
+ * Attaches each work order's items, in line order.
+ * @param {Array<Object>} orders - electric_work_orders rows.
+ * @returns {Promise<Array<Object>>} The same orders, each with items.
+ */
+async function attachWorkOrderItems(orders) {
+  if (orders.length === 0) return orders;
+  const items = await all(
+    `SELECT * FROM electric_work_order_items WHERE work_order_id IN (${orders.map(() => '?').join(', ')}) ORDER BY work_order_id, line_no`,
+    orders.map(order => order.id)
+  );
+  orders.forEach(order => { order.items = items.filter(item => item.work_order_id === order.id); });
+  return orders;
+}
+
+/**
+ * Lists a session's work orders with the booking's spaces, the zone (the distribution board the bill
+ * draws from) and the assigned staff member, stall by stall.
+ * @param {number} sessionId - The event session ID.
+ * @param {{status?: string|Array<string>, zone?: string, staffId?: string|number, bookingId?: string|number}} [filters]
+ *   zone is a board ID, or 'none' for bills not on a board.
+ * @returns {Promise<Array<Object>>} Orders with items.
+ */
+async function listWorkOrders(sessionId, { status, zone, staffId, bookingId } = {}) {
+  const where = ['wo.event_session_id = ?'];
+  const params = [sessionId];
+  const statuses = [].concat(status || []).filter(s => WORK_ORDER_STATUSES[s]);
+  if (statuses.length > 0) {
+    where.push(`wo.status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  if (zone === NO_ZONE) {
+    where.push('eb.distribution_board_id IS NULL');
+  } else if (zone) {
+    where.push('eb.distribution_board_id = ?');
+    params.push(zone);
+  }
+  if (staffId) {
+    where.push('wo.staff_id = ?');
+    params.push(staffId);
+  }
+  if (bookingId) {
+    where.push('wo.booking_id = ?');
+    params.push(bookingId);
+  }
+
+  const orders = await all(`
+    SELECT wo.*, eb.sl_no, eb.bill_date, eb.distribution_board_id, db.name AS zone_name,
+      b.exhibitor_name, b.facia_name, b.contact_number, b.booking_status, sp.space_names,
+      st.name AS staff_name, st.phone AS staff_phone
+    FROM electric_work_orders wo
+    JOIN electric_bills eb ON wo.electric_bill_id = eb.id
+    JOIN bookings b ON wo.booking_id = b.id
+    LEFT JOIN distribution_boards db ON eb.distribution_board_id = db.id
+    LEFT JOIN booking_staff st ON wo.staff_id = st.id
+    LEFT JOIN (
+      SELECT bs.booking_id, GROUP_CONCAT(s.name, ', ') AS space_names
+      FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY bs.booking_id
+    ) sp ON sp.booking_id = b.id
+    WHERE ${where.join(' AND ')}
+    ORDER BY sp.space_names IS NULL, sp.space_names, wo.id
+  `, params);
+  return attachWorkOrderItems(orders);
+}
+
+/**
+ * Loads one work order with its items, the booking, the assigned staff member and who moved it along.
+ * @param {number|string} workOrderId
+ * @returns {Promise<Object|undefined>}
+ */
+async function getWorkOrder(workOrderId) {
+  const order = await get(`
+    SELECT wo.*, eb.sl_no, eb.bill_date, eb.distribution_board_id, db.name AS zone_name,
+      b.exhibitor_name, b.facia_name, b.contact_number, b.booking_status,
+      (SELECT GROUP_CONCAT(s.name, ', ') FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id WHERE bs.booking_id = b.id) AS space_names,
+      st.name AS staff_name, st.phone AS staff_phone,
+      iu.username AS installed_by, vu.username AS verified_by, ru.username AS removed_by
+    FROM electric_work_orders wo
+    JOIN electric_bills eb ON wo.electric_bill_id = eb.id
+    JOIN bookings b ON wo.booking_id = b.id
+    LEFT JOIN distribution_boards db ON eb.distribution_board_id = db.id
+    LEFT JOIN booking_staff st ON wo.staff_id = st.id
+    LEFT JOIN users iu ON wo.installed_by_user_id = iu.id
+    LEFT JOIN users vu ON wo.verified_by_user_id = vu.id
+    LEFT JOIN users ru ON wo.removed_by_user_id = ru.id
+    WHERE wo.id = ?
+  `, [workOrderId]);
+  if (!order) return order;
+  await attachWorkOrderItems([order]);
+  const users = await all(
+    'SELECT wi.id, u.username FROM electric_work_order_items wi JOIN users u ON wi.removed_by_user_id = u.id WHERE wi.work_order_id = ?',
+    [order.id]
+  );
+  order.items.forEach(item => { item.removed_by = (users.find(u => u.id === item.id) || {}).username || null; });
+  return order;
+}
+
+/**
+ * Assigns a work order to a staff member of its session, or unassigns it.
+ * @param {number|string} workOrderId
+ * @param {number|string|null} staffId - Empty to unassign.
+ * @param {number} sessionId - The session the order and staff member must belong to.
+ * @returns {Promise<{order: Object, staff: Object|null}>}
+ * @throws {Error} With a user-facing message if the order or staff member is not in the session.
+ */
+async function assignWorkOrder(workOrderId, staffId, sessionId) {
+  const order = await get('SELECT id, electric_bill_id FROM electric_work_orders WHERE id = ? AND event_session_id = ?', [workOrderId, sessionId]);
+  if (!order) throw new Error('Work order not found in this session.');
+  let staff = null;
+  if (staffId) {
+    staff = await get('SELECT id, name FROM booking_staff WHERE id = ? AND event_session_id = ?', [staffId, sessionId]);
+    if (!staff) throw new Error('That staff member is not on this session\'s staff list.');
+  }
+  await run('UPDATE electric_work_orders SET staff_id = ? WHERE id = ?', [staff ? staff.id : null, order.id]);
+  return { order, staff };
+}
+
+/**
+ * Moves a work order to installed or verified, recording who did it and when.
+ * @param {number|string} workOrderId
+ * @param {string} toStatus - 'installed' or 'verified'.
+ * @param {{id: number}} user - The user recording the change.
+ * @param {number} sessionId - The session the order must belong to.
+ * @returns {Promise<{from: string, to: string}>}
+ * @throws {Error} With a user-facing message if the move is not allowed.
+ */
+async function advanceWorkOrder(workOrderId, toStatus, user, sessionId) {
+  const order = await get('SELECT id, status FROM electric_work_orders WHERE id = ? AND event_session_id = ?', [workOrderId, sessionId]);
+  if (!order) throw new Error('Work order not found in this session.');
+  if (!WORK_ORDER_ACTIONS[`${order.status}:${toStatus}`]) {
+    throw new Error(`A work order that is ${WORK_ORDER_STATUSES[order.status]} cannot be marked ${WORK_ORDER_STATUSES[toStatus] || toStatus}.`);
+  }
+  await run(
+    `UPDATE electric_work_orders SET status = ?, ${toStatus}_at = datetime('now', 'localtime'), ${toStatus}_by_user_id = ? WHERE id = ?`,
+    [toStatus, user.id, order.id]
+  );
+  return { from: order.status, to: toStatus };
+}
+
+/**
+ * Saves the removal checklist of a work order whose items are up. Ticked items are recorded as taken
+ * down; once every item is ticked the order is removed.
+ * @param {{get: Function, all: Function, run: Function}} db - The transaction.
+ * @param {number|string} workOrderId
+ * @param {Array<number|string>} removedItemIds - The items ticked as taken down.
+ * @param {{id: number}} user - The user recording the removal.
+ * @param {number} sessionId - The session the order must belong to.
+ * @returns {Promise<{removed: number, total: number, complete: boolean}>}
+ * @throws {Error} With a user-facing message if the order's items are not up.
+ */
+async function saveRemovalChecklist(db, workOrderId, removedItemIds, user, sessionId) {
+  const order = await db.get('SELECT id, status FROM electric_work_orders WHERE id = ? AND event_session_id = ?', [workOrderId, sessionId]);
+  if (!order) throw new Error('Work order not found in this session.');
+  if (!ON_SITE_STATUSES.includes(order.status)) {
+    throw new Error(`Only installed items can be ticked off for removal; this work order is ${WORK_ORDER_STATUSES[order.status]}.`);
+  }
+
+  const ticked = new Set(removedItemIds.map(Number));
+  const items = await db.all('SELECT id, removed_at FROM electric_work_order_items WHERE work_order_id = ?', [order.id]);
+  for (const item of items) {
+    if (ticked.has(item.id) && !item.removed_at) {
+      await db.run(`UPDATE electric_work_order_items SET removed_at = datetime('now', 'localtime'), removed_by_user_id = ? WHERE id = ?`, [user.id, item.id]);
+    } else if (!ticked.has(item.id) && item.removed_at) {
+      await db.run('UPDATE electric_work_order_items SET removed_at = NULL, removed_by_user_id = NULL WHERE id = ?', [item.id]);
+    }
+  }
+
+  const removed = items.filter(item => ticked.has(item.id)).length;
+  const complete = removed === items.length;
+  if (complete) {
+    await db.run(`UPDATE electric_work_orders SET status = 'removed', removed_at = datetime('now', 'localtime'), removed_by_user_id = ? WHERE id = ?`, [user.id, order.id]);
+  }
+  return { removed, total: items.length, complete };
+}
+
+/**
+ * Counts a session's work orders by zone and status, for the job sheet links.
+ * @param {number} sessionId - The event session ID.
+ * @returns {Promise<Array<{zone: string, zone_name: string, pending: number, installed: number, verified: number, removed: number}>>}
+ *   zone is the board ID as a string, or 'none'.
+ */
+async function getZoneCounts(sessionId) {
+  const rows = await all(`
+    SELECT eb.distribution_board_id AS board_id, db.name AS zone_name, wo.status, COUNT(*) AS count
+    FROM electric_work_orders wo
+    JOIN electric_bills eb ON wo.electric_bill_id = eb.id
+    LEFT JOIN distribution_boards db ON eb.distribution_board_id = db.id
+    WHERE wo.event_session_id = ?
+    GROUP BY eb.distribution_board_id, wo.status
+    ORDER BY eb.distribution_board_id IS NULL, db.name
+  `, [sessionId]);
+  const zones = new Map();
+  rows.forEach(row => {
+    const zone = row.board_id === null ? NO_ZONE : String(row.board_id);
+    if (!zones.has(zone)) {
+      zones.set(zone, { zone, zone_name: row.zone_name || 'Not on any board', pending: 0, installed: 0, verified: 0, removed: 0 });
+    }
+    zones.get(zone)[row.status] = row.count;
+  });
+  return [...zones.values()];
+}
+
+module.exports = {
+  WORK_ORDER_STATUSES,
+  WORK_ORDER_BADGES,
+  ON_SITE_STATUSES,
+  ON_SITE_STATUS_SQL,
+  NO_ZONE,
+  workOrderActions,
+  syncWorkOrder,
+  deleteWorkOrder,
+  createMissingWorkOrders,
+  listWorkOrders,
+  getWorkOrder,
+  assignWorkOrder,
+  advanceWorkOrder,
+  saveRemovalChecklist,
+  getZoneCounts,
+};
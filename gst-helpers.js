@@ -0,0 +1,470 @@
+//gst-helpers.js
+
+const { all, get, run } = require('./db-helpers');
+const { CHARGE_HEADS } = require('./payment-helpers');
+const { getBookingBalance, syncStoredDue } = require('./balance-helpers');
+
+// GST state codes, the first two digits of a GSTIN, used for the place of supply.
+const GST_STATES = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh', '05': 'Uttarakhand',
+  '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh', '10': 'Bihar',
+  '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur', '15': 'Mizoram',
+  '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal', '20': 'Jharkhand',
+  '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka', '30': 'Goa',
+  '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry', '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh', '97': 'Other Territory'
+};
+
+// HSN/SAC code, rates and pricing a session's charge heads start with when there is no earlier session to copy from.
+// gst_inclusive is 1 when the head's charges already include GST and 0 when GST is added on top.
+const DEFAULT_TAX_HEADS = {
+  rent: { hsn_sac: '998596', description: 'Exhibition space rent', cgst_rate: 9, sgst_rate: 9, igst_rate: 18, gst_inclusive: 1 },
+  electric: { hsn_sac: '998596', description: 'Electrical fittings and power', cgst_rate: 9, sgst_rate: 9, igst_rate: 18, gst_inclusive: 1 },
+  material: { hsn_sac: '997319', description: 'Furniture and material hire', cgst_rate: 9, sgst_rate: 9, igst_rate: 18, gst_inclusive: 1 },
+  shed: { hsn_sac: '997212', description: 'Shed rent', cgst_rate: 9, sgst_rate: 9, igst_rate: 18, gst_inclusive: 1 }
+};
+
+// Sections of the GSTR-1 export, keyed by the value used in the export form.
+const GSTR1_SECTIONS = {
+  b2b: 'B2B Invoices (4A)',
+  b2cs: 'B2C Small (7)',
+  hsn: 'HSN Summary (12)'
+};
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const round2 = (n) => Math.round((n || 0) * 100) / 100;
+
+/**
+ * Checks a GSTIN's format, state code and check digit, and returns it in upper case.
+ * @param {string} value - The GSTIN as entered.
+ * @returns {string|null} The GSTIN, or null if none was entered.
+ * @throws {Error} With a user-facing message if it is not a valid GSTIN.
+ */
+function normalizeGstin(value) {
+  const gstin = String(value || '').trim().toUpperCase();
+  if (!gstin) return null;
+  if (!GSTIN_PATTERN.test(gstin) || !GST_STATES[gstin.slice(0, 2)]) {
+    throw new Error(`${gstin} is not a valid GSTIN.`);
+  }
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARS.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  if (GSTIN_CHARS[(36 - (sum % 36)) % 36] !== gstin[14]) {
+    throw new Error(`${gstin} is not a valid GSTIN; its check digit does not match.`);
+  }
+  return gstin;
+}
+
+/**
+ * Works out the Indian financial year (April to March) a date falls in, e.g. 2025-02-10 gives "2024-25".
+ * @param {string} date - A YYYY-MM-DD date.
+ * @returns {string}
+ */
+function financialYear(date) {
+  const [year, month] = date.split('-').map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String(start + 1).slice(-2)}`;
+}
+
+/**
+ * Formats a tax invoice number, e.g. financial year "2025-26" and 7 give "INV/25-26/0007".
+ * @param {string} fy - The financial year.
+ * @param {number} seq - The number within the year.
+ * @returns {string}
+ */
+function formatInvoiceNumber(fy, seq) {
+  return `INV/${fy.slice(2)}/${String(seq).padStart(4, '0')}`;
+}
+
+/**
+ * Formats a state code as GSTR-1 expects the place of supply, e.g. "29-Karnataka".
+ * @param {string} code - The two-digit state code.
+ * @returns {string}
+ */
+function placeOfSupplyLabel(code) {
+  return `${code}-${GST_STATES[code] || 'Unknown'}`;
+}
+
+/**
+ * Works out the taxable value and tax of an amount charged on a head. If the head's charges include
+ * GST the amount is split, and the tax is what is left after the taxable value so the parts always add
+ * up to it; otherwise the amount is the taxable value and the tax is added on top. Intra-state supplies
+ * are taxed CGST + SGST and inter-state ones IGST.
+ * @param {number} amount - The amount charged.
+ * @param {{cgst_rate: number, sgst_rate: number, igst_rate: number, gst_inclusive: number}} head - The tax head.
+ * @param {string} supplyType - 'intra' or 'inter'.
+ * @returns {{amount: number, taxable_value: number, cgst_rate: number, cgst_amount: number, sgst_rate: number, sgst_amount: number, igst_rate: number, igst_amount: number}}
+ *   amount is the line total, tax included.
+ */
+function splitChargeAmount(amount, head, supplyType) {
+  const rates = supplyType === 'inter'
+    ? { cgst_rate: 0, sgst_rate: 0, igst_rate: head.igst_rate }
+    : { cgst_rate: head.cgst_rate, sgst_rate: head.sgst_rate, igst_rate: 0 };
+  const totalRate = rates.cgst_rate + rates.sgst_rate + rates.igst_rate;
+  const taxableValue = head.gst_inclusive ? round2(amount * 100 / (100 + totalRate)) : round2(amount);
+  const tax = head.gst_inclusive ? round2(amount - taxableValue) : round2(taxableValue * totalRate / 100);
+  const cgst = supplyType === 'inter' ? 0 : round2(taxableValue * rates.cgst_rate / 100);
+  return {
+    amount: round2(taxableValue + tax),
+    taxable_value: taxableValue,
+    ...rates,
+    cgst_amount: cgst,
+    sgst_amount: supplyType === 'inter' ? 0 : round2(tax - cgst),
+    igst_amount: supplyType === 'inter' ? tax : 0
+  };
+}
+
+/**
+ * Loads a session's tax heads, creating the ones that do not exist yet. A new head copies the
+ * latest earlier session's settings for it, including whether its charges include GST, or the defaults if there are none.
+ * @param {number} sessionId - The event session ID.
+ * @param {{get: Function, all: Function, run: Function}} [db] - The transaction to work in, if any.
+ * @returns {Promise<Array<Object>>} The tax_heads rows in head order, each with its label.
+ */
+async function getTaxHeads(sessionId, db = { get, all, run }) {
+  const existing = await db.all('SELECT charge_type FROM tax_heads WHERE event_session_id = ?', [sessionId]);
+  const missing = Object.keys(CHARGE_HEADS).filter(type => !existing.some(h => h.charge_type === type));
+  for (const type of missing) {
+    const previous = await db.get(
+      'SELECT * FROM tax_heads WHERE charge_type = ? AND event_session_id < ? ORDER BY event_session_id DESC LIMIT 1',
+      [type, sessionId]
+    );
+    const head = previous || DEFAULT_TAX_HEADS[type];
+    await db.run(
+      `INSERT OR IGNORE INTO tax_heads (event_session_id, charge_type, hsn_sac, description, cgst_rate, sgst_rate, igst_rate, gst_inclusive)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [sessionId, type, head.hsn_sac, head.description, head.cgst_rate, head.sgst_rate, head.igst_rate, head.gst_inclusive]
+    );
+  }
+  const rows = await db.all('SELECT * FROM tax_heads WHERE event_session_id = ?', [sessionId]);
+  const order = Object.keys(CHARGE_HEADS);
+  return rows
+    .sort((a, b) => order.indexOf(a.charge_type) - order.indexOf(b.charge_type))
+    .map(h => ({ ...h, label: CHARGE_HEADS[h.charge_type] }));
+}
+
+/**
+ * Changes a tax head's HSN/SAC code, description, rates or whether its charges include GST. Invoices
+ * already issued keep the rates and pricing they were issued with.
+ * @param {number|string} headId - The tax_heads ID.
+ * @param {number} sessionId - The session the head must belong to.
+ * @param {{hsnSac: string, description: string, cgstRate: string, sgstRate: string, igstRate: string, gstInclusive: string}} changes -
+ *   gstInclusive is '1' if the head's charges include GST and '0' if it is added on top.
+ * @returns {Promise<Object>} The head as it was before the change.
+ * @throws {Error} With a user-facing message if the head does not exist or a value is invalid.
+ */
+async function updateTaxHead(headId, sessionId, { hsnSac, description, cgstRate, sgstRate, igstRate, gstInclusive }) {
+  const head = await get('SELECT * FROM tax_heads WHERE id = ? AND event_session_id = ?', [headId, sessionId]);
+  if (!head) throw new Error('Tax head not found.');
+
+  const code = String(hsnSac || '').trim();
+  if (!/^[0-9]{4,8}$/.test(code)) throw new Error('HSN/SAC code must be 4 to 8 digits.');
+  if (!String(description || '').trim()) throw new Error('Description is required.');
+  const [cgst, sgst, igst] = [cgstRate, sgstRate, igstRate].map(rate => parseFloat(rate));
+  if ([cgst, sgst, igst].some(rate => isNaN(rate) || rate < 0 || rate > 100)) {
+    throw new Error('Tax rates must be between 0 and 100%.');
+  }
+  if (cgst !== sgst || round2(cgst + sgst) !== igst) {
+    throw new Error('CGST and SGST must be equal, and IGST must be their sum.');
+  }
+  if (!['0', '1'].includes(String(gstInclusive))) throw new Error('Choose whether the charges include GST.');
+
+  await run(
+    'UPDATE tax_heads SET hsn_sac = ?, description = ?, cgst_rate = ?, sgst_rate = ?, igst_rate = ?, gst_inclusive = ? WHERE id = ?',
+    [code, description.trim(), cgst, sgst, igst, Number(gstInclusive), head.id]
+  );
+  return head;
+}
+
+/**
+ * Works out what is still to be invoiced on each head of a booking: its charges less credit notes,
+ * less what its issued tax invoices already cover. GST added on top by earlier invoices is not a charge
+ * to invoice again, and those invoices cover their taxable value. A negative figure means a credit note
+ * came after the head was invoiced.
+ * @param {number|string} bookingId - The booking ID.
+ * @param {{all: Function}} [db] - The transaction to read in, if any.
+ * @returns {Promise<Array<{head: string, label: string, net: number, invoiced: number, amount: number}>>}
+ */
+async function getUninvoicedCharges(bookingId, db = { all }) {
+  const [balance, invoiced] = await Promise.all([
+    getBookingBalance(bookingId, db),
+    db.all(
+      `SELECT l.charge_type, SUM(CASE WHEN l.gst_inclusive = 1 THEN l.amount ELSE l.taxable_value END) AS amount
+       FROM tax_invoice_lines l JOIN tax_invoices i ON l.invoice_id = i.id
+       WHERE i.booking_id = ? AND i.status = 'issued' GROUP BY l.charge_type`,
+      [bookingId]
+    )
+  ]);
+  if (!balance) return [];
+  return Object.keys(CHARGE_HEADS).map(head => {
+    const net = round2(balance[head].charged - balance[head].gst - balance[head].credited);
+    const done = round2((invoiced.find(i => i.charge_type === head) || {}).amount);
+    return { head, label: CHARGE_HEADS[head], net, invoiced: done, amount: round2(net - done) };
+  });
+}
+
+/**
+ * Issues a tax invoice for everything on a booking that is not yet invoiced. Each head becomes a line
+ * whose amount is split into taxable value and tax at the head's rates, or taxed on top if the head's
+ * charges exclude GST; tax added on top is owed on the booking from then on. The place of supply is the
+ * exhibitor's state when they have a GSTIN and the organiser's otherwise; it decides between CGST + SGST
+ * and IGST. Must run inside the caller's transaction.
+ * @param {{get: Function, all: Function, run: Function}} db - The transaction.
+ * @param {Object} invoice
+ * @param {number|string} invoice.bookingId - The booking to invoice.
+ * @param {number} invoice.sessionId - The session the booking must belong to.
+ * @param {string} invoice.invoiceDate - The YYYY-MM-DD invoice date, which decides the financial year.
+ * @param {number} invoice.userId - The user issuing it.
+ * @returns {Promise<{id: number, invoiceNumber: string, totalAmount: number}>}
+ * @throws {Error} With a user-facing message if GSTINs are missing or invalid, or nothing is left to invoice.
+ */
+async function createTaxInvoice(db, { bookingId, sessionId, invoiceDate, userId }) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(invoiceDate || '')) throw new Error('Invoice date is required.');
+  const session = await db.get('SELECT * FROM event_sessions WHERE id = ?', [sessionId]);
+  if (!session.gstin) throw new Error("Set the organiser's GSTIN in Exhibition Details before issuing tax invoices.");
+  const booking = await db.get(
+    `SELECT b.id, b.client_id, b.exhibitor_name, b.full_address, c.name AS client_name, c.gstin, c.billing_address, c.full_address AS client_address
+     FROM bookings b LEFT JOIN clients c ON b.client_id = c.id
+     WHERE b.id = ? AND b.event_session_id = ?`,
+    [bookingId, sessionId]
+  );
+  if (!booking) throw new Error('Booking not found.');
+
+  let recipientGstin;
+  try {
+    recipientGstin = normalizeGstin(booking.gstin);
+  } catch (err) {
+    throw new Error(`${err.message} Correct it on the client profile, or clear it to invoice as an unregistered exhibitor.`);
+  }
+
+  const charges = (await getUninvoicedCharges(bookingId, db)).filter(c => c.amount > 0);
+  if (charges.length === 0) throw new Error('Everything charged on this booking has already been invoiced.');
+
+  const heads = await getTaxHeads(sessionId, db);
+  const supplierState = session.gstin.slice(0, 2);
+  const placeOfSupply = recipientGstin ? recipientGstin.slice(0, 2) : supplierState;
+  const supplyType = placeOfSupply === supplierState ? 'intra' : 'inter';
+  const lines = charges.map(c => {
+    const head = heads.find(h => h.charge_type === c.head);
+    return { charge_type: c.head, description: head.description, hsn_sac: head.hsn_sac, gst_inclusive: head.gst_inclusive, ...splitChargeAmount(c.amount, head, supplyType) };
+  });
+  const sum = (field) => round2(lines.reduce((total, line) => total + line[field], 0));
+
+  const fy = financialYear(invoiceDate);
+  const { seq } = await db.get('SELECT COALESCE(MAX(invoice_seq), 0) + 1 AS seq FROM tax_invoices WHERE financial_year = ?', [fy]);
+  const invoiceNumber = formatInvoiceNumber(fy, seq);
+  const result = await db.run(
+    `INSERT INTO tax_invoices (event_session_id, booking_id, client_id, financial_year, invoice_seq, invoice_number, invoice_date,
+       supplier_gstin, supplier_name, supplier_address, recipient_gstin, recipient_name, recipient_address, place_of_supply, supply_type,
+       taxable_value, cgst_amount, sgst_amount, igst_amount, total_amount, user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [sessionId, booking.id, booking.client_id, fy, seq, invoiceNumber, invoiceDate,
+      session.gstin, session.gst_legal_name || session.name, [session.address, session.place].filter(Boolean).join(', ') || null,
+      recipientGstin, booking.client_name || booking.exhibitor_name, booking.billing_address || booking.client_address || booking.full_address || null,
+      placeOfSupply, supplyType, sum('taxable_value'), sum('cgst_amount'), sum('sgst_amount'), sum('igst_amount'), sum('amount'), userId]
+  );
+  for (const line of lines) {
+    await db.run(
+      `INSERT INTO tax_invoice_lines (invoice_id, charge_type, description, hsn_sac, amount, taxable_value,
+         cgst_rate, cgst_amount, sgst_rate, sgst_amount, igst_rate, igst_amount, gst_inclusive)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [result.lastID, line.charge_type, line.description, line.hsn_sac, line.amount, line.taxable_value,
+        line.cgst_rate, line.cgst_amount, line.sgst_rate, line.sgst_amount, line.igst_rate, line.igst_amount, line.gst_inclusive]
+    );
+  }
+  await syncStoredDue(booking.id, db);
+  return { id: result.lastID, invoiceNumber, totalAmount: sum('amount') };
+}
+
+/**
+ * Cancels an issued tax invoice. Its number stays used, what it covered can be invoiced again, and
+ * GST it added on top is no longer owed.
+ * @param {number|string} invoiceId - The tax_invoices ID.
+ * @param {number} sessionId - The session the invoice must belong to.
+ * @param {string} reason - Why it is cancelled.
+ * @returns {Promise<Object>} The invoice as it was before cancelling.
+ * @throws {Error} With a user-facing message if it cannot be cancelled.
+ */
+async function cancelTaxInvoice(invoiceId, sessionId, reason) {
+  const invoice = await get('SELECT * FROM tax_invoices WHERE id = ? AND event_session_id = ?', [invoiceId, sessionId]);
+  if (!invoice) throw new Error('Tax invoice not found.');
+  if (invoice.status !== 'issued') throw new Error(`Invoice ${invoice.invoice_number} is already cancelled.`);
+  if (!String(reason || '').trim()) throw new Error('A reason is required to cancel an invoice.');
+  await run(
+    "UPDATE tax_invoices SET status = 'cancelled', cancelled_at = datetime('now', 'localtime'), cancel_reason = ? WHERE id = ?",
+    [reason.trim(), invoice.id]
+  );
+  await syncStoredDue(invoice.booking_id);
+  return invoice;
+}
+
+/**
+ * Says on an invoice whether the amounts charged included GST, e.g. "Amounts charged are inclusive of GST."
+ * or, for mixed lines, "GST is included in the amounts charged for Exhibition space rent and added on top for Shed rent."
+ * @param {Array<{description: string, gst_inclusive: number}>} lines - The invoice lines.
+ * @returns {string}
+ */
+function pricingNote(lines) {
+  const included = lines.filter(l => l.gst_inclusive).map(l => l.description);
+  const added = lines.filter(l => !l.gst_inclusive).map(l => l.description);
+  if (added.length === 0) return 'Amounts charged are inclusive of GST.';
+  if (included.length === 0) return 'GST is added on top of the amounts charged.';
+  return `GST is included in the amounts charged for ${included.join(', ')} and added on top for ${added.join(', ')}.`;
+}
+
+/**
+ * Loads a tax invoice with its lines.
+ * @param {number|string} invoiceId - The tax_invoices ID.
+ * @param {number} sessionId - The session the invoice must belong to.
+ * @returns {Promise<Object|null>} The invoice with lines, place_of_supply_label, pricing_note and issued_by, or null if not found.
+ */
+async function getTaxInvoice(invoiceId, sessionId) {
+  const invoice = await get(
+    `SELECT i.*, u.username AS issued_by FROM tax_invoices i LEFT JOIN users u ON i.user_id = u.id
+     WHERE i.id = ? AND i.event_session_id = ?`,
+    [invoiceId, sessionId]
+  );
+  if (!invoice) return null;
+  invoice.lines = await all('SELECT * FROM tax_invoice_lines WHERE invoice_id = ? ORDER BY id', [invoice.id]);
+  invoice.place_of_supply_label = placeOfSupplyLabel(invoice.place_of_supply);
+  invoice.pricing_note = pricingNote(invoice.lines);
+  return invoice;
+}
+
+/**
+ * Lists a session's tax invoices, newest first.
+ * @param {number} sessionId - The event session ID.
+ * @param {{bookingId?: number|string, status?: string}} [filter] - Only one booking's invoices, or only issued or cancelled ones.
+ * @returns {Promise<Array<Object>>} The tax_invoices rows with issued_by.
+ */
+async function listTaxInvoices(sessionId, { bookingId = null, status = null } = {}) {
+  const whereClauses = ['i.event_session_id = ?'];
+  const params = [sessionId];
+  if (bookingId) {
+    whereClauses.push('i.booking_id = ?');
+    params.push(bookingId);
+  }
+  if (status) {
+    whereClauses.push('i.status = ?');
+    params.push(status);
+  }
+  return all(
+    `SELECT i.*, u.username AS issued_by FROM tax_invoices i LEFT JOIN users u ON i.user_id = u.id
+     WHERE ${whereClauses.join(' AND ')} ORDER BY i.invoice_date DESC, i.id DESC`,
+    params
+  );
+}
+
+/**
+ * Formats a YYYY-MM-DD date the way the GSTR-1 offline tool expects, e.g. "05-Jan-2025".
+ * @param {string} date
+ * @returns {string}
+ */
+function gstr1Date(date) {
+  const [year, month, day] = date.split('-');
+  return `${day}-${MONTHS[Number(month) - 1]}-${year}`;
+}
+
+/**
+ * Builds one section of a GSTR-1 return from the tax invoices issued under a GSTIN between two dates,
+ * whichever session they belong to. Cancelled invoices are left out. Columns follow the GSTR-1 offline
+ * tool's CSV templates. Unregistered exhibitors are always invoiced in the organiser's own state, so
+ * there are no B2C Large invoices to report.
+ * @param {Object} filter
+ * @param {string} filter.gstin - The organiser's GSTIN.
+ * @param {string} filter.startDate - The first invoice date to include.
+ * @param {string} filter.endDate - The last invoice date to include.
+ * @param {string} filter.section - A key of GSTR1_SECTIONS.
+ * @returns {Promise<Array<Object>>} The rows of the section, one object per CSV line.
+ */
+async function getGstr1Rows({ gstin, startDate, endDate, section }) {
+  const lines = await all(
+    `SELECT i.invoice_number, i.invoice_date, i.total_amount, i.recipient_gstin, i.recipient_name, i.place_of_supply,
+       l.hsn_sac, l.description, l.amount, l.taxable_value, l.cgst_amount, l.sgst_amount, l.igst_amount,
+       (l.cgst_rate + l.sgst_rate + l.igst_rate) AS rate
+     FROM tax_invoices i JOIN tax_invoice_lines l ON l.invoice_id = i.id
+     WHERE i.supplier_gstin = ? AND i.status = 'issued' AND i.invoice_date BETWEEN ? AND ?
+     ORDER BY i.invoice_date, i.invoice_seq, l.id`,
+    [gstin, startDate, endDate]
+  );
+
+  // Adds up lines that share a key, keeping the first line's other fields.
+  const group = (rows, keyOf, fields) => {
+    const groups = new Map();
+    rows.forEach(row => {
+      const key = keyOf(row);
+      if (!groups.has(key)) groups.set(key, { ...row, ...Object.fromEntries(fields.map(f => [f, 0])) });
+      const g = groups.get(key);
+      fields.forEach(f => { g[f] = round2(g[f] + row[f]); });
+    });
+    return [...groups.values()];
+  };
+
+  if (section === 'b2b') {
+    return group(lines.filter(l => l.recipient_gstin), l => `${l.invoice_number}|${l.rate}`, ['taxable_value']).map(g => ({
+      'GSTIN/UIN of Recipient': g.recipient_gstin,
+      'Receiver Name': g.recipient_name,
+      'Invoice Number': g.invoice_number,
+      'Invoice date': gstr1Date(g.invoice_date),
+      'Invoice Value': g.total_amount.toFixed(2),
+      'Place Of Supply': placeOfSupplyLabel(g.place_of_supply),
+      'Reverse Charge': 'N',
+      'Applicable % of Tax Rate': '',
+      'Invoice Type': 'Regular B2B',
+      'E-Commerce GSTIN': '',
+      'Rate': g.rate,
+      'Taxable Value': g.taxable_value.toFixed(2),
+      'Cess Amount': ''
+    }));
+  }
+  if (section === 'b2cs') {
+    return group(lines.filter(l => !l.recipient_gstin), l => `${l.place_of_supply}|${l.rate}`, ['taxable_value']).map(g => ({
+      'Type': 'OE',
+      'Place Of Supply': placeOfSupplyLabel(g.place_of_supply),
+      'Rate': g.rate,
+      'Applicable % of Tax Rate': '',
+      'Taxable Value': g.taxable_value.toFixed(2),
+      'Cess Amount': '',
+      'E-Commerce GSTIN': ''
+    }));
+  }
+  if (section === 'hsn') {
+    return group(lines, l => `${l.hsn_sac}|${l.rate}`, ['amount', 'taxable_value', 'igst_amount', 'cgst_amount', 'sgst_amount']).map(g => ({
+      'HSN': g.hsn_sac,
+      'Description': g.description,
+      'UQC': 'NA',
+      'Total Quantity': 0,
+      'Total Value': g.amount.toFixed(2),
+      'Rate': g.rate,
+      'Taxable Value': g.taxable_value.toFixed(2),
+      'Integrated Tax Amount': g.igst_amount.toFixed(2),
+      'Central Tax Amount': g.cgst_amount.toFixed(2),
+      'State/UT Tax Amount': g.sgst_amount.toFixed(2),
+      'Cess Amount': ''
+    }));
+  }
+  throw new Error('Choose a GSTR-1 section to export.');
+}
+
+module.exports = {
+  GST_STATES,
+  GSTR1_SECTIONS,
+  normalizeGstin,
+  financialYear,
+  placeOfSupplyLabel,
+  splitChargeAmount,
+  getTaxHeads,
+  updateTaxHead,
+  getUninvoicedCharges,
+  createTaxInvoice,
+  cancelTaxInvoice,
+  getTaxInvoice,
+  listTaxInvoices,
+  getGstr1Rows,
+};
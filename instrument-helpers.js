@@ -0,0 +1,173 @@
+//instrument-helpers.js
+
+const { all } = require('./db-helpers');
+const { syncStoredDue } = require('./balance-helpers');
+const { CHARGE_HEADS, CREDIT_HEAD, savePaymentAllocations, reversePayment, getPaymentAllocations, describeAllocation } = require('./payment-helpers');
+
+// Payment modes that pay through a bank instrument rather than at the counter, keyed by form value.
+// The label is what is stored as the payment's payment_mode.
+const INSTRUMENT_MODES = {
+  cheque: 'Cheque',
+  neft: 'NEFT/RTGS',
+  dd: 'Demand Draft'
+};
+
+// What the instrument's number is called for each mode.
+const INSTRUMENT_NUMBER_LABELS = {
+  cheque: 'Cheque No.',
+  neft: 'UTR No.',
+  dd: 'DD No.'
+};
+
+// Clearance states of an instrument payment, with their display labels.
+const CLEARANCE_STATUSES = {
+  pending: 'Pending Clearance',
+  cleared: 'Cleared',
+  bounced: 'Bounced'
+};
+
+// SQL for the part of a payment (aliased p) received through a cleared instrument. Pending and bounced ones count as nothing.
+const BANK_PAID_SQL = "(CASE WHEN p.clearance_status = 'cleared' THEN p.instrument_amount ELSE 0 END)";
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Reads the instrument fields (payment_method, instrument_amount, instrument_number, instrument_bank,
+ * instrument_date) from the Receive Payment form.
+ * @param {Object} body - The request body.
+ * @returns {{mode: string, paymentMode: string, amount: number, number: string, bank: string|null, date: string}}
+ * @throws {Error} With a user-facing message if a field is missing or invalid.
+ */
+function parseInstrument(body) {
+  const mode = body.payment_method;
+  if (!INSTRUMENT_MODES[mode]) throw new Error('Choose a valid payment method.');
+  const amount = round2(parseFloat(body.instrument_amount) || 0);
+  const number = (body.instrument_number || '').trim();
+  const bank = (body.instrument_bank || '').trim();
+  if (amount <= 0) throw new Error('Payment amount must be greater than zero.');
+  if (!number) throw new Error(`${INSTRUMENT_NUMBER_LABELS[mode]} is required.`);
+  if (mode !== 'neft' && !bank) throw new Error(`The bank the ${INSTRUMENT_MODES[mode].toLowerCase()} is drawn on is required.`);
+  if (!body.instrument_date) throw new Error(`${INSTRUMENT_MODES[mode]} date is required.`);
+  return { mode, paymentMode: INSTRUMENT_MODES[mode], amount, number, bank: bank || null, date: body.instrument_date };
+}
+
+/**
+ * Keeps the allocation of a newly received instrument aside until it clears. Nothing is set against
+ * the booking's charges, the ledger or the client's credit in the meantime.
+ * Must run inside the caller's transaction.
+ * @param {{run: Function, get: Function}} db - The transaction.
+ * @param {Object} payment - The payments row (id, booking_id).
+ * @param {Array<{head: string, amount: number}>} lines - The allocation to apply on clearance.
+ * @throws {Error} With a user-facing message if part is kept as credit and the booking has no client.
+ */
+async function holdPendingAllocation(db, payment, lines) {
+  if (lines.some(l => l.head === CREDIT_HEAD)) {
+    const booking = await db.get('SELECT client_id FROM bookings WHERE id = ?', [payment.booking_id]);
+    if (!booking.client_id) throw new Error('This booking is not linked to a client, so it cannot hold credit.');
+  }
+  await db.run('UPDATE payments SET pending_allocation = ? WHERE id = ?', [JSON.stringify(lines), payment.id]);
+}
+
+/**
+ * Marks a pending instrument as cleared and applies the allocation it was received with, so it now
+ * counts against the booking's dues and is entered in the ledger. Must run inside the caller's transaction.
+ * @param {{run: Function, get: Function, all: Function}} db - The transaction.
+ * @param {Object} payment - The payments row.
+ * @param {{clearedOn: string, userId: number}} clearance - The date the bank credited it and the user marking it.
+ * @throws {Error} With a user-facing message if the payment is not pending clearance.
+ */
+async function clearInstrument(db, payment, { clearedOn, userId }) {
+  if (payment.clearance_status !== 'pending') {
+    throw new Error('Only a payment pending clearance can be marked cleared.');
+  }
+  if (!clearedOn) throw new Error('Clearance date is required.');
+  await savePaymentAllocations(db, payment, JSON.parse(payment.pending_allocation || '[]'), userId);
+  await db.run(
+    "UPDATE payments SET clearance_status = 'cleared', cleared_on = ?, clearance_user_id = ?, pending_allocation = NULL WHERE id = ?",
+    [clearedOn, userId, payment.id]
+  );
+  await syncStoredDue(payment.booking_id, db);
+}
+
+/**
+ * Marks an instrument as bounced. A cleared one is reversed with reversePayment: its allocation stays
+ * on record, the ledger gets matching reversal entries and any credit it added is taken back, leaving
+ * the client owing whatever of it was already used. A bounce charge, if given, is added to the
+ * booking's dues on the chosen head; it reaches the ledger when it is paid.
+ * Must run inside the caller's transaction.
+ * @param {{run: Function, get: Function, all: Function}} db - The transaction.
+ * @param {Object} payment - The payments row.
+ * @param {Object} bounce
+ * @param {string} bounce.bouncedOn - The date the bank returned it.
+ * @param {string} bounce.reason - The bank's return reason.
+ * @param {number} [bounce.charge] - The bounce charge to add to the booking's dues.
+ * @param {string} [bounce.chargeHead] - The head the charge is added to.
+ * @param {number} bounce.userId - The user marking it.
+ * @returns {Promise<{credit: number, owed: number}>} The credit taken back, and how much of the client's credit is now owed.
+ * @throws {Error} With a user-facing message if the payment cannot be bounced.
+ */
+async function bounceInstrument(db, payment, { bouncedOn, reason, charge = 0, chargeHead, userId }) {
+  if (!['pending', 'cleared'].includes(payment.clearance_status)) {
+    throw new Error('Only a cheque, transfer or draft that is pending or cleared can be marked bounced.');
+  }
+  if (!bouncedOn) throw new Error('Bounce date is required.');
+  const bounceCharge = round2(parseFloat(charge) || 0);
+  if (bounceCharge < 0) throw new Error('Bounce charge cannot be negative.');
+  if (bounceCharge > 0 && !CHARGE_HEADS[chargeHead]) throw new Error('Choose the head to add the bounce charge to.');
+
+  let reversal = { credit: 0, owed: 0 };
+  if (payment.clearance_status === 'cleared') {
+    reversal = await reversePayment(db, payment, {
+      date: bouncedOn,
+      description: `Reversal: ${payment.payment_mode} ${payment.instrument_number} bounced${reason ? ` (${reason})` : ''}`,
+      userId
+    });
+  }
+  await db.run(
+    `UPDATE payments SET clearance_status = 'bounced', bounced_on = ?, bounce_reason = ?, bounce_charge = ?, bounce_charge_head = ?,
+       clearance_user_id = ? WHERE id = ?`,
+    [bouncedOn, reason || null, bounceCharge, bounceCharge > 0 ? chargeHead : null, userId, payment.id]
+  );
+  await syncStoredDue(payment.booking_id, db);
+  return reversal;
+}
+
+/**
+ * Lists the instrument payments of a session, oldest first, with what each was allocated to.
+ * @param {number} sessionId - The event session ID.
+ * @param {{status?: string}} [filter] - Only list instruments in this clearance state.
+ * @returns {Promise<Array<Object>>} The payments rows with exhibitor_name, allocation, days_pending and cleared_by.
+ */
+async function listInstruments(sessionId, { status = null } = {}) {
+  const params = [sessionId];
+  let statusSql = '';
+  if (status) {
+    statusSql = 'AND p.clearance_status = ?';
+    params.push(status);
+  }
+  const instruments = await all(
+    `SELECT p.*, b.exhibitor_name, u.username AS cleared_by,
+       CAST(julianday('now', 'localtime') - julianday(p.payment_date) AS INTEGER) AS days_pending
+     FROM payments p
+     JOIN bookings b ON p.booking_id = b.id
+     LEFT JOIN users u ON p.clearance_user_id = u.id
+     WHERE p.event_session_id = ? AND p.clearance_status IS NOT NULL ${statusSql}
+     ORDER BY p.payment_date, p.id`,
+    params
+  );
+  const allocations = await getPaymentAllocations(instruments.map(p => p.id));
+  instruments.forEach(p => { p.allocation = describeAllocation(allocations.get(p.id)); });
+  return instruments;
+}
+
+module.exports = {
+  INSTRUMENT_MODES,
+  INSTRUMENT_NUMBER_LABELS,
+  CLEARANCE_STATUSES,
+  BANK_PAID_SQL,
+  parseInstrument,
+  holdPendingAllocation,
+  clearInstrument,
+  bounceInstrument,
+  listInstruments,
+};
@@ -0,0 +1,355 @@
+//meter-helpers.js
+
+const { all, get, run } = require('./db-helpers');
+const { OCCUPYING_STATUS_SQL } = require('./booking-lifecycle');
+const { syncStoredDue } = require('./balance-helpers');
+const { saveBillItems } = require('./electric-bill-helpers');
+
+const READING_TYPES = {
+  daily: 'Daily',
+  closing: 'Closing'
+};
+
+const READING_FLAGS = {
+  decrease: 'Went down',
+  spike: 'Abnormal jump'
+};
+
+// A reading is flagged as an abnormal jump when its units per day since the previous reading are more
+// than this many times the meter's average up to that reading.
+const ABNORMAL_JUMP_FACTOR = 3;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const daysBetween = (from, to) => (Date.parse(to) - Date.parse(from)) / 86400000;
+
+/**
+ * Loads a session's tariff slabs in order, each with the unit it starts from.
+ * @param {number} sessionId - The event session ID.
+ * @param {{all: Function}} [db] - The transaction to read in, if any.
+ * @returns {Promise<Array<Object>>} The electric_tariff_slabs rows with from_units; the open-ended slab (up_to_units NULL) comes last.
+ */
+async function getTariffSlabs(sessionId, db = { all }) {
+  const slabs = await db.all(
+    'SELECT * FROM electric_tariff_slabs WHERE event_session_id = ? ORDER BY up_to_units IS NULL, up_to_units',
+    [sessionId]
+  );
+  return slabs.map((slab, i) => ({ ...slab, from_units: i === 0 ? 0 : slabs[i - 1].up_to_units }));
+}
+
+/**
+ * Adds a slab to a session's tariff.
+ * @param {number} sessionId - The event session ID.
+ * @param {{upToUnits: string|number|null, rate: string|number}} slab - Leave upToUnits empty for the slab that covers everything above the others.
+ * @returns {Promise<void>}
+ */
+async function addTariffSlab(sessionId, { upToUnits, rate }) {
+  const upTo = upToUnits === '' || upToUnits === null || upToUnits === undefined ? null : parseFloat(upToUnits);
+  const perUnit = parseFloat(rate);
+  if (upTo !== null && (isNaN(upTo) || upTo <= 0)) throw new Error('The slab limit must be a number of units above zero, or empty for the top slab.');
+  if (isNaN(perUnit) || perUnit < 0) throw new Error('The rate per unit cannot be negative.');
+
+  const slabs = await getTariffSlabs(sessionId);
+  if (upTo === null && slabs.some(s => s.up_to_units === null)) throw new Error('The tariff already has a top slab.');
+  if (upTo !== null && slabs.some(s => s.up_to_units === upTo)) throw new Error(`There is already a slab up to ${upTo} units.`);
+  await run('INSERT INTO electric_tariff_slabs (event_session_id, up_to_units, rate) VALUES (?, ?, ?)', [sessionId, upTo, perUnit]);
+}
+
+/**
+ * Removes a slab from a session's tariff.
+ * @param {number} slabId
+ * @param {number} sessionId - The event session the slab must belong to.
+ * @returns {Promise<Object>} The removed slab.
+ */
+async function deleteTariffSlab(slabId, sessionId) {
+  const slab = await get('SELECT * FROM electric_tariff_slabs WHERE id = ? AND event_session_id = ?', [slabId, sessionId]);
+  if (!slab) throw new Error('Tariff slab not found.');
+  await run('DELETE FROM electric_tariff_slabs WHERE id = ?', [slabId]);
+  return slab;
+}
+
+/**
+ * Gives a session with no tariff the slabs of the latest earlier session that has one.
+ * @param {number} sessionId - The event session ID.
+ * @returns {Promise<number>} How many slabs were copied.
+ */
+async function copyPreviousTariff(sessionId) {
+  if ((await getTariffSlabs(sessionId)).length > 0) throw new Error('This session already has a tariff.');
+  const previous = await get(
+    'SELECT event_session_id FROM electric_tariff_slabs WHERE event_session_id < ? ORDER BY event_session_id DESC LIMIT 1',
+    [sessionId]
+  );
+  if (!previous) throw new Error('No earlier session has a tariff to copy.');
+  const result = await run(
+    'INSERT INTO electric_tariff_slabs (event_session_id, up_to_units, rate) SELECT ?, up_to_units, rate FROM electric_tariff_slabs WHERE event_session_id = ?',
+    [sessionId, previous.event_session_id]
+  );
+  return result.changes;
+}
+
+/**
+ * Prices a consumption on a slab tariff, each slab's share of the units at its own rate. The lines are
+ * shaped like the items of an itemised electric bill, as getBillItems returns them.
+ * @param {Array<Object>} slabs - From getTariffSlabs.
+ * @param {number} units - The units consumed.
+ * @param {string} meterNumber - Named on each line.
+ * @returns {{items: Array<Object>, total: number}}
+ */
+function priceConsumption(slabs, units, meterNumber) {
+  if (slabs.length === 0) throw new Error('Set the electricity tariff for this session first.');
+  const top = slabs[slabs.length - 1];
+  if (top.up_to_units !== null && units > top.up_to_units) {
+    throw new Error(`The tariff has no slab for consumption above ${top.up_to_units} units.`);
+  }
+  const items = [];
+  slabs.forEach(slab => {
+    const inSlab = round2(Math.min(units, slab.up_to_units ?? Infinity) - slab.from_units);
+    if (inSlab <= 0) return;
+    items.push({
+      name: `Meter ${meterNumber}: units ${slab.from_units}-${slab.up_to_units ?? 'above'} @ ${slab.rate.toFixed(2)}/unit`,
+      quantity: inSlab,
+      service_charge: slab.rate,
+      fitting_charge: 0,
+      total: round2(inSlab * slab.rate)
+    });
+  });
+  return { items, total: round2(items.reduce((sum, item) => sum + item.total, 0)) };
+}
+
+/**
+ * Loads a session's meters with what each is linked to, its latest reading and units used so far.
+ * @param {number} sessionId - The event session ID.
+ * @returns {Promise<Array<Object>>}
+ */
+async function listMeters(sessionId) {
+  return all(`
+    SELECT m.*, s.name AS space_name, b.exhibitor_name, b.facia_name,
+      last.reading AS last_reading, last.reading_date AS last_reading_date,
+      COALESCE(last.reading, m.opening_reading) - m.opening_reading AS units_so_far,
+      (SELECT COUNT(*) FROM meter_readings r WHERE r.meter_id = m.id AND r.flag IS NOT NULL AND r.reviewed_at IS NULL) AS open_flags,
+      (SELECT r.electric_bill_id FROM meter_readings r WHERE r.meter_id = m.id AND r.reading_type = 'closing') AS electric_bill_id
+    FROM electric_meters m
+    LEFT JOIN spaces s ON m.space_id = s.id
+    LEFT JOIN bookings b ON m.booking_id = b.id
+    LEFT JOIN meter_readings last ON last.id = (
+      SELECT id FROM meter_readings WHERE meter_id = m.id ORDER BY reading_date DESC, id DESC LIMIT 1
+    )
+    WHERE m.event_session_id = ?
+    ORDER BY m.meter_number
+  `, [sessionId]);
+}
+
+/**
+ * Loads a meter with its readings, oldest first.
+ * @param {number} meterId
+ * @param {number} sessionId - The event session the meter must belong to.
+ * @param {{get: Function, all: Function}} [db] - The transaction to read in, if any.
+ * @returns {Promise<Object|null>}
+ */
+async function getMeter(meterId, sessionId, db = { get, all }) {
+  const meter = await db.get(`
+    SELECT m.*, s.name AS space_name, b.exhibitor_name, b.facia_name
+    FROM electric_meters m
+    LEFT JOIN spaces s ON m.space_id = s.id
+    LEFT JOIN bookings b ON m.booking_id = b.id
+    WHERE m.id = ? AND m.event_session_id = ?
+  `, [meterId, sessionId]);
+  if (!meter) return null;
+  meter.readings = await db.all(`
+    SELECT r.*, u.username AS entered_by, rv.username AS reviewed_by
+    FROM meter_readings r
+    LEFT JOIN users u ON r.user_id = u.id
+    LEFT JOIN users rv ON r.reviewed_by_user_id = rv.id
+    WHERE r.meter_id = ?
+    ORDER BY r.reading_date, r.id
+  `, [meterId]);
+  return meter;
+}
+
+/**
+ * Adds a meter to a session, linked to a space (billed to whoever occupies it) or straight to a booking.
+ * @param {number} sessionId - The event session ID.
+ * @param {{meterNumber: string, spaceId?: string, bookingId?: string, installedOn: string, openingReading: string|number, notes?: string, userId: number}} meter
+ * @returns {Promise<number>} The new meter's ID.
+ */
+async function addMeter(sessionId, { meterNumber, spaceId, bookingId, installedOn, openingReading, notes, userId }) {
+  meterNumber = (meterNumber || '').trim();
+  const opening = parseFloat(openingReading);
+  if (!meterNumber) throw new Error('Enter the meter number.');
+  if (!spaceId && !bookingId) throw new Error('Link the meter to a space or a booking.');
+  if (!installedOn) throw new Error('Enter the date the meter was installed.');
+  if (isNaN(opening) || opening < 0) throw new Error('The opening reading must be zero or more.');
+  if (await get('SELECT id FROM electric_meters WHERE event_session_id = ? AND meter_number = ?', [sessionId, meterNumber])) {
+    throw new Error(`Meter ${meterNumber} is already in this session.`);
+  }
+  const result = await run(
+    `INSERT INTO electric_meters (event_session_id, meter_number, space_id, booking_id, installed_on, opening_reading, notes, user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [sessionId, meterNumber, spaceId || null, bookingId || null, installedOn, opening, (notes || '').trim() || null, userId]
+  );
+  return result.lastID;
+}
+
+/**
+ * Checks a new reading against the meter's history. A reading below the previous one went down; one
+ * whose units per day are more than ABNORMAL_JUMP_FACTOR times the meter's average so far jumped.
+ * The average needs at least a day of history, so the first day's readings are never flagged as jumps.
+ * @param {Object} meter - From getMeter, with its readings.
+ * @param {number} reading
+ * @param {string} readingDate - YYYY-MM-DD.
+ * @returns {{flag: string|null, note: string|null}}
+ */
+function assessReading(meter, reading, readingDate) {
+  const last = meter.readings[meter.readings.length - 1] || { reading: meter.opening_reading, reading_date: meter.installed_on };
+  if (reading < last.reading) {
+    return { flag: 'decrease', note: `Lower than the previous reading of ${last.reading} on ${last.reading_date}.` };
+  }
+  const historyDays = daysBetween(meter.installed_on, last.reading_date);
+  const historyUnits = last.reading - meter.opening_reading;
+  if (historyDays >= 1 && historyUnits > 0) {
+    const average = historyUnits / historyDays;
+    const perDay = (reading - last.reading) / Math.max(1, daysBetween(last.reading_date, readingDate));
+    if (perDay > average * ABNORMAL_JUMP_FACTOR) {
+      return { flag: 'spike', note: `${round2(perDay)} units/day since ${last.reading_date}, against an average of ${round2(average)} units/day.` };
+    }
+  }
+  return { flag: null, note: null };
+}
+
+/**
+ * Bills a meter's closing reading: (closing - opening) units on the session's tariff, as an
+ * electric_bills entry on the meter's booking, or on the booking occupying its space, with a line per slab.
+ * @param {{get: Function, all: Function, run: Function}} db - The transaction.
+ * @param {Object} meter - From getMeter.
+ * @param {Object} closing - The closing meter_readings row.
+ * @param {number} sessionId - The event session ID.
+ * @returns {Promise<{billId: number, bookingId: number, units: number, total: number}>}
+ */
+async function billClosingReading(db, meter, closing, sessionId) {
+  let bookingId = meter.booking_id;
+  if (!bookingId) {
+    const occupant = await db.get(`
+      SELECT b.id FROM bookings b JOIN booking_spaces bs ON bs.booking_id = b.id
+      WHERE bs.space_id = ? AND b.event_session_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL}
+      ORDER BY b.id DESC LIMIT 1
+    `, [meter.space_id, sessionId]);
+    if (!occupant) throw new Error(`No booking occupies ${meter.space_name}, so meter ${meter.meter_number} cannot be billed. Link the meter to a booking.`);
+    bookingId = occupant.id;
+  }
+
+  const units = round2(closing.reading - meter.opening_reading);
+  if (units < 0) throw new Error(`The closing reading ${closing.reading} is below the opening reading ${meter.opening_reading}.`);
+  const { items, total } = priceConsumption(await getTariffSlabs(sessionId, db), units, meter.meter_number);
+
+  const bill = await db.run(
+    `INSERT INTO electric_bills (sl_no, booking_id, bill_date, total_amount, remarks, event_session_id)
+     VALUES (?, ?, datetime('now'), ?, ?, ?)`,
+    [`MTR-${meter.meter_number}`, bookingId, total, `Metered: ${meter.opening_reading} to ${closing.reading} = ${units} units`, sessionId]
+  );
+  await saveBillItems(db, bill.lastID, items.map(item => ({
+    itemId: null, meterId: meter.id, name: item.name, quantity: item.quantity,
+    serviceCharge: item.service_charge, fittingCharge: item.fitting_charge, amount: item.total
+  })));
+  await db.run('UPDATE meter_readings SET electric_bill_id = ? WHERE id = ?', [bill.lastID, closing.id]);
+  await syncStoredDue(bookingId, db);
+  return { billId: bill.lastID, bookingId, units, total };
+}
+
+/**
+ * Records a reading. A closing reading closes the meter and, unless it is flagged, bills it straight
+ * away; a flagged closing reading is billed when an admin reviews it.
+ * @param {{get: Function, all: Function, run: Function}} db - The transaction.
+ * @param {{meterId: number, sessionId: number, readingDate: string, reading: string|number, readingType: string, photoPath?: string, userId: number}} entry
+ * @returns {Promise<{meter: Object, flag: string|null, note: string|null, bill: Object|null}>}
+ */
+async function recordReading(db, { meterId, sessionId, readingDate, reading, readingType, photoPath, userId }) {
+  const meter = await getMeter(meterId, sessionId, db);
+  if (!meter) throw new Error('Meter not found.');
+  if (meter.status !== 'active') throw new Error(`Meter ${meter.meter_number} is closed. Remove its closing reading to enter more.`);
+  const value = parseFloat(reading);
+  if (isNaN(value) || value < 0) throw new Error('The reading must be zero or more.');
+  if (!READING_TYPES[readingType]) throw new Error('Choose whether this is a daily or closing reading.');
+  if (!readingDate || readingDate < meter.installed_on) throw new Error(`The reading date cannot be before the meter was installed on ${meter.installed_on}.`);
+  const last = meter.readings[meter.readings.length - 1];
+  if (last && readingDate < last.reading_date) throw new Error(`The meter already has a reading on ${last.reading_date}; enter readings in date order.`);
+
+  const { flag, note } = assessReading(meter, value, readingDate);
+  const result = await db.run(
+    `INSERT INTO meter_readings (meter_id, reading_date, reading, reading_type, photo_path, flag, flag_note, user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [meter.id, readingDate, value, readingType, photoPath || null, flag, note, userId]
+  );
+
+  let bill = null;
+  if (readingType === 'closing') {
+    await db.run("UPDATE electric_meters SET status = 'closed' WHERE id = ?", [meter.id]);
+    if (!flag) {
+      bill = await billClosingReading(db, meter, { id: result.lastID, reading: value }, sessionId);
+    }
+  }
+  return { meter, flag, note, bill };
+}
+
+/**
+ * Marks a flagged reading as checked. Reviewing a closing reading that has no bill yet bills it.
+ * Also bills an unflagged closing reading whose bill was deleted.
+ * @param {{get: Function, all: Function, run: Function}} db - The transaction.
+ * @param {number} readingId
+ * @param {number} sessionId - The event session the meter must belong to.
+ * @param {number} userId - The reviewing admin.
+ * @returns {Promise<{reading: Object, meter: Object, bill: Object|null}>}
+ */
+async function reviewReading(db, readingId, sessionId, userId) {
+  const reading = await db.get(`
+    SELECT r.* FROM meter_readings r JOIN electric_meters m ON r.meter_id = m.id
+    WHERE r.id = ? AND m.event_session_id = ?
+  `, [readingId, sessionId]);
+  if (!reading) throw new Error('Reading not found.');
+  const needsBill = reading.reading_type === 'closing' && !reading.electric_bill_id;
+  if ((!reading.flag || reading.reviewed_at) && !needsBill) throw new Error('This reading has nothing to review.');
+
+  if (reading.flag && !reading.reviewed_at) {
+    await db.run('UPDATE meter_readings SET reviewed_by_user_id = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?', [userId, reading.id]);
+  }
+  const meter = await getMeter(reading.meter_id, sessionId, db);
+  const bill = needsBill ? await billClosingReading(db, meter, reading, sessionId) : null;
+  return { reading, meter, bill };
+}
+
+/**
+ * Removes a reading entered by mistake. Billed readings cannot be removed until their bill is deleted;
+ * removing a closing reading reopens the meter.
+ * @param {{get: Function, all: Function, run: Function}} db - The transaction.
+ * @param {number} readingId
+ * @param {number} sessionId - The event session the meter must belong to.
+ * @returns {Promise<Object>} The removed reading, with meter_number.
+ */
+async function deleteReading(db, readingId, sessionId) {
+  const reading = await db.get(`
+    SELECT r.*, m.meter_number FROM meter_readings r JOIN electric_meters m ON r.meter_id = m.id
+    WHERE r.id = ? AND m.event_session_id = ?
+  `, [readingId, sessionId]);
+  if (!reading) throw new Error('Reading not found.');
+  if (reading.electric_bill_id) throw new Error(`This reading is billed on electric bill #${reading.electric_bill_id}. Delete that bill first.`);
+  await db.run('DELETE FROM meter_readings WHERE id = ?', [reading.id]);
+  if (reading.reading_type === 'closing') {
+    await db.run("UPDATE electric_meters SET status = 'active' WHERE id = ?", [reading.meter_id]);
+  }
+  return reading;
+}
+
+module.exports = {
+  READING_TYPES,
+  READING_FLAGS,
+  ABNORMAL_JUMP_FACTOR,
+  getTariffSlabs,
+  addTariffSlab,
+  deleteTariffSlab,
+  copyPreviousTariff,
+  priceConsumption,
+  listMeters,
+  getMeter,
+  addMeter,
+  recordReading,
+  reviewReading,
+  deleteReading,
+};
@@ -0,0 +1,427 @@
+//payment-helpers.js
+
+const { all, get } = require('./db-helpers');
+const { getBookingBalance, syncStoredDue } = require('./balance-helpers');
+
+// Charge heads a payment can be allocated to, with their display labels.
+const CHARGE_HEADS = {
+  rent: 'Rent',
+  electric: 'Electric',
+  material: 'Material',
+  shed: 'Shed'
+};
+
+// Per-head totals kept on the payments row, so existing SUM(rent_paid)-style reports stay correct.
+const HEAD_COLUMNS = {
+  rent: 'rent_paid',
+  electric: 'electric_paid',
+  material: 'material_paid',
+  shed: 'shed_paid'
+};
+
+// Ledger category for the income recorded against each head.
+const ACCOUNTING_CATEGORIES = {
+  rent: 'Rent Payment',
+  electric: 'Electric Bill Payment',
+  material: 'Material Issue Payment',
+  shed: 'Shed Rent Payment'
+};
+
+// Ledger category for the part of a head's payment that settles bounce charges put on that head.
+const BOUNCE_CHARGE_CATEGORY = 'Bounce Charge Payment';
+
+// Allocation target for the part of a payment kept as client credit rather than set against a charge.
+const CREDIT_HEAD = 'credit';
+const ALLOCATION_LABELS = { ...CHARGE_HEADS, [CREDIT_HEAD]: 'Client Credit' };
+
+// Kinds of client credit entry, with their display labels. Advances, overpayments and refunds held
+// add to the balance; applying credit to charges, paying it back or a bounced instrument draws on it.
+const CREDIT_ENTRY_TYPES = {
+  advance: 'Advance',
+  overpayment: 'Overpayment',
+  refund_pending: 'Refund Held',
+  applied: 'Applied to Charges',
+  refunded: 'Paid Back',
+  bounced: 'Instrument Bounced'
+};
+
+// SQL for the advance taken when a booking (aliased b) was registered. It is held as client credit, not rent paid.
+const BOOKING_ADVANCE_SQL = "(SELECT COALESCE(SUM(ce.amount), 0) FROM client_credit_entries ce WHERE ce.booking_id = b.id AND ce.entry_type = 'advance' AND ce.payment_id IS NULL)";
+
+// Payment mode of payments made out of client credit. They carry no cash or UPI.
+const CREDIT_PAYMENT_MODE = 'Client Credit';
+
+// Ledger categories for money moving in and out of client credit.
+const CREDIT_CATEGORIES = {
+  received: 'Client Credit',
+  applied: 'Client Credit Applied',
+  refunded: 'Client Credit Refund',
+  bounced: 'Client Credit Bounced'
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Works out what a booking still owes on each head, and since when, from the balance service.
+ * @param {number|string} bookingId - The booking ID.
+ * @returns {Promise<Object<string, {due: number, since: string|null}>|null>} Dues keyed by head, or null if the booking does not exist.
+ */
+async function getBookingDues(bookingId) {
+  const balance = await getBookingBalance(bookingId);
+  if (!balance) return null;
+  return Object.fromEntries(Object.keys(CHARGE_HEADS).map(head => [head, { due: balance[head].due, since: balance[head].since }]));
+}
+
+/**
+ * Splits an amount across the heads that are owed, oldest due first. Anything over the total due
+ * is kept as client credit.
+ * @param {number} amount - The amount received.
+ * @param {Object<string, {due: number, since: string|null}>} dues - As returned by getBookingDues.
+ * @returns {Array<{head: string, amount: number}>}
+ */
+function autoAllocate(amount, dues) {
+  const owed = Object.entries(dues)
+    .filter(([, d]) => d.due > 0.005)
+    .sort(([, a], [, b]) => String(a.since || '9999').localeCompare(String(b.since || '9999')));
+  const lines = [];
+  let left = round2(amount);
+  for (const [head, d] of owed) {
+    if (left <= 0) break;
+    const share = round2(Math.min(left, d.due));
+    lines.push({ head, amount: share });
+    left = round2(left - share);
+  }
+  if (left > 0.005) {
+    lines.push({ head: CREDIT_HEAD, amount: left });
+  }
+  return lines;
+}
+
+/**
+ * Reads manually entered allocation amounts (alloc_rent, alloc_electric, ..., alloc_credit) from a form body.
+ * @param {Object} body - The request body.
+ * @param {number} total - The payment total the lines must add up to.
+ * @returns {Array<{head: string, amount: number}>}
+ * @throws {Error} With a user-facing message if an amount is invalid or the lines do not add up to the total.
+ */
+function parseAllocation(body, total) {
+  const lines = [];
+  for (const head of Object.keys(ALLOCATION_LABELS)) {
+    const amount = parseFloat(body[`alloc_${head}`]) || 0;
+    if (amount < 0) throw new Error(`${ALLOCATION_LABELS[head]} allocation cannot be negative.`);
+    if (amount > 0) lines.push({ head, amount: round2(amount) });
+  }
+  const allocated = round2(lines.reduce((sum, l) => sum + l.amount, 0));
+  if (Math.abs(allocated - round2(total)) > 0.005) {
+    throw new Error(`The allocation adds up to ₹${allocated.toFixed(2)} but the payment is ₹${total.toFixed(2)}.`);
+  }
+  return lines;
+}
+
+/**
+ * Works out a client's credit balance.
+ * @param {number|string} clientId - The client ID.
+ * @param {{get: Function}} [db] - The transaction to read in, if any.
+ * @returns {Promise<number>}
+ */
+async function getCreditBalance(clientId, db = { get }) {
+  const row = await db.get('SELECT COALESCE(SUM(amount), 0) AS balance FROM client_credit_entries WHERE client_id = ?', [clientId]);
+  return round2(row.balance);
+}
+
+/**
+ * Loads a client's credit entries across all sessions, oldest first.
+ * @param {number|string} clientId - The client ID.
+ * @returns {Promise<Array<Object>>} The entries, with the booking's exhibitor name and session name.
+ */
+async function getCreditEntries(clientId) {
+  const entries = await all(`
+    SELECT ce.*, b.exhibitor_name, es.name AS session_name
+    FROM client_credit_entries ce
+    LEFT JOIN bookings b ON ce.booking_id = b.id
+    LEFT JOIN event_sessions es ON ce.event_session_id = es.id
+    WHERE ce.client_id = ?
+    ORDER BY ce.entry_date, ce.id
+  `, [clientId]);
+  entries.forEach(e => { e.type_label = CREDIT_ENTRY_TYPES[e.entry_type] || e.entry_type; });
+  return entries;
+}
+
+/**
+ * Records a movement of client credit with its entry in the accounting ledger. Money coming into
+ * credit is income; credit applied to charges or paid back is expenditure. Credit taken back because
+ * the instrument it came from bounced may leave the balance below zero, as the client then owes it.
+ * Must run inside the caller's transaction.
+ * @param {{run: Function, get: Function}} db - The transaction.
+ * @param {Object} entry
+ * @param {number} entry.clientId
+ * @param {number|null} entry.bookingId
+ * @param {number} entry.sessionId
+ * @param {string} entry.type - One of CREDIT_ENTRY_TYPES.
+ * @param {number} entry.amount - Positive to add to the balance, negative to draw on it.
+ * @param {number|null} [entry.paymentId] - The payment the credit came from or was applied through.
+ * @param {string} entry.description
+ * @param {string} entry.date - The entry date (YYYY-MM-DD).
+ * @param {number} entry.userId
+ * @throws {Error} With a user-facing message if the client does not have enough credit.
+ */
+async function recordCreditEntry(db, { clientId, bookingId, sessionId, type, amount, paymentId = null, description, date, userId }) {
+  if (!clientId) throw new Error('This booking is not linked to a client, so it cannot hold credit.');
+  if (amount < 0 && type !== 'bounced') {
+    const balance = await getCreditBalance(clientId, db);
+    if (balance + amount < -0.005) {
+      throw new Error(`The client only has ₹${balance.toFixed(2)} of credit.`);
+    }
+  }
+  const category = amount > 0 ? CREDIT_CATEGORIES.received : CREDIT_CATEGORIES[type];
+  const { lastID } = await db.run(
+    'INSERT INTO accounting_transactions (transaction_type, category, description, amount, transaction_date, user_id, event_session_id, booking_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [amount > 0 ? 'income' : 'expenditure', category, description, Math.abs(amount), date, userId, sessionId, bookingId]
+  );
+  await db.run(
+    'INSERT INTO client_credit_entries (client_id, booking_id, event_session_id, entry_type, amount, payment_id, accounting_transaction_id, description, entry_date, user_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [clientId, bookingId, sessionId, type, round2(amount), paymentId, lastID, description, date, userId]
+  );
+}
+
+/**
+ * Removes the credit entries a payment made, and their ledger entries.
+ * Must run inside the caller's transaction.
+ * @param {{run: Function, get: Function}} db - The transaction.
+ * @param {number} paymentId - The payment.
+ * @param {Array<string>} [types] - Only remove entries of these types.
+ * @throws {Error} With a user-facing message if the credit has already been used.
+ */
+async function removePaymentCredit(db, paymentId, types = Object.keys(CREDIT_ENTRY_TYPES)) {
+  const typeSql = types.map(() => '?').join(', ');
+  const entry = await db.get(`SELECT client_id, SUM(amount) AS total FROM client_credit_entries WHERE payment_id = ? AND entry_type IN (${typeSql})`, [paymentId, ...types]);
+  if (!entry.client_id) return;
+  const balance = await getCreditBalance(entry.client_id, db);
+  if (balance - entry.total < Math.min(0, balance) - 0.005) {
+    throw new Error('The credit from this payment has already been used, so the payment cannot be deleted.');
+  }
+  await deletePaymentCredit(db, paymentId, types);
+}
+
+// Deletes a payment's credit entries of the given types with their ledger entries, without checking the balance.
+async function deletePaymentCredit(db, paymentId, types) {
+  const typeSql = types.map(() => '?').join(', ');
+  await db.run(`DELETE FROM accounting_transactions WHERE id IN (SELECT accounting_transaction_id FROM client_credit_entries WHERE payment_id = ? AND entry_type IN (${typeSql}))`, [paymentId, ...types]);
+  await db.run(`DELETE FROM client_credit_entries WHERE payment_id = ? AND entry_type IN (${typeSql})`, [paymentId, ...types]);
+}
+
+// What is still owed of the bounce charges put on a booking's head, net of what earlier payments
+// settled and of any such settlement since reversed.
+async function unpaidBounceCharge(db, bookingId, head) {
+  const row = await db.get(`
+    SELECT
+      (SELECT COALESCE(SUM(bounce_charge), 0) FROM payments
+       WHERE booking_id = ? AND clearance_status = 'bounced' AND bounce_charge_head = ?) -
+      (SELECT COALESCE(SUM(CASE WHEN at.transaction_type = 'income' THEN at.amount ELSE -at.amount END), 0)
+       FROM accounting_transactions at
+       JOIN payment_allocations pa ON at.payment_allocation_id = pa.id
+       JOIN payments p ON pa.payment_id = p.id
+       WHERE p.booking_id = ? AND pa.charge_head = ? AND at.category = ?) AS amount
+  `, [bookingId, head, bookingId, head, BOUNCE_CHARGE_CATEGORY]);
+  return round2(Math.max(0, row.amount));
+}
+
+/**
+ * Stores a payment's allocation lines, replacing any it had. Keeps the per-head columns on the
+ * payments row in step and records one income entry per line in the accounting ledger; the part of
+ * a line that settles bounce charges on its head is entered under the bounce charge category. A credit
+ * line is added to the client's credit instead: as an advance if it is the whole payment, otherwise
+ * as an overpayment. Must run inside the caller's transaction.
+ * @param {{run: Function, get: Function}} db - The transaction.
+ * @param {Object} payment - The payments row (id, booking_id, payment_date, event_session_id).
+ * @param {Array<{head: string, amount: number}>} lines - The allocation.
+ * @param {number} userId - The user recording the payment, for the ledger.
+ * @throws {Error} With a user-facing message if credit the payment made before has already been used.
+ */
+async function savePaymentAllocations(db, payment, lines, userId) {
+  const booking = await db.get('SELECT exhibitor_name, client_id FROM bookings WHERE id = ?', [payment.booking_id]);
+  const creditBefore = booking.client_id ? await getCreditBalance(booking.client_id, db) : 0;
+
+  await db.run('DELETE FROM accounting_transactions WHERE payment_id = ? OR payment_allocation_id IN (SELECT id FROM payment_allocations WHERE payment_id = ?)', [payment.id, payment.id]);
+  await db.run('DELETE FROM payment_allocations WHERE payment_id = ?', [payment.id]);
+  await deletePaymentCredit(db, payment.id, ['advance', 'overpayment']);
+
+  const columns = { rent_paid: 0, electric_paid: 0, material_paid: 0, shed_paid: 0 };
+  for (const line of lines) {
+    if (line.head === CREDIT_HEAD) {
+      await recordCreditEntry(db, {
+        clientId: booking.client_id,
+        bookingId: payment.booking_id,
+        sessionId: payment.event_session_id,
+        type: lines.length === 1 ? 'advance' : 'overpayment',
+        amount: line.amount,
+        paymentId: payment.id,
+        description: `${lines.length === 1 ? 'Advance' : 'Overpayment'} from ${booking.exhibitor_name}`,
+        date: payment.payment_date,
+        userId
+      });
+      continue;
+    }
+    columns[HEAD_COLUMNS[line.head]] += line.amount;
+    const { lastID } = await db.run('INSERT INTO payment_allocations (payment_id, charge_head, amount) VALUES (?, ?, ?)', [payment.id, line.head, line.amount]);
+    const bounceShare = Math.min(line.amount, await unpaidBounceCharge(db, payment.booking_id, line.head));
+    const ledgerLines = [[BOUNCE_CHARGE_CATEGORY, bounceShare], [ACCOUNTING_CATEGORIES[line.head], round2(line.amount - bounceShare)]];
+    for (const [category, amount] of ledgerLines.filter(([, amount]) => amount > 0.005)) {
+      await db.run(
+        'INSERT INTO accounting_transactions (payment_allocation_id, transaction_type, category, description, amount, transaction_date, user_id, event_session_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [lastID, 'income', category, `Payment from ${booking.exhibitor_name}`, amount, payment.payment_date, userId, payment.event_session_id]
+      );
+    }
+  }
+  await db.run(
+    'UPDATE payments SET rent_paid = ?, electric_paid = ?, material_paid = ?, shed_paid = ? WHERE id = ?',
+    [columns.rent_paid, columns.electric_paid, columns.material_paid, columns.shed_paid, payment.id]
+  );
+  // A balance already below zero from a bounced instrument may stay there, but must not fall further.
+  if (booking.client_id && await getCreditBalance(booking.client_id, db) < Math.min(0, creditBefore) - 0.005) {
+    throw new Error('The credit from this payment has already been used, so its credit cannot be reduced by that much.');
+  }
+}
+
+/**
+ * Reverses a payment whose money never arrived. Its allocation lines are kept for the record, each of
+ * their ledger entries is matched by an expenditure entry, the per-head columns are zeroed so the dues
+ * are owed again, and any credit it added is taken back, even if that leaves the client owing.
+ * Must run inside the caller's transaction.
+ * @param {{run: Function, get: Function, all: Function}} db - The transaction.
+ * @param {Object} payment - The payments row (id, booking_id, event_session_id).
+ * @param {{date: string, description: string, userId: number}} reversal - The date and description of the reversing entries.
+ * @returns {Promise<{credit: number, owed: number}>} The credit taken back, and how much of the client's credit is now owed.
+ */
+async function reversePayment(db, payment, { date, description, userId }) {
+  const entries = await db.all(`
+    SELECT at.payment_allocation_id, at.category, at.amount
+    FROM accounting_transactions at
+    JOIN payment_allocations pa ON at.payment_allocation_id = pa.id
+    WHERE pa.payment_id = ? AND at.transaction_type = 'income'
+    ORDER BY at.id
+  `, [payment.id]);
+  for (const entry of entries) {
+    await db.run(
+      'INSERT INTO accounting_transactions (payment_allocation_id, transaction_type, category, description, amount, transaction_date, user_id, event_session_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [entry.payment_allocation_id, 'expenditure', entry.category, description, entry.amount, date, userId, payment.event_session_id]
+    );
+  }
+  await db.run('UPDATE payments SET rent_paid = 0, electric_paid = 0, material_paid = 0, shed_paid = 0 WHERE id = ?', [payment.id]);
+
+  const added = await db.get("SELECT client_id, SUM(amount) AS amount FROM client_credit_entries WHERE payment_id = ? AND entry_type IN ('advance', 'overpayment')", [payment.id]);
+  if (!(added.amount > 0.005)) return { credit: 0, owed: 0 };
+  await recordCreditEntry(db, {
+    clientId: added.client_id,
+    bookingId: payment.booking_id,
+    sessionId: payment.event_session_id,
+    type: 'bounced',
+    amount: -round2(added.amount),
+    paymentId: payment.id,
+    description,
+    date,
+    userId
+  });
+  const balance = await getCreditBalance(added.client_id, db);
+  return { credit: round2(added.amount), owed: balance < 0 ? -balance : 0 };
+}
+
+/**
+ * Pays a booking's charges out of its client's credit. Records a payment in the client credit mode
+ * carrying the allocation, and draws its total from the credit. Must run inside the caller's transaction.
+ * @param {{run: Function, get: Function}} db - The transaction.
+ * @param {Object} booking - The bookings row (id, client_id, exhibitor_name, event_session_id).
+ * @param {Array<{head: string, amount: number}>} lines - The charge heads to apply the credit to.
+ * @param {{paymentDate: string, remarks: string|null, receipt: {seriesId: number, seq: number, receiptNumber: string}}} details -
+ *   The payment date (YYYY-MM-DD), remarks stored on the payment and the number taken from the credit series.
+ * @param {number} userId - The user applying the credit.
+ * @returns {Promise<number>} The new payment's ID.
+ * @throws {Error} With a user-facing message if the allocation includes credit or the client does not have enough.
+ */
+async function applyClientCredit(db, booking, lines, { paymentDate, remarks, receipt }, userId) {
+  if (lines.some(l => l.head === CREDIT_HEAD)) {
+    throw new Error('Client credit can only be applied to charges.');
+  }
+  const total = round2(lines.reduce((sum, l) => sum + l.amount, 0));
+  if (total <= 0) {
+    throw new Error('Amount to apply must be greater than zero.');
+  }
+
+  const { lastID: paymentId } = await db.run(
+    'INSERT INTO payments (booking_id, receipt_number, receipt_series_id, receipt_seq, payment_date, payment_mode, cash_paid, upi_paid, event_session_id, remarks) VALUES (?, ?, ?, ?, ?, ?, 0, 0, ?, ?)',
+    [booking.id, receipt.receiptNumber, receipt.seriesId, receipt.seq, paymentDate, CREDIT_PAYMENT_MODE, booking.event_session_id, remarks || null]
+  );
+  await recordCreditEntry(db, {
+    clientId: booking.client_id,
+    bookingId: booking.id,
+    sessionId: booking.event_session_id,
+    type: 'applied',
+    amount: -total,
+    paymentId,
+    description: `Credit applied to ${describeAllocation(lines)} for ${booking.exhibitor_name}`,
+    date: paymentDate,
+    userId
+  });
+  await savePaymentAllocations(db, { id: paymentId, booking_id: booking.id, payment_date: paymentDate, event_session_id: booking.event_session_id }, lines, userId);
+  await syncStoredDue(booking.id, db);
+  return paymentId;
+}
+
+/**
+ * Loads the allocation lines of several payments, including any part kept as client credit. A cheque
+ * or transfer that is pending clearance, or bounced before clearing, shows the allocation it was received with.
+ * @param {Array<number>} paymentIds
+ * @returns {Promise<Map<number, Array<{head: string, label: string, amount: number}>>>} Lines keyed by payment ID.
+ */
+async function getPaymentAllocations(paymentIds) {
+  const byPayment = new Map(paymentIds.map(id => [id, []]));
+  if (paymentIds.length === 0) return byPayment;
+  const placeholders = paymentIds.map(() => '?').join(',');
+  const [rows, creditRows, pendingRows] = await Promise.all([
+    all(`SELECT payment_id, charge_head, amount FROM payment_allocations WHERE payment_id IN (${placeholders}) ORDER BY id`, paymentIds),
+    all(`SELECT payment_id, SUM(amount) AS amount FROM client_credit_entries WHERE payment_id IN (${placeholders}) AND entry_type IN ('advance', 'overpayment') GROUP BY payment_id`, paymentIds),
+    all(`SELECT id, pending_allocation FROM payments WHERE id IN (${placeholders}) AND pending_allocation IS NOT NULL`, paymentIds)
+  ]);
+  rows.forEach(r => byPayment.get(r.payment_id).push({ head: r.charge_head, label: CHARGE_HEADS[r.charge_head], amount: r.amount }));
+  creditRows.forEach(r => byPayment.get(r.payment_id).push({ head: CREDIT_HEAD, label: ALLOCATION_LABELS[CREDIT_HEAD], amount: r.amount }));
+  pendingRows.forEach(r => {
+    JSON.parse(r.pending_allocation).forEach(l => byPayment.get(r.id).push({ head: l.head, label: ALLOCATION_LABELS[l.head], amount: l.amount }));
+  });
+  return byPayment;
+}
+
+/**
+ * Describes an allocation for display, e.g. "Rent" or "Rent ₹5000.00, Electric ₹800.00".
+ * @param {Array<{head: string, amount: number}>} lines
+ * @returns {string}
+ */
+function describeAllocation(lines) {
+  if (lines.length === 0) return 'Unknown';
+  if (lines.length === 1) return ALLOCATION_LABELS[lines[0].head];
+  return lines.map(l => `${ALLOCATION_LABELS[l.head]} ₹${l.amount.toFixed(2)}`).join(', ');
+}
+
+module.exports = {
+  CHARGE_HEADS,
+  HEAD_COLUMNS,
+  ACCOUNTING_CATEGORIES,
+  BOUNCE_CHARGE_CATEGORY,
+  CREDIT_HEAD,
+  ALLOCATION_LABELS,
+  CREDIT_ENTRY_TYPES,
+  BOOKING_ADVANCE_SQL,
+  CREDIT_PAYMENT_MODE,
+  CREDIT_CATEGORIES,
+  getBookingDues,
+  autoAllocate,
+  parseAllocation,
+  savePaymentAllocations,
+  reversePayment,
+  getPaymentAllocations,
+  describeAllocation,
+  getCreditBalance,
+  getCreditEntries,
+  recordCreditEntry,
+  removePaymentCredit,
+  applyClientCredit,
+};
@@ -0,0 +1,475 @@
+//pdf-helpers.js
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+const MM = 72 / 25.4;
+
+// Paper sizes documents can be rendered at, keyed by the ?size= value of the PDF endpoints.
+// 80mm thermal pages are as long as their content.
+const PAGE_SIZES = {
+  a4: { label: 'A4', size: 'A4', margin: 40, fontSize: 10, logoHeight: 60 },
+  a5: { label: 'A5', size: 'A5', margin: 28, fontSize: 9, logoHeight: 45 },
+  thermal: { label: '80mm Thermal', width: 80 * MM, margin: 4 * MM, fontSize: 8, logoHeight: 36 }
+};
+
+// Layouts for staff ID cards: one CR80 card per page, or ten to an A4 sheet for cutting.
+const ID_CARD_LAYOUTS = {
+  card: 'Card size (85.6 × 54 mm)',
+  a4: 'A4 sheet, 10 per page'
+};
+
+const CARD_WIDTH = 85.6 * MM;
+const CARD_HEIGHT = 54 * MM;
+
+// The standard PDF fonts have no rupee sign.
+const money = (n) => `Rs. ${(n || 0).toFixed(2)}`;
+
+/**
+ * Spells out a rupee amount the Indian way, e.g. 125050.5 gives "one lakh twenty five thousand and fifty rupees and fifty paise only".
+ * @param {number} amount
+ * @returns {string}
+ */
+function amountInWords(amount) {
+  const ones = ['', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+  const tens = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+  const twoDigits = (n) => (n < 20 ? ones[n] : `${tens[Math.floor(n / 10)]}${n % 10 ? ` ${ones[n % 10]}` : ''}`);
+  const words = (num) => {
+    if (num === 0) return 'zero';
+    const parts = [];
+    [[10000000, 'crore'], [100000, 'lakh'], [1000, 'thousand'], [100, 'hundred']].forEach(([unit, name]) => {
+      if (num >= unit) {
+        parts.push(`${unit === 10000000 ? words(Math.floor(num / unit)) : twoDigits(Math.floor(num / unit))} ${name}`);
+        num %= unit;
+      }
+    });
+    if (num > 0) parts.push(`${parts.length ? 'and ' : ''}${twoDigits(num)}`);
+    return parts.join(' ');
+  };
+  const rupees = Math.floor(amount || 0);
+  const paise = Math.round(((amount || 0) - rupees) * 100);
+  return `${words(rupees)} rupees${paise ? ` and ${words(paise)} paise` : ''} only`;
+}
+
+/**
+ * Formats a date as DD/MM/YYYY.
+ * @param {string} date
+ * @returns {string}
+ */
+function formatDate(date) {
+  return date ? new Date(date).toLocaleDateString('en-GB') : 'N/A';
+}
+
+/**
+ * Finds an uploaded image (a logo or staff photo) on disk. PDFs can only embed PNG and JPEG.
+ * @param {string|null} publicPath - The path under public/, e.g. "/uploads/logos/exhibition-logo.png".
+ * @returns {string|null} The file path, or null if there is no usable image.
+ */
+function imageFile(publicPath) {
+  if (!publicPath || !/\.(png|jpe?g)$/i.test(publicPath)) return null;
+  const file = path.join(__dirname, 'public', path.normalize(publicPath).replace(/^([/\\])+/, ''));
+  return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Draws one row of a table and moves below it, starting a new page first if it does not fit.
+ * @param {PDFDocument} doc
+ * @param {Array<string>} cells - The cell texts.
+ * @param {Array<{x: number, width: number, align?: string}>} columns - Where each column is.
+ * @param {Object} layout - The page layout, with breakPages.
+ * @param {{bold?: boolean, muted?: boolean}} [style]
+ */
+function drawRow(doc, cells, columns, layout, { bold = false, muted = false } = {}) {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(muted ? layout.fontSize - 1 : layout.fontSize).fillColor(muted ? '#555555' : '#000000');
+  const pad = 2;
+  const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell ?? ''), { width: columns[i].width - pad * 2 }))) + pad * 2;
+  if (layout.breakPages && doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+  const top = doc.y;
+  cells.forEach((cell, i) => {
+    doc.text(String(cell ?? ''), columns[i].x + pad, top + pad, { width: columns[i].width - pad * 2, align: columns[i].align || 'left' });
+  });
+  const left = columns[0].x;
+  const right = columns[columns.length - 1].x + columns[columns.length - 1].width;
+  doc.moveTo(left, top + height).lineTo(right, top + height).lineWidth(bold ? 0.8 : 0.3).strokeColor(bold ? '#000000' : '#999999').stroke();
+  doc.fillColor('#000000');
+  doc.x = left;
+  doc.y = top + height;
+}
+
+/**
+ * Draws a document on the current page, from the top margin down.
+ * @param {PDFDocument} doc
+ * @param {Object} document - What to print; see the *Document builders.
+ * @param {Object} layout - An entry of PAGE_SIZES, with breakPages.
+ * @param {Object} session - The event session, for the letterhead and logo.
+ * @returns {number} Where the document ends on the page.
+ */
+function drawDocument(doc, document, layout, session) {
+  const { margin, fontSize } = layout;
+  const left = margin;
+  const width = doc.page.width - margin * 2;
+  const thermal = !layout.size;
+  doc.x = left;
+  doc.y = margin;
+
+  // Letterhead
+  const logo = imageFile(session.logo_path);
+  if (logo) {
+    doc.image(logo, left, doc.y, { fit: [width, layout.logoHeight], align: 'center' });
+    doc.y += layout.logoHeight + 4;
+  }
+  const header = document.header || { name: session.name, lines: [[session.address, session.location].filter(Boolean).join(', ')] };
+  doc.font('Helvetica-Bold').fontSize(fontSize + 4).text(header.name || '', left, doc.y, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(fontSize);
+  header.lines.filter(Boolean).forEach(line => doc.text(line, { width, align: 'center' }));
+  doc.moveDown(0.3);
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(1.2).strokeColor('#000000').stroke();
+  doc.moveDown(0.6);
+
+  doc.font('Helvetica-Bold').fontSize(fontSize + 3).text(document.title, left, doc.y, { width, align: 'center', underline: true });
+  if (document.stamp) {
+    doc.moveDown(0.2).fillColor('#dc3545').fontSize(fontSize + 2).text(document.stamp, { width, align: 'center' }).fillColor('#000000');
+  }
+  doc.moveDown(0.6);
+
+  // Reference fields, two to a line on full pages
+  doc.font('Helvetica').fontSize(fontSize);
+  const perLine = thermal ? 1 : 2;
+  for (let i = 0; i < (document.fields || []).length; i += perLine) {
+    const top = doc.y;
+    let bottom = top;
+    document.fields.slice(i, i + perLine).forEach(([label, value], j) => {
+      doc.text(`${label}: ${value ?? ''}`, left + (width / perLine) * j, top, { width: width / perLine, align: j === 1 ? 'right' : 'left' });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.y = bottom;
+  }
+
+  if (document.party) {
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').text(`${document.party.heading}:`, left, doc.y, { width });
+    doc.font('Helvetica');
+    document.party.lines.filter(Boolean).forEach((line, i) => doc.font(i === 0 ? 'Helvetica-Bold' : 'Helvetica').text(line, left + 8, doc.y, { width: width - 8 }));
+  }
+
+  if (document.table) {
+    doc.moveDown(0.6);
+    let x = left;
+    const columns = document.table.columns.map(c => {
+      const column = { ...c, x, width: width * c.width };
+      x += column.width;
+      return column;
+    });
+    drawRow(doc, columns.map(c => c.label), columns, layout, { bold: true });
+    document.table.rows.forEach(row => {
+      const cells = Array.isArray(row) ? row : row.cells;
+      drawRow(doc, cells, columns, layout, { muted: !!row.muted });
+    });
+    (document.table.footer || []).forEach(row => drawRow(doc, row, columns, layout, { bold: true }));
+  }
+
+  if (document.notes && document.notes.length > 0) {
+    doc.moveDown(0.6);
+    doc.font('Helvetica').fontSize(fontSize);
+    document.notes.filter(Boolean).forEach(note => doc.text(note, left, doc.y, { width }));
+  }
+
+  if (document.signatory !== false) {
+    doc.moveDown(thermal ? 1.5 : 2);
+    doc.font('Helvetica').fontSize(fontSize).text(`For ${document.signatory || session.name}`, left, doc.y, { width, align: 'right' });
+    doc.moveDown(thermal ? 1.5 : 2.5);
+    doc.text('Authorised Signatory', { width, align: 'right' });
+  }
+  return doc.y;
+}
+
+/**
+ * Renders documents into one PDF and sends it. On A4 and A5 each document starts a new page and
+ * long ones run onto more pages; on 80mm thermal each document is one page cut to its length.
+ * @param {Object} res - The Express response.
+ * @param {string} fileName - The download file name.
+ * @param {Array<Object>} documents - What to print, from the *Document builders.
+ * @param {{size: string, session: Object}} options - A PAGE_SIZES key and the event session for the letterhead.
+ */
+function sendDocumentsPdf(res, fileName, documents, { size, session }) {
+  const layout = { ...(PAGE_SIZES[size] || PAGE_SIZES.a4) };
+  layout.breakPages = !!layout.size;
+
+  let pageSize = layout.size;
+  const thermalHeights = [];
+  if (!layout.size) {
+    // Draw each document on a very long scratch page to find how long its real page must be
+    documents.forEach(document => {
+      const scratch = new PDFDocument({ size: [layout.width, 5000], margin: layout.margin });
+      thermalHeights.push(drawDocument(scratch, document, layout, session) + layout.margin + 6);
+      scratch.end();
+    });
+    pageSize = [layout.width, thermalHeights[0]];
+  }
+
+  const doc = new PDFDocument({ size: pageSize, margin: layout.margin, autoFirstPage: false, info: { Title: fileName } });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+  doc.pipe(res);
+  documents.forEach((document, i) => {
+    doc.addPage(layout.size ? { size: layout.size, margin: layout.margin } : { size: [layout.width, thermalHeights[i]], margin: layout.margin });
+    drawDocument(doc, document, layout, session);
+  });
+  doc.end();
+}
+
+/**
+ * Draws one staff ID card with its top-left corner at (x, y).
+ * @param {PDFDocument} doc
+ * @param {Object} staff - The booking_staff row.
+ * @param {number} x
+ * @param {number} y
+ * @param {Object} session - The event session, for the card heading and logo.
+ */
+function drawIdCard(doc, staff, x, y, session) {
+  const headerHeight = 18;
+  doc.save();
+  doc.roundedRect(x, y, CARD_WIDTH, CARD_HEIGHT, 8).clip();
+  doc.rect(x, y, CARD_WIDTH, headerHeight).fill('#FF4500');
+  const logo = imageFile(session.logo_path);
+  if (logo) doc.image(logo, x + 4, y + 2, { fit: [headerHeight - 4, headerHeight - 4] });
+  doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(9)
+    .text((session.name || '').toUpperCase(), x + headerHeight, y + 5, { width: CARD_WIDTH - headerHeight * 2, align: 'center', lineBreak: false, ellipsis: true });
+
+  const photoSize = 25 * MM;
+  const photoX = x + 8;
+  const photoY = y + headerHeight + (CARD_HEIGHT - headerHeight - photoSize) / 2;
+  const photo = imageFile(staff.photo_path);
+  if (photo) {
+    doc.image(photo, photoX, photoY, { cover: [photoSize, photoSize], align: 'center', valign: 'center' });
+  } else {
+    doc.rect(photoX, photoY, photoSize, photoSize).fill('#EEEEEE');
+    doc.fillColor('#999999').font('Helvetica').fontSize(7).text('PHOTO', photoX, photoY + photoSize / 2 - 4, { width: photoSize, align: 'center' });
+  }
+  doc.rect(photoX, photoY, photoSize, photoSize).lineWidth(0.5).strokeColor('#DDDDDD').stroke();
+
+  const textX = photoX + photoSize + 8;
+  const textWidth = x + CARD_WIDTH - textX - 8;
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(11).text(staff.name, textX, photoY + 8, { width: textWidth });
+  const role = `${staff.role || 'N/A'} Staff`;
+  doc.font('Helvetica').fontSize(8);
+  const roleWidth = Math.min(doc.widthOfString(role) + 8, textWidth);
+  const roleY = doc.y + 4;
+  doc.roundedRect(textX, roleY, roleWidth, 13, 3).fill('#FFD700');
+  doc.fillColor('#000000').text(role, textX + 4, roleY + 3, { width: roleWidth - 8, lineBreak: false, ellipsis: true });
+  if (staff.phone) doc.fontSize(7).fillColor('#333333').text(staff.phone, textX, roleY + 18, { width: textWidth });
+  doc.restore();
+  doc.roundedRect(x, y, CARD_WIDTH, CARD_HEIGHT, 8).lineWidth(1.5).strokeColor('#000000').stroke();
+  doc.fillColor('#000000');
+}
+
+/**
+ * Renders staff ID cards into one PDF and sends it.
+ * @param {Object} res - The Express response.
+ * @param {string} fileName - The download file name.
+ * @param {Array<Object>} staff - The booking_staff rows.
+ * @param {{layout: string, session: Object}} options - An ID_CARD_LAYOUTS key and the event session.
+ */
+function sendIdCardsPdf(res, fileName, staff, { layout, session }) {
+  const doc = new PDFDocument({ autoFirstPage: false, margin: 0, info: { Title: fileName } });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+  doc.pipe(res);
+  if (layout === 'a4') {
+    const columns = 2;
+    const rows = 5;
+    const gap = 6 * MM;
+    const sheet = { width: 595.28, height: 841.89 };
+    const startX = (sheet.width - columns * CARD_WIDTH - (columns - 1) * gap) / 2;
+    const startY = (sheet.height - rows * CARD_HEIGHT - (rows - 1) * gap) / 2;
+    staff.forEach((person, i) => {
+      const slot = i % (columns * rows);
+      if (slot === 0) doc.addPage({ size: 'A4', margin: 0 });
+      drawIdCard(doc, person, startX + (slot % columns) * (CARD_WIDTH + gap), startY + Math.floor(slot / columns) * (CARD_HEIGHT + gap), session);
+    });
+  } else {
+    staff.forEach(person => {
+      doc.addPage({ size: [CARD_WIDTH, CARD_HEIGHT], margin: 0 });
+      drawIdCard(doc, person, 0, 0, session);
+    });
+  }
+  doc.end();
+}
+
+/**
+ * Describes a payment receipt for printing.
+ * @param {Object} payment - The payments row with exhibitor_name, facia_name, space_name and allocations.
+ * @returns {Object}
+ */
+function paymentReceiptDocument(payment) {
+  const amount = payment.allocations.reduce((sum, line) => sum + line.amount, 0);
+  const rows = [];
+  if (payment.payment_mode === 'Client Credit') rows.push(['Paid from Client Credit', amount.toFixed(2)]);
+  if (payment.cash_paid > 0) rows.push(['Cash Paid', payment.cash_paid.toFixed(2)]);
+  if (payment.upi_paid > 0) rows.push(['UPI/Digital Paid', payment.upi_paid.toFixed(2)]);
+  if (payment.clearance_status) {
+    rows.push([
+      `${payment.payment_mode} No. ${payment.instrument_number}${payment.instrument_bank ? `, ${payment.instrument_bank}` : ''}, dated ${formatDate(payment.instrument_date)}`,
+      payment.instrument_amount.toFixed(2)
+    ]);
+  }
+  payment.allocations.forEach(line => rows.push({ cells: [`   Towards ${line.label}`, line.amount.toFixed(2)], muted: true }));
+
+  const notes = [`Amount in words: ${amountInWords(amount)}.`, `Payment Mode: ${payment.payment_mode}`];
+  if (payment.upi_reference) notes.push(`UPI Reference: ${payment.upi_reference}`);
+  if (payment.receipt_series_label && payment.allocations.length > 1) {
+    notes.push(`One receipt number, from the ${payment.receipt_series_label} series, covers every head above.`);
+  }
+  if (payment.clearance_status === 'pending') notes.push(`Subject to realisation of the ${payment.payment_mode.toLowerCase()}.`);
+  if (payment.clearance_status === 'bounced') {
+    notes.push(`The ${payment.payment_mode.toLowerCase()} was returned unpaid on ${formatDate(payment.bounced_on)}. This receipt is not valid.`);
+  }
+  return {
+    title: 'PAYMENT RECEIPT',
+    stamp: payment.clearance_status === 'bounced' ? 'BOUNCED' : null,
+    fields: [['Receipt No', payment.receipt_number || payment.id], ['Date', formatDate(payment.payment_date)]],
+    party: { heading: 'Received from', lines: [payment.exhibitor_name, `Facia: ${payment.facia_name || 'N/A'}`, `Space: ${payment.space_name || 'N/A'}`] },
+    table: {
+      columns: [{ label: 'Description', width: 0.7 }, { label: 'Amount (Rs.)', width: 0.3, align: 'right' }],
+      rows,
+      footer: [['Total Paid', money(amount)]]
+    },
+    notes
+  };
+}
+
+/**
+ * Describes a booking's rent statement for printing.
+ * @param {Object} booking - The booking from getReceiptBooking.
+ * @returns {Object}
+ */
+function bookingStatementDocument(booking) {
+  const rows = booking.rentBreakdown.length > 0
+    ? booking.rentBreakdown.map(line => [line.label, `${line.amount < 0 ? '- ' : ''}${Math.abs(line.amount).toFixed(2)}`])
+    : [[`Rent for ${booking.space_name || 'N/A'} (${booking.space_size || 'N/A'})`, booking.rent_amount.toFixed(2)]];
+  if (booking.discount > 0) rows.push(['Discount', `- ${booking.discount.toFixed(2)}`]);
+  if (booking.rent.credited > 0) rows.push(['Credit Notes', `- ${booking.rent.credited.toFixed(2)}`]);
+  rows.push(['Rent Payments', `- ${booking.rent.paid.toFixed(2)}`]);
+  return {
+    title: 'BOOKING STATEMENT',
+    fields: [['Statement No', `#${booking.id}`], ['Date', formatDate(booking.booking_date)]],
+    party: { heading: 'To', lines: [`M/s ${booking.exhibitor_name}`, booking.client_address, `Contact: ${booking.contact_person || ''} (${booking.contact_number || ''})`] },
+    table: {
+      columns: [{ label: 'Description', width: 0.7 }, { label: 'Amount (Rs.)', width: 0.3, align: 'right' }],
+      rows,
+      footer: [['Balance Due', money(booking.rent.due)]]
+    },
+    notes: ['This is a computer-generated statement.']
+  };
+}
+
+/**
+ * Describes a booking's rent invoice for printing.
+ * @param {Object} booking - The booking from getInvoiceBooking.
+ * @returns {Object}
+ */
+function bookingInvoiceDocument(booking) {
+  const rows = booking.rentBreakdown.length > 0
+    ? [...booking.rentBreakdown.map(line => [line.label, `${line.amount < 0 ? '- ' : ''}${Math.abs(line.amount).toFixed(2)}`]), ['Rent', booking.rent_amount.toFixed(2)]]
+    : [['Base Rent', (booking.rent_amount || 0).toFixed(2)]];
+  rows.push(['Discount', `- ${(booking.discount || 0).toFixed(2)}`]);
+  return {
+    title: 'INVOICE',
+    fields: [['Invoice No', `#${booking.id}`], ['Date', formatDate(booking.booking_date)]],
+    party: {
+      heading: 'Exhibitor',
+      lines: [booking.client_name, `Contact: ${booking.contact || 'N/A'}`, `Space: ${booking.space_name || 'N/A'} (${booking.space_type || 'N/A'})`, `Facilities: ${booking.facilities || 'N/A'}`]
+    },
+    table: {
+      columns: [{ label: 'Description', width: 0.7 }, { label: 'Amount (Rs.)', width: 0.3, align: 'right' }],
+      rows,
+      footer: [['Total Amount', money(booking.total)]]
+    }
+  };
+}
+
+/**
+ * Describes a GST tax invoice for printing.
+ * @param {Object} invoice - The invoice from getTaxInvoice.
+ * @returns {Object}
+ */
+function taxInvoiceDocument(invoice) {
+  const taxes = invoice.supply_type === 'intra' ? ['cgst', 'sgst'] : ['igst'];
+  const taxWidth = taxes.length === 2 ? 0.16 : 0.22;
+  const descriptionWidth = taxes.length === 2 ? 0.30 : 0.40;
+  return {
+    header: { name: invoice.supplier_name, lines: [invoice.supplier_address, `GSTIN: ${invoice.supplier_gstin}`] },
+    title: 'TAX INVOICE',
+    stamp: invoice.status === 'cancelled' ? `CANCELLED on ${formatDate(invoice.cancelled_at)}: ${invoice.cancel_reason}` : null,
+    fields: [
+      ['Invoice No', invoice.invoice_number], ['Invoice Date', formatDate(invoice.invoice_date)],
+      ['Place of Supply', invoice.place_of_supply_label], ['Reverse Charge', 'No']
+    ],
+    party: { heading: 'Billed to', lines: [invoice.recipient_name, invoice.recipient_address, `GSTIN: ${invoice.recipient_gstin || 'Unregistered'}`] },
+    table: {
+      columns: [
+        { label: 'Description (HSN/SAC)', width: descriptionWidth },
+        { label: 'Taxable (Rs.)', width: 0.19, align: 'right' },
+        ...taxes.map(tax => ({ label: tax.toUpperCase(), width: taxWidth, align: 'right' })),
+        { label: 'Total (Rs.)', width: 0.19, align: 'right' }
+      ],
+      rows: invoice.lines.map(line => [
+        `${line.description}\n(${line.hsn_sac})`,
+        line.taxable_value.toFixed(2),
+        ...taxes.map(tax => `${line[`${tax}_amount`].toFixed(2)} @${line[`${tax}_rate`]}%`),
+        line.amount.toFixed(2)
+      ]),
+      footer: [['Total', invoice.taxable_value.toFixed(2), ...taxes.map(tax => invoice[`${tax}_amount`].toFixed(2)), invoice.total_amount.toFixed(2)]]
+    },
+    notes: [`Amount in words: ${amountInWords(invoice.total_amount)}.`, invoice.pricing_note],
+    signatory: invoice.supplier_name
+  };
+}
+
+/**
+ * Describes the slip for a settled ticket distribution, given to the staff member who handed in the takings.
+ * @param {Object} dist - The ticket_distributions row with staff_name, ride_name and ticket_rate.
+ * @returns {Object}
+ */
+function ticketSettlementDocument(dist) {
+  const collected = (dist.cash_amount || 0) + (dist.upi_amount || 0);
+  const difference = collected - dist.calculated_revenue;
+  const rows = [[`${dist.tickets_sold} tickets sold (${dist.distributed_start_number} - ${dist.returned_start_number - 1}) @ ${dist.ticket_rate.toFixed(2)}`, dist.calculated_revenue.toFixed(2)]];
+  if (dist.cash_amount > 0) rows.push({ cells: ['   Cash handed in', dist.cash_amount.toFixed(2)], muted: true });
+  if (dist.upi_amount > 0) rows.push({ cells: ['   UPI handed in', dist.upi_amount.toFixed(2)], muted: true });
+  const footer = [['Total Collected', money(collected)]];
+  if (difference !== 0) footer.push([difference < 0 ? 'Short' : 'Excess', money(Math.abs(difference))]);
+
+  const notes = [];
+  if (dist.upi_reference) notes.push(`UPI Reference: ${dist.upi_reference}`);
+  if (dist.returned_start_number <= dist.distributed_end_number) {
+    notes.push(`Tickets ${dist.returned_start_number} - ${dist.distributed_end_number} returned unsold.`);
+  }
+  return {
+    title: 'TICKET SETTLEMENT',
+    fields: [['Settlement No', `TS-${dist.id}`], ['Date', formatDate(dist.settlement_date)]],
+    party: { heading: 'Settled by', lines: [dist.staff_name, `Ride: ${dist.ride_name}`] },
+    table: {
+      columns: [{ label: 'Description', width: 0.7 }, { label: 'Amount (Rs.)', width: 0.3, align: 'right' }],
+      rows,
+      footer
+    },
+    notes
+  };
+}
+
+module.exports = {
+  PAGE_SIZES,
+  ID_CARD_LAYOUTS,
+  amountInWords,
+  sendDocumentsPdf,
+  sendIdCardsPdf,
+  paymentReceiptDocument,
+  bookingStatementDocument,
+  bookingInvoiceDocument,
+  taxInvoiceDocument,
+  ticketSettlementDocument,
+};
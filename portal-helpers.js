@@ -0,0 +1,64 @@
+//portal-helpers.js
+
+const crypto = require('crypto');
+const { get, run } = require('./db-helpers');
+
+// How long an unused portal login link stays valid.
+const PORTAL_TOKEN_TTL_HOURS = 72;
+
+// Booking fields an exhibitor may ask to correct from the portal, with their form labels.
+const PROFILE_FIELDS = {
+  exhibitor_name: 'Exhibitor Name',
+  facia_name: 'Facia Name',
+  product_category: 'Product Category',
+  contact_person: 'Contact Person',
+  contact_number: 'Contact Number',
+  secondary_number: 'Secondary Number',
+  full_address: 'Full Address'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issues a new one-time portal login token for a client. Earlier unused tokens are revoked,
+ * so only the most recently printed or emailed link works.
+ * @param {number} clientId - The client the token logs in as.
+ * @param {{id: number}} user - The staff user issuing the token.
+ * @returns {Promise<{token: string, expires_at: string}>} The raw token, which is not stored.
+ */
+async function createPortalToken(clientId, user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await run("UPDATE client_portal_tokens SET revoked_at = datetime('now', 'localtime') WHERE client_id = ? AND used_at IS NULL AND revoked_at IS NULL", [clientId]);
+  await run(
+    `INSERT INTO client_portal_tokens (client_id, token_hash, expires_at, created_by_user_id)
+     VALUES (?, ?, datetime('now', 'localtime', ?), ?)`,
+    [clientId, hashToken(token), `+${PORTAL_TOKEN_TTL_HOURS} hours`, user.id]
+  );
+  const { expires_at } = await get('SELECT expires_at FROM client_portal_tokens WHERE token_hash = ?', [hashToken(token)]);
+  return { token, expires_at };
+}
+
+/**
+ * Redeems a portal login token. A token works once, and only before it expires or is revoked.
+ * @param {string} token - The raw token from the login link.
+ * @returns {Promise<Object|null>} The clients row, or null if the token is not valid.
+ */
+async function consumePortalToken(token) {
+  const tokenHash = hashToken(String(token || ''));
+  const result = await run(`
+    UPDATE client_portal_tokens SET used_at = datetime('now', 'localtime')
+    WHERE token_hash = ? AND used_at IS NULL AND revoked_at IS NULL AND expires_at > datetime('now', 'localtime')
+  `, [tokenHash]);
+  if (result.changes === 0) {
+    return null;
+  }
+  const client = await get('SELECT c.* FROM clients c JOIN client_portal_tokens t ON t.client_id = c.id WHERE t.token_hash = ?', [tokenHash]);
+  return client || null;
+}
+
+module.exports = {
+  PORTAL_TOKEN_TTL_HOURS,
+  PROFILE_FIELDS,
+  createPortalToken,
+  consumePortalToken,
+};
@@ -0,0 +1,110 @@
+//pricing-helpers.js
+
+const { all, run } = require('./db-helpers');
+
+// Rule types supported by the pricing engine, with the label shown on invoices and receipts.
+const RULE_TYPES = {
+  early_bird: 'Early-Bird Discount',
+  corner_premium: 'Corner Premium',
+  bundle_discount: 'Multi-Space Bundle Discount',
+  category_surcharge: 'Category Surcharge'
+};
+
+// Rounds to paise so stored breakdown lines add up to the stored rent.
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Applies a percent or flat rule value to a base amount.
+ * @param {Object} rule - A pricing_rules row.
+ * @param {number} base - The amount a percentage is taken of.
+ * @returns {number}
+ */
+function ruleAmount(rule, base) {
+  return rule.value_type === 'flat' ? (rule.value || 0) : base * (rule.value || 0) / 100;
+}
+
+/**
+ * Computes the rent for a set of spaces from their session rents and the active
+ * pricing rules of the session. Premiums and discounts are all taken on the base
+ * rent, never on each other, so the order of the rules does not matter.
+ * @param {Object} booking - The booking row (booking_date, product_category).
+ * @param {Array<Object>} spaces - Spaces rows (id, name, type, rent_amount, is_corner), with rent_amount
+ *   already resolved to the session rent of the space.
+ * @param {number} sessionId - The event session whose rules apply.
+ * @param {{all: Function}} [db] - Query helpers, so the calculation can run inside a transaction.
+ * @returns {Promise<{total: number, lines: Array<{label: string, amount: number, rule_id?: number}>}>}
+ */
+async function calculateRent(booking, spaces, sessionId, db = { all }) {
+  const rules = await db.all('SELECT * FROM pricing_rules WHERE event_session_id = ? AND is_active = 1 ORDER BY id', [sessionId]);
+
+  const lines = spaces.map(space => ({ label: `Rent for ${space.name} (${space.type})`, amount: round2(space.rent_amount || 0) }));
+  const baseRent = lines.reduce((sum, line) => sum + line.amount, 0);
+  const bookingDate = (booking.booking_date || '').slice(0, 10);
+  const category = (booking.product_category || '').trim().toLowerCase();
+
+  for (const rule of rules) {
+    const label = rule.name || RULE_TYPES[rule.rule_type];
+    switch (rule.rule_type) {
+      case 'early_bird':
+        if (rule.valid_until && bookingDate && bookingDate <= rule.valid_until) {
+          lines.push({ label, amount: -round2(ruleAmount(rule, baseRent)), rule_id: rule.id });
+        }
+        break;
+      case 'corner_premium':
+        spaces.filter(space => space.is_corner).forEach(space => {
+          lines.push({ label: `${label} - ${space.name}`, amount: round2(ruleAmount(rule, space.rent_amount || 0)), rule_id: rule.id });
+        });
+        break;
+      case 'bundle_discount':
+        if (spaces.length >= (rule.min_spaces || 2)) {
+          lines.push({ label, amount: -round2(ruleAmount(rule, baseRent)), rule_id: rule.id });
+        }
+        break;
+      case 'category_surcharge':
+        if (category && (rule.product_category || '').trim().toLowerCase() === category) {
+          lines.push({ label, amount: round2(ruleAmount(rule, baseRent)), rule_id: rule.id });
+        }
+        break;
+    }
+  }
+
+  const total = round2(Math.max(0, lines.reduce((sum, line) => sum + line.amount, 0)));
+  return { total, lines };
+}
+
+/**
+ * Parses a stored rent breakdown. Bookings allocated before pricing rules have none.
+ * @param {string|null} json - The bookings.rent_breakdown_json value.
+ * @returns {Array<{label: string, amount: number}>}
+ */
+function parseRentBreakdown(json) {
+  try {
+    const lines = JSON.parse(json || '[]');
+    return Array.isArray(lines) ? lines : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Sets the rent of a space for one event session, replacing any earlier session rent.
+ * @param {number|string} spaceId - The space being priced.
+ * @param {number} sessionId - The event session the price applies to.
+ * @param {number} rentAmount - The rent for that session.
+ * @param {{run: Function}} [db] - Query helpers, so several prices can be set inside a transaction.
+ * @returns {Promise<Object>}
+ */
+function setSessionRent(spaceId, sessionId, rentAmount, db = { run }) {
+  return db.run(`
+    INSERT INTO space_session_rents (space_id, event_session_id, rent_amount, updated_at)
+    VALUES (?, ?, ?, datetime('now', 'localtime'))
+    ON CONFLICT(space_id, event_session_id) DO UPDATE SET rent_amount = excluded.rent_amount, updated_at = excluded.updated_at
+  `, [spaceId, sessionId, round2(rentAmount)]);
+}
+
+module.exports = {
+  RULE_TYPES,
+  calculateRent,
+  parseRentBreakdown,
+  setSessionRent,
+};
@@ -0,0 +1,360 @@
+//printer-helpers.js
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { get, run } = require('./db-helpers');
+
+// How the counter's receipt printer is reached. The file printer writes each job to a folder instead,
+// so receipts can be checked without a printer attached.
+const PRINTER_CONNECTIONS = {
+  network: 'Network (raw TCP, usually port 9100)',
+  usb: 'USB or shared printer device',
+  file: 'File (stand-in printer for testing)'
+};
+
+// Characters per line in the printer's standard font
+const PAPER_WIDTHS = {
+  48: '80mm (48 characters)',
+  42: '80mm, small font (42 characters)',
+  32: '58mm (32 characters)'
+};
+
+const PRINT_DOCUMENT_TYPES = {
+  payment: 'Payment receipt',
+  ticket_settlement: 'Ticket settlement'
+};
+
+const ESC = '\x1b';
+const GS = '\x1d';
+const COMMANDS = {
+  init: `${ESC}@`,
+  alignLeft: `${ESC}a\x00`,
+  alignCenter: `${ESC}a\x01`,
+  alignRight: `${ESC}a\x02`,
+  boldOn: `${ESC}E\x01`,
+  boldOff: `${ESC}E\x00`,
+  doubleSize: `${GS}!\x11`,
+  normalSize: `${GS}!\x00`,
+  feedAndCut: `${ESC}d\x04${GS}V\x42\x00`
+};
+
+const NETWORK_TIMEOUT_MS = 5000;
+
+/**
+ * Reduces text to what every receipt printer's default code page can print.
+ * @param {*} text
+ * @returns {string}
+ */
+function printable(text) {
+  return String(text ?? '')
+    .replace(/₹/g, 'Rs.')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\n\x20-\x7e]/g, '?');
+}
+
+/**
+ * Word-wraps text to a line width, keeping each paragraph's leading indent and breaking words that are too long.
+ * @param {*} text
+ * @param {number} width - Characters per line.
+ * @returns {Array<string>}
+ */
+function wrap(text, width) {
+  const lines = [];
+  printable(text).split('\n').forEach(paragraph => {
+    const indent = paragraph.match(/^ */)[0].slice(0, Math.max(width - 1, 0));
+    let line = indent;
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      if (line.trim() && line.length + 1 + word.length <= width) {
+        line += ` ${word}`;
+        return;
+      }
+      if (line.trim()) {
+        lines.push(line);
+        line = indent;
+      }
+      while (line.length + word.length > width) {
+        const room = width - line.length;
+        lines.push(line + word.slice(0, room));
+        word = word.slice(room);
+        line = indent;
+      }
+      line += word;
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+/**
+ * The ESC/POS commands that print a QR code (model 2, error correction M).
+ * @param {string} data
+ * @param {number} moduleSize - Dots per QR module, 1-16.
+ * @returns {string}
+ */
+function qrCode(data, moduleSize) {
+  const stored = printable(data);
+  const length = stored.length + 3;
+  return `${GS}(k\x04\x00\x31\x41\x32\x00`
+    + `${GS}(k\x03\x00\x31\x43${String.fromCharCode(moduleSize)}`
+    + `${GS}(k\x03\x00\x31\x45\x31`
+    + `${GS}(k${String.fromCharCode(length % 256, Math.floor(length / 256))}\x31\x50\x30${stored}`
+    + `${GS}(k\x03\x00\x31\x51\x30`;
+}
+
+/**
+ * Lays out one table row as fixed-width text lines.
+ * @param {Array<string>} cells
+ * @param {Array<{chars: number, align?: string}>} columns
+ * @returns {Array<string>}
+ */
+function tableLines(cells, columns) {
+  const wrapped = cells.map((cell, i) => wrap(cell, columns[i].chars - (i < columns.length - 1 ? 1 : 0)));
+  const height = Math.max(...wrapped.map(lines => lines.length));
+  const lines = [];
+  for (let row = 0; row < height; row++) {
+    lines.push(columns.map((column, i) => {
+      const text = wrapped[i][row] || '';
+      const width = column.chars - (i < columns.length - 1 ? 1 : 0);
+      const cell = column.align === 'right' ? text.padStart(width) : text.padEnd(width);
+      return i < columns.length - 1 ? `${cell} ` : cell;
+    }).join(''));
+  }
+  return lines;
+}
+
+/**
+ * Renders a document as an ESC/POS print job: letterhead, reference fields, the table, notes, a QR code
+ * and a cut. Uses the same document descriptions as the PDFs (see the *Document builders in pdf-helpers).
+ * @param {Object} document - What to print.
+ * @param {Object} session - The event session, for the letterhead.
+ * @param {{charsPerLine: number, qr?: string}} options - The paper width, and what to put in the QR code.
+ * @returns {Buffer}
+ */
+function escposDocument(document, session, { charsPerLine, qr }) {
+  const cols = charsPerLine;
+  const out = [COMMANDS.init, COMMANDS.alignCenter];
+  const text = (value, width = cols) => wrap(value, width).forEach(line => out.push(`${line}\n`));
+  const rule = (char) => out.push(`${char.repeat(cols)}\n`);
+
+  const header = document.header || { name: session.name, lines: [[session.address, session.location].filter(Boolean).join(', ')] };
+  out.push(COMMANDS.doubleSize, COMMANDS.boldOn);
+  text(header.name || '', Math.floor(cols / 2));
+  out.push(COMMANDS.normalSize, COMMANDS.boldOff);
+  header.lines.filter(Boolean).forEach(line => text(line));
+  rule('=');
+  out.push(COMMANDS.boldOn);
+  text(document.title);
+  if (document.stamp) {
+    out.push(COMMANDS.doubleSize);
+    text(document.stamp, Math.floor(cols / 2));
+    out.push(COMMANDS.normalSize);
+  }
+  out.push(COMMANDS.boldOff, COMMANDS.alignLeft, '\n');
+
+  (document.fields || []).forEach(([label, value]) => text(`${label}: ${value ?? ''}`));
+
+  if (document.party) {
+    out.push('\n', COMMANDS.boldOn);
+    text(`${document.party.heading}:`);
+    document.party.lines.filter(Boolean).forEach((line, i) => {
+      if (i === 1) out.push(COMMANDS.boldOff);
+      text(`  ${line}`);
+    });
+    out.push(COMMANDS.boldOff);
+  }
+
+  if (document.table) {
+    // Amount columns widen to fit their longest figure; the first column takes what is left
+    const bodyRows = [...document.table.rows.map(row => (Array.isArray(row) ? row : row.cells)), ...(document.table.footer || [])];
+    const columns = document.table.columns.map((c, i, list) => {
+      const gap = i < list.length - 1 ? 1 : 0;
+      const longest = c.align === 'right' ? Math.max(0, ...bodyRows.map(cells => printable(cells[i]).length)) : 0;
+      return { ...c, chars: Math.max(Math.floor(c.width * cols), longest + gap) };
+    });
+    columns[0].chars = cols - columns.slice(1).reduce((sum, c) => sum + c.chars, 0);
+    rule('-');
+    out.push(COMMANDS.boldOn, ...tableLines(columns.map(c => c.label), columns).map(line => `${line}\n`), COMMANDS.boldOff);
+    rule('-');
+    document.table.rows.forEach(row => {
+      tableLines(Array.isArray(row) ? row : row.cells, columns).forEach(line => out.push(`${line}\n`));
+    });
+    rule('-');
+    out.push(COMMANDS.boldOn);
+    (document.table.footer || []).forEach(row => tableLines(row, columns).forEach(line => out.push(`${line}\n`)));
+    out.push(COMMANDS.boldOff);
+  }
+
+  if (document.notes && document.notes.length > 0) {
+    out.push('\n');
+    document.notes.filter(Boolean).forEach(note => text(note));
+  }
+
+  if (qr) {
+    out.push('\n', COMMANDS.alignCenter, qrCode(qr, cols >= 42 ? 6 : 4), '\n');
+    text(qr);
+    out.push(COMMANDS.alignLeft);
+  }
+
+  if (document.signatory !== false) {
+    out.push('\n', COMMANDS.alignRight);
+    text(`For ${document.signatory || session.name}`);
+    out.push('\n\n');
+    text('Authorised Signatory');
+    out.push(COMMANDS.alignLeft);
+  }
+
+  out.push(COMMANDS.feedAndCut);
+  return Buffer.from(out.join(''), 'latin1');
+}
+
+/**
+ * Loads the receipt printer settings, creating the default (disabled) ones on first use.
+ * @returns {Promise<Object>} The printer_settings row.
+ */
+async function getPrinterSettings() {
+  await run('INSERT OR IGNORE INTO printer_settings (id) VALUES (1)');
+  return get('SELECT * FROM printer_settings WHERE id = 1');
+}
+
+/**
+ * Saves the receipt printer settings after checking that the chosen connection has what it needs.
+ * @param {{enabled: boolean, connection: string, host?: string, port?: string|number, devicePath?: string, outputDir?: string, charsPerLine: string|number}} settings
+ * @returns {Promise<Object>} The saved printer_settings row.
+ */
+async function updatePrinterSettings({ enabled, connection, host, port, devicePath, outputDir, charsPerLine }) {
+  if (!PRINTER_CONNECTIONS[connection]) throw new Error('Choose how the printer is connected.');
+  if (!PAPER_WIDTHS[charsPerLine]) throw new Error('Choose the paper width.');
+  const portNumber = parseInt(port, 10) || 9100;
+  if (portNumber < 1 || portNumber > 65535) throw new Error('The port must be between 1 and 65535.');
+  host = (host || '').trim();
+  devicePath = (devicePath || '').trim();
+  outputDir = (outputDir || '').trim() || 'printer-output';
+  if (connection === 'network' && !host) throw new Error("Enter the network printer's IP address or host name.");
+  if (connection === 'usb' && !devicePath) throw new Error("Enter the printer's device path.");
+
+  await getPrinterSettings();
+  await run(
+    `UPDATE printer_settings SET enabled = ?, connection = ?, host = ?, port = ?, device_path = ?, output_dir = ?, chars_per_line = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = 1`,
+    [enabled ? 1 : 0, connection, host || null, portNumber, devicePath || null, outputDir, parseInt(charsPerLine, 10)]
+  );
+  return getPrinterSettings();
+}
+
+/**
+ * Names the configured printer for messages and the print log, e.g. "network printer 192.168.1.50:9100".
+ * @param {Object} settings - The printer_settings row.
+ * @returns {string}
+ */
+function describePrinter(settings) {
+  if (settings.connection === 'network') return `network printer ${settings.host}:${settings.port}`;
+  if (settings.connection === 'usb') return `printer ${settings.device_path}`;
+  return `file printer (${settings.output_dir})`;
+}
+
+/**
+ * Sends a print job to the configured printer.
+ * @param {Object} settings - The printer_settings row.
+ * @param {Buffer} data - The ESC/POS job.
+ * @param {string} jobName - Names the file the file printer writes, e.g. "payment-12".
+ * @returns {Promise<string>} Where the job went.
+ */
+function sendToPrinter(settings, data, jobName) {
+  if (settings.connection === 'network') {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host: settings.host, port: settings.port });
+      socket.setTimeout(NETWORK_TIMEOUT_MS, () => socket.destroy(new Error(`The ${describePrinter(settings)} did not respond.`)));
+      socket.on('error', err => reject(new Error(`Could not print on the ${describePrinter(settings)}: ${err.message}`)));
+      socket.on('connect', () => socket.end(data));
+      socket.on('close', hadError => { if (!hadError) resolve(describePrinter(settings)); });
+    });
+  }
+  if (settings.connection === 'usb') {
+    return fs.promises.writeFile(settings.device_path, data)
+      .then(() => describePrinter(settings))
+      .catch(err => { throw new Error(`Could not print on the ${describePrinter(settings)}: ${err.message}`); });
+  }
+  const dir = path.resolve(__dirname, settings.output_dir);
+  const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${jobName.replace(/[^A-Za-z0-9-]+/g, '-')}.bin`);
+  return fs.promises.mkdir(dir, { recursive: true })
+    .then(() => fs.promises.writeFile(file, data))
+    .then(() => path.relative(__dirname, file));
+}
+
+/**
+ * Counts the copies of a document printed so far.
+ * @param {string} documentType - A PRINT_DOCUMENT_TYPES key.
+ * @param {number} documentId
+ * @returns {Promise<number>}
+ */
+async function getPrintCount(documentType, documentId) {
+  const row = await get('SELECT COUNT(*) AS count FROM receipt_prints WHERE document_type = ? AND document_id = ?', [documentType, documentId]);
+  return row.count;
+}
+
+/**
+ * Prints a document on the receipt printer. The first copy is the original; asking for it again prints
+ * straight away with a DUPLICATE COPY stamp. The copy number is claimed before printing and given back
+ * if the printer cannot be reached.
+ * @param {{documentType: string, documentId: number, document: Object, qr: string, session: Object, userId: number}} job
+ * @returns {Promise<{copyNumber: number, duplicate: boolean, printer: string}>}
+ */
+async function printDocument({ documentType, documentId, document, qr, session, userId }) {
+  const settings = await getPrinterSettings();
+  if (!settings.enabled) {
+    throw new Error('No receipt printer is set up. An admin can set one up under Settings > Receipt Printer.');
+  }
+
+  const claimed = await get(
+    `INSERT INTO receipt_prints (event_session_id, document_type, document_id, copy_number, printer, user_id)
+     SELECT ?, ?, ?, COALESCE(MAX(copy_number), 0) + 1, ?, ? FROM receipt_prints WHERE document_type = ? AND document_id = ?
+     RETURNING id, copy_number`,
+    [session.id, documentType, documentId, describePrinter(settings), userId, documentType, documentId]
+  );
+  const duplicate = claimed.copy_number > 1;
+  const stamped = duplicate ? { ...document, stamp: [document.stamp, 'DUPLICATE COPY'].filter(Boolean).join(' - ') } : document;
+
+  try {
+    const printer = await sendToPrinter(settings, escposDocument(stamped, session, { charsPerLine: settings.chars_per_line, qr }), `${documentType}-${documentId}`);
+    return { copyNumber: claimed.copy_number, duplicate, printer };
+  } catch (err) {
+    await run('DELETE FROM receipt_prints WHERE id = ?', [claimed.id]);
+    throw err;
+  }
+}
+
+/**
+ * Prints a short test slip with the current settings. Test slips are not logged.
+ * @param {Object} session - The event session, for the letterhead.
+ * @returns {Promise<string>} Where the job went.
+ */
+async function printTestPage(session) {
+  const settings = await getPrinterSettings();
+  const document = {
+    title: 'PRINTER TEST',
+    fields: [['Printed', new Date().toLocaleString('en-GB')], ['Connection', describePrinter(settings)], ['Paper', PAPER_WIDTHS[settings.chars_per_line]]],
+    table: {
+      columns: [{ label: 'Description', width: 0.7 }, { label: 'Amount (Rs.)', width: 0.3, align: 'right' }],
+      rows: [['A long description that has to wrap onto a second line', '1234.50']],
+      footer: [['Total', 'Rs. 1234.50']]
+    },
+    notes: ['If the QR code below scans as TEST, the printer is ready.'],
+    signatory: false
+  };
+  return sendToPrinter(settings, escposDocument(document, session, { charsPerLine: settings.chars_per_line, qr: 'TEST' }), 'test');
+}
+
+module.exports = {
+  PRINTER_CONNECTIONS,
+  PAPER_WIDTHS,
+  PRINT_DOCUMENT_TYPES,
+  escposDocument,
+  getPrinterSettings,
+  updatePrinterSettings,
+  describePrinter,
+  getPrintCount,
+  printDocument,
+  printTestPage,
+};
@@ -0,0 +1,175 @@
+// Floor-plan map: draws every positioned space as an SVG rectangle coloured by its session status.
+// Containers with the `floor-plan` class are initialised automatically:
+//   data-api-url    - endpoint returning spaces (see /space/api/spaces-with-status)
+//   data-background - optional background image path
+//   data-mode       - 'view' (click to open) or 'allocate' (also accepts dropped bookings)
+(function () {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const VIEW_WIDTH = 1000;
+    const VIEW_HEIGHT = 700;
+    const STATUS_COLOURS = {
+        Available: { fill: '#d4edda', stroke: '#28a745' },
+        Booked: { fill: '#f8d7da', stroke: '#dc3545' },
+        Held: { fill: '#fff3cd', stroke: '#ffc107' },
+        Inactive: { fill: '#e9ecef', stroke: '#adb5bd' }
+    };
+
+    function mapStatus(space) {
+        return space.is_active === 0 ? 'Inactive' : space.status;
+    }
+
+    function isPlaced(space) {
+        return space.map_x !== null && space.map_y !== null && space.map_width > 0 && space.map_height > 0;
+    }
+
+    function createSvg(background) {
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${VIEW_WIDTH} ${VIEW_HEIGHT}`);
+        svg.setAttribute('width', '100%');
+        svg.style.display = 'block';
+        if (background) {
+            const image = document.createElementNS(SVG_NS, 'image');
+            image.setAttribute('href', background);
+            image.setAttribute('width', VIEW_WIDTH);
+            image.setAttribute('height', VIEW_HEIGHT);
+            image.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+            svg.appendChild(image);
+        }
+        return svg;
+    }
+
+    // Positions (or re-positions) the rectangle, label and rotation of a drawn space group.
+    function placeSpace(group, space) {
+        const rect = group.querySelector('rect');
+        const label = group.querySelector('text');
+        const x = Number(space.map_x), y = Number(space.map_y);
+        const width = Number(space.map_width), height = Number(space.map_height);
+
+        rect.setAttribute('x', x);
+        rect.setAttribute('y', y);
+        rect.setAttribute('width', width);
+        rect.setAttribute('height', height);
+        label.setAttribute('x', x + width / 2);
+        label.setAttribute('y', y + height / 2);
+        label.setAttribute('font-size', Math.max(8, Math.min(16, height / 2.5, width / 4)));
+        group.setAttribute('transform', `rotate(${Number(space.map_rotation) || 0} ${x + width / 2} ${y + height / 2})`);
+    }
+
+    function drawSpace(svg, space) {
+        const status = mapStatus(space);
+        const colours = STATUS_COLOURS[status] || STATUS_COLOURS.Available;
+        const group = document.createElementNS(SVG_NS, 'g');
+        group.dataset.spaceId = space.id;
+        group.dataset.status = status;
+        group.style.cursor = 'pointer';
+
+        const title = document.createElementNS(SVG_NS, 'title');
+        title.textContent = `${space.name} (${space.type}) - ${status}` + (space.exhibitor_name ? `: ${space.exhibitor_name}` : '')
+            + (status === 'Held' ? `: ${space.hold_exhibitor_name} until ${space.held_until}` : '');
+
+        const rect = document.createElementNS(SVG_NS, 'rect');
+        rect.setAttribute('fill', colours.fill);
+        rect.setAttribute('stroke', colours.stroke);
+        rect.setAttribute('stroke-width', 2);
+        rect.setAttribute('fill-opacity', 0.85);
+
+        const label = document.createElementNS(SVG_NS, 'text');
+        label.setAttribute('text-anchor', 'middle');
+        label.setAttribute('dominant-baseline', 'middle');
+        label.setAttribute('pointer-events', 'none');
+        label.textContent = space.name;
+
+        group.append(title, rect, label);
+        placeSpace(group, space);
+        svg.appendChild(group);
+        return group;
+    }
+
+    async function allocateByDrop(bookingId, exhibitorName, space) {
+        if (!confirm(`Allocate ${space.name} (${space.type}) to ${exhibitorName}?`)) {
+            return;
+        }
+        try {
+            const response = await fetch(`/booking/api/allocate/${bookingId}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ space_id: space.id })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Allocation failed.');
+            }
+            window.location.reload();
+        } catch (err) {
+            alert(err.message);
+        }
+    }
+
+    function enableDropTarget(group, space) {
+        const rect = group.querySelector('rect');
+        group.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('application/x-booking')) return;
+            e.preventDefault();
+            rect.setAttribute('stroke-width', 5);
+        });
+        group.addEventListener('dragleave', () => rect.setAttribute('stroke-width', 2));
+        group.addEventListener('drop', (e) => {
+            e.preventDefault();
+            rect.setAttribute('stroke-width', 2);
+            const booking = JSON.parse(e.dataTransfer.getData('application/x-booking'));
+            allocateByDrop(booking.id, booking.name, space);
+        });
+    }
+
+    async function init(container) {
+        const mode = container.dataset.mode || 'view';
+        try {
+            const response = await fetch(container.dataset.apiUrl);
+            if (!response.ok) {
+                throw new Error('Failed to load the floor plan.');
+            }
+            const spaces = await response.json();
+            const placed = spaces.filter(isPlaced);
+            const svg = createSvg(container.dataset.background);
+
+            placed.forEach(space => {
+                const group = drawSpace(svg, space);
+                group.addEventListener('click', () => {
+                    const bookingId = space.booking_id || space.hold_booking_id;
+                    window.location.href = bookingId
+                        ? `/booking/details-full/${bookingId}`
+                        : `/space/edit/${space.id}`;
+                });
+                // Held spaces accept drops too; the server only allows the booking holding them.
+                if (mode === 'allocate' && ['Available', 'Held'].includes(mapStatus(space))) {
+                    enableDropTarget(group, space);
+                }
+            });
+
+            container.innerHTML = '';
+            container.appendChild(svg);
+            if (placed.length === 0) {
+                container.insertAdjacentHTML('beforeend', '<p class="text-muted small text-center my-2">No spaces have been placed on the floor plan yet. Use the Floor Plan Editor to position them.</p>');
+            }
+        } catch (err) {
+            container.innerHTML = `<p class="text-danger small text-center my-2">${err.message}</p>`;
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.querySelectorAll('.floor-plan[data-api-url]').forEach(init);
+
+        // Rows that can be dragged onto the map (registered bookings without a space).
+        document.querySelectorAll('[data-drag-booking-id]').forEach(row => {
+            row.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('application/x-booking', JSON.stringify({
+                    id: row.dataset.dragBookingId,
+                    name: row.dataset.dragBookingName
+                }));
+                e.dataTransfer.effectAllowed = 'move';
+            });
+        });
+    });
+
+    window.FloorPlan = { SVG_NS, VIEW_WIDTH, VIEW_HEIGHT, STATUS_COLOURS, mapStatus, isPlaced, createSvg, drawSpace, placeSpace };
+})();
@@ -0,0 +1,207 @@
+// Floor-plan editor: position spaces on the background image.
+// Select a space, then drag on an empty part of the map to draw it; drag a drawn space to move it.
+document.addEventListener('DOMContentLoaded', async () => {
+    const container = document.getElementById('floorPlanEditor');
+    const spaceSelect = document.getElementById('editorSpaceSelect');
+    const saveButton = document.getElementById('saveLayoutBtn');
+    const removeButton = document.getElementById('removeFromMapBtn');
+    const statusText = document.getElementById('editorStatus');
+    const fields = ['map_x', 'map_y', 'map_width', 'map_height', 'map_rotation'].reduce((acc, name) => {
+        acc[name] = document.getElementById(name);
+        return acc;
+    }, {});
+    const { createSvg, drawSpace, placeSpace, isPlaced } = window.FloorPlan;
+
+    const spacesById = {};
+    const groupsById = {};
+    const changedIds = new Set();
+    let selectedId = null;
+    let svg;
+
+    function toSvgPoint(e) {
+        const point = svg.createSVGPoint();
+        point.x = e.clientX;
+        point.y = e.clientY;
+        return point.matrixTransform(svg.getScreenCTM().inverse());
+    }
+
+    function markChanged(id) {
+        changedIds.add(String(id));
+        statusText.textContent = `${changedIds.size} unsaved change(s)`;
+    }
+
+    function highlight() {
+        Object.entries(groupsById).forEach(([id, group]) => {
+            group.querySelector('rect').setAttribute('stroke-dasharray', id === String(selectedId) ? '6 3' : '');
+        });
+    }
+
+    function fillFields() {
+        const space = spacesById[selectedId];
+        Object.entries(fields).forEach(([name, input]) => {
+            input.value = space && space[name] !== null && space[name] !== undefined ? Math.round(space[name]) : '';
+            input.disabled = !space;
+        });
+        removeButton.disabled = !space || !groupsById[selectedId];
+    }
+
+    function select(id) {
+        selectedId = id ? String(id) : null;
+        spaceSelect.value = selectedId || '';
+        fillFields();
+        highlight();
+    }
+
+    // Draws the space if it is newly placed, otherwise moves the existing shape.
+    function refresh(id) {
+        const space = spacesById[id];
+        if (groupsById[id]) {
+            placeSpace(groupsById[id], space);
+        } else {
+            groupsById[id] = drawSpace(svg, space);
+            attachMove(groupsById[id], id);
+        }
+        highlight();
+    }
+
+    function attachMove(group, id) {
+        group.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+            select(id);
+            const space = spacesById[id];
+            const start = toSvgPoint(e);
+            const origin = { x: Number(space.map_x), y: Number(space.map_y) };
+
+            function onMove(ev) {
+                const point = toSvgPoint(ev);
+                space.map_x = Math.round(origin.x + point.x - start.x);
+                space.map_y = Math.round(origin.y + point.y - start.y);
+                refresh(id);
+                fillFields();
+                markChanged(id);
+            }
+            function onUp() {
+                document.removeEventListener('mousemove', onMove);
+                document.removeEventListener('mouseup', onUp);
+            }
+            document.addEventListener('mousemove', onMove);
+            document.addEventListener('mouseup', onUp);
+        });
+    }
+
+    function enableDrawing() {
+        svg.addEventListener('mousedown', (e) => {
+            if (!selectedId) {
+                statusText.textContent = 'Select a space first, then drag on the map to draw it.';
+                return;
+            }
+            e.preventDefault();
+            const space = spacesById[selectedId];
+            const id = selectedId;
+            const start = toSvgPoint(e);
+
+            function onMove(ev) {
+                const point = toSvgPoint(ev);
+                space.map_x = Math.round(Math.min(start.x, point.x));
+                space.map_y = Math.round(Math.min(start.y, point.y));
+                space.map_width = Math.max(1, Math.round(Math.abs(point.x - start.x)));
+                space.map_height = Math.max(1, Math.round(Math.abs(point.y - start.y)));
+                space.map_rotation = space.map_rotation || 0;
+                refresh(id);
+                fillFields();
+                markChanged(id);
+            }
+            function onUp() {
+                document.removeEventListener('mousemove', onMove);
+                document.removeEventListener('mouseup', onUp);
+                removeButton.disabled = !groupsById[id];
+            }
+            document.addEventListener('mousemove', onMove);
+            document.addEventListener('mouseup', onUp);
+        });
+    }
+
+    Object.entries(fields).forEach(([name, input]) => {
+        input.addEventListener('input', () => {
+            const space = spacesById[selectedId];
+            if (!space) return;
+            space[name] = input.value === '' ? null : parseFloat(input.value);
+            if (isPlaced(space)) {
+                refresh(selectedId);
+            }
+            markChanged(selectedId);
+        });
+    });
+
+    spaceSelect.addEventListener('change', () => select(spaceSelect.value));
+
+    removeButton.addEventListener('click', () => {
+        const space = spacesById[selectedId];
+        if (!space || !groupsById[selectedId]) return;
+        ['map_x', 'map_y', 'map_width', 'map_height', 'map_rotation'].forEach(name => { space[name] = null; });
+        groupsById[selectedId].remove();
+        delete groupsById[selectedId];
+        markChanged(selectedId);
+        fillFields();
+    });
+
+    saveButton.addEventListener('click', async () => {
+        if (changedIds.size === 0) {
+            statusText.textContent = 'Nothing to save.';
+            return;
+        }
+        const payload = [...changedIds].map(id => {
+            const { map_x, map_y, map_width, map_height, map_rotation } = spacesById[id];
+            return { id, map_x, map_y, map_width, map_height, map_rotation };
+        });
+        saveButton.disabled = true;
+        try {
+            const response = await fetch('/space/map/layout', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ spaces: payload })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to save the layout.');
+            }
+            changedIds.clear();
+            statusText.textContent = 'Layout saved.';
+        } catch (err) {
+            statusText.textContent = err.message;
+        } finally {
+            saveButton.disabled = false;
+        }
+    });
+
+    window.addEventListener('beforeunload', (e) => {
+        if (changedIds.size > 0) {
+            e.preventDefault();
+            e.returnValue = '';
+        }
+    });
+
+    try {
+        const response = await fetch(container.dataset.apiUrl);
+        if (!response.ok) {
+            throw new Error('Failed to load spaces.');
+        }
+        const spaces = await response.json();
+        svg = createSvg(container.dataset.background);
+        svg.style.cursor = 'crosshair';
+        container.innerHTML = '';
+        container.appendChild(svg);
+
+        spaces.forEach(space => {
+            spacesById[space.id] = space;
+            if (isPlaced(space)) {
+                groupsById[space.id] = drawSpace(svg, space);
+                attachMove(groupsById[space.id], space.id);
+            }
+        });
+        enableDrawing();
+        select(spaceSelect.value || null);
+    } catch (err) {
+        container.innerHTML = `<p class="text-danger small text-center my-2">${err.message}</p>`;
+    }
+});
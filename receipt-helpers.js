@@ -0,0 +1,165 @@
+//receipt-helpers.js
+
+const { all, get, run } = require('./db-helpers');
+const { ALLOCATION_LABELS } = require('./payment-helpers');
+
+// Default prefix code of each numbering series. A session gets one series per head the first time it is used.
+const SERIES_CODES = {
+  rent: 'RENT',
+  electric: 'ELEC',
+  material: 'MAT',
+  shed: 'SHED',
+  credit: 'ADV'
+};
+
+/**
+ * Formats a receipt number, e.g. prefix "RENT/24/" and 7 with padding 4 give "RENT/24/0007".
+ * @param {{prefix: string, padding: number}} series
+ * @param {number} seq - The number within the series.
+ * @returns {string}
+ */
+function formatReceiptNumber(series, seq) {
+  return `${series.prefix}${String(seq).padStart(series.padding || 0, '0')}`;
+}
+
+/**
+ * Picks the series a payment is numbered in: the head it puts the most money towards, taking heads
+ * in their usual order on a tie.
+ * @param {Array<{head: string, amount: number}>} lines - The payment's allocation.
+ * @returns {string} The charge head.
+ */
+function receiptSeriesFor(lines) {
+  const order = Object.keys(SERIES_CODES);
+  return [...lines].sort((a, b) => (b.amount - a.amount) || (order.indexOf(a.head) - order.indexOf(b.head)))[0].head;
+}
+
+/**
+ * Loads a session's numbering series, creating the default ones that do not exist yet. The default
+ * prefix carries the two-digit year the session starts in, e.g. "ELEC/24/".
+ * @param {number} sessionId - The event session ID.
+ * @param {{get: Function, all: Function, run: Function}} [db] - The transaction to work in, if any.
+ * @returns {Promise<Array<Object>>} The receipt_series rows, in head order, each with its label and next receipt number.
+ */
+async function getReceiptSeries(sessionId, db = { get, all, run }) {
+  const existing = await db.all('SELECT * FROM receipt_series WHERE event_session_id = ?', [sessionId]);
+  const missing = Object.keys(SERIES_CODES).filter(type => !existing.some(s => s.charge_type === type));
+  if (missing.length > 0) {
+    const session = await db.get('SELECT start_date FROM event_sessions WHERE id = ?', [sessionId]);
+    const year = String((session && session.start_date) ? new Date(session.start_date).getFullYear() : new Date().getFullYear()).slice(-2);
+    for (const type of missing) {
+      await db.run('INSERT OR IGNORE INTO receipt_series (event_session_id, charge_type, prefix) VALUES (?, ?, ?)', [sessionId, type, `${SERIES_CODES[type]}/${year}/`]);
+    }
+  }
+  const rows = await db.all('SELECT * FROM receipt_series WHERE event_session_id = ?', [sessionId]);
+  const order = Object.keys(SERIES_CODES);
+  return rows
+    .sort((a, b) => order.indexOf(a.charge_type) - order.indexOf(b.charge_type))
+    .map(s => ({ ...s, label: ALLOCATION_LABELS[s.charge_type] || s.charge_type, next_receipt_number: formatReceiptNumber(s, s.next_number) }));
+}
+
+/**
+ * Takes the next number of a series. The number is claimed with a single UPDATE so that it cannot be
+ * handed out twice; call it inside the transaction that saves the payment, so a failed save gives it back.
+ * @param {{get: Function, all: Function, run: Function}} db - The transaction.
+ * @param {number} sessionId - The event session of the payment.
+ * @param {string} chargeType - The head whose series to number in.
+ * @returns {Promise<{seriesId: number, seq: number, receiptNumber: string}>}
+ */
+async function allocateReceiptNumber(db, sessionId, chargeType) {
+  await getReceiptSeries(sessionId, db);
+  const series = await db.get(
+    'UPDATE receipt_series SET next_number = next_number + 1 WHERE event_session_id = ? AND charge_type = ? RETURNING id, prefix, padding, next_number - 1 AS seq',
+    [sessionId, chargeType]
+  );
+  if (!series) throw new Error(`There is no receipt series for ${chargeType}.`);
+  return { seriesId: series.id, seq: series.seq, receiptNumber: formatReceiptNumber(series, series.seq) };
+}
+
+/**
+ * Changes a series' prefix, padding or next number. The next number cannot go back to a number that
+ * has already been issued or voided.
+ * @param {number|string} seriesId - The receipt_series ID.
+ * @param {number} sessionId - The session the series must belong to.
+ * @param {{prefix: string, padding: number|string, nextNumber: number|string}} changes
+ * @returns {Promise<Object>} The series as it was before the change.
+ * @throws {Error} With a user-facing message if the changes are not valid.
+ */
+async function updateReceiptSeries(seriesId, sessionId, { prefix, padding, nextNumber }) {
+  const series = await get('SELECT * FROM receipt_series WHERE id = ? AND event_session_id = ?', [seriesId, sessionId]);
+  if (!series) throw new Error('Receipt series not found.');
+  const newPadding = parseInt(padding, 10);
+  const newNext = parseInt(nextNumber, 10);
+  if (!prefix || !prefix.trim()) throw new Error('A receipt series needs a prefix.');
+  if (isNaN(newPadding) || newPadding < 0 || newPadding > 10) throw new Error('Padding must be between 0 and 10 digits.');
+  if (isNaN(newNext) || newNext < 1) throw new Error('The next number must be 1 or more.');
+
+  const used = await get(
+    `SELECT MAX(seq) AS last FROM (
+       SELECT receipt_seq AS seq FROM payments WHERE receipt_series_id = ?
+       UNION ALL SELECT receipt_seq FROM receipt_voids WHERE receipt_series_id = ?
+     )`,
+    [series.id, series.id]
+  );
+  if (used && used.last && newNext <= used.last) {
+    throw new Error(`Number ${used.last} has already been used in this series, so the next number must be ${used.last + 1} or more.`);
+  }
+  await run('UPDATE receipt_series SET prefix = ?, padding = ?, next_number = ? WHERE id = ?', [prefix.trim(), newPadding, newNext, series.id]);
+  return series;
+}
+
+/**
+ * Records that a payment's receipt has been voided, so its number is accounted for once the payment
+ * is deleted. Payments without a receipt number (those carrying the 'NA' placeholder) are left alone.
+ * @param {{run: Function}} db - The transaction deleting the payment.
+ * @param {Object} payment - The payments row.
+ * @param {{reason?: string, userId: number}} details
+ * @returns {Promise<string|null>} The voided receipt number, if there was one.
+ */
+async function voidReceipt(db, payment, { reason = null, userId }) {
+  if (!payment.receipt_number || payment.receipt_number === 'NA') return null;
+  await db.run(
+    `INSERT INTO receipt_voids (receipt_series_id, receipt_seq, receipt_number, payment_id, booking_id, event_session_id, amount, payment_date, reason, user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [payment.receipt_series_id || null, payment.receipt_seq || null, payment.receipt_number, payment.id, payment.booking_id, payment.event_session_id,
+      (payment.cash_paid || 0) + (payment.upi_paid || 0), payment.payment_date, reason || null, userId]
+  );
+  return payment.receipt_number;
+}
+
+/**
+ * Checks every series of a session for numbers that were handed out but belong to neither a payment
+ * nor a void record, and lists the voided receipts.
+ * @param {number} sessionId - The event session ID.
+ * @returns {Promise<Array<Object>>} One entry per series: the series, the issued count, the voided
+ *   receipts and the missing receipt numbers.
+ */
+async function findReceiptGaps(sessionId) {
+  const series = await getReceiptSeries(sessionId);
+  const [issued, voids] = await Promise.all([
+    all('SELECT receipt_series_id, receipt_seq FROM payments WHERE event_session_id = ? AND receipt_seq IS NOT NULL', [sessionId]),
+    all(`SELECT rv.*, b.exhibitor_name, u.username FROM receipt_voids rv
+         LEFT JOIN bookings b ON rv.booking_id = b.id LEFT JOIN users u ON rv.user_id = u.id
+         WHERE rv.event_session_id = ? ORDER BY rv.receipt_seq, rv.id`, [sessionId])
+  ]);
+  return series.map(s => {
+    const issuedSeqs = new Set(issued.filter(p => p.receipt_series_id === s.id).map(p => p.receipt_seq));
+    const seriesVoids = voids.filter(v => v.receipt_series_id === s.id);
+    const voidedSeqs = new Set(seriesVoids.map(v => v.receipt_seq));
+    const missing = [];
+    for (let seq = 1; seq < s.next_number; seq++) {
+      if (!issuedSeqs.has(seq) && !voidedSeqs.has(seq)) missing.push(formatReceiptNumber(s, seq));
+    }
+    return { series: s, issuedCount: issuedSeqs.size, voids: seriesVoids, missing };
+  });
+}
+
+module.exports = {
+  SERIES_CODES,
+  formatReceiptNumber,
+  receiptSeriesFor,
+  getReceiptSeries,
+  allocateReceiptNumber,
+  updateReceiptSeries,
+  voidReceipt,
+  findReceiptGaps,
+};
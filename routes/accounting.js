@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { all, get, run } = require('../db-helpers');
+const { PAGE_SIZES } = require('../pdf-helpers');
 
 // GET /accounting - Main accounting page
 router.get('/', async (req, res) => {
@@ -90,6 +91,7 @@ router.get('/', async (req, res) => {
         total_expenditure,
         balance
       },
+      pageSizes: PAGE_SIZES,
       filters: {
         start_date: start_date || '',
         end_date: end_date || '',
@@ -167,10 +169,10 @@ router.post('/edit/:id', async (req, res) => {
   }
 
   try {
-    // Security check: Prevent editing of automated payment transactions
-    const transaction = await get('SELECT category FROM accounting_transactions WHERE id = ?', [transactionId]);
-    if (transaction && transaction.category.endsWith(' Payment')) {
-      req.session.flash = { type: 'danger', message: 'Automated payment transactions cannot be edited.' };
+    // Security check: Prevent editing of automated payment and booking refund transactions
+    const transaction = await get('SELECT category, booking_id FROM accounting_transactions WHERE id = ?', [transactionId]);
+    if (transaction && (transaction.category.endsWith(' Payment') || transaction.category.startsWith('Client Credit') || transaction.booking_id)) {
+      req.session.flash = { type: 'danger', message: 'Automated payment, refund and client credit transactions cannot be edited.' };
       return res.redirect('/accounting');
     }
 
@@ -195,10 +197,10 @@ router.post('/delete/:id', async (req, res) => {
   }
 
   try {
-    // Security check: Prevent deletion of automated payment transactions
-    const transaction = await get('SELECT category FROM accounting_transactions WHERE id = ?', [transactionId]);
-    if (transaction && transaction.category.endsWith(' Payment')) {
-      req.session.flash = { type: 'danger', message: 'Automated payment transactions cannot be deleted.' };
+    // Security check: Prevent deletion of automated payment and booking refund transactions
+    const transaction = await get('SELECT category, booking_id FROM accounting_transactions WHERE id = ?', [transactionId]);
+    if (transaction && (transaction.category.endsWith(' Payment') || transaction.category.startsWith('Client Credit') || transaction.booking_id)) {
+      req.session.flash = { type: 'danger', message: 'Automated payment, refund and client credit transactions cannot be deleted.' };
       return res.redirect('/accounting');
     }
 
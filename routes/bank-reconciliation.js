@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { all, logAction } = require('../db-helpers');
+const { DATE_TOLERANCE_DAYS, readStatementFile, readStatementLines, getUnmatchedUpiEntries, importStatement, getStatementImport, resolveStatementLine } = require('../bank-reconciliation-helpers');
+
+// Statements are read from memory; they are not kept on disk
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+// GET: Imported statements of the viewing session, with how many lines still need attention
+router.get('/', async (req, res) => {
+  try {
+    const imports = await all(
+      `SELECT bi.*, u.username,
+         SUM(CASE WHEN l.match_status = 'matched' THEN 1 ELSE 0 END) AS matched_count,
+         SUM(CASE WHEN l.match_status = 'unmatched' THEN 1 ELSE 0 END) AS unmatched_count,
+         SUM(CASE WHEN l.match_status = 'duplicate' THEN 1 ELSE 0 END) AS duplicate_count,
+         SUM(CASE WHEN l.match_status = 'ignored' THEN 1 ELSE 0 END) AS ignored_count
+       FROM bank_statement_imports bi
+       LEFT JOIN users u ON bi.user_id = u.id
+       LEFT JOIN bank_statement_lines l ON l.import_id = bi.id
+       WHERE bi.event_session_id = ?
+       GROUP BY bi.id
+       ORDER BY bi.imported_at DESC, bi.id DESC`,
+      [res.locals.viewingSession.id]
+    );
+    const unmatchedEntries = await getUnmatchedUpiEntries(res.locals.viewingSession.id);
+    res.render('bankReconciliation', { title: 'Bank Reconciliation', imports, unmatchedEntries, dateToleranceDays: DATE_TOLERANCE_DAYS });
+  } catch (err) {
+    console.error('Error loading bank reconciliation:', err.message);
+    res.status(500).send('Error loading page.');
+  }
+});
+
+// POST: Import a bank or PSP statement (CSV or XLSX) and match its credit lines to UPI receipts
+router.post('/import', upload.single('statement'), async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot import statements into an archived session.' };
+    return res.redirect('/bank-reconciliation');
+  }
+  if (!req.file) {
+    req.session.flash = { type: 'danger', message: 'Choose a statement file to import.' };
+    return res.redirect('/bank-reconciliation');
+  }
+
+  try {
+    const lines = readStatementLines(await readStatementFile(req.file));
+    if (lines.length === 0) throw new Error('The statement has no credit lines to import.');
+    const { importId, counts } = await importStatement({ sessionId: activeSessionId, fileName: req.file.originalname, userId: req.session.user.id, lines });
+    await logAction(req.session.user.id, req.session.user.username, 'import_bank_statement',
+      `Imported ${req.file.originalname}: ${counts.matched} matched, ${counts.unmatched} unmatched, ${counts.duplicate} duplicate`, activeSessionId);
+    req.session.flash = { type: 'success', message: `Imported ${lines.length} line(s): ${counts.matched} matched, ${counts.unmatched} unmatched, ${counts.duplicate} duplicate.` };
+    res.redirect(`/bank-reconciliation/${importId}`);
+  } catch (err) {
+    console.error('Error importing bank statement:', err.message);
+    req.session.flash = { type: 'danger', message: `Failed to import statement: ${err.message}` };
+    res.redirect('/bank-reconciliation');
+  }
+});
+
+// GET: Lines of an imported statement, grouped by how they were matched
+router.get('/:id', async (req, res) => {
+  try {
+    const statement = await getStatementImport(req.params.id, res.locals.viewingSession.id);
+    if (!statement) {
+      return res.status(404).send('Statement not found.');
+    }
+    const unmatchedEntries = await getUnmatchedUpiEntries(res.locals.viewingSession.id);
+    res.render('bankStatement', { title: `Statement #${statement.id} - ${statement.file_name}`, statement, unmatchedEntries });
+  } catch (err) {
+    console.error('Error loading bank statement:', err.message);
+    res.status(500).send('Error loading page.');
+  }
+});
+
+// POST: Resolve a statement line by hand (match, unmatch, ignore or restore)
+router.post('/lines/:id', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  const { action, target } = req.body;
+  try {
+    if (res.locals.viewingSession.id !== activeSessionId) {
+      throw new Error('Cannot change statements of an archived session.');
+    }
+    const line = await resolveStatementLine(req.params.id, activeSessionId, { action, target }, req.session.user.id);
+    await logAction(req.session.user.id, req.session.user.username, 'resolve_bank_statement_line',
+      `Statement line #${line.id} (₹${line.amount.toFixed(2)}, ${line.reference || 'no reference'}): ${action}${target ? ' ' + target : ''}`, activeSessionId);
+    req.session.flash = { type: 'success', message: 'Statement line updated.' };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect(`/bank-reconciliation/${parseInt(req.body.import_id, 10) || ''}#line-${req.params.id}`);
+});
+
+module.exports = router;
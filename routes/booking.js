@@ -1,20 +1,39 @@
 const express = require('express');
 const router = express.Router();
-const { db, all, get, run } = require('../db-helpers');
+const qrcode = require('qrcode');
+const { db, all, get, run, logAction } = require('../db-helpers');
+const { calculateRent } = require('../pricing-helpers');
+const { allocateSpaces, parsePreferredSpaceIds, preferenceMatchesSpace, offerFreedSpaces, placeHold, releaseHold, getBookingStatement, getReceiptBooking, getInvoiceBooking, rebookBooking, getCancellationQuote, cancelBooking } = require('../booking-helpers');
+const { PROFILE_FIELDS, createPortalToken } = require('../portal-helpers');
+const { findSimilarClients, getClient } = require('../client-helpers');
+const { OCCUPYING_STATUS_SQL, STATUS_ACTIONS, statusLabel, allowedTransitions, statusActions, transitionBooking, recordInitialStatus } = require('../booking-lifecycle');
+const { getBookingBalance, getBookingBalances, syncStoredDue } = require('../balance-helpers');
+const { getUninvoicedCharges, listTaxInvoices } = require('../gst-helpers');
+const { BOOKING_ADVANCE_SQL, recordCreditEntry } = require('../payment-helpers');
+const { PAGE_SIZES, sendDocumentsPdf, bookingStatementDocument, bookingInvoiceDocument } = require('../pdf-helpers');
+const { WORK_ORDER_STATUSES, WORK_ORDER_BADGES, ON_SITE_STATUSES, listWorkOrders } = require('../electric-work-order-helpers');
+
+// Builds the flash-message suffix describing spaces offered to the waitlist.
+function describeWaitlistOffers(offers) {
+  return offers.map(offer => ` Space ${offer.space_name} has been offered to waitlisted exhibitor ${offer.exhibitor_name}.`).join('');
+}
 
 // GET: Show unified booking form, load ALL spaces
 router.get('/add', async (req, res) => {
   try {
     // Fetch suggestion data in parallel
-    const [exhibitors, productCategories, faciaNames] = await Promise.all([
+    const [exhibitors, productCategories, faciaNames, client] = await Promise.all([
       all('SELECT DISTINCT name FROM clients ORDER BY name'),
       all('SELECT DISTINCT product_category FROM bookings WHERE product_category IS NOT NULL ORDER BY product_category'),
-      all('SELECT DISTINCT facia_name FROM bookings WHERE facia_name IS NOT NULL ORDER BY facia_name')
+      all('SELECT DISTINCT facia_name FROM bookings WHERE facia_name IS NOT NULL ORDER BY facia_name'),
+      req.query.client_id ? getClient(req.query.client_id) : null
     ]);
 
     // This form is now for registering an exhibitor, not booking a specific space.
+    // Coming from a client profile, the form starts from the client's master record.
     res.render('registerExhibitor', {
       title: 'Register New Exhibitor',
+      client: client || null,
       suggestions: {
         exhibitors: exhibitors.map(e => e.name),
         productCategories: productCategories.map(pc => pc.product_category),
@@ -30,9 +49,9 @@ router.get('/add', async (req, res) => {
 // POST: Save booking
 router.post('/add', async (req, res) => {
   const {
-    exhibitor_name, facia_name, product_category,
+    client_id, exhibitor_name, facia_name, product_category,
     contact_person, full_address, contact_number, secondary_number,
-    id_proof, advance_amount, form_submitted
+    id_proof, advance_amount, form_submitted, is_enquiry
   } = req.body;
 
   if (res.locals.viewingSession.id !== res.locals.activeSession.id) {
@@ -43,24 +62,35 @@ router.post('/add', async (req, res) => {
   const activeSessionId = res.locals.activeSession.id;
 
   const formSubmittedStatus = form_submitted ? 1 : 0;
+  // An enquiry is recorded without committing the exhibitor; it is registered later from the booking page.
+  const initialStatus = is_enquiry ? 'enquiry' : 'registered';
+  const advance = Math.round((parseFloat(advance_amount) || 0) * 100) / 100;
   if (!exhibitor_name || !contact_person || !contact_number) { // Basic validation
     req.session.flash = { type: 'danger', message: 'Exhibitor Name, Contact Person, and Contact Number are required.' };
     return res.redirect('/booking/add');
   }
+  if (advance < 0) {
+    req.session.flash = { type: 'danger', message: 'Advance amount cannot be negative.' };
+    return res.redirect('/booking/add');
+  }
 
   // Use a transaction to ensure all or nothing is saved
   db.serialize(async () => {
     try {
       db.run('BEGIN TRANSACTION');
 
-      // Step 1: Find or Create client to prevent duplicates
-      let client = await get('SELECT id FROM clients WHERE name = ?', [exhibitor_name]);
+      // Step 1: Use the chosen client, or find one by name, or create one
+      let client = client_id
+        ? await get('SELECT id FROM clients WHERE id = ?', [client_id])
+        : await get('SELECT id FROM clients WHERE LOWER(TRIM(name)) = LOWER(TRIM(?)) ORDER BY id LIMIT 1', [exhibitor_name]);
       let clientId;
+      let isNewClient = false;
       if (client) {
         clientId = client.id;
       } else {
-        const clientSql = `INSERT INTO clients (name, contact_person, contact_number, full_address) VALUES (?, ?, ?, ?)`;
-        clientId = (await run(clientSql, [exhibitor_name, contact_person, contact_number, full_address])).lastID;
+        const clientSql = `INSERT INTO clients (name, contact_person, contact_number, secondary_number, full_address, id_proof, updated_at) VALUES (?, ?, ?, ?, ?, ?, datetime('now', 'localtime'))`;
+        clientId = (await run(clientSql, [exhibitor_name.trim(), contact_person, contact_number, secondary_number, full_address, id_proof])).lastID;
+        isNewClient = true;
       }
 
       // Step 2: Create booking
@@ -69,13 +99,41 @@ router.post('/add', async (req, res) => {
           client_id, booking_date, exhibitor_name, facia_name, product_category,
           contact_person, full_address, contact_number, secondary_number, id_proof, event_session_id,
           rent_amount, discount, advance_amount, due_amount, form_submitted, booking_status
-        ) VALUES (?, datetime('now'), ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, ?, 0, ?, 'unallocated')
+        ) VALUES (?, datetime('now'), ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, ?, ?)
       `;
-      const bookingParams = [clientId, exhibitor_name, facia_name, product_category, contact_person, full_address, contact_number, secondary_number, id_proof, activeSessionId, advance_amount || 0, formSubmittedStatus];
-      await run(bookingSql, bookingParams);
+      const bookingParams = [clientId, exhibitor_name, facia_name, product_category, contact_person, full_address, contact_number, secondary_number, id_proof, activeSessionId, formSubmittedStatus, initialStatus];
+      const { lastID: bookingId } = await run(bookingSql, bookingParams);
+      // The advance is held as client credit until it is applied to a charge from Receive Payment.
+      if (advance > 0) {
+        await recordCreditEntry({ run, get }, {
+          clientId,
+          bookingId,
+          sessionId: activeSessionId,
+          type: 'advance',
+          amount: advance,
+          description: `Advance from ${exhibitor_name} at registration`,
+          date: new Date().toISOString().split('T')[0],
+          userId: req.session.user.id
+        });
+      }
+      await syncStoredDue(bookingId);
+      await recordInitialStatus(bookingId, initialStatus, req.session.user);
 
       db.run('COMMIT');
-      req.session.flash = { type: 'success', message: `Exhibitor "${exhibitor_name}" has been registered and is awaiting space allocation.` };
+      req.session.flash = {
+        type: 'success',
+        message: initialStatus === 'enquiry'
+          ? `Enquiry from "${exhibitor_name}" has been recorded.`
+          : `Exhibitor "${exhibitor_name}" has been registered and is awaiting space allocation.`
+      };
+
+      // A new client that looks like an existing one is probably a duplicate; point staff to the merge tool.
+      if (isNewClient) {
+        const similar = await findSimilarClients({ name: exhibitor_name, contact_number, secondary_number }, clientId);
+        if (similar.length > 0) {
+          req.session.flash = { type: 'warning', message: `${req.session.flash.message} It looks like existing client(s) ${similar.map(c => `"${c.name}"`).join(', ')}. Review them under Clients > Possible Duplicates.` };
+        }
+      }
       res.redirect('/booking/list');
 
     } catch (err) {
@@ -152,7 +210,7 @@ router.get('/list', async (req, res) => {
 router.get('/confirmation/:id', async (req, res) => {
   const bookingId = req.params.id;
   const sql = `
-    SELECT b.id, b.exhibitor_name, b.rent_amount, b.due_amount, s.name AS space_name, s.type as space_type
+    SELECT b.id, b.exhibitor_name, b.rent_amount, s.name AS space_name, s.type as space_type
     FROM bookings b
     LEFT JOIN booking_spaces bs ON b.id = bs.booking_id LEFT JOIN spaces s ON bs.space_id = s.id
     WHERE b.id = ?
@@ -162,6 +220,7 @@ router.get('/confirmation/:id', async (req, res) => {
     if (!booking) {
       return res.status(404).send('Booking not found');
     }
+    booking.balance = await getBookingBalance(bookingId);
     res.render('bookingConfirmation', {
       title: 'Booking Confirmed',
       booking: booking
@@ -227,111 +286,90 @@ router.get('/details-full/:id', async (req, res) => {
     }
 
 
-    // If the booking is unallocated, fetch available spaces for the allocation form
+    // If the booking is registered without a space, fetch available spaces for the allocation form.
+    // Spaces held for other bookings are not available; spaces held for this booking are.
     let availableSpaces = [];
-    if (booking.booking_status === 'unallocated') {
-      availableSpaces = await all(`
-        SELECT id, name, type, rent_amount 
-        FROM spaces 
-        WHERE is_active = 1 AND id NOT IN (
-          SELECT bs.space_id FROM booking_spaces bs JOIN bookings b ON bs.booking_id = b.id WHERE b.event_session_id = ? AND b.booking_status = 'active' AND bs.space_id IS NOT NULL
-        )
-        ORDER BY type, name`, [viewingSessionId]);
-    }
-
-    // Fetch related material issues
-    const materials = await all('SELECT * FROM material_issues WHERE client_id = ? AND event_session_id = ?', [booking.client_id, viewingSessionId]);
-
-    // Fetch related electric bills and parse items
-    const electricBills = await all('SELECT * FROM electric_bills WHERE booking_id = ? AND event_session_id = ?', [bookingId, viewingSessionId]);
-    electricBills.forEach(bill => {
-      try {
-        let items = JSON.parse(bill.items_json || '[]');
-        // Handle double-stringified JSON
-        if (typeof items === 'string') {
-          items = JSON.parse(items);
-        }
-        bill.items = items;
-      } catch (e) { bill.items = []; }
-    });
-
-    // Fetch related shed allocations
-    const shedAllocations = await all('SELECT sa.id, s.name as shed_name, s.rent, sa.allocation_date FROM shed_allocations sa JOIN sheds s ON sa.shed_id = s.id WHERE sa.booking_id = ? AND sa.event_session_id = ?', [bookingId, viewingSessionId]);
-
-    // Fetch related payments and determine type
-    const paymentsRaw = await all('SELECT * FROM payments WHERE booking_id = ? AND event_session_id = ? ORDER BY payment_date DESC', [bookingId, viewingSessionId]);
-    booking.payments = paymentsRaw.map(p => {
-      let type = 'Unknown';
-      let amount = 0;
-      if (p.rent_paid > 0) { type = 'Rent'; amount = p.rent_paid; }
-      else if (p.electric_paid > 0) { type = 'Electric'; amount = p.electric_paid; }
-      else if (p.material_paid > 0) { type = 'Material'; amount = p.material_paid; }
-      else if (p.shed_paid > 0) { type = 'Shed'; amount = p.shed_paid; }
-      return {
-        id: p.id,
-        payment_date: p.payment_date,
-        receipt_number: p.receipt_number,
-        type,
-        amount,
-        remarks: p.remarks
-      };
-    });
+    let holds = [];
+    if (booking.booking_status === 'registered') {
+      [availableSpaces, holds] = await Promise.all([
+        all(`
+          SELECT s.id, s.name, s.type, COALESCE(ssr.rent_amount, s.rent_amount) AS rent_amount
+          FROM spaces s
+          LEFT JOIN space_session_rents ssr ON ssr.space_id = s.id AND ssr.event_session_id = ?
+          WHERE s.is_active = 1 AND s.id NOT IN (
+            SELECT bs.space_id FROM booking_spaces bs JOIN bookings b ON bs.booking_id = b.id WHERE b.event_session_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL} AND bs.space_id IS NOT NULL
+          ) AND s.id NOT IN (
+            SELECT space_id FROM space_holds WHERE event_session_id = ? AND booking_id <> ? AND status = 'held' AND held_until > datetime('now', 'localtime')
+          )
+          ORDER BY s.type, s.name`, [viewingSessionId, viewingSessionId, viewingSessionId, bookingId]),
+        all(`
+          SELECT sh.id, sh.space_id, sh.held_until, s.name AS space_name FROM space_holds sh JOIN spaces s ON sh.space_id = s.id
+          WHERE sh.booking_id = ? AND sh.status = 'held' AND sh.held_until > datetime('now', 'localtime')
+          ORDER BY sh.held_until`, [bookingId])
+      ]);
+    }
 
+    // Waitlist preferences: any active space can be ranked, including ones that are booked right now.
+    let preferences = null;
+    let allSpaces = [];
+    let openOffer = null;
+    if (booking.booking_status === 'registered') {
+      [preferences, allSpaces, openOffer] = await Promise.all([
+        get('SELECT * FROM booking_preferences WHERE booking_id = ?', [bookingId]),
+        all(`SELECT s.id, s.name, s.type, COALESCE(ssr.rent_amount, s.rent_amount) AS rent_amount
+             FROM spaces s LEFT JOIN space_session_rents ssr ON ssr.space_id = s.id AND ssr.event_session_id = ?
+             WHERE s.is_active = 1 ORDER BY s.type, s.name`, [viewingSessionId]),
+        get(`SELECT wo.id, s.name AS space_name, wo.offered_at FROM waitlist_offers wo JOIN spaces s ON wo.space_id = s.id
+             WHERE wo.booking_id = ? AND wo.status = 'offered'`, [bookingId])
+      ]);
+      if (preferences) {
+        preferences.rankedIds = parsePreferredSpaceIds(preferences.preferred_space_ids);
+      }
+    }
 
-    // --- Detailed Financial Calculations ---
-    const financialSummarySql = `
-      SELECT
-        -- Rent
-        (b.rent_amount - COALESCE(b.discount, 0)) as rent_charged,
-        (COALESCE(p.total_rent_paid, 0) + COALESCE(b.advance_amount, 0)) as rent_paid,
-        -- Electric
-        COALESCE(eb.total_electric_charge, 0) as electric_charged,
-        COALESCE(p.total_electric_paid, 0) as electric_paid,
-        -- Material
-        COALESCE(mi.total_material_charge, 0) as material_charged,
-        COALESCE(p.total_material_paid, 0) as material_paid,
-        -- Shed
-        COALESCE(sh.total_shed_charge, 0) as shed_charged,
-        COALESCE(p.total_shed_paid, 0) as shed_paid,
-        -- Write Offs
-        COALESCE(wo.total_write_offs, 0) as write_offs
-      FROM bookings b
-      LEFT JOIN (
-        SELECT booking_id, SUM(rent_paid) as total_rent_paid, SUM(electric_paid) as total_electric_paid, SUM(material_paid) as total_material_paid, SUM(shed_paid) as total_shed_paid
-        FROM payments WHERE booking_id = ? AND event_session_id = ? GROUP BY booking_id
-      ) p ON b.id = p.booking_id
-      LEFT JOIN (SELECT booking_id, SUM(total_amount) as total_electric_charge FROM electric_bills WHERE booking_id = ? AND event_session_id = ? GROUP BY booking_id) eb ON b.id = eb.booking_id
-      LEFT JOIN (SELECT client_id, SUM(total_payable) as total_material_charge FROM material_issues WHERE client_id = ? AND event_session_id = ? GROUP BY client_id) mi ON b.client_id = mi.client_id
-      LEFT JOIN (SELECT booking_id, SUM(rent) as total_shed_charge FROM (SELECT sa.booking_id, s.rent FROM shed_allocations sa JOIN sheds s ON sa.shed_id = s.id WHERE sa.booking_id = ? AND sa.event_session_id = ? UNION ALL SELECT sb.booking_id, sb.amount as rent FROM shed_bills sb WHERE sb.booking_id = ? AND sb.event_session_id = ?) GROUP BY booking_id) sh ON b.id = sh.booking_id
-      LEFT JOIN (SELECT booking_id, SUM(amount) as total_write_offs FROM write_offs WHERE booking_id = ? AND event_session_id = ? GROUP BY booking_id) wo ON b.id = wo.booking_id
-      WHERE b.id = ?
-    `;
-    const financialParams = [bookingId, viewingSessionId, bookingId, viewingSessionId, booking.client_id, viewingSessionId, bookingId, viewingSessionId, bookingId, viewingSessionId, bookingId, viewingSessionId, bookingId];
-    const financials = await get(financialSummarySql, financialParams);
-
-    // 3. Attach financial summary to booking object
-    booking.financials = {
-      rent: { charged: financials.rent_charged, paid: financials.rent_paid, due: financials.rent_charged - (booking.discount || 0) - financials.rent_paid },
-      electric: { charged: financials.electric_charged, paid: financials.electric_paid, due: financials.electric_charged - financials.electric_paid },
-      material: { charged: financials.material_charged, paid: financials.material_paid, due: financials.material_charged - financials.material_paid },
-      shed: { charged: financials.shed_charged, paid: financials.shed_paid, due: financials.shed_charged - financials.shed_paid },
-      write_offs: { amount: financials.write_offs }
-    };
+    // Charges, payments and the financial summary, shared with the exhibitor portal
+    const { materials, electricBills, shedAllocations, payments, financials } = await getBookingStatement(booking, viewingSessionId);
+    booking.payments = payments;
+    booking.financials = financials;
 
     // Fetch count of issued materials for the link
     const issuedMaterialCount = (await get('SELECT COUNT(id) as count FROM material_stock WHERE issued_to_client_id = ? AND status = ?', [booking.client_id, 'Issued']))?.count || 0;
 
+    const statusHistory = await all('SELECT * FROM booking_status_history WHERE booking_id = ? ORDER BY changed_at, id', [bookingId]);
+
+    // Tax invoices issued so far, and what is still to be invoiced on each head
+    const [taxInvoices, uninvoicedCharges] = await Promise.all([
+      listTaxInvoices(viewingSessionId, { bookingId }),
+      getUninvoicedCharges(bookingId)
+    ]);
+
+    // Electrical work orders; items still up must come down before the booking can vacate
+    const workOrders = await listWorkOrders(viewingSessionId, { bookingId });
+
     res.render('bookingDetailsFull', {
       title: `Details for Booking #${booking.id}`,
       booking,
       materials,
       electricBills,
       availableSpaces,
+      holds,
+      preferences,
+      allSpaces,
+      openOffer,
       shedAllocations,
       previousId,
       nextId,
       issuedMaterialCount,
-      rebookedFromInfo
+      rebookedFromInfo,
+      statusHistory,
+      taxInvoices,
+      uninvoicedCharges,
+      workOrders,
+      workOrderStatuses: WORK_ORDER_STATUSES,
+      workOrderBadges: WORK_ORDER_BADGES,
+      onSiteWorkOrders: workOrders.filter(order => ON_SITE_STATUSES.includes(order.status)),
+      statusActions: statusActions(booking.booking_status),
+      nextStatuses: allowedTransitions(booking.booking_status)
     });
 
     // After rendering, mark any user notifications as read
@@ -347,10 +385,10 @@ router.get('/details-full/:id', async (req, res) => {
   }
 });
 
-// POST /booking/allocate/:id - Allocate a space to an unallocated booking
+// POST /booking/allocate/:id - Allocate a space to a registered booking
 router.post('/allocate/:id', async (req, res) => {
   const bookingId = req.params.id;
-  let { space_ids, discount } = req.body;
+  const { space_ids, discount } = req.body;
   const activeSessionId = res.locals.activeSession.id;
 
   if (res.locals.viewingSession.id !== activeSessionId) {
@@ -358,55 +396,105 @@ router.post('/allocate/:id', async (req, res) => {
     return res.redirect(`/booking/details-full/${bookingId}`);
   }
 
-  // Ensure space_ids is an array
-  if (!space_ids) {
-    req.session.flash = { type: 'danger', message: 'You must select a space to allocate.' };
-    return res.redirect(`/booking/details-full/${bookingId}`);
+  try {
+    await allocateSpaces(bookingId, space_ids, discount, activeSessionId, req.session.user);
+    req.session.flash = { type: 'success', message: 'Space allocated successfully!' };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message || 'Failed to allocate space due to a server error.' };
   }
-  if (!Array.isArray(space_ids)) {
-    space_ids = [space_ids];
+  res.redirect(`/booking/details-full/${bookingId}`);
+});
+
+// GET /booking/api/rent-quote/:id - Preview the rent and pricing-rule breakdown for a set of spaces
+router.get('/api/rent-quote/:id', async (req, res) => {
+  let spaceIds = req.query.space_ids || [];
+  if (!Array.isArray(spaceIds)) {
+    spaceIds = [spaceIds];
   }
 
-  db.serialize(async () => {
-    try {
-      db.run('BEGIN TRANSACTION');
+  try {
+    const booking = await get('SELECT booking_date, product_category FROM bookings WHERE id = ?', [req.params.id]);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found.' });
+    }
+    const sessionId = res.locals.activeSession.id;
+    const spaces = spaceIds.length > 0
+      ? await all(`
+          SELECT s.id, s.name, s.type, COALESCE(ssr.rent_amount, s.rent_amount) AS rent_amount, s.is_corner
+          FROM spaces s LEFT JOIN space_session_rents ssr ON ssr.space_id = s.id AND ssr.event_session_id = ?
+          WHERE s.id IN (${spaceIds.map(() => '?').join(', ')})`, [sessionId, ...spaceIds])
+      : [];
+    res.json(await calculateRent(booking, spaces, sessionId));
+  } catch (err) {
+    console.error('API Error calculating rent quote:', err.message);
+    res.status(500).json({ error: 'Failed to calculate rent' });
+  }
+});
 
-      let totalRent = 0;
-      for (const spaceId of space_ids) {
-        // Concurrency check: Make sure each space is still available
-        const existingAllocation = await get("SELECT bs.id FROM booking_spaces bs JOIN bookings b ON bs.booking_id = b.id WHERE bs.space_id = ? AND b.event_session_id = ? AND b.booking_status = 'active'", [spaceId, activeSessionId]);
-        if (existingAllocation) {
-          throw new Error(`Space ID ${spaceId} was just booked by someone else. Please try again.`);
-        }
+// POST /booking/api/allocate/:id - Allocate a space from the floor-plan map (drag & drop)
+router.post('/api/allocate/:id', async (req, res) => {
+  const bookingId = req.params.id;
+  const { space_id, discount } = req.body;
+  const activeSessionId = res.locals.activeSession.id;
+
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    return res.status(400).json({ error: 'Cannot allocate spaces in an archived session.' });
+  }
 
-        // Add to new booking_spaces table
-        await run('INSERT INTO booking_spaces (booking_id, space_id) VALUES (?, ?)', [bookingId, spaceId]);
+  try {
+    const result = await allocateSpaces(bookingId, [space_id], discount, activeSessionId, req.session.user);
+    await logAction(req.session.user.id, req.session.user.username, 'allocate_space_map', `Allocated space #${space_id} to booking #${bookingId} from the floor plan.`, activeSessionId);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(400).json({ error: err.message || 'Failed to allocate space due to a server error.' });
+  }
+});
 
-        // Add rent to total
-        const space = await get('SELECT rent_amount FROM spaces WHERE id = ?', [spaceId]);
-        totalRent += space.rent_amount || 0;
-      }
+// POST /booking/hold/:id - Hold a free space for a registered booking until the advance arrives
+router.post('/hold/:id', async (req, res) => {
+  const bookingId = req.params.id;
+  const { space_id, hours } = req.body;
+  const activeSessionId = res.locals.activeSession.id;
+
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot hold spaces in an archived session.' };
+    return res.redirect(`/booking/details-full/${bookingId}`);
+  }
 
-      const booking = await get('SELECT advance_amount FROM bookings WHERE id = ?', [bookingId]);
+  const holdHours = parseInt(hours, 10);
+  if (!space_id || !holdHours || holdHours < 1) {
+    req.session.flash = { type: 'danger', message: 'Select a space and a hold duration of at least one hour.' };
+    return res.redirect(`/booking/details-full/${bookingId}`);
+  }
 
-      const discountAmount = parseFloat(discount) || 0;
-      const advanceAmount = booking.advance_amount || 0;
-      const dueAmount = totalRent - discountAmount - advanceAmount;
+  try {
+    const hold = await placeHold(bookingId, space_id, holdHours, activeSessionId, req.session.user);
+    req.session.flash = { type: 'success', message: `Space ${hold.space_name} is on hold until ${hold.held_until}.` };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message || 'Failed to hold the space due to a server error.' };
+  }
+  res.redirect(`/booking/details-full/${bookingId}`);
+});
 
-      await run(
-        "UPDATE bookings SET rent_amount = ?, discount = ?, due_amount = ?, booking_status = 'active' WHERE id = ?",
-        [totalRent, discountAmount, dueAmount, bookingId]
-      );
+// POST /booking/hold/release/:hold_id - Release a hold before it expires
+router.post('/hold/release/:hold_id', async (req, res) => {
+  if (res.locals.viewingSession.id !== res.locals.activeSession.id) {
+    req.session.flash = { type: 'warning', message: 'Cannot release holds in an archived session.' };
+    return res.redirect(req.get('Referrer') || '/booking/list');
+  }
 
-      db.run('COMMIT');
-      req.session.flash = { type: 'success', message: 'Space allocated successfully!' };
-      res.redirect(`/booking/details-full/${bookingId}`);
-    } catch (err) {
-      db.run('ROLLBACK');
-      req.session.flash = { type: 'danger', message: err.message || 'Failed to allocate space due to a server error.' };
-      res.redirect(`/booking/details-full/${bookingId}`);
+  try {
+    const hold = await releaseHold(req.params.hold_id, req.session.user);
+    if (!hold) {
+      req.session.flash = { type: 'warning', message: 'This hold is no longer active.' };
+      return res.redirect(req.get('Referrer') || '/booking/list');
     }
-  });
+    req.session.flash = { type: 'success', message: `Hold on space ${hold.space_name} released.` + describeWaitlistOffers(hold.offers) };
+    res.redirect(`/booking/details-full/${hold.booking_id}`);
+  } catch (err) {
+    console.error('Error releasing space hold:', err.message);
+    res.status(500).send('Failed to release hold.');
+  }
 });
 
 // POST /booking/deallocate-space/:booking_id/:space_id - De-allocate a single space from a multi-space booking
@@ -429,15 +517,14 @@ router.post('/deallocate-space/:booking_id/:space_id', async (req, res) => {
         throw new Error('Cannot de-allocate the last space. Use the "De-allocate All" button instead.');
       }
 
-      // 2. Get the rent of the space being removed
-      const spaceToDeallocate = await get('SELECT rent_amount FROM spaces WHERE id = ?', [space_id]);
+      // 2. Make sure the space being removed exists
+      const spaceToDeallocate = await get('SELECT id FROM spaces WHERE id = ?', [space_id]);
       if (!spaceToDeallocate) {
         throw new Error('The space you are trying to de-allocate does not exist.');
       }
-      const rentToSubtract = spaceToDeallocate.rent_amount || 0;
 
       // 3. Get current booking financials
-      const booking = await get('SELECT rent_amount, discount, due_amount FROM bookings WHERE id = ?', [booking_id]);
+      const booking = await get('SELECT booking_date, product_category, rent_amount, discount FROM bookings WHERE id = ?', [booking_id]);
 
       // 4. Remove the specific space from the booking
       const result = await run('DELETE FROM booking_spaces WHERE booking_id = ? AND space_id = ?', [booking_id, space_id]);
@@ -445,20 +532,25 @@ router.post('/deallocate-space/:booking_id/:space_id', async (req, res) => {
         throw new Error('Space was not allocated to this booking.');
       }
 
-      // 5. Update the booking's financials
-      // When a space is removed, we also remove any existing discount.
-      const existingDiscount = booking.discount || 0;
-      const newRentAmount = (booking.rent_amount || 0) - rentToSubtract;
-      // The due amount is reduced by the rent of the removed space, but increased by the removed discount.
-      const newDueAmount = (booking.due_amount || 0) - rentToSubtract + existingDiscount;
+      // 5. Re-price the remaining spaces, since rules such as bundle discounts depend on the whole set
+      const remainingSpaces = await all(`
+        SELECT s.id, s.name, s.type, COALESCE(ssr.rent_amount, s.rent_amount) AS rent_amount, s.is_corner
+        FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id
+        LEFT JOIN space_session_rents ssr ON ssr.space_id = s.id AND ssr.event_session_id = ?
+        WHERE bs.booking_id = ?`, [activeSessionId, booking_id]);
+      const { total: newRentAmount, lines } = await calculateRent(booking, remainingSpaces, activeSessionId);
 
+      // 6. Update the booking's financials
+      // When a space is removed, we also remove any existing discount.
       await run(
-        'UPDATE bookings SET rent_amount = ?, discount = 0, due_amount = ? WHERE id = ?',
-        [newRentAmount, newDueAmount, booking_id]
+        'UPDATE bookings SET rent_amount = ?, rent_breakdown_json = ?, discount = 0 WHERE id = ?',
+        [newRentAmount, JSON.stringify(lines), booking_id]
       );
+      await syncStoredDue(booking_id);
 
       db.run('COMMIT');
-      req.session.flash = { type: 'success', message: 'One space has been de-allocated successfully.' };
+      const offers = await offerFreedSpaces([space_id], activeSessionId, req.session.user);
+      req.session.flash = { type: 'success', message: 'One space has been de-allocated successfully.' + describeWaitlistOffers(offers) };
       res.redirect(`/booking/details-full/${booking_id}`);
     } catch (err) {
       db.run('ROLLBACK');
@@ -468,7 +560,7 @@ router.post('/deallocate-space/:booking_id/:space_id', async (req, res) => {
   });
 });
 
-// POST /booking/deallocate/:id - De-allocate a space from a booking, reverting it to 'unallocated' status
+// POST /booking/deallocate/:id - De-allocate a space from a booking, moving it back to 'registered'
 router.post('/deallocate/:id', async (req, res) => {
   const bookingId = req.params.id;
   const activeSessionId = res.locals.activeSession.id;
@@ -482,20 +574,21 @@ router.post('/deallocate/:id', async (req, res) => {
     try {
       db.run('BEGIN TRANSACTION');
 
-      const booking = await get("SELECT advance_amount, booking_status FROM bookings WHERE id = ?", [bookingId]);
-      if (!booking || booking.booking_status !== 'active') {
-        throw new Error('This booking is not active and cannot be de-allocated.');
+      const booking = await get("SELECT booking_status FROM bookings WHERE id = ?", [bookingId]);
+      if (!booking || !allowedTransitions(booking.booking_status).includes('registered')) {
+        throw new Error('Only allocated or confirmed bookings can be de-allocated.');
       }
 
-      // Calculate the new due amount. It will be negative if an advance was paid.
-      const advanceAmount = booking.advance_amount || 0;
-      const newDueAmount = 0 - advanceAmount;
-
-      await run("UPDATE bookings SET rent_amount = 0, discount = 0, due_amount = ?, booking_status = 'unallocated' WHERE id = ?", [newDueAmount, bookingId]);
+      const freedSpaces = await all('SELECT space_id FROM booking_spaces WHERE booking_id = ?', [bookingId]);
+      // With no rent charged, the due goes negative by whatever has been paid towards rent.
+      await run("UPDATE bookings SET rent_amount = 0, rent_breakdown_json = NULL, discount = 0 WHERE id = ?", [bookingId]);
+      await syncStoredDue(bookingId);
       await run("DELETE FROM booking_spaces WHERE booking_id = ?", [bookingId]);
+      await transitionBooking(bookingId, 'registered', req.session.user, { note: 'Spaces de-allocated.' });
 
       db.run('COMMIT');
-      req.session.flash = { type: 'success', message: 'Space de-allocated successfully. The exhibitor is now awaiting a new space.' };
+      const offers = await offerFreedSpaces(freedSpaces.map(s => s.space_id), activeSessionId, req.session.user);
+      req.session.flash = { type: 'success', message: 'Space de-allocated successfully. The exhibitor is now awaiting a new space.' + describeWaitlistOffers(offers) };
       res.redirect(`/booking/details-full/${bookingId}`);
     } catch (err) {
       db.run('ROLLBACK');
@@ -505,6 +598,236 @@ router.post('/deallocate/:id', async (req, res) => {
   });
 });
 
+// POST /booking/preferences/:id - Save the space preferences of a registered booking (joins the waitlist)
+router.post('/preferences/:id', async (req, res) => {
+  const bookingId = req.params.id;
+  const { space_type, max_rent, notes } = req.body;
+
+  if (res.locals.viewingSession.id !== res.locals.activeSession.id) {
+    req.session.flash = { type: 'warning', message: 'Cannot change preferences in an archived session.' };
+    return res.redirect(`/booking/details-full/${bookingId}`);
+  }
+
+  // Ranked choices arrive as an ordered array; drop blanks and repeats but keep the order.
+  let preferredSpaceIds = req.body.preferred_space_ids || [];
+  if (!Array.isArray(preferredSpaceIds)) {
+    preferredSpaceIds = [preferredSpaceIds];
+  }
+  preferredSpaceIds = [...new Set(preferredSpaceIds.map(Number).filter(Boolean))];
+  const maxRent = max_rent === '' || max_rent === undefined ? null : parseFloat(max_rent);
+
+  try {
+    const booking = await get('SELECT id, booking_status FROM bookings WHERE id = ? AND event_session_id = ?', [bookingId, res.locals.activeSession.id]);
+    if (!booking) {
+      return res.status(404).send('Booking not found.');
+    }
+
+    // Upsert keeps created_at, so editing preferences does not lose the exhibitor's place in the queue.
+    await run(`
+      INSERT INTO booking_preferences (booking_id, preferred_space_ids, space_type, max_rent, notes, created_at)
+      VALUES (?, ?, ?, ?, ?, datetime('now', 'localtime'))
+      ON CONFLICT(booking_id) DO UPDATE SET
+        preferred_space_ids = excluded.preferred_space_ids, space_type = excluded.space_type,
+        max_rent = excluded.max_rent, notes = excluded.notes, updated_at = datetime('now', 'localtime')
+    `, [bookingId, JSON.stringify(preferredSpaceIds), space_type || null, isNaN(maxRent) ? null : maxRent, notes || null]);
+
+    req.session.flash = { type: 'success', message: 'Space preferences saved. The exhibitor is on the waitlist.' };
+    res.redirect(`/booking/details-full/${bookingId}`);
+  } catch (err) {
+    console.error('Error saving booking preferences:', err.message);
+    res.status(500).send('Failed to save preferences.');
+  }
+});
+
+// POST /booking/preferences/:id/remove - Remove a booking from the waitlist
+router.post('/preferences/:id/remove', async (req, res) => {
+  const bookingId = req.params.id;
+
+  if (res.locals.viewingSession.id !== res.locals.activeSession.id) {
+    req.session.flash = { type: 'warning', message: 'Cannot change preferences in an archived session.' };
+    return res.redirect(`/booking/details-full/${bookingId}`);
+  }
+
+  try {
+    await run('DELETE FROM booking_preferences WHERE booking_id = ?', [bookingId]);
+    await run("UPDATE waitlist_offers SET status = 'withdrawn', responded_at = datetime('now', 'localtime') WHERE booking_id = ? AND status = 'offered'", [bookingId]);
+    req.session.flash = { type: 'success', message: 'The exhibitor has been removed from the waitlist.' };
+    res.redirect(`/booking/details-full/${bookingId}`);
+  } catch (err) {
+    console.error('Error removing booking from waitlist:', err.message);
+    res.status(500).send('Failed to remove from waitlist.');
+  }
+});
+
+// GET /booking/waitlist - Waitlisted exhibitors in queue order, with matching free spaces and open offers
+router.get('/waitlist', async (req, res) => {
+  const viewingSessionId = res.locals.viewingSession.id;
+  try {
+    const [entries, unrankedBookings, spaces, offers] = await Promise.all([
+      all(`
+        SELECT bp.*, b.exhibitor_name, b.facia_name, b.product_category, b.contact_number
+        FROM booking_preferences bp
+        JOIN bookings b ON bp.booking_id = b.id
+        WHERE b.event_session_id = ? AND b.booking_status = 'registered'
+        ORDER BY bp.created_at, bp.id
+      `, [viewingSessionId]),
+      all(`
+        SELECT b.id, b.exhibitor_name, b.booking_date FROM bookings b
+        WHERE b.event_session_id = ? AND b.booking_status = 'registered'
+          AND b.id NOT IN (SELECT booking_id FROM booking_preferences)
+        ORDER BY b.booking_date
+      `, [viewingSessionId]),
+      all(`
+        SELECT s.id, s.name, s.type, COALESCE(ssr.rent_amount, s.rent_amount) AS rent_amount,
+          CASE WHEN EXISTS (
+            SELECT 1 FROM booking_spaces bs JOIN bookings b ON bs.booking_id = b.id
+            WHERE bs.space_id = s.id AND b.event_session_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL}
+          ) THEN 1 ELSE 0 END AS is_booked,
+          CASE WHEN EXISTS (
+            SELECT 1 FROM space_holds sh
+            WHERE sh.space_id = s.id AND sh.event_session_id = ? AND sh.status = 'held' AND sh.held_until > datetime('now', 'localtime')
+          ) THEN 1 ELSE 0 END AS is_held
+        FROM spaces s
+        LEFT JOIN space_session_rents ssr ON ssr.space_id = s.id AND ssr.event_session_id = ?
+        WHERE s.is_active = 1
+        ORDER BY s.type, s.name
+      `, [viewingSessionId, viewingSessionId, viewingSessionId]),
+      all(`
+        SELECT wo.*, s.name AS space_name, s.type AS space_type, b.exhibitor_name
+        FROM waitlist_offers wo
+        JOIN spaces s ON wo.space_id = s.id
+        JOIN bookings b ON wo.booking_id = b.id
+        WHERE wo.event_session_id = ?
+        ORDER BY CASE wo.status WHEN 'offered' THEN 0 ELSE 1 END, wo.offered_at DESC
+        LIMIT 50
+      `, [viewingSessionId])
+    ]);
+
+    const spacesById = new Map(spaces.map(space => [space.id, space]));
+    const offeredSpaceIds = new Set(offers.filter(o => o.status === 'offered').map(o => o.space_id));
+
+    entries.forEach(entry => {
+      const rankedIds = parsePreferredSpaceIds(entry.preferred_space_ids);
+      entry.preferredSpaces = rankedIds.map(id => spacesById.get(id)).filter(Boolean);
+      entry.openOffer = offers.find(o => o.booking_id === entry.booking_id && o.status === 'offered') || null;
+      // Free spaces that satisfy the preferences: ranked choices first, then cheapest.
+      const rank = (space) => (rankedIds.includes(space.id) ? rankedIds.indexOf(space.id) : rankedIds.length);
+      entry.matches = spaces
+        .filter(space => !space.is_booked && !space.is_held && !offeredSpaceIds.has(space.id) && preferenceMatchesSpace(entry, space))
+        .sort((a, b) => rank(a) - rank(b) || (a.rent_amount || 0) - (b.rent_amount || 0))
+        .slice(0, 3);
+    });
+
+    res.render('bookingWaitlist', {
+      title: 'Waitlist',
+      entries,
+      unrankedBookings,
+      offers,
+      report_url: '/booking/waitlist'
+    });
+  } catch (err) {
+    console.error('Error loading waitlist:', err.message);
+    res.status(500).send('Error loading waitlist.');
+  }
+});
+
+// POST /booking/waitlist/offer - Manually offer a free space to a waitlisted booking
+router.post('/waitlist/offer', async (req, res) => {
+  const { booking_id, space_id } = req.body;
+  const activeSessionId = res.locals.activeSession.id;
+
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot make offers in an archived session.' };
+    return res.redirect('/booking/waitlist');
+  }
+
+  try {
+    const [booking, space, existingOffer] = await Promise.all([
+      get("SELECT id, exhibitor_name FROM bookings WHERE id = ? AND event_session_id = ? AND booking_status = 'registered'", [booking_id, activeSessionId]),
+      get('SELECT id, name FROM spaces WHERE id = ? AND is_active = 1', [space_id]),
+      get("SELECT id FROM waitlist_offers WHERE (space_id = ? OR booking_id = ?) AND event_session_id = ? AND status = 'offered'", [space_id, booking_id, activeSessionId])
+    ]);
+    if (!booking || !space) {
+      req.session.flash = { type: 'danger', message: 'Booking or space not found.' };
+      return res.redirect('/booking/waitlist');
+    }
+    if (existingOffer) {
+      req.session.flash = { type: 'warning', message: 'This space or exhibitor already has an open offer. Accept or decline it first.' };
+      return res.redirect('/booking/waitlist');
+    }
+
+    await run(
+      `INSERT INTO waitlist_offers (booking_id, space_id, event_session_id, status, offered_at, offered_by_user_id)
+       VALUES (?, ?, ?, 'offered', datetime('now', 'localtime'), ?)`,
+      [booking.id, space.id, activeSessionId, req.session.user.id]
+    );
+    await logAction(req.session.user.id, req.session.user.username, 'waitlist_offer', `Offered space ${space.name} (#${space.id}) to waitlisted booking #${booking.id} (${booking.exhibitor_name}).`, activeSessionId);
+    req.session.flash = { type: 'success', message: `Space ${space.name} has been offered to ${booking.exhibitor_name}.` };
+    res.redirect('/booking/waitlist');
+  } catch (err) {
+    console.error('Error creating waitlist offer:', err.message);
+    res.status(500).send('Failed to create offer.');
+  }
+});
+
+// POST /booking/waitlist/offers/:offer_id/accept - Accept an offer and allocate the space
+router.post('/waitlist/offers/:offer_id/accept', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot accept offers in an archived session.' };
+    return res.redirect('/booking/waitlist');
+  }
+
+  try {
+    const offer = await get("SELECT * FROM waitlist_offers WHERE id = ? AND event_session_id = ? AND status = 'offered'", [req.params.offer_id, activeSessionId]);
+    if (!offer) {
+      req.session.flash = { type: 'warning', message: 'This offer is no longer open.' };
+      return res.redirect('/booking/waitlist');
+    }
+
+    try {
+      await allocateSpaces(offer.booking_id, [offer.space_id], 0, activeSessionId, req.session.user);
+    } catch (err) {
+      req.session.flash = { type: 'danger', message: err.message };
+      return res.redirect('/booking/waitlist');
+    }
+    await logAction(req.session.user.id, req.session.user.username, 'waitlist_accept', `Booking #${offer.booking_id} accepted waitlist offer #${offer.id} for space #${offer.space_id}.`, activeSessionId);
+    req.session.flash = { type: 'success', message: 'Offer accepted and the space has been allocated.' };
+    res.redirect(`/booking/details-full/${offer.booking_id}`);
+  } catch (err) {
+    console.error('Error accepting waitlist offer:', err.message);
+    res.status(500).send('Failed to accept offer.');
+  }
+});
+
+// POST /booking/waitlist/offers/:offer_id/decline - Decline an offer and pass the space to the next in line
+router.post('/waitlist/offers/:offer_id/decline', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot decline offers in an archived session.' };
+    return res.redirect('/booking/waitlist');
+  }
+
+  try {
+    const offer = await get("SELECT * FROM waitlist_offers WHERE id = ? AND event_session_id = ? AND status = 'offered'", [req.params.offer_id, activeSessionId]);
+    if (!offer) {
+      req.session.flash = { type: 'warning', message: 'This offer is no longer open.' };
+      return res.redirect('/booking/waitlist');
+    }
+
+    await run("UPDATE waitlist_offers SET status = 'declined', responded_at = datetime('now', 'localtime') WHERE id = ?", [offer.id]);
+    await logAction(req.session.user.id, req.session.user.username, 'waitlist_decline', `Booking #${offer.booking_id} declined waitlist offer #${offer.id} for space #${offer.space_id}.`, activeSessionId);
+    const offers = await offerFreedSpaces([offer.space_id], activeSessionId, req.session.user);
+    req.session.flash = { type: 'info', message: 'Offer declined.' + describeWaitlistOffers(offers) };
+    res.redirect('/booking/waitlist');
+  } catch (err) {
+    console.error('Error declining waitlist offer:', err.message);
+    res.status(500).send('Failed to decline offer.');
+  }
+});
+
 // GET: Show page to re-book an exhibitor for a new session
 router.get('/rebook/:id', async (req, res) => {
   const bookingId = req.params.id;
@@ -512,8 +835,15 @@ router.get('/rebook/:id', async (req, res) => {
 
   try {
     const booking = await get(`
-      SELECT b.id, b.client_id, b.exhibitor_name, b.facia_name, b.product_category, b.contact_person, b.full_address, b.contact_number, b.secondary_number, b.id_proof, b.form_submitted
+      SELECT b.id, b.client_id, b.exhibitor_name, b.facia_name, b.product_category,
+        COALESCE(NULLIF(c.contact_person, ''), b.contact_person) AS contact_person,
+        COALESCE(NULLIF(c.full_address, ''), b.full_address) AS full_address,
+        COALESCE(NULLIF(c.contact_number, ''), b.contact_number) AS contact_number,
+        COALESCE(NULLIF(c.secondary_number, ''), b.secondary_number) AS secondary_number,
+        COALESCE(NULLIF(c.id_proof, ''), b.id_proof) AS id_proof,
+        b.form_submitted
       FROM bookings b
+      LEFT JOIN clients c ON b.client_id = c.id
       WHERE b.id = ?
     `, [bookingId]);
 
@@ -552,46 +882,13 @@ router.post('/rebook/:id', async (req, res) => {
   }
 
   try {
-    // 1. Get the original booking data to copy
-    const originalBooking = await get(`
-      SELECT client_id, exhibitor_name, facia_name, product_category, contact_person, full_address, contact_number, secondary_number, id_proof, form_submitted
-      FROM bookings
-      WHERE id = ?
-    `, [originalBookingId]);
+    const { bookingId: newBookingId, existingBookingId, original: originalBooking } = await rebookBooking(originalBookingId, target_session_id, req.session.user);
 
-    if (!originalBooking) {
-      req.session.flash = { type: 'danger', message: 'Original booking not found.' };
-      return res.redirect('/booking/list');
+    if (existingBookingId) {
+      req.session.flash = { type: 'warning', message: `This exhibitor already has a booking (ID: ${existingBookingId}) in the selected session.` };
+      return res.redirect(`/booking/details-full/${existingBookingId}?view_session_id=${target_session_id}`);
     }
 
-    // 2. Check if a booking for this client already exists in the target session to prevent duplicates
-    const existingBookingInNewSession = await get(
-      'SELECT id FROM bookings WHERE client_id = ? AND event_session_id = ?',
-      [originalBooking.client_id, target_session_id]
-    );
-
-    if (existingBookingInNewSession) {
-      req.session.flash = { type: 'warning', message: `This exhibitor already has a booking (ID: ${existingBookingInNewSession.id}) in the selected session.` };
-      return res.redirect(`/booking/details-full/${existingBookingInNewSession.id}?view_session_id=${target_session_id}`);
-    }
-
-    // 3. Create the new booking record in the target session
-    const newBookingSql = `
-      INSERT INTO bookings (
-        client_id, booking_date, exhibitor_name, facia_name, product_category,
-        contact_person, full_address, contact_number, secondary_number, id_proof,
-        event_session_id, booking_status,
-        rent_amount, discount, advance_amount, due_amount, form_submitted, rebooked_from_booking_id
-      ) VALUES (?, datetime('now'), ?, ?, ?, ?, ?, ?, ?, ?, ?, 'unallocated', 0, 0, 0, 0, ?, ?)
-    `;
-    const params = [
-      originalBooking.client_id, originalBooking.exhibitor_name, originalBooking.facia_name,
-      originalBooking.product_category, originalBooking.contact_person, originalBooking.full_address,
-      originalBooking.contact_number, originalBooking.secondary_number, originalBooking.id_proof,
-      target_session_id, originalBooking.form_submitted, originalBookingId
-    ];
-    const { lastID: newBookingId } = await run(newBookingSql, params);
-
     req.session.flash = { type: 'success', message: `Successfully re-booked ${originalBooking.exhibitor_name} for the new session.` };
     res.redirect(`/booking/details-full/${newBookingId}?view_session_id=${target_session_id}`);
   } catch (err) {
@@ -601,6 +898,154 @@ router.post('/rebook/:id', async (req, res) => {
   }
 });
 
+// GET /booking/rebook-bulk - List a past session's bookings for re-booking into another session
+router.get('/rebook-bulk', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  const { paid = 'all', product_category = '', space_type = '' } = req.query;
+
+  try {
+    const sessions = await all('SELECT id, name, is_active FROM event_sessions ORDER BY start_date DESC');
+    const targetSessionId = parseInt(req.query.target_session_id, 10) || activeSessionId;
+    // Default to the most recent session other than the target
+    const defaultSource = sessions.find(s => s.id !== targetSessionId);
+    const sourceSessionId = parseInt(req.query.source_session_id, 10) || (defaultSource && defaultSource.id);
+
+    const whereClauses = ['b.event_session_id = ?', "b.booking_status != 'cancelled'"];
+    const params = [targetSessionId, sourceSessionId];
+    if (product_category) {
+      whereClauses.push('b.product_category = ?');
+      params.push(product_category);
+    }
+    if (space_type) {
+      whereClauses.push('b.id IN (SELECT bs2.booking_id FROM booking_spaces bs2 JOIN spaces s2 ON bs2.space_id = s2.id WHERE s2.type = ?)');
+      params.push(space_type);
+    }
+
+    const [rows, balances] = await Promise.all([
+      all(`
+        SELECT
+          b.id, b.client_id, b.exhibitor_name, b.facia_name, b.product_category, b.booking_status,
+          GROUP_CONCAT(s.name, ', ') AS space_name,
+          GROUP_CONCAT(s.type, ', ') AS space_type,
+          (SELECT MIN(tb.id) FROM bookings tb WHERE tb.client_id = b.client_id AND tb.event_session_id = ?) AS target_booking_id
+        FROM bookings b
+        LEFT JOIN booking_spaces bs ON b.id = bs.booking_id
+        LEFT JOIN spaces s ON bs.space_id = s.id
+        WHERE ${whereClauses.join(' AND ')}
+        GROUP BY b.id
+        ORDER BY b.exhibitor_name
+      `, params),
+      getBookingBalances({ sessionId: sourceSessionId })
+    ]);
+    rows.forEach(b => { b.total_due = balances.get(b.id).due; });
+
+    const bookings = rows.filter(b => {
+      if (paid === 'paid') return b.total_due <= 0.005;
+      if (paid === 'due') return b.total_due > 0.005;
+      return true;
+    });
+
+    const [categories, spaceTypes] = await Promise.all([
+      all("SELECT DISTINCT product_category FROM bookings WHERE event_session_id = ? AND product_category IS NOT NULL AND product_category != '' ORDER BY product_category", [sourceSessionId]),
+      all('SELECT DISTINCT type FROM spaces ORDER BY type')
+    ]);
+
+    res.render('bulkRebook', {
+      title: 'Bulk Re-book Exhibitors',
+      sessions,
+      bookings,
+      categories: categories.map(c => c.product_category),
+      spaceTypes: spaceTypes.map(t => t.type),
+      filters: { source_session_id: sourceSessionId, target_session_id: targetSessionId, paid, product_category, space_type }
+    });
+  } catch (err) {
+    console.error('Error loading bulk re-book page:', err.message);
+    res.status(500).send('Error loading page.');
+  }
+});
+
+// POST /booking/rebook-bulk - Re-book the selected bookings into the target session
+router.post('/rebook-bulk', async (req, res) => {
+  const { source_session_id, preallocate } = req.body;
+  const targetSessionId = parseInt(req.body.target_session_id, 10);
+  let bookingIds = req.body.booking_ids || [];
+  if (!Array.isArray(bookingIds)) {
+    bookingIds = [bookingIds];
+  }
+
+  const backUrl = `/booking/rebook-bulk?source_session_id=${source_session_id || ''}&target_session_id=${targetSessionId || ''}`;
+  if (!targetSessionId || String(targetSessionId) === String(source_session_id)) {
+    req.session.flash = { type: 'danger', message: 'Please choose a target session different from the source session.' };
+    return res.redirect(backUrl);
+  }
+  if (bookingIds.length === 0) {
+    req.session.flash = { type: 'warning', message: 'No bookings were selected.' };
+    return res.redirect(backUrl);
+  }
+
+  try {
+    const targetSession = await get('SELECT id, name FROM event_sessions WHERE id = ?', [targetSessionId]);
+    if (!targetSession) {
+      req.session.flash = { type: 'danger', message: 'Target session not found.' };
+      return res.redirect(backUrl);
+    }
+
+    const created = [];
+    const skipped = [];
+    const failed = [];
+    // One at a time so a client selected twice is caught as a duplicate of the first re-booking
+    for (const bookingId of bookingIds) {
+      try {
+        const { bookingId: newBookingId, existingBookingId, original } = await rebookBooking(bookingId, targetSessionId, req.session.user);
+        if (existingBookingId) {
+          skipped.push({ original, existingBookingId });
+          continue;
+        }
+
+        const entry = { original, newBookingId, allocated: false, note: '' };
+        if (preallocate) {
+          const spaceRows = await all('SELECT bs.space_id FROM booking_spaces bs WHERE bs.booking_id = ?', [original.id]);
+          if (spaceRows.length === 0) {
+            entry.note = 'No spaces on the original booking.';
+          } else {
+            // allocateSpaces checks each space is free and not held in the target session
+            try {
+              await allocateSpaces(newBookingId, spaceRows.map(r => r.space_id), 0, targetSessionId, req.session.user);
+              entry.allocated = true;
+            } catch (allocErr) {
+              entry.note = allocErr.message;
+            }
+          }
+        }
+        created.push(entry);
+      } catch (err) {
+        failed.push({ bookingId, message: err.message });
+      }
+    }
+
+    const allocatedCount = created.filter(c => c.allocated).length;
+    await logAction(
+      req.session.user.id, req.session.user.username, 'bulk_rebook',
+      `Bulk re-booked ${created.length} exhibitor(s) from session #${source_session_id} into ${targetSession.name} (${allocatedCount} pre-allocated, ${skipped.length} duplicate(s) skipped, ${failed.length} failed).`,
+      targetSessionId
+    );
+
+    res.render('bulkRebookResult', {
+      title: 'Bulk Re-book Results',
+      targetSession,
+      created,
+      skipped,
+      failed,
+      allocatedCount,
+      backUrl
+    });
+  } catch (err) {
+    console.error('Error processing bulk re-booking:', err.message);
+    req.session.flash = { type: 'danger', message: 'Failed to re-book exhibitors.' };
+    res.redirect(backUrl);
+  }
+});
+
 // GET: Redirect from a space ID to its latest booking's full detail page
 router.get('/details-full-by-space/:space_id', async (req, res) => {
   const spaceId = req.params.space_id;
@@ -611,7 +1056,7 @@ router.get('/details-full-by-space/:space_id', async (req, res) => {
       SELECT b.id 
       FROM bookings b
       JOIN booking_spaces bs ON b.id = bs.booking_id
-      WHERE bs.space_id = ? AND b.event_session_id = ? AND b.booking_status = 'active' 
+      WHERE bs.space_id = ? AND b.event_session_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL} 
       ORDER BY b.booking_date DESC LIMIT 1`, [spaceId, viewingSessionId]);
     if (booking) {
       return res.redirect(`/booking/details-full/${booking.id}`);
@@ -628,10 +1073,11 @@ router.get('/details-full-by-space/:space_id', async (req, res) => {
 // GET: Show form to edit a booking
 router.get('/edit/:id', async (req, res) => {
   try {
-    const booking = await get('SELECT * FROM bookings WHERE id = ?', [req.params.id]);
+    const booking = await get(`SELECT b.*, ${BOOKING_ADVANCE_SQL} AS advance_credit FROM bookings b WHERE b.id = ?`, [req.params.id]);
     if (!booking) {
       return res.status(404).send('Booking not found.');
     }
+    booking.balance = await getBookingBalance(booking.id);
     res.render('editBooking', { title: 'Edit Booking', booking });
   } catch (err) {
     res.status(500).send('Error loading booking for editing.');
@@ -647,7 +1093,7 @@ router.post('/edit/:id', async (req, res) => {
     return res.redirect(`/booking/details-full/${bookingId}`);
   }
 
-  const { exhibitor_name, facia_name, product_category, contact_person, full_address, contact_number, secondary_number, id_proof, rent_amount, discount, advance_amount, due_amount, form_submitted } = req.body;
+  const { exhibitor_name, facia_name, product_category, contact_person, full_address, contact_number, secondary_number, id_proof, rent_amount, discount, form_submitted } = req.body;
 
   if (!exhibitor_name || !contact_person || !contact_number) {
     return res.status(400).send('Missing required fields: exhibitor name, contact person, and contact number are required.');
@@ -656,10 +1102,11 @@ router.post('/edit/:id', async (req, res) => {
   // If user is an admin, update directly
   if (req.session.user && req.session.user.role === 'admin') {
     const formSubmittedStatus = form_submitted ? 1 : 0;
-    const sql = `UPDATE bookings SET exhibitor_name = ?, facia_name = ?, product_category = ?, contact_person = ?, full_address = ?, contact_number = ?, secondary_number = ?, id_proof = ?, rent_amount = ?, discount = ?, advance_amount = ?, due_amount = ?, form_submitted = ? WHERE id = ?`;
-    const params = [exhibitor_name, facia_name, product_category, contact_person, full_address, contact_number, secondary_number, id_proof, rent_amount, discount, advance_amount, due_amount, formSubmittedStatus, bookingId];
+    const sql = `UPDATE bookings SET exhibitor_name = ?, facia_name = ?, product_category = ?, contact_person = ?, full_address = ?, contact_number = ?, secondary_number = ?, id_proof = ?, rent_amount = ?, discount = ?, form_submitted = ? WHERE id = ?`;
+    const params = [exhibitor_name, facia_name, product_category, contact_person, full_address, contact_number, secondary_number, id_proof, rent_amount, discount, formSubmittedStatus, bookingId];
     try {
       await run(sql, params);
+      await syncStoredDue(bookingId);
       res.redirect('/booking/list?message=Booking updated successfully.');
     } catch (err) {
       console.error('Error updating booking:', err.message);
@@ -717,13 +1164,25 @@ router.post('/approve/:edit_id', async (req, res) => {
   try {
     const editRequest = await get('SELECT * FROM booking_edits WHERE id = ?', [editId]);
     const proposedData = JSON.parse(editRequest.proposed_data);
-    const { exhibitor_name, facia_name, product_category, contact_person, full_address, contact_number, secondary_number, id_proof, rent_amount, discount, advance_amount, due_amount, form_submitted } = proposedData;
+
+    // Portal corrections only carry the profile fields the exhibitor changed.
+    if (editRequest.source === 'portal') {
+      const fields = Object.keys(proposedData).filter(field => field in PROFILE_FIELDS);
+      if (fields.length > 0) {
+        await run(`UPDATE bookings SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`, [...fields.map(field => proposedData[field]), editRequest.booking_id]);
+      }
+      await run(`UPDATE booking_edits SET status = 'approved' WHERE id = ?`, [editId]);
+      return res.redirect('/dashboard?message=Edit approved and applied.');
+    }
+
+    const { exhibitor_name, facia_name, product_category, contact_person, full_address, contact_number, secondary_number, id_proof, rent_amount, discount, form_submitted } = proposedData;
     const formSubmittedStatus = form_submitted ? 1 : 0;
 
-    const sql = `UPDATE bookings SET exhibitor_name = ?, facia_name = ?, product_category = ?, contact_person = ?, full_address = ?, contact_number = ?, secondary_number = ?, id_proof = ?, rent_amount = ?, discount = ?, advance_amount = ?, due_amount = ?, form_submitted = ? WHERE id = ?`;
-    const params = [exhibitor_name, facia_name, product_category, contact_person, full_address, contact_number, secondary_number, id_proof, rent_amount, discount, advance_amount, due_amount, formSubmittedStatus, editRequest.booking_id];
+    const sql = `UPDATE bookings SET exhibitor_name = ?, facia_name = ?, product_category = ?, contact_person = ?, full_address = ?, contact_number = ?, secondary_number = ?, id_proof = ?, rent_amount = ?, discount = ?, form_submitted = ? WHERE id = ?`;
+    const params = [exhibitor_name, facia_name, product_category, contact_person, full_address, contact_number, secondary_number, id_proof, rent_amount, discount, formSubmittedStatus, editRequest.booking_id];
     
     await run(sql, params);
+    await syncStoredDue(editRequest.booking_id);
     await run(`UPDATE booking_edits SET status = 'approved' WHERE id = ?`, [editId]);
 
     res.redirect('/dashboard?message=Edit approved and applied.');
@@ -768,6 +1227,7 @@ router.post('/write-off/:id', async (req, res) => {
       db.run('BEGIN TRANSACTION');
       // 1. Record the write-off
       await run('INSERT INTO write_offs (booking_id, amount, reason, write_off_date, user_id, event_session_id) VALUES (?, ?, ?, date("now"), ?, ?)', [bookingId, writeOffAmount, reason, user.id, activeSessionId]);
+      await syncStoredDue(bookingId);
       db.run('COMMIT');
       req.session.flash = { type: 'success', message: `Successfully wrote off ₹${writeOffAmount.toFixed(2)}.` };
     } catch (err) {
@@ -782,15 +1242,15 @@ router.post('/write-off/:id', async (req, res) => {
 // GET: Rent Receipt view
 router.get('/receipt/:id', async (req, res) => {
   const bookingId = req.params.id;
-  const sql = `SELECT b.*, c.name AS client_name, c.full_address AS client_address, GROUP_CONCAT(s.name, ', ') AS space_name, GROUP_CONCAT(s.size, ', ') AS space_size FROM bookings b JOIN clients c ON b.client_id = c.id LEFT JOIN booking_spaces bs ON b.id = bs.booking_id LEFT JOIN spaces s ON bs.space_id = s.id WHERE b.id = ? GROUP BY b.id`;
   try {
-    const booking = await get(sql, [bookingId]);
+    const booking = await getReceiptBooking(bookingId);
     if (!booking) {
       return res.status(404).send('Booking not found');
     }
     res.render('rentReceipt', {
       title: `Rent Receipt #${booking.id}`,
-      booking: booking
+      booking: booking,
+      pageSizes: PAGE_SIZES
     });
   } catch (err) {
     console.error('Error fetching receipt data:', err.message);
@@ -798,61 +1258,145 @@ router.get('/receipt/:id', async (req, res) => {
   }
 });
 
+// GET /booking/receipt/:id/pdf - The rent statement as a PDF (?size=a4, a5 or thermal)
+router.get('/receipt/:id/pdf', async (req, res) => {
+  try {
+    const booking = await getReceiptBooking(req.params.id);
+    if (!booking) {
+      return res.status(404).send('Booking not found');
+    }
+    sendDocumentsPdf(res, `statement-${booking.id}.pdf`, [bookingStatementDocument(booking)], { size: req.query.size || 'a5', session: res.locals.viewingSession });
+  } catch (err) {
+    console.error('Error generating statement PDF:', err.message);
+    res.status(500).send('Error generating receipt.');
+  }
+});
+
+// POST /booking/portal-link/:id - Issue a one-time exhibitor portal login link for the booking's client
+router.post('/portal-link/:id', async (req, res) => {
+  const bookingId = req.params.id;
+  try {
+    const booking = await get('SELECT b.id, b.client_id, b.contact_number, c.name AS client_name FROM bookings b JOIN clients c ON b.client_id = c.id WHERE b.id = ?', [bookingId]);
+    if (!booking) {
+      return res.status(404).send('Booking not found.');
+    }
+    const { token, expires_at } = await createPortalToken(booking.client_id, req.session.user);
+    const loginUrl = `${req.protocol}://${req.get('host')}/portal/login/${token}`;
+    const qrCodeDataUrl = await qrcode.toDataURL(loginUrl);
+    await logAction(req.session.user.id, req.session.user.username, 'portal_link_issued', `Issued exhibitor portal login link for client #${booking.client_id} (${booking.client_name}).`, res.locals.activeSession.id);
+    res.render('portalLink', { title: 'Exhibitor Portal Link', booking, loginUrl, qrCodeDataUrl, expiresAt: expires_at });
+  } catch (err) {
+    console.error('Error issuing portal link:', err.message);
+    res.status(500).send('Error issuing portal link.');
+  }
+});
+
 // GET: Invoice view
 router.get('/invoice/:id', async (req, res) => {
   const bookingId = req.params.id;
-  const sql = `SELECT b.*, c.name AS client_name, c.contact_number AS contact, GROUP_CONCAT(s.name, ', ') AS space_name, GROUP_CONCAT(s.facilities, '; ') as facilities FROM bookings b JOIN clients c ON b.client_id = c.id LEFT JOIN booking_spaces bs ON b.id = bs.booking_id LEFT JOIN spaces s ON bs.space_id = s.id WHERE b.id = ? GROUP BY b.id`;
   try {
-    const booking = await get(sql, [bookingId]);
-    if (err || !booking) return res.send('Invoice not found');
-    res.render('invoice', { title: `Invoice #${booking.id}`, booking }); // <-- ADDED title
+    const booking = await getInvoiceBooking(bookingId);
+    if (!booking) return res.send('Invoice not found');
+    res.render('invoice', { title: `Invoice #${booking.id}`, booking, pageSizes: PAGE_SIZES }); // <-- ADDED title
   } catch (err) {
     res.send('Invoice not found');
   }
 });
 
-// POST /booking/vacate/:id - Mark a booking as cancelled and reverse charges
-router.post('/vacate/:id', async (req, res) => {
+// GET /booking/invoice/:id/pdf - The invoice as a PDF (?size=a4, a5 or thermal)
+router.get('/invoice/:id/pdf', async (req, res) => {
+  try {
+    const booking = await getInvoiceBooking(req.params.id);
+    if (!booking) return res.status(404).send('Invoice not found');
+    sendDocumentsPdf(res, `invoice-${booking.id}.pdf`, [bookingInvoiceDocument(booking)], { size: req.query.size || 'a4', session: res.locals.viewingSession });
+  } catch (err) {
+    console.error('Error generating invoice PDF:', err.message);
+    res.status(500).send('Error generating invoice.');
+  }
+});
+
+// POST /booking/status/:id - Move a booking to its next lifecycle status (confirm, move in, vacate...)
+router.post('/status/:id', async (req, res) => {
   const bookingId = req.params.id;
+  const { to_status, note } = req.body;
+  const activeSessionId = res.locals.activeSession.id;
 
-  if (res.locals.viewingSession.id !== res.locals.activeSession.id) {
-    req.session.flash = { type: 'warning', message: 'Cannot cancel a booking in an archived session.' };
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot change bookings in an archived session.' };
     return res.redirect(`/booking/details-full/${bookingId}`);
   }
 
-  // Use a transaction to ensure atomicity
-  db.serialize(async () => {
-    try {
-      db.run('BEGIN TRANSACTION');
-
-      // 1. Get the booking to ensure it's active
-      const booking = await get("SELECT id, client_id, rent_amount, discount, booking_status FROM bookings WHERE id = ?", [bookingId]);
-      if (!booking || booking.booking_status !== 'active') {
-        db.run('ROLLBACK');
-        req.session.flash = { type: 'info', message: 'This booking is not active and cannot be cancelled.' };
-        return res.redirect(`/booking/details-full/${bookingId}`);
-      }
+  try {
+    const booking = await get('SELECT id, exhibitor_name, booking_status FROM bookings WHERE id = ? AND event_session_id = ?', [bookingId, activeSessionId]);
+    if (!booking) {
+      return res.status(404).send('Booking not found.');
+    }
+    if (!STATUS_ACTIONS[`${booking.booking_status}:${to_status}`]) {
+      req.session.flash = { type: 'danger', message: 'Use the allocate, de-allocate or cancel actions for this change.' };
+      return res.redirect(`/booking/details-full/${bookingId}`);
+    }
 
-      // 2. Delete associated charge records
-      await run('DELETE FROM electric_bills WHERE booking_id = ? AND event_session_id = ?', [bookingId, res.locals.activeSession.id]);
-      await run('DELETE FROM material_issues WHERE client_id = ? AND event_session_id = ?', [booking.client_id, res.locals.activeSession.id]);
-      await run('DELETE FROM shed_allocations WHERE booking_id = ?', [bookingId]);
-      await run('DELETE FROM shed_bills WHERE booking_id = ?', [bookingId]);
+    const { from, to } = await transitionBooking(bookingId, to_status, req.session.user, { note: note || null });
+    await logAction(req.session.user.id, req.session.user.username, 'booking_status', `Booking #${bookingId} (${booking.exhibitor_name}) moved from ${from} to ${to}.`, activeSessionId);
 
-      // 3. Update the booking status and reverse the charges from its due amount
-      // We set due_amount to 0 to clear any remaining rent/discount balance as well.
-      await run("UPDATE bookings SET booking_status = 'cancelled', vacated_date = date('now'), due_amount = 0 WHERE id = ?", [bookingId]);
+    let offers = [];
+    if (to === 'vacated') {
+      const freedSpaces = await all('SELECT space_id FROM booking_spaces WHERE booking_id = ?', [bookingId]);
+      offers = await offerFreedSpaces(freedSpaces.map(s => s.space_id), activeSessionId, req.session.user);
+    }
+    req.session.flash = { type: 'success', message: `Booking status updated to ${statusLabel(to)}.` + describeWaitlistOffers(offers) };
+  } catch (err) {
+    console.error('Error changing booking status:', err.message);
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect(`/booking/details-full/${bookingId}`);
+});
 
-      db.run('COMMIT');
-      req.session.flash = { type: 'success', message: 'Booking has been cancelled, charges reversed, and space is now available.' };
-      res.redirect(`/booking/details-full/${bookingId}`);
-    } catch (err) {
-      db.run('ROLLBACK');
-      console.error('Error cancelling booking:', err);
-      req.session.flash = { type: 'danger', message: 'Failed to cancel the booking due to a server error.' };
-      res.redirect(`/booking/details-full/${bookingId}`);
+// GET /booking/cancel/:id - Show the cancellation form with the money received and open charges
+router.get('/cancel/:id', async (req, res) => {
+  const bookingId = req.params.id;
+  try {
+    const booking = await get('SELECT * FROM bookings WHERE id = ? AND event_session_id = ?', [bookingId, res.locals.viewingSession.id]);
+    if (!booking) {
+      return res.status(404).send('Booking not found in this session.');
     }
-  });
+    if (!allowedTransitions(booking.booking_status).includes('cancelled')) {
+      req.session.flash = { type: 'info', message: 'This booking can no longer be cancelled.' };
+      return res.redirect(`/booking/details-full/${bookingId}`);
+    }
+    const quote = await getCancellationQuote({ get, all }, booking, res.locals.viewingSession.id, { forfeiturePercent: 0 });
+    res.render('cancelBooking', { title: `Cancel Booking #${booking.id}`, booking, quote });
+  } catch (err) {
+    console.error('Error loading cancellation form:', err.message);
+    res.status(500).send('Error loading cancellation form.');
+  }
+});
+
+// POST /booking/cancel/:id - Cancel a booking, refunding or forfeiting what was paid and issuing credit notes for the rest
+router.post('/cancel/:id', async (req, res) => {
+  const bookingId = req.params.id;
+
+  if (res.locals.viewingSession.id !== res.locals.activeSession.id) {
+    req.session.flash = { type: 'warning', message: 'Cannot cancel a booking in an archived session.' };
+    return res.redirect(`/booking/details-full/${bookingId}`);
+  }
+
+  const { refund_by, refund_amount, forfeiture_percent, refund_mode, reason } = req.body;
+  const terms = refund_by === 'amount'
+    ? { refundAmount: refund_amount || 0 }
+    : { forfeiturePercent: forfeiture_percent || 0 };
+
+  try {
+    const result = await cancelBooking(bookingId, { ...terms, refundMode: refund_mode, reason: (reason || '').trim() }, req.session.user, res.locals.activeSession.id);
+    await logAction(req.session.user.id, req.session.user.username, 'cancel_booking', `Cancelled booking #${bookingId}: refunded ₹${result.refund.toFixed(2)}, retained ₹${result.retained.toFixed(2)}, credit notes ₹${result.credited.toFixed(2)}.`, res.locals.activeSession.id);
+    const offers = await offerFreedSpaces(result.freedSpaceIds, res.locals.activeSession.id, req.session.user);
+    req.session.flash = { type: 'success', message: `Booking has been cancelled. Refund ₹${result.refund.toFixed(2)}, retained ₹${result.retained.toFixed(2)}, and credit notes issued for ₹${result.credited.toFixed(2)}.` + describeWaitlistOffers(offers) };
+    res.redirect(`/booking/details-full/${bookingId}`);
+  } catch (err) {
+    console.error('Error cancelling booking:', err.message);
+    req.session.flash = { type: 'danger', message: err.message };
+    res.redirect(`/booking/cancel/${bookingId}`);
+  }
 });
 
 // GET: Delete booking
@@ -888,16 +1432,23 @@ router.get('/report/cancelled', async (req, res) => {
       SELECT
         b.id,
         b.exhibitor_name,
+        b.booking_status,
         GROUP_CONCAT(s.name, ', ') as space_name,
         b.vacated_date,
         b.rent_amount AS rent_charged,
         b.discount,
-        (b.advance_amount + COALESCE(p.total_rent_paid, 0)) AS rent_paid,
+        COALESCE(p.total_rent_paid, 0) AS rent_paid,
         COALESCE(p.total_electric_paid, 0) AS electric_paid,
         COALESCE(p.total_material_paid, 0) AS material_paid,
-        COALESCE(p.total_shed_paid, 0) AS shed_paid
+        COALESCE(p.total_shed_paid, 0) AS shed_paid,
+        COALESCE(bc.refund_amount, 0) AS refunded,
+        bc.forfeiture_percent,
+        bc.reason AS cancellation_reason,
+        COALESCE(cn.total_credited, 0) AS credited
       FROM bookings b
       LEFT JOIN booking_spaces bs ON b.id = bs.booking_id LEFT JOIN spaces s ON bs.space_id = s.id
+      LEFT JOIN booking_cancellations bc ON b.id = bc.booking_id
+      LEFT JOIN (SELECT booking_id, SUM(amount) AS total_credited FROM credit_notes GROUP BY booking_id) cn ON b.id = cn.booking_id
       LEFT JOIN (
         SELECT 
           booking_id,
@@ -912,6 +1463,10 @@ router.get('/report/cancelled', async (req, res) => {
       GROUP BY b.id
       ORDER BY b.vacated_date DESC
     `, [viewingSessionId]);
+    cancelledBookings.forEach(b => {
+      b.received = (b.rent_paid || 0) + (b.electric_paid || 0) + (b.material_paid || 0) + (b.shed_paid || 0);
+      b.retained = b.received - b.refunded;
+    });
 
     res.render('cancelledBookingsReport', {
       title: 'Cancelled & Vacated Bookings',
@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const { get, run, logAction, transaction } = require('../db-helpers');
+const { DENOMINATIONS, getOpenShift, getOpenShiftElsewhere, parseDenominations, getShiftSummary, postShiftSettlement, clearShiftSettlement, listShifts } = require('../cash-shift-helpers');
+
+const isAdmin = (user) => user && user.role === 'admin';
+
+// Loads a shift the current user may work with: their own, or any shift for an admin.
+async function loadShift(req, res) {
+  const summary = await getShiftSummary(req.params.id);
+  if (!summary || (summary.user_id !== req.session.user.id && !isAdmin(req.session.user))) {
+    res.status(404).send('Cash shift not found.');
+    return null;
+  }
+  return summary;
+}
+
+// GET: The current user's open shift in the active session, and the shifts of the viewing session
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'all' } = req.query;
+    const openShift = await getOpenShift(req.session.user.id, res.locals.activeSession.id);
+    const strayShift = openShift ? null : await getOpenShiftElsewhere(req.session.user.id, res.locals.activeSession.id);
+    let shifts = await listShifts(res.locals.viewingSession.id, { status });
+    if (!isAdmin(req.session.user)) {
+      shifts = shifts.filter(s => s.user_id === req.session.user.id);
+    }
+    res.render('cashShifts', {
+      title: 'Cash Counter Shifts',
+      openShift: openShift ? await getShiftSummary(openShift.id) : null,
+      strayShift,
+      shifts,
+      filters: { status }
+    });
+  } catch (err) {
+    console.error('Error loading cash shifts:', err.message);
+    res.status(500).send('Error loading page.');
+  }
+});
+
+// POST: Open a shift for the current user with an opening float
+router.post('/open', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot open a cash shift in an archived session.' };
+    return res.redirect('/cash-shifts');
+  }
+
+  const openingFloat = parseFloat(req.body.opening_float) || 0;
+  if (openingFloat < 0) {
+    req.session.flash = { type: 'danger', message: 'The opening float cannot be negative.' };
+    return res.redirect('/cash-shifts');
+  }
+
+  try {
+    if (await getOpenShift(req.session.user.id, activeSessionId)) {
+      throw new Error('You already have an open shift. Close it before opening another.');
+    }
+    const strayShift = await getOpenShiftElsewhere(req.session.user.id, activeSessionId);
+    if (strayShift) {
+      throw new Error(`Your shift #${strayShift.id} in ${strayShift.session_name} is still open. Close it before opening one in this session.`);
+    }
+    const { lastID } = await run(
+      'INSERT INTO cash_shifts (event_session_id, user_id, opening_float, notes) VALUES (?, ?, ?, ?)',
+      [activeSessionId, req.session.user.id, openingFloat, req.body.notes || null]
+    );
+    await logAction(req.session.user.id, req.session.user.username, 'open_cash_shift', `Opened cash shift #${lastID} with a float of ₹${openingFloat.toFixed(2)}`, activeSessionId);
+    req.session.flash = { type: 'success', message: 'Cash shift opened.' };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect('/cash-shifts');
+});
+
+// GET: Show the denomination count form to close a shift
+router.get('/:id/close', async (req, res) => {
+  try {
+    const shift = await loadShift(req, res);
+    if (!shift) return;
+    if (shift.status === 'closed') {
+      return res.redirect(`/cash-shifts/${shift.id}/report`);
+    }
+    res.render('closeCashShift', { title: 'Close Cash Shift', shift, denominations: DENOMINATIONS });
+  } catch (err) {
+    console.error('Error loading cash shift close page:', err.message);
+    res.status(500).send('Error loading page.');
+  }
+});
+
+// POST: Close a shift. The counted cash is compared with the expected; a short or excess is
+// posted to staff settlements and stays unsettled until an admin clears it.
+router.post('/:id/close', async (req, res) => {
+  const shiftId = req.params.id;
+  let count;
+  try {
+    count = parseDenominations(req.body);
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+    return res.redirect(`/cash-shifts/${shiftId}/close`);
+  }
+
+  let closed;
+  try {
+    const shift = await loadShift(req, res);
+    if (!shift) return;
+
+    await transaction(async (db) => {
+      // Read again inside the transaction so no payment slips in between the count and the close
+      const summary = await getShiftSummary(shift.id, db);
+      if (summary.status !== 'open') throw new Error('This shift has already been closed.');
+      const difference = count.total - summary.expectedCash;
+      const isSquare = Math.abs(difference) < 0.005;
+      await db.run(
+        `UPDATE cash_shifts SET status = 'closed', closed_at = datetime('now', 'localtime'), closed_by_user_id = ?, denominations = ?,
+           counted_cash = ?, expected_cash = ?, difference = ?, notes = ?, settlement_status = ?
+         WHERE id = ?`,
+        [req.session.user.id, JSON.stringify(count.counts), count.total, summary.expectedCash, isSquare ? 0 : difference,
+          req.body.notes || summary.notes || null, isSquare ? null : 'unsettled', shift.id]
+      );
+      if (!isSquare) {
+        await postShiftSettlement(db, summary, { counted: count.total, difference, notes: req.body.notes || summary.notes || null }, req.session.user.id);
+      }
+      closed = { ...summary, difference: isSquare ? 0 : difference };
+    });
+
+    await logAction(req.session.user.id, req.session.user.username, 'close_cash_shift',
+      `Closed cash shift #${closed.id} of ${closed.username}. Expected ₹${closed.expectedCash.toFixed(2)}, counted ₹${count.total.toFixed(2)}, difference ₹${closed.difference.toFixed(2)}`,
+      closed.event_session_id);
+    req.session.flash = closed.difference === 0
+      ? { type: 'success', message: 'Shift closed. The drawer matches the expected cash.' }
+      : { type: 'warning', message: `Shift closed with ${closed.difference < 0 ? 'a shortage' : 'an excess'} of ₹${Math.abs(closed.difference).toFixed(2)}.` };
+    res.redirect(`/cash-shifts/${closed.id}/report`);
+  } catch (err) {
+    console.error(`Error closing cash shift #${shiftId}:`, err.message);
+    req.session.flash = { type: 'danger', message: `Failed to close shift: ${err.message}` };
+    res.redirect(`/cash-shifts/${shiftId}/close`);
+  }
+});
+
+// GET: Printable day-end close report of a shift
+router.get('/:id/report', async (req, res) => {
+  try {
+    const shift = await loadShift(req, res);
+    if (!shift) return;
+    res.render('cashShiftReport', {
+      title: `Cash Shift #${shift.id} - ${shift.username}`,
+      shift,
+      denominations: DENOMINATIONS,
+      viewingSession: res.locals.viewingSession
+    });
+  } catch (err) {
+    console.error('Error generating cash shift report:', err.message);
+    res.status(500).send('Error generating report.');
+  }
+});
+
+// POST: Mark a shift's short/excess as cleared
+router.post('/:id/clear', async (req, res) => {
+  if (!isAdmin(req.session.user)) {
+    return res.status(403).send('Access Denied: Admins only.');
+  }
+  const shift = await get("SELECT id, event_session_id, difference FROM cash_shifts WHERE id = ? AND settlement_status = 'unsettled'", [req.params.id]);
+  if (shift) {
+    await transaction(async (db) => clearShiftSettlement(db, shift.id, req.session.user.id));
+    await logAction(req.session.user.id, req.session.user.username, 'clear_cash_shift', `Cleared short/excess of ₹${shift.difference.toFixed(2)} on cash shift #${shift.id}`, shift.event_session_id);
+    req.session.flash = { type: 'success', message: 'Shift difference has been marked as cleared.' };
+  }
+  res.redirect('/cash-shifts?status=unsettled');
+});
+
+module.exports = router;
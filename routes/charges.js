@@ -1,6 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { all, get, run, transaction } = require('../db-helpers'); // Assuming transaction helper is added
+const { all, get, run, transaction, logAction } = require('../db-helpers'); // Assuming transaction helper is added
+const { OCCUPYING_STATUS_SQL } = require('../booking-lifecycle');
+const { getBookingBalance, syncStoredDue } = require('../balance-helpers');
+const { getOpenShift, shiftForCash, assertShiftOpen } = require('../cash-shift-helpers');
+const { normaliseReference } = require('../bank-reconciliation-helpers');
+const { receiptSeriesFor, getReceiptSeries, allocateReceiptNumber, voidReceipt } = require('../receipt-helpers');
+const { INSTRUMENT_MODES, INSTRUMENT_NUMBER_LABELS, CLEARANCE_STATUSES, parseInstrument, holdPendingAllocation, clearInstrument, bounceInstrument, listInstruments } = require('../instrument-helpers');
+const { PAGE_SIZES, sendDocumentsPdf, paymentReceiptDocument } = require('../pdf-helpers');
+const { getPrinterSettings, getPrintCount, printDocument } = require('../printer-helpers');
+const { CHARGE_HEADS, CREDIT_HEAD, ALLOCATION_LABELS, CREDIT_PAYMENT_MODE, getBookingDues, autoAllocate, parseAllocation, savePaymentAllocations, getPaymentAllocations, describeAllocation, getCreditBalance, removePaymentCredit, applyClientCredit } = require('../payment-helpers');
 
 // GET: Show the form to add various charges
 router.get('/add', async (req, res) => {
@@ -14,41 +23,44 @@ router.get('/add', async (req, res) => {
         SELECT 
           p.*, 
           b.exhibitor_name,
-          (p.cash_paid + p.upi_paid) as total_paid,
-          CASE
-            WHEN p.rent_paid > 0 THEN 'Rent'
-            WHEN p.electric_paid > 0 THEN 'Electric'
-            WHEN p.material_paid > 0 THEN 'Material'
-            WHEN p.shed_paid > 0 THEN 'Shed'
-            ELSE 'Unknown'
-          END as payment_category
+          (p.cash_paid + p.upi_paid + COALESCE(p.instrument_amount, 0)) as total_paid
         FROM payments p 
         JOIN bookings b ON p.booking_id = b.id 
         WHERE p.id = ?
       `, [last_payment_id]);
+      if (lastPaymentDetails) {
+        const allocations = await getPaymentAllocations([lastPaymentDetails.id]);
+        lastPaymentDetails.payment_category = describeAllocation(allocations.get(lastPaymentDetails.id));
+      }
     }
 
-    // Fetch bookings and next receipt number in parallel
-    const [bookings, lastReceipt] = await Promise.all([
+    // Fetch bookings, the next number of each receipt series and the cashier's shift in parallel
+    const [bookings, receiptSeries, openShift] = await Promise.all([
       all(`
         SELECT b.id, b.exhibitor_name, b.facia_name, s.space_name, (b.exhibitor_name || ' (' || s.space_name || ')') as display_name
         FROM bookings b
         LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s 
         ON b.id = s.booking_id
-        WHERE b.event_session_id = ? AND b.booking_status = 'active'
+        WHERE b.event_session_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL}
         ORDER BY b.exhibitor_name
       `, [res.locals.viewingSession.id]),
-      get(`SELECT MAX(CAST(receipt_number AS INTEGER)) as max_receipt FROM payments WHERE event_session_id = ?`, [res.locals.viewingSession.id])
+      getReceiptSeries(res.locals.viewingSession.id),
+      getOpenShift(req.session.user.id, res.locals.activeSession.id)
     ]);
 
-    const nextReceiptNumber = (lastReceipt?.max_receipt || 0) + 1;
+    // Shown as a preview only; the number is taken when the payment is saved
+    const nextReceiptNumbers = Object.fromEntries(receiptSeries.map(s => [s.charge_type, s.next_receipt_number]));
 
     res.render('addCharges', { 
       title: 'Receive Payment', 
       bookings, 
       lastPaymentDetails,
-      nextReceiptNumber,
-      selectedBookingId: req.query.booking_id
+      nextReceiptNumbers,
+      openShift,
+      selectedBookingId: req.query.booking_id,
+      chargeHeads: CHARGE_HEADS,
+      instrumentModes: INSTRUMENT_MODES,
+      instrumentNumberLabels: INSTRUMENT_NUMBER_LABELS
     });
   } catch (err) {
     console.error('Error loading add charges page:', err.message);
@@ -60,37 +72,21 @@ router.get('/add', async (req, res) => {
 router.get('/details/:booking_id', async (req, res) => {
   const { booking_id } = req.params;
   try {
-    const booking = await get('SELECT client_id, rent_amount, discount, advance_amount FROM bookings WHERE id = ?', [booking_id]);
-    if (!booking) {
+    const balance = await getBookingBalance(booking_id);
+    if (!balance) {
       return res.status(404).json({ error: 'Booking not found' });
     }
-
-    // Calculate total charges for each category
-    const rentCharged = (booking.rent_amount || 0) - (booking.discount || 0) - (booking.advance_amount || 0);
-    const electricCharged = (await get('SELECT SUM(total_amount) as total FROM electric_bills WHERE booking_id = ?', [booking_id]))?.total || 0;
-    const materialCharged = (await get('SELECT SUM(total_payable) as total FROM material_issues WHERE client_id = ?', [booking.client_id]))?.total || 0;
-    const shedRentFromAllocation = (await get('SELECT SUM(s.rent) as total FROM shed_allocations sa JOIN sheds s ON sa.shed_id = s.id WHERE sa.booking_id = ?', [booking_id]))?.total || 0;
-    const shedRentFromBills = (await get('SELECT SUM(amount) as total FROM shed_bills WHERE booking_id = ?', [booking_id]))?.total || 0;
-    const shedCharged = shedRentFromAllocation + shedRentFromBills;
-
-    // Calculate total payments for each category
-    const payments = await get('SELECT SUM(rent_paid) as rent, SUM(electric_paid) as electric, SUM(material_paid) as material, SUM(shed_paid) as shed FROM payments WHERE booking_id = ?', [booking_id]);
-    const rentPaid = payments?.rent || 0;
-    const electricPaid = payments?.electric || 0;
-    const materialPaid = payments?.material || 0;
-    const shedPaid = payments?.shed || 0;
-
-    const rentDue = rentCharged - rentPaid;
-    const electricDue = electricCharged - electricPaid;
-    const materialDue = materialCharged - materialPaid;
-    const shedDue = shedCharged - shedPaid;
+    const booking = await get('SELECT client_id FROM bookings WHERE id = ?', [booking_id]);
 
     res.json({
-      rent_due: rentDue,
-      electric_due: electricDue,
-      material_due: materialDue,
-      shed_due: shedDue,
-      total_due: rentDue + electricDue + materialDue + shedDue
+      rent_due: balance.rent.due,
+      electric_due: balance.electric.due,
+      material_due: balance.material.due,
+      shed_due: balance.shed.due,
+      total_due: balance.due,
+      // Oldest first, the order auto-allocation settles them in
+      due_since: { rent: balance.rent.since, electric: balance.electric.since, material: balance.material.since, shed: balance.shed.since },
+      credit_balance: booking.client_id ? await getCreditBalance(booking.client_id) : 0
     });
   } catch (err) {
     console.error('Error fetching charge details:', err.message);
@@ -98,9 +94,11 @@ router.get('/details/:booking_id', async (req, res) => {
   }
 });
 
-// POST: Record a new payment
+// POST: Record a new payment, split across charge heads manually or oldest-due-first. Anything not
+// set against a charge is kept as client credit. A cheque, transfer or draft is held as pending
+// clearance and does not count against the dues until it is marked cleared.
 router.post('/add', async (req, res) => {
-  const { booking_id, receipt_number, payment_date, payment_type, cash_paid, upi_paid, remarks } = req.body;
+  const { booking_id, payment_date, allocation_mode, payment_method, cash_paid, upi_paid, upi_reference, remarks } = req.body;
 
   if (res.locals.viewingSession.id !== res.locals.activeSession.id) {
     req.session.flash = { type: 'warning', message: 'Cannot add payments to an archived session.' };
@@ -111,53 +109,72 @@ router.post('/add', async (req, res) => {
     return res.status(400).send('Booking is required.');
   }
 
-  const cashAmount = parseFloat(cash_paid) || 0;
-  const upiAmount = parseFloat(upi_paid) || 0;
-  const totalPaid = cashAmount + upiAmount;
+  // An instrument is taken on its own; cash and UPI can be combined
+  let instrument = null;
+  if (payment_method && payment_method !== 'counter') {
+    try {
+      instrument = parseInstrument(req.body);
+    } catch (err) {
+      req.session.flash = { type: 'danger', message: err.message };
+      return res.redirect(`/charges/add?booking_id=${booking_id}`);
+    }
+  }
+
+  const cashAmount = instrument ? 0 : parseFloat(cash_paid) || 0;
+  const upiAmount = instrument ? 0 : parseFloat(upi_paid) || 0;
+  const totalPaid = instrument ? instrument.amount : cashAmount + upiAmount;
 
-  const payment_mode = cashAmount > 0 && upiAmount > 0 ? 'Cash & UPI' : (cashAmount > 0 ? 'Cash' : 'UPI');
+  const payment_mode = instrument ? instrument.paymentMode : (cashAmount > 0 && upiAmount > 0 ? 'Cash & UPI' : (cashAmount > 0 ? 'Cash' : 'UPI'));
 
   if (totalPaid <= 0) {
     req.session.flash = { type: 'danger', message: 'Payment amount must be greater than zero.' };
     return res.redirect(`/charges/add?booking_id=${booking_id}`);
   }
 
-  const paymentCols = { rent: 'rent_paid', electric: 'electric_paid', material: 'material_paid', shed: 'shed_paid' };
-  const targetCol = paymentCols[payment_type];
-  if (!targetCol) {
-    return res.status(400).send('Invalid payment type specified.');
+  let lines;
+  try {
+    lines = allocation_mode === 'auto'
+      ? autoAllocate(totalPaid, await getBookingDues(booking_id))
+      : parseAllocation(req.body, totalPaid);
+    await shiftForCash(req.session.user.id, res.locals.activeSession.id, cashAmount);
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+    return res.redirect(`/charges/add?booking_id=${booking_id}`);
   }
 
   const activeSessionId = res.locals.activeSession.id;
   try {
     let newPaymentId;
     await transaction(async (db) => {
-        // 1. Insert the detailed payment record
-        const finalReceiptNumber = payment_type === 'rent' ? receipt_number : 'NA';
+        // 1. Cash goes into the drawer of the cashier's open shift
+        const cashShiftId = await shiftForCash(req.session.user.id, activeSessionId, cashAmount, db);
 
-        const paymentSql = `INSERT INTO payments (booking_id, receipt_number, payment_date, payment_mode, cash_paid, upi_paid, ${targetCol}, event_session_id, remarks) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+        // 2. Take the next receipt number of the series for the head the payment mostly pays
+        const receipt = await allocateReceiptNumber(db, activeSessionId, receiptSeriesFor(lines));
+
+        // 3. Insert the detailed payment record
+        const paymentSql = `INSERT INTO payments (booking_id, receipt_number, receipt_series_id, receipt_seq, payment_date, payment_mode, cash_paid, upi_paid, upi_reference, event_session_id, remarks, cash_shift_id,
+            instrument_amount, instrument_number, instrument_bank, instrument_date, clearance_status) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
         const { lastID: paymentId } = await db.run(paymentSql, [
-            booking_id, finalReceiptNumber, payment_date, 
-            payment_mode, cashAmount, upiAmount, 
-            totalPaid, activeSessionId, remarks
+            booking_id, receipt.receiptNumber, receipt.seriesId, receipt.seq, payment_date, 
+            payment_mode, cashAmount, upiAmount, upiAmount > 0 ? normaliseReference(upi_reference) : null,
+            activeSessionId, remarks, cashShiftId,
+            instrument ? instrument.amount : 0, instrument ? instrument.number : null, instrument ? instrument.bank : null,
+            instrument ? instrument.date : null, instrument ? 'pending' : null
         ]);
         newPaymentId = paymentId; // Capture the new ID
 
-        // 2. Update the master due_amount on the bookings table
-        await db.run('UPDATE bookings SET due_amount = due_amount - ? WHERE id = ?', [totalPaid, booking_id]);
-
-        // 3. Add to accounting ledger as income
-        const booking = await db.get('SELECT exhibitor_name FROM bookings WHERE id = ?', [booking_id]);
-        const categories = {
-            rent: 'Rent Payment',
-            electric: 'Electric Bill Payment',
-            material: 'Material Issue Payment',
-            shed: 'Shed Rent Payment'
-        };
-        const accountingCategory = categories[payment_type] || 'Booking Payment';
-        const accountingDescription = `Payment from ${booking.exhibitor_name}`;
-        const accountingSql = `INSERT INTO accounting_transactions (payment_id, transaction_type, category, description, amount, transaction_date, user_id, event_session_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
-        await db.run(accountingSql, [paymentId, 'income', accountingCategory, accountingDescription, totalPaid, payment_date, req.session.user.id, activeSessionId]);
+        // 4. An instrument's allocation waits for clearance
+        if (instrument) {
+          await holdPendingAllocation(db, { id: paymentId, booking_id }, lines);
+          return;
+        }
+
+        // 5. Store the allocation lines, each with its own income entry in the ledger
+        await savePaymentAllocations(db, { id: paymentId, booking_id, payment_date, event_session_id: activeSessionId }, lines, req.session.user.id);
+
+        // 6. Keep the booking's stored due in step
+        await syncStoredDue(booking_id, db);
     });
     // Redirect back to the page with the same exhibitor selected
     res.redirect(`/charges/add?booking_id=${booking_id}&last_payment_id=${newPaymentId}`);
@@ -167,6 +184,108 @@ router.post('/add', async (req, res) => {
   }
 });
 
+// POST: Pay a booking's charges out of its client's credit, on one head or oldest due first
+router.post('/apply-credit', async (req, res) => {
+  const { booking_id, credit_head, credit_amount, payment_date, remarks } = req.body;
+
+  if (res.locals.viewingSession.id !== res.locals.activeSession.id) {
+    req.session.flash = { type: 'warning', message: 'Cannot apply credit in an archived session.' };
+    return res.redirect(`/charges/add${booking_id ? '?booking_id=' + booking_id : ''}`);
+  }
+
+  if (!booking_id) {
+    return res.status(400).send('Booking is required.');
+  }
+
+  const amount = parseFloat(credit_amount) || 0;
+  let newPaymentId;
+  try {
+    if (amount <= 0) throw new Error('Amount to apply must be greater than zero.');
+    const dues = await getBookingDues(booking_id);
+    if (!dues) throw new Error('Booking not found.');
+
+    let lines;
+    if (credit_head === 'auto') {
+      lines = autoAllocate(amount, dues);
+      if (lines.some(l => l.head === CREDIT_HEAD)) {
+        throw new Error(`₹${amount.toFixed(2)} is more than the total due.`);
+      }
+    } else if (CHARGE_HEADS[credit_head]) {
+      if (amount > dues[credit_head].due + 0.005) {
+        throw new Error(`Only ₹${Math.max(dues[credit_head].due, 0).toFixed(2)} is due on ${CHARGE_HEADS[credit_head]}.`);
+      }
+      lines = [{ head: credit_head, amount }];
+    } else {
+      throw new Error('Choose a charge head to apply the credit to.');
+    }
+
+    await transaction(async (db) => {
+      const booking = await db.get('SELECT id, client_id, exhibitor_name, event_session_id FROM bookings WHERE id = ? AND event_session_id = ?', [booking_id, res.locals.activeSession.id]);
+      if (!booking) throw new Error('Booking not found in this session.');
+      // Credit applied to charges is numbered in the client credit series
+      const receipt = await allocateReceiptNumber(db, booking.event_session_id, CREDIT_HEAD);
+      newPaymentId = await applyClientCredit(db, booking, lines, {
+        paymentDate: payment_date || new Date().toISOString().split('T')[0],
+        remarks,
+        receipt
+      }, req.session.user.id);
+    });
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+    return res.redirect(`/charges/add?booking_id=${booking_id}`);
+  }
+  res.redirect(`/charges/add?booking_id=${booking_id}&last_payment_id=${newPaymentId}`);
+});
+
+/**
+ * Applies edited payment details (date, cash/UPI amounts, allocation) to a payment and keeps the
+ * booking's due amount and the ledger in step. Used by admin edits and approved edit requests.
+ * A payment on a single head keeps that head when only the amount changes. The receipt number
+ * stays as issued.
+ * @param {{run: Function, get: Function}} db - The transaction.
+ * @param {Object} oldPayment - The payments row before the edit.
+ * @param {Object} data - The submitted form fields.
+ * @param {number} userId - The user applying the edit.
+ */
+async function applyPaymentEdit(db, oldPayment, data, userId) {
+  const newCashAmount = parseFloat(data.cash_paid) || 0;
+  const newUpiAmount = parseFloat(data.upi_paid) || 0;
+  const newTotalAmount = newCashAmount + newUpiAmount;
+  const newPaymentMode = newCashAmount > 0 && newUpiAmount > 0 ? 'Cash & UPI' : (newCashAmount > 0 ? 'Cash' : 'UPI');
+
+  if (oldPayment.payment_mode === CREDIT_PAYMENT_MODE) {
+    throw new Error('Payments made from client credit cannot be edited. Delete the payment and apply the credit again.');
+  }
+  if (oldPayment.clearance_status) {
+    throw new Error('Cheque, transfer and draft payments cannot be edited. Delete the payment and record it again.');
+  }
+
+  const oldLines = (await getPaymentAllocations([oldPayment.id])).get(oldPayment.id);
+  const hasAllocationFields = [...Object.keys(CHARGE_HEADS), CREDIT_HEAD].some(head => data[`alloc_${head}`] !== undefined);
+  let lines;
+  if (hasAllocationFields) {
+    lines = parseAllocation(data, newTotalAmount);
+  } else if (oldLines.length === 1) {
+    lines = [{ head: oldLines[0].head, amount: newTotalAmount }];
+  } else {
+    throw new Error('Could not determine how to allocate the edited payment.');
+  }
+
+  // Cash can only change while its shift is open; cash added to a payment that had none goes into the editor's shift
+  let cashShiftId = oldPayment.cash_shift_id;
+  if (Math.abs(newCashAmount - (oldPayment.cash_paid || 0)) > 0.005) {
+    await assertShiftOpen(cashShiftId, db);
+    if (!cashShiftId) cashShiftId = await shiftForCash(userId, oldPayment.event_session_id, newCashAmount, db);
+  }
+
+  await db.run(
+    'UPDATE payments SET payment_date = ?, payment_mode = ?, cash_paid = ?, upi_paid = ?, upi_reference = ?, remarks = ?, cash_shift_id = ? WHERE id = ?',
+    [data.payment_date, newPaymentMode, newCashAmount, newUpiAmount, newUpiAmount > 0 ? normaliseReference(data.upi_reference) : null, data.remarks, cashShiftId, oldPayment.id]
+  );
+  await savePaymentAllocations(db, { ...oldPayment, payment_date: data.payment_date }, lines, userId);
+  await syncStoredDue(oldPayment.booking_id, db);
+}
+
 // GET: Show form to edit a payment
 router.get('/edit/:id', async (req, res) => {
   const paymentId = req.params.id;
@@ -175,25 +294,17 @@ router.get('/edit/:id', async (req, res) => {
     if (!payment) {
       return res.status(404).send('Payment not found.');
     }
-
-    // Determine the payment type and amount
-    if (payment.rent_paid > 0) {
-      payment.type = 'rent';
-      payment.amount = payment.rent_paid;
-    } else if (payment.electric_paid > 0) {
-      payment.type = 'electric';
-      payment.amount = payment.electric_paid;
-    } else if (payment.material_paid > 0) {
-      payment.type = 'material';
-      payment.amount = payment.material_paid;
-    } else if (payment.shed_paid > 0) {
-      payment.type = 'shed';
-      payment.amount = payment.shed_paid;
+    if (payment.payment_mode === CREDIT_PAYMENT_MODE) {
+      req.session.flash = { type: 'warning', message: 'Payments made from client credit cannot be edited. Delete the payment and apply the credit again.' };
+      return res.redirect(`/booking/details-full/${payment.booking_id}`);
     }
 
+    const allocations = await getPaymentAllocations([payment.id]);
+    payment.allocations = allocations.get(payment.id);
+
     const bookings = await all('SELECT id, exhibitor_name, facia_name, space_id FROM bookings ORDER BY exhibitor_name');
 
-    res.render('editPayment', { title: 'Edit Payment', payment, bookings });
+    res.render('editPayment', { title: 'Edit Payment', payment, bookings, chargeHeads: ALLOCATION_LABELS });
   } catch (err) {
     console.error('Error loading payment for editing:', err.message);
     res.status(500).send('Error loading page.');
@@ -203,7 +314,7 @@ router.get('/edit/:id', async (req, res) => {
 // POST: Update a payment
 router.post('/edit/:id', async (req, res) => {
   const paymentId = req.params.id;
-  const { receipt_number, payment_date, cash_paid, upi_paid, remarks } = req.body;
+  const { cash_paid, upi_paid } = req.body;
   const newCashAmount = parseFloat(cash_paid) || 0;
   const newUpiAmount = parseFloat(upi_paid) || 0;
   const newTotalAmount = newCashAmount + newUpiAmount;
@@ -218,6 +329,13 @@ router.post('/edit/:id', async (req, res) => {
     return res.status(400).send('Payment amount must be greater than zero.');
   }
 
+  try {
+    parseAllocation(req.body, newTotalAmount);
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+    return res.redirect(`/charges/edit/${paymentId}`);
+  }
+
   if (req.session.user && req.session.user.role === 'admin') {
     try {
       let bookingIdToRedirect;
@@ -225,23 +343,13 @@ router.post('/edit/:id', async (req, res) => {
           const oldPayment = await db.get('SELECT * FROM payments WHERE id = ?', [paymentId]);
           if (!oldPayment) throw new Error('Original payment not found.');
           bookingIdToRedirect = oldPayment.booking_id;
-          const oldTotalAmount = oldPayment.rent_paid + oldPayment.electric_paid + oldPayment.material_paid + oldPayment.shed_paid;
-          const amountDifference = oldTotalAmount - newTotalAmount;
-          const newPaymentMode = newCashAmount > 0 && newUpiAmount > 0 ? 'Cash & UPI' : (newCashAmount > 0 ? 'Cash' : 'UPI');
-          let targetCol = '';
-          if (oldPayment.rent_paid > 0) targetCol = 'rent_paid'; else if (oldPayment.electric_paid > 0) targetCol = 'electric_paid'; else if (oldPayment.material_paid > 0) targetCol = 'material_paid'; else if (oldPayment.shed_paid > 0) targetCol = 'shed_paid';
-          if (!targetCol) throw new Error('Could not determine payment type for old payment.');
-          await db.run(
-            `UPDATE payments SET receipt_number = ?, payment_date = ?, payment_mode = ?, cash_paid = ?, upi_paid = ?, ${targetCol} = ?, remarks = ? WHERE id = ?`, 
-            [receipt_number, payment_date, newPaymentMode, newCashAmount, newUpiAmount, newTotalAmount, remarks, paymentId]
-          );
-          await db.run('UPDATE bookings SET due_amount = due_amount + ? WHERE id = ?', [amountDifference, oldPayment.booking_id]);
-          await db.run('UPDATE accounting_transactions SET amount = ?, transaction_date = ? WHERE payment_id = ?', [newTotalAmount, payment_date, paymentId]);
+          await applyPaymentEdit(db, oldPayment, req.body, req.session.user.id);
       });
       res.redirect(`/booking/details-full/${bookingIdToRedirect}?message=Payment updated successfully.`);
     } catch (err) {
       console.error(`Error updating payment #${paymentId}:`, err.message);
-      res.status(500).send('Failed to update payment.');
+      req.session.flash = { type: 'danger', message: `Failed to update payment: ${err.message}` };
+      res.redirect(`/charges/edit/${paymentId}`);
     }
   } else {
     // Non-admin: Submit for approval
@@ -258,7 +366,7 @@ router.post('/edit/:id', async (req, res) => {
   }
 });
 
-// POST: Delete a payment
+// POST: Delete a payment. Its receipt number is kept as a void record so the series has no gap.
 router.post('/delete/:id', async (req, res) => {
   const paymentId = req.params.id;
 
@@ -268,24 +376,107 @@ router.post('/delete/:id', async (req, res) => {
     return res.redirect(`/booking/details-full/${payment.booking_id}`);
   }
 
+  let bookingIdToRedirect, voidedReceipt;
   try {
-    let bookingIdToRedirect;
     await transaction(async (db) => {
         const payment = await db.get('SELECT * FROM payments WHERE id = ?', [paymentId]);
         if (!payment) throw new Error('Payment not found.');
         bookingIdToRedirect = payment.booking_id;
 
-        const totalPaid = payment.rent_paid + payment.electric_paid + payment.material_paid + payment.shed_paid;
-        await db.run('UPDATE bookings SET due_amount = due_amount + ? WHERE id = ?', [totalPaid, payment.booking_id]);
-
-        await db.run('DELETE FROM accounting_transactions WHERE payment_id = ?', [paymentId]);
+        if (payment.cash_paid > 0) await assertShiftOpen(payment.cash_shift_id, db);
+        voidedReceipt = await voidReceipt(db, payment, { reason: req.body.void_reason, userId: req.session.user.id });
+        // Credit the payment added goes, and credit it drew on is given back
+        await removePaymentCredit(db, paymentId);
+        await db.run('DELETE FROM accounting_transactions WHERE payment_id = ? OR payment_allocation_id IN (SELECT id FROM payment_allocations WHERE payment_id = ?)', [paymentId, paymentId]);
+        await db.run('DELETE FROM payment_allocations WHERE payment_id = ?', [paymentId]);
+        // A statement line matched to the payment goes back to unmatched
+        await db.run("UPDATE bank_statement_lines SET match_status = 'unmatched', match_method = NULL, payment_id = NULL WHERE payment_id = ?", [paymentId]);
         await db.run('DELETE FROM payments WHERE id = ?', [paymentId]);
+        await syncStoredDue(payment.booking_id, db);
     });
+    req.session.flash = { type: 'success', message: voidedReceipt ? `Payment deleted and receipt ${voidedReceipt} voided.` : 'Payment deleted.' };
     res.redirect(`/booking/details-full/${bookingIdToRedirect}`);
   } catch (err) {
     console.error(`Error deleting payment #${paymentId}:`, err.message);
-    res.status(500).send('Failed to delete payment.');
+    if (!bookingIdToRedirect) {
+      return res.status(500).send('Failed to delete payment.');
+    }
+    req.session.flash = { type: 'danger', message: `Failed to delete payment: ${err.message}` };
+    res.redirect(`/booking/details-full/${bookingIdToRedirect}`);
+  }
+});
+
+// GET: Cheques, transfers and drafts of the viewing session, pending clearance by default
+router.get('/instruments', async (req, res) => {
+  const status = (CLEARANCE_STATUSES[req.query.status] || req.query.status === 'all') ? req.query.status : 'pending';
+  try {
+    const sessionId = res.locals.viewingSession.id;
+    const [instruments, counts] = await Promise.all([
+      listInstruments(sessionId, { status: status === 'all' ? null : status }),
+      all('SELECT clearance_status, COUNT(*) AS count, SUM(instrument_amount) AS amount FROM payments WHERE event_session_id = ? AND clearance_status IS NOT NULL GROUP BY clearance_status', [sessionId])
+    ]);
+    res.render('instrumentClearance', {
+      title: 'Cheque Clearance',
+      instruments,
+      counts: Object.fromEntries(counts.map(c => [c.clearance_status, c])),
+      status,
+      clearanceStatuses: CLEARANCE_STATUSES,
+      instrumentNumberLabels: INSTRUMENT_NUMBER_LABELS,
+      instrumentModes: INSTRUMENT_MODES,
+      chargeHeads: CHARGE_HEADS
+    });
+  } catch (err) {
+    console.error('Error loading cheque clearance:', err.message);
+    res.status(500).send('Error loading page.');
+  }
+});
+
+// POST: Mark a pending instrument as cleared; its allocation now counts against the booking's dues
+router.post('/instruments/:id/clear', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  try {
+    if (res.locals.viewingSession.id !== activeSessionId) {
+      throw new Error('Cannot clear payments in an archived session.');
+    }
+    let payment;
+    await transaction(async (db) => {
+      payment = await db.get('SELECT p.*, b.exhibitor_name FROM payments p JOIN bookings b ON p.booking_id = b.id WHERE p.id = ? AND p.event_session_id = ?', [req.params.id, activeSessionId]);
+      if (!payment) throw new Error('Payment not found in this session.');
+      await clearInstrument(db, payment, { clearedOn: req.body.cleared_on, userId: req.session.user.id });
+    });
+    await logAction(req.session.user.id, req.session.user.username, 'clear_instrument',
+      `${payment.payment_mode} ${payment.instrument_number} of ₹${payment.instrument_amount.toFixed(2)} from ${payment.exhibitor_name} cleared on ${req.body.cleared_on}`, activeSessionId);
+    req.session.flash = { type: 'success', message: `${payment.payment_mode} ${payment.instrument_number} marked cleared.` };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect('/charges/instruments');
+});
+
+// POST: Mark an instrument as bounced, reversing it if it had cleared, with an optional bounce charge
+router.post('/instruments/:id/bounce', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  const { bounced_on, bounce_reason, bounce_charge, bounce_charge_head } = req.body;
+  try {
+    if (res.locals.viewingSession.id !== activeSessionId) {
+      throw new Error('Cannot bounce payments in an archived session.');
+    }
+    let payment, reversal;
+    await transaction(async (db) => {
+      payment = await db.get('SELECT p.*, b.exhibitor_name FROM payments p JOIN bookings b ON p.booking_id = b.id WHERE p.id = ? AND p.event_session_id = ?', [req.params.id, activeSessionId]);
+      if (!payment) throw new Error('Payment not found in this session.');
+      reversal = await bounceInstrument(db, payment, { bouncedOn: bounced_on, reason: bounce_reason, charge: bounce_charge, chargeHead: bounce_charge_head, userId: req.session.user.id });
+    });
+    const charge = parseFloat(bounce_charge) || 0;
+    await logAction(req.session.user.id, req.session.user.username, 'bounce_instrument',
+      `${payment.payment_mode} ${payment.instrument_number} of ₹${payment.instrument_amount.toFixed(2)} from ${payment.exhibitor_name} bounced on ${bounced_on}` +
+      `${bounce_reason ? ` (${bounce_reason})` : ''}${charge > 0 ? `, bounce charge ₹${charge.toFixed(2)} on ${CHARGE_HEADS[bounce_charge_head]}` : ''}`, activeSessionId);
+    const owed = reversal.owed > 0 ? ` ₹${reversal.credit.toFixed(2)} of client credit was taken back; the client now owes ₹${reversal.owed.toFixed(2)} of it.` : '';
+    req.session.flash = { type: 'warning', message: `${payment.payment_mode} ${payment.instrument_number} marked bounced${payment.clearance_status === 'cleared' ? ' and the payment reversed' : ''}.${owed}` };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
   }
+  res.redirect('/charges/instruments');
 });
 
 const isAdmin = (req, res, next) => {
@@ -306,12 +497,17 @@ router.get('/approve/:edit_id', isAdmin, async (req, res) => {
 
     const currentPayment = await get('SELECT * FROM payments WHERE id = ?', [editRequest.payment_id]);
     const proposedData = JSON.parse(editRequest.proposed_data);
+    const currentAllocation = (await getPaymentAllocations([currentPayment.id])).get(currentPayment.id);
 
     res.render('approvePaymentEdit', {
       title: 'Approve Payment Edit',
       editRequest,
       currentPayment,
-      proposedData
+      proposedData,
+      currentAmount: currentPayment.cash_paid + currentPayment.upi_paid,
+      proposedAmount: (parseFloat(proposedData.cash_paid) || 0) + (parseFloat(proposedData.upi_paid) || 0),
+      currentAllocation,
+      chargeHeads: ALLOCATION_LABELS
     });
   } catch (err) {
     console.error('Error loading payment approval page:', err.message);
@@ -323,32 +519,22 @@ router.get('/approve/:edit_id', isAdmin, async (req, res) => {
 router.post('/approve/:edit_id', isAdmin, async (req, res) => {
   const editId = req.params.edit_id;
   try {
-    const editRequest = await get('SELECT * FROM payment_edits WHERE id = ?', [editId]);
-    const proposedData = JSON.parse(editRequest.proposed_data);
-    const { receipt_number, payment_date, amount_paid } = proposedData;
-    const newAmount = parseFloat(amount_paid) || 0;
-
-    // Reuse the existing admin edit logic
-    db.run('BEGIN TRANSACTION');
-    const oldPayment = await get('SELECT * FROM payments WHERE id = ?', [editRequest.payment_id]);
-    const oldAmount = oldPayment.rent_paid + oldPayment.electric_paid + oldPayment.material_paid + oldPayment.shed_paid;
-    const amountDifference = oldAmount - newAmount;
-    let targetCol = '';
-    if (oldPayment.rent_paid > 0) targetCol = 'rent_paid'; else if (oldPayment.electric_paid > 0) targetCol = 'electric_paid'; else if (oldPayment.material_paid > 0) targetCol = 'material_paid'; else if (oldPayment.shed_paid > 0) targetCol = 'shed_paid';
-    await run(`UPDATE payments SET receipt_number = ?, payment_date = ?, ${targetCol} = ? WHERE id = ?`, [receipt_number, payment_date, newAmount, editRequest.payment_id]);
-    await run('UPDATE bookings SET due_amount = due_amount + ? WHERE id = ?', [amountDifference, oldPayment.booking_id]);
-    
-    // Update the corresponding accounting transaction
-    await run('UPDATE accounting_transactions SET amount = ?, transaction_date = ? WHERE payment_id = ?', [newAmount, payment_date, editRequest.payment_id]);
-
-    await run(`UPDATE payment_edits SET status = 'approved' WHERE id = ?`, [editId]);
-    db.run('COMMIT');
+    await transaction(async (db) => {
+      const editRequest = await db.get('SELECT * FROM payment_edits WHERE id = ?', [editId]);
+      const proposedData = JSON.parse(editRequest.proposed_data);
+
+      // Reuse the existing admin edit logic
+      const oldPayment = await db.get('SELECT * FROM payments WHERE id = ?', [editRequest.payment_id]);
+      await applyPaymentEdit(db, oldPayment, proposedData, req.session.user.id);
+
+      await db.run(`UPDATE payment_edits SET status = 'approved' WHERE id = ?`, [editId]);
+    });
 
     res.redirect('/dashboard?message=Payment edit approved and applied.');
   } catch (err) {
-    db.run('ROLLBACK');
     console.error('Error approving payment edit:', err.message);
-    res.status(500).send('Failed to approve payment edit.');
+    req.session.flash = { type: 'danger', message: `Failed to approve payment edit: ${err.message}` };
+    res.redirect(`/charges/approve/${editId}`);
   }
 });
 
@@ -361,55 +547,117 @@ router.post('/reject/:edit_id', isAdmin, async (req, res) => {
 });
 
 
+// Loads payments for their receipts, with the booking's names, spaces and what each payment was allocated to
+async function getReceiptPayments(whereSql, params) {
+  const payments = await all(`
+    SELECT 
+      p.*,
+      b.exhibitor_name,
+      b.facia_name,
+      s.space_name,
+      rs.charge_type AS receipt_series_head
+    FROM payments p
+    JOIN bookings b ON p.booking_id = b.id
+    LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s 
+    ON b.id = s.booking_id
+    LEFT JOIN receipt_series rs ON p.receipt_series_id = rs.id
+    WHERE ${whereSql}
+    ORDER BY p.payment_date, p.id
+  `, params);
+  const allocations = await getPaymentAllocations(payments.map(p => p.id));
+  payments.forEach(p => {
+    p.allocations = allocations.get(p.id) || [];
+    p.receipt_series_label = ALLOCATION_LABELS[p.receipt_series_head] || null;
+  });
+  return payments;
+}
+
+// GET /charges/receipts/pdf - Every receipt of a day in the viewing session as one PDF
+router.get('/receipts/pdf', async (req, res) => {
+  const date = req.query.date || new Date().toISOString().split('T')[0];
+  try {
+    const payments = await getReceiptPayments('p.event_session_id = ? AND date(p.payment_date) = ?', [res.locals.viewingSession.id, date]);
+    if (payments.length === 0) {
+      return res.status(404).send(`No payments were received on ${date}.`);
+    }
+    sendDocumentsPdf(res, `receipts-${date}.pdf`, payments.map(paymentReceiptDocument), { size: req.query.size || 'a5', session: res.locals.viewingSession });
+  } catch (err) {
+    console.error('Error generating receipts PDF:', err);
+    res.status(500).send('Error generating receipts.');
+  }
+});
+
+// GET /charges/receipt/:id/pdf - A payment receipt as a PDF (?size=a4, a5 or thermal)
+router.get('/receipt/:id/pdf', async (req, res) => {
+  try {
+    const [payment] = await getReceiptPayments('p.id = ?', [req.params.id]);
+    if (!payment) {
+      return res.status(404).send('Payment receipt not found.');
+    }
+    const fileName = `receipt-${String(payment.receipt_number || payment.id).replace(/[^A-Za-z0-9-]+/g, '-')}.pdf`;
+    sendDocumentsPdf(res, fileName, [paymentReceiptDocument(payment)], { size: req.query.size || 'a5', session: res.locals.viewingSession });
+  } catch (err) {
+    console.error('Error generating payment receipt PDF:', err);
+    res.status(500).send('Error generating receipt.');
+  }
+});
+
+// POST /charges/receipt/:id/print - Print a payment receipt on the counter's receipt printer.
+// Printing it again gives a copy stamped as a duplicate.
+router.post('/receipt/:id/print', async (req, res) => {
+  try {
+    const [payment] = await getReceiptPayments('p.id = ?', [req.params.id]);
+    if (!payment) {
+      return res.status(404).send('Payment receipt not found.');
+    }
+    const receiptNumber = String(payment.receipt_number || payment.id);
+    const result = await printDocument({
+      documentType: 'payment',
+      documentId: payment.id,
+      document: paymentReceiptDocument(payment),
+      qr: receiptNumber,
+      session: res.locals.viewingSession,
+      userId: req.session.user.id
+    });
+    if (result.duplicate) {
+      await logAction(req.session.user.id, req.session.user.username, 'print_duplicate_receipt',
+        `Printed duplicate copy ${result.copyNumber} of receipt ${receiptNumber} on the ${result.printer}`, payment.event_session_id);
+    }
+    req.session.flash = { type: 'success', message: `${result.duplicate ? `Duplicate copy ${result.copyNumber}` : 'Receipt'} ${receiptNumber} sent to ${result.printer}.` };
+  } catch (err) {
+    console.error('Error printing payment receipt:', err.message);
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect(`/charges/receipt/${req.params.id}`);
+});
+
 // GET /charges/receipt/:id - Show a printable receipt for a payment
 router.get('/receipt/:id', async (req, res) => {
-  const paymentId = req.params.id;
   try {
-    const payment = await get(`
-      SELECT 
-        p.*,
-        b.exhibitor_name,
-        b.facia_name,
-        s.space_name
-      FROM payments p
-      JOIN bookings b ON p.booking_id = b.id
-      LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s 
-      ON b.id = s.booking_id
-      WHERE p.id = ?
-    `, [paymentId]);
-
+    const [payment] = await getReceiptPayments('p.id = ?', [req.params.id]);
     if (!payment) {
       return res.status(404).send('Payment receipt not found.');
     }
 
     // --- Financial Summary Calculation ---
-    // 1. Get all charges for the booking
-    const bookingDetails = await get('SELECT client_id, rent_amount, discount FROM bookings WHERE id = ?', [payment.booking_id]);
-    const rentCharged = (bookingDetails.rent_amount || 0) - (bookingDetails.discount || 0);
-    const electricCharged = (await get('SELECT SUM(total_amount) as total FROM electric_bills WHERE booking_id = ?', [payment.booking_id]))?.total || 0;
-    const materialCharged = (await get('SELECT SUM(total_payable) as total FROM material_issues WHERE client_id = ?', [bookingDetails.client_id]))?.total || 0;
-    const shedRentFromAllocation = (await get('SELECT SUM(s.rent) as total FROM shed_allocations sa JOIN sheds s ON sa.shed_id = s.id WHERE sa.booking_id = ?', [payment.booking_id]))?.total || 0;
-    const totalCharged = rentCharged + electricCharged + materialCharged + shedRentFromAllocation;
-
-    // 2. Get all payments for the booking
-    const allPayments = await all('SELECT rent_paid, electric_paid, material_paid, shed_paid FROM payments WHERE booking_id = ?', [payment.booking_id]);
-    const totalPaid = allPayments.reduce((sum, p) => sum + p.rent_paid + p.electric_paid + p.material_paid + p.shed_paid, 0);
-    
-    // 3. Calculate the balance
+    const balance = await getBookingBalance(payment.booking_id);
     const thisPaymentAmount = payment.rent_paid + payment.electric_paid + payment.material_paid + payment.shed_paid;
-    const balanceDue = totalCharged - totalPaid;
-    const previousBalance = balanceDue + thisPaymentAmount;
 
     const financialSummary = {
-      previous_balance: previousBalance,
+      previous_balance: balance.due + thisPaymentAmount,
       amount_paid: thisPaymentAmount,
-      balance_due: balanceDue
+      balance_due: balance.due
     };
 
+    const [printer, printCount] = await Promise.all([getPrinterSettings(), getPrintCount('payment', payment.id)]);
+
     res.render('paymentReceipt', {
       title: `Receipt #${payment.receipt_number || payment.id}`,
       payment,
       financialSummary,
+      pageSizes: PAGE_SIZES,
+      printerEnabled: !!printer.enabled,
+      printCount,
       viewingSession: res.locals.viewingSession
     });
   } catch (err) {
@@ -0,0 +1,194 @@
+const express = require('express');
+const router = express.Router();
+const { all, get, run, logAction, transaction } = require('../db-helpers');
+const { isAdmin } = require('./auth');
+const { CLIENT_FIELDS, findDuplicateClients, mergeClients } = require('../client-helpers');
+const { getCreditBalance, getCreditEntries, recordCreditEntry } = require('../payment-helpers');
+const { getBookingBalances } = require('../balance-helpers');
+const { normalizeGstin } = require('../gst-helpers');
+
+// GET /clients - List clients with search and tag filter
+router.get('/', async (req, res) => {
+  const { q, tag } = req.query;
+  const whereClauses = [];
+  const params = [];
+
+  if (q) {
+    whereClauses.push('(c.name LIKE ? OR c.contact_person LIKE ? OR c.contact_number LIKE ? OR c.secondary_number LIKE ? OR c.gstin LIKE ? OR c.email LIKE ?)');
+    const searchTerm = `%${q}%`;
+    params.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
+  }
+  if (tag) {
+    whereClauses.push("(',' || REPLACE(LOWER(c.tags), ' ', '') || ',') LIKE ?");
+    params.push(`%,${tag.toLowerCase().replace(/\s/g, '')},%`);
+  }
+
+  try {
+    const clients = await all(`
+      SELECT c.*,
+        COUNT(b.id) AS booking_count,
+        MAX(b.booking_date) AS last_booking_date
+      FROM clients c
+      LEFT JOIN bookings b ON b.client_id = c.id
+      ${whereClauses.length > 0 ? 'WHERE ' + whereClauses.join(' AND ') : ''}
+      GROUP BY c.id
+      ORDER BY c.name
+    `, params);
+    res.render('clients', {
+      title: 'Clients',
+      clients,
+      filters: { q: q || '', tag: tag || '' }
+    });
+  } catch (err) {
+    console.error('Error loading clients:', err.message);
+    res.status(500).send('Error loading clients.');
+  }
+});
+
+// GET /clients/duplicates - List possible duplicate clients by fuzzy name and phone match
+router.get('/duplicates', async (req, res) => {
+  try {
+    const pairs = await findDuplicateClients();
+    res.render('clientDuplicates', { title: 'Possible Duplicate Clients', pairs });
+  } catch (err) {
+    console.error('Error finding duplicate clients:', err.message);
+    res.status(500).send('Error finding duplicate clients.');
+  }
+});
+
+// GET /clients/merge - Compare two clients before merging
+router.get('/merge', isAdmin, async (req, res) => {
+  const { survivor_id, duplicate_id } = req.query;
+  try {
+    const [survivor, duplicate] = await Promise.all([
+      get('SELECT * FROM clients WHERE id = ?', [survivor_id]),
+      get('SELECT * FROM clients WHERE id = ?', [duplicate_id])
+    ]);
+    if (!survivor || !duplicate || survivor.id === duplicate.id) {
+      req.session.flash = { type: 'danger', message: 'Please choose two different clients to merge.' };
+      return res.redirect('/clients/duplicates');
+    }
+    const bookingCounts = await all('SELECT client_id, COUNT(*) AS count FROM bookings WHERE client_id IN (?, ?) GROUP BY client_id', [survivor.id, duplicate.id]);
+    bookingCounts.forEach(row => {
+      (row.client_id === survivor.id ? survivor : duplicate).booking_count = row.count;
+    });
+    res.render('clientMerge', { title: 'Merge Clients', survivor, duplicate, clientFields: CLIENT_FIELDS });
+  } catch (err) {
+    console.error('Error loading client merge page:', err.message);
+    res.status(500).send('Error loading page.');
+  }
+});
+
+// POST /clients/merge - Merge the duplicate client into the survivor
+router.post('/merge', isAdmin, async (req, res) => {
+  const { survivor_id, duplicate_id } = req.body;
+  try {
+    const counts = await mergeClients(survivor_id, duplicate_id, req.session.user, res.locals.activeSession.id);
+    req.session.flash = { type: 'success', message: `Clients merged. Moved ${counts.bookings} booking(s), ${counts.material_issues} material issue(s), ${counts.material_stock} issued material(s) and ${counts.material_history} history record(s).` };
+    res.redirect(`/clients/${survivor_id}`);
+  } catch (err) {
+    console.error('Error merging clients:', err.message);
+    req.session.flash = { type: 'danger', message: `Merge failed: ${err.message}` };
+    res.redirect(`/clients/merge?survivor_id=${survivor_id}&duplicate_id=${duplicate_id}`);
+  }
+});
+
+// GET /clients/:id - Show the client profile and booking history across sessions
+router.get('/:id', async (req, res) => {
+  const clientId = req.params.id;
+  try {
+    const client = await get('SELECT * FROM clients WHERE id = ?', [clientId]);
+    if (!client) {
+      return res.status(404).send('Client not found.');
+    }
+    const bookings = await all(`
+      SELECT b.id, b.booking_date, b.exhibitor_name, b.facia_name, b.product_category, b.booking_status,
+        b.rent_amount, b.discount, b.event_session_id, es.name AS session_name,
+        GROUP_CONCAT(s.name, ', ') AS space_name
+      FROM bookings b
+      JOIN event_sessions es ON b.event_session_id = es.id
+      LEFT JOIN booking_spaces bs ON b.id = bs.booking_id
+      LEFT JOIN spaces s ON bs.space_id = s.id
+      WHERE b.client_id = ?
+      GROUP BY b.id
+      ORDER BY b.booking_date DESC
+    `, [clientId]);
+    const [creditBalance, creditEntries, balances] = await Promise.all([
+      getCreditBalance(clientId),
+      getCreditEntries(clientId),
+      getBookingBalances({ bookingIds: bookings.map(b => b.id) })
+    ]);
+    bookings.forEach(b => { b.due = balances.get(b.id).due; });
+    res.render('clientProfile', { title: client.name, client, bookings, creditBalance, creditEntries, clientFields: CLIENT_FIELDS });
+  } catch (err) {
+    console.error('Error loading client profile:', err.message);
+    res.status(500).send('Error loading client.');
+  }
+});
+
+// POST /clients/:id/credit/refund - Pay back some or all of a client's credit
+router.post('/:id/credit/refund', async (req, res) => {
+  const clientId = req.params.id;
+  const amount = parseFloat(req.body.amount) || 0;
+  const { refund_mode, note } = req.body;
+
+  try {
+    if (amount <= 0) throw new Error('Amount to pay back must be greater than zero.');
+    const client = await get('SELECT id, name FROM clients WHERE id = ?', [clientId]);
+    if (!client) throw new Error('Client not found.');
+
+    await transaction(async (db) => {
+      await recordCreditEntry(db, {
+        clientId: client.id,
+        bookingId: null,
+        sessionId: res.locals.activeSession.id,
+        type: 'refunded',
+        amount: -amount,
+        description: `Credit paid back to ${client.name}${refund_mode ? ` (${refund_mode})` : ''}${note ? `: ${note}` : ''}`,
+        date: new Date().toISOString().split('T')[0],
+        userId: req.session.user.id
+      });
+    });
+    await logAction(req.session.user.id, req.session.user.username, 'refund_client_credit', `Paid back ₹${amount.toFixed(2)} of credit to client #${clientId} (${client.name})`, res.locals.activeSession.id);
+    req.session.flash = { type: 'success', message: `₹${amount.toFixed(2)} of credit paid back.` };
+  } catch (err) {
+    console.error(`Error paying back credit for client #${clientId}:`, err.message);
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect(`/clients/${clientId}`);
+});
+
+// POST /clients/:id - Update the client profile
+router.post('/:id', async (req, res) => {
+  const clientId = req.params.id;
+  if (!(req.body.name || '').trim()) {
+    req.session.flash = { type: 'danger', message: 'Client name is required.' };
+    return res.redirect(`/clients/${clientId}`);
+  }
+  try {
+    req.body.gstin = normalizeGstin(req.body.gstin);
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+    return res.redirect(`/clients/${clientId}`);
+  }
+
+  try {
+    const fields = Object.keys(CLIENT_FIELDS);
+    const values = fields.map(field => (req.body[field] || '').trim() || null);
+    const result = await run(
+      `UPDATE clients SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = datetime('now', 'localtime') WHERE id = ?`,
+      [...values, clientId]
+    );
+    if (result.changes === 0) {
+      return res.status(404).send('Client not found.');
+    }
+    await logAction(req.session.user.id, req.session.user.username, 'update_client', `Updated client profile #${clientId} (${req.body.name}).`, res.locals.activeSession.id);
+    req.session.flash = { type: 'success', message: 'Client profile updated. Existing bookings keep the details they were made with.' };
+    res.redirect(`/clients/${clientId}`);
+  } catch (err) {
+    console.error('Error updating client:', err.message);
+    res.status(500).send('Error updating client.');
+  }
+});
+
+module.exports = router;
@@ -1,25 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { all, get, run, logAction } = require('../db-helpers');
+const { get, run, logAction, transaction } = require('../db-helpers');
+const { getRateCard, getItemsOffRateCard, setItemRate, copyPreviousRateCard } = require('../electric-bill-helpers');
 
-// GET: List all electric items
+// GET: List the viewing session's rate card, and the catalogue items not on it
 router.get('/', async (req, res) => {
     const { q } = req.query;
+    const sessionId = res.locals.viewingSession.id;
     try {
-        let sql = 'SELECT * FROM electric_items';
-        const params = [];
+        const matches = (item) => !q || item.name.toLowerCase().includes(q.toLowerCase());
+        const [items, offCard] = await Promise.all([getRateCard(sessionId), getItemsOffRateCard(sessionId)]);
 
-        if (q) {
-            sql += ' WHERE name LIKE ?';
-            params.push(`%${q}%`);
-        }
-
-        sql += ' ORDER BY name';
-
-        const items = await all(sql, params);
         res.render('electricItems', {
             title: 'Manage Electric Items',
-            items: items || [],
+            items: items.filter(matches),
+            offCard: offCard.filter(matches),
+            hasRateCard: items.length > 0,
             message: req.query.message,
             filters: { q: q || '' }
         });
@@ -38,12 +34,16 @@ router.get('/add', (req, res) => {
     });
 });
 
-// GET: Show form to edit an existing one
+// GET: Show form to edit an existing one, with its rates on the active session's card
 router.get('/edit/:id', async (req, res) => {
     const { id } = req.params;
     // Edit mode
     try {
-        const item = await get('SELECT * FROM electric_items WHERE id = ?', [id]);
+        const item = await get(`
+            SELECT ei.id, ei.name, ei.wattage, r.service_charge, r.fitting_charge
+            FROM electric_items ei LEFT JOIN electric_item_rates r ON r.electric_item_id = ei.id AND r.event_session_id = ?
+            WHERE ei.id = ?
+        `, [res.locals.activeSession.id, id]);
         if (!item) {
             return res.status(404).send('Item not found.');
         }
@@ -57,11 +57,17 @@ router.get('/edit/:id', async (req, res) => {
     }
 });
 
-// POST: Add or Update an electric item
+// POST: Add or Update an electric item. The rates go on the active session's card only.
 router.post('/save', async (req, res) => {
-    const { id, name, service_charge, fitting_charge } = req.body;
-    const serviceCharge = parseFloat(service_charge) || 0;
-    const fittingCharge = parseFloat(fitting_charge) || 0;
+    const { id, name, service_charge, fitting_charge, wattage } = req.body;
+    const activeSessionId = res.locals.activeSession.id;
+    const rates = { serviceCharge: parseFloat(service_charge) || 0, fittingCharge: parseFloat(fitting_charge) || 0 };
+    const watts = Math.max(0, parseFloat(wattage) || 0);
+
+    if (res.locals.viewingSession.id !== activeSessionId) {
+        req.session.flash = { type: 'warning', message: 'Cannot change the rate card of an archived session.' };
+        return res.redirect('/electric-items');
+    }
 
     if (!name) {
         return res.status(400).send('Item Name is required.');
@@ -70,12 +76,19 @@ router.post('/save', async (req, res) => {
     try {
         if (id) {
             // Update existing item
-            await run('UPDATE electric_items SET name = ?, service_charge = ?, fitting_charge = ? WHERE id = ?', [name, serviceCharge, fittingCharge, id]);
-            await logAction(req.session.user.id, req.session.user.username, 'update_electric_item', `Updated item #${id}: ${name}`, res.locals.activeSession.id);
+            await transaction(async (db) => {
+                await db.run('UPDATE electric_items SET name = ?, wattage = ? WHERE id = ?', [name, watts, id]);
+                await setItemRate(id, activeSessionId, rates, db);
+            });
+            await logAction(req.session.user.id, req.session.user.username, 'update_electric_item',
+                `Updated item #${id}: ${name}, rates ₹${rates.serviceCharge.toFixed(2)} + ₹${rates.fittingCharge.toFixed(2)} for this session`, activeSessionId);
         } else {
             // Insert new item
-            await run('INSERT INTO electric_items (name, service_charge, fitting_charge) VALUES (?, ?, ?)', [name, serviceCharge, fittingCharge]);
-            await logAction(req.session.user.id, req.session.user.username, 'create_electric_item', `Created item: ${name}`, res.locals.activeSession.id);
+            await transaction(async (db) => {
+                const { lastID } = await db.run('INSERT INTO electric_items (name, wattage) VALUES (?, ?)', [name, watts]);
+                await setItemRate(lastID, activeSessionId, rates, db);
+            });
+            await logAction(req.session.user.id, req.session.user.username, 'create_electric_item', `Created item: ${name}`, activeSessionId);
         }
         res.redirect('/electric-items');
     } catch (err) {
@@ -84,17 +97,50 @@ router.post('/save', async (req, res) => {
     }
 });
 
-// POST: Delete an electric item
+// POST: Start the active session's rate card from the previous session's
+router.post('/clone-previous', async (req, res) => {
+    const activeSessionId = res.locals.activeSession.id;
+    if (res.locals.viewingSession.id !== activeSessionId) {
+        req.session.flash = { type: 'warning', message: 'Cannot change the rate card of an archived session.' };
+        return res.redirect('/electric-items');
+    }
+
+    try {
+        const { count, fromSessionName } = await copyPreviousRateCard(activeSessionId);
+        await logAction(req.session.user.id, req.session.user.username, 'clone_electric_rate_card', `Cloned ${count} electric item rates from ${fromSessionName}`, activeSessionId);
+        req.session.flash = { type: 'success', message: `Cloned ${count} item rates from ${fromSessionName}.` };
+    } catch (err) {
+        req.session.flash = { type: 'danger', message: err.message };
+    }
+    res.redirect('/electric-items');
+});
+
+// POST: Take an item off the active session's rate card. It leaves the catalogue once no card or bill uses it.
 router.post('/delete/:id', async (req, res) => {
     const { id } = req.params;
+    const activeSessionId = res.locals.activeSession.id;
+    if (res.locals.viewingSession.id !== activeSessionId) {
+        req.session.flash = { type: 'warning', message: 'Cannot change the rate card of an archived session.' };
+        return res.redirect('/electric-items');
+    }
+
     try {
-        await run('DELETE FROM electric_items WHERE id = ?', [id]);
-        await logAction(req.session.user.id, req.session.user.username, 'delete_electric_item', `Deleted item #${id}`, res.locals.activeSession.id);
-        res.redirect('/electric-items?message=Item deleted successfully.');
+        await run('DELETE FROM electric_item_rates WHERE electric_item_id = ? AND event_session_id = ?', [id, activeSessionId]);
+        const inUse = await get(`
+            SELECT 1 FROM electric_item_rates WHERE electric_item_id = ?
+            UNION ALL SELECT 1 FROM electric_bill_items WHERE electric_item_id = ?
+            LIMIT 1
+        `, [id, id]);
+        if (!inUse) {
+            await run('DELETE FROM electric_items WHERE id = ?', [id]);
+        }
+        await logAction(req.session.user.id, req.session.user.username, 'delete_electric_item',
+            `Removed item #${id} from this session's rate card${inUse ? '' : ' and the catalogue'}`, activeSessionId);
+        res.redirect('/electric-items?message=Item removed from this session\'s rate card.');
     } catch (err) {
         console.error('Error deleting electric item:', err.message);
         res.status(500).send('Failed to delete item. It might be in use.');
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
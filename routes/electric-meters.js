@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const multer = require('multer');
+const path = require('path');
+const { all, logAction, transaction } = require('../db-helpers');
+const { isAdmin } = require('./auth');
+const { OCCUPYING_STATUS_SQL } = require('../booking-lifecycle');
+const { READING_TYPES, READING_FLAGS, ABNORMAL_JUMP_FACTOR, getTariffSlabs, listMeters, getMeter, addMeter, recordReading, reviewReading, deleteReading } = require('../meter-helpers');
+
+// Photos of the meter display, taken when a reading is entered
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, 'public/uploads/meter_readings/');
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `meter-${req.params.id}-${uniqueSuffix}${path.extname(file.originalname)}`);
+  }
+});
+
+const upload = multer({ storage: storage });
+
+// GET: Meters of the viewing session, with the form to add one
+router.get('/', async (req, res) => {
+  const sessionId = res.locals.viewingSession.id;
+  try {
+    const [meters, spaces, bookings, slabs] = await Promise.all([
+      listMeters(sessionId),
+      all('SELECT id, name FROM spaces WHERE is_active = 1 ORDER BY name'),
+      all(`SELECT id, exhibitor_name, facia_name FROM bookings WHERE event_session_id = ? AND booking_status IN ${OCCUPYING_STATUS_SQL} ORDER BY exhibitor_name`, [sessionId]),
+      getTariffSlabs(sessionId)
+    ]);
+    res.render('electricMeters', { title: 'Electric Meters', meters, spaces, bookings, hasTariff: slabs.length > 0 });
+  } catch (err) {
+    console.error('Error loading electric meters:', err.message);
+    res.status(500).send('Error loading page.');
+  }
+});
+
+// POST: Add a meter to the active session
+router.post('/add', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  const { meter_number, link_type, space_id, booking_id, installed_on, opening_reading, notes } = req.body;
+  try {
+    if (res.locals.viewingSession.id !== activeSessionId) {
+      throw new Error('Cannot add meters to an archived session.');
+    }
+    const meterId = await addMeter(activeSessionId, {
+      meterNumber: meter_number,
+      spaceId: link_type === 'space' ? space_id : null,
+      bookingId: link_type === 'booking' ? booking_id : null,
+      installedOn: installed_on,
+      openingReading: opening_reading,
+      notes,
+      userId: req.session.user.id
+    });
+    await logAction(req.session.user.id, req.session.user.username, 'add_electric_meter',
+      `Added meter ${meter_number.trim()} with opening reading ${opening_reading}`, activeSessionId);
+    req.session.flash = { type: 'success', message: `Meter ${meter_number.trim()} added.` };
+    res.redirect(`/electric-meters/${meterId}`);
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+    res.redirect('/electric-meters');
+  }
+});
+
+// GET: A meter's readings, with the form to enter one
+router.get('/:id', async (req, res) => {
+  try {
+    const meter = await getMeter(req.params.id, res.locals.viewingSession.id);
+    if (!meter) {
+      return res.status(404).send('Meter not found.');
+    }
+    res.render('electricMeter', {
+      title: `Meter ${meter.meter_number}`,
+      meter,
+      readingTypes: READING_TYPES,
+      readingFlags: READING_FLAGS,
+      jumpFactor: ABNORMAL_JUMP_FACTOR
+    });
+  } catch (err) {
+    console.error('Error loading electric meter:', err.message);
+    res.status(500).send('Error loading page.');
+  }
+});
+
+// POST: Enter a daily or closing reading, with a photo of the meter
+router.post('/:id/readings', upload.single('photo'), async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  const { reading_date, reading, reading_type } = req.body;
+  try {
+    if (res.locals.viewingSession.id !== activeSessionId) {
+      throw new Error('Cannot enter readings in an archived session.');
+    }
+    let result;
+    await transaction(async (db) => {
+      result = await recordReading(db, {
+        meterId: req.params.id,
+        sessionId: activeSessionId,
+        readingDate: reading_date,
+        reading,
+        readingType: reading_type,
+        photoPath: req.file ? `/uploads/meter_readings/${req.file.filename}` : null,
+        userId: req.session.user.id
+      });
+    });
+
+    const { meter, flag, note, bill } = result;
+    await logAction(req.session.user.id, req.session.user.username, 'add_meter_reading',
+      `Entered ${reading_type} reading ${reading} on meter ${meter.meter_number}${flag ? ` (flagged: ${note})` : ''}`, activeSessionId);
+    if (bill) {
+      await logAction(req.session.user.id, req.session.user.username, 'bill_meter',
+        `Billed ${bill.units} units on meter ${meter.meter_number} to booking #${bill.bookingId}: ₹${bill.total.toFixed(2)} (electric bill #${bill.billId})`, activeSessionId);
+    }
+
+    if (flag) {
+      req.session.flash = { type: 'warning', message: `Reading saved but flagged: ${note}${reading_type === 'closing' ? ' The meter will be billed once an admin reviews it.' : ''}` };
+    } else if (bill) {
+      req.session.flash = { type: 'success', message: `Closing reading saved. ${bill.units} units billed for ₹${bill.total.toFixed(2)}.` };
+    } else {
+      req.session.flash = { type: 'success', message: 'Reading saved.' };
+    }
+  } catch (err) {
+    if (req.file) fs.unlink(req.file.path, () => {});
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect(`/electric-meters/${req.params.id}`);
+});
+
+// POST: Accept a flagged reading after checking it (Admin only). A closing reading is billed now.
+router.post('/readings/:id/review', isAdmin, async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  let meterId = null;
+  try {
+    if (res.locals.viewingSession.id !== activeSessionId) {
+      throw new Error('Cannot review readings in an archived session.');
+    }
+    let result;
+    await transaction(async (db) => {
+      result = await reviewReading(db, req.params.id, activeSessionId, req.session.user.id);
+    });
+    const { reading, meter, bill } = result;
+    meterId = meter.id;
+    await logAction(req.session.user.id, req.session.user.username, 'review_meter_reading',
+      `Accepted reading ${reading.reading} of ${reading.reading_date} on meter ${meter.meter_number}${reading.flag_note ? `, flagged: ${reading.flag_note}` : ''}`, activeSessionId);
+    if (bill) {
+      await logAction(req.session.user.id, req.session.user.username, 'bill_meter',
+        `Billed ${bill.units} units on meter ${meter.meter_number} to booking #${bill.bookingId}: ₹${bill.total.toFixed(2)} (electric bill #${bill.billId})`, activeSessionId);
+    }
+    req.session.flash = { type: 'success', message: bill ? `Reading accepted. ${bill.units} units billed for ₹${bill.total.toFixed(2)}.` : 'Reading accepted.' };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect(meterId ? `/electric-meters/${meterId}` : (req.get('Referrer') || '/electric-meters'));
+});
+
+// POST: Remove a reading entered by mistake (Admin only)
+router.post('/readings/:id/delete', isAdmin, async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  let meterId = null;
+  try {
+    if (res.locals.viewingSession.id !== activeSessionId) {
+      throw new Error('Cannot remove readings from an archived session.');
+    }
+    let reading;
+    await transaction(async (db) => {
+      reading = await deleteReading(db, req.params.id, activeSessionId);
+    });
+    meterId = reading.meter_id;
+    await logAction(req.session.user.id, req.session.user.username, 'delete_meter_reading',
+      `Removed ${reading.reading_type} reading ${reading.reading} of ${reading.reading_date} from meter ${reading.meter_number}`, activeSessionId);
+    req.session.flash = { type: 'success', message: 'Reading removed.' };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect(meterId ? `/electric-meters/${meterId}` : (req.get('Referrer') || '/electric-meters'));
+});
+
+module.exports = router;
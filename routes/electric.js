@@ -1,8 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { all, get, run, db } = require('../db-helpers');
-
-// Utility to safely parse items
+const { all, get, run, logAction, transaction } = require('../db-helpers');
+const { OCCUPYING_STATUS_SQL } = require('../booking-lifecycle');
+const { syncStoredDue } = require('../balance-helpers');
+const { listBoards, assessBillLoad, describeOverload, getBoardLoads, recalculateSessionLoads } = require('../electric-load-helpers');
+const { getBillItems, attachBillItems, getRateCard, priceBillItems, saveBillItems } = require('../electric-bill-helpers');
+const { WORK_ORDER_STATUSES, WORK_ORDER_BADGES, ON_SITE_STATUS_SQL, NO_ZONE, workOrderActions, syncWorkOrder, deleteWorkOrder, createMissingWorkOrders, listWorkOrders, getWorkOrder, assignWorkOrder, advanceWorkOrder, saveRemovalChecklist, getZoneCounts } = require('../electric-work-order-helpers');
+
+// Utility to safely parse the items posted from the bill form
 function parseItems(items) {
   try {
     if (typeof items === 'string') {
@@ -21,20 +26,22 @@ router.get('/add', async (req, res) => {
   try {
     const [bookings, items] = await Promise.all([
       all(`
-        SELECT b.id, b.exhibitor_name, b.facia_name, s.space_name
+        SELECT b.id, b.exhibitor_name, b.facia_name, s.space_name, s.board_id
         FROM bookings b
-        LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s 
+        LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name, MIN(s.distribution_board_id) as board_id FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s 
         ON b.id = s.booking_id
-        WHERE b.booking_status = 'active'
+        WHERE b.booking_status IN ${OCCUPYING_STATUS_SQL}
         ORDER BY b.id DESC
       `),
-      all('SELECT * FROM electric_items ORDER BY name')
+      getRateCard(res.locals.activeSession.id)
     ]);
+    const boards = (await getBoardLoads(res.locals.activeSession.id)).filter(board => board.id !== null);
 
     res.render('addElectricBill', {
       title: 'Electric Bill Entry',
       bookings: bookings || [],
       items: items || [],
+      boards,
       selectedBookingId,
       bill: null
     });
@@ -46,38 +53,54 @@ router.get('/add', async (req, res) => {
 
 // POST: Save the new electric bill
 router.post('/add', async (req, res) => {
-  const { sl_no, booking_id, items, total_amount, remarks } = req.body;
+  const { sl_no, booking_id, items, remarks, distribution_board_id, override_load } = req.body;
+  const activeSessionId = res.locals.activeSession.id;
 
-  if (res.locals.viewingSession.id !== res.locals.activeSession.id) {
+  if (res.locals.viewingSession.id !== activeSessionId) {
     req.session.flash = { type: 'warning', message: 'Cannot add electric bills to an archived session.' };
     return res.redirect(`/electric/add${booking_id ? '?booking_id=' + booking_id : ''}`);
   }
 
-  if (!booking_id || !items || !total_amount) {
-    return res.status(400).send('Missing required fields: Exhibitor, Items, and Total are required.');
+  if (!booking_id || !items) {
+    return res.status(400).send('Missing required fields: Exhibitor and Items are required.');
   }
 
-  db.serialize(async () => {
-    try {
-      db.run('BEGIN TRANSACTION');
+  const parsedItems = parseItems(items);
+  let priced, load;
+  try {
+    priced = await priceBillItems(parsedItems, activeSessionId);
+    load = await assessBillLoad({ bookingId: booking_id, boardId: distribution_board_id, items: parsedItems, sessionId: activeSessionId });
+  } catch (err) {
+    return res.status(400).send(err.message);
+  }
+  const isAdmin = req.session.user.role === 'admin';
+  if (load.blocked && !(isAdmin && override_load)) {
+    req.session.flash = { type: 'danger', message: `${describeOverload(load)} ${isAdmin ? 'Tick "Override capacity" to save it anyway.' : 'Ask an admin to sanction the extra load.'}` };
+    return res.redirect(`/electric/add?booking_id=${booking_id}`);
+  }
 
-      const parsedItems = parseItems(items);
+  try {
+    await transaction(async (db) => {
       const sql = `
-        INSERT INTO electric_bills (sl_no, booking_id, bill_date, items_json, total_amount, remarks)
-        VALUES (?, ?, datetime('now'), ?, ?, ?)
+        INSERT INTO electric_bills (sl_no, booking_id, bill_date, total_amount, remarks, event_session_id, distribution_board_id, connected_load_kw)
+        VALUES (?, ?, datetime('now'), ?, ?, ?, ?, ?)
       `;
-      await run(sql, [sl_no, booking_id, JSON.stringify(parsedItems), total_amount, remarks]);
-
-      await run('UPDATE bookings SET due_amount = due_amount + ? WHERE id = ?', [total_amount, booking_id]);
+      const { lastID } = await db.run(sql, [sl_no, booking_id, priced.total, remarks, activeSessionId, load.boardId, load.loadKw]);
+      await saveBillItems(db, lastID, priced.lines);
+      await syncWorkOrder(db, lastID);
 
-      db.run('COMMIT');
-      res.redirect(`/booking/details-full/${booking_id}`);
-    } catch (err) {
-      db.run('ROLLBACK');
-      console.error('Error saving electric bill:', err.message);
-      res.status(500).send('Failed to save the electric bill.');
+      await syncStoredDue(booking_id, db);
+    });
+    if (load.exceeds) {
+      await logAction(req.session.user.id, req.session.user.username, load.blocked ? 'override_load_limit' : 'exceed_load_limit',
+        `Electric bill for booking #${booking_id}: ${describeOverload(load)}`, activeSessionId);
+      req.session.flash = { type: 'warning', message: `Bill saved. ${describeOverload(load)}` };
     }
-  });
+    res.redirect(`/booking/details-full/${booking_id}`);
+  } catch (err) {
+    console.error('Error saving electric bill:', err.message);
+    res.status(500).send('Failed to save the electric bill.');
+  }
 });
 
 // GET: Show form to edit an electric bill
@@ -87,24 +110,34 @@ router.get('/edit/:id', async (req, res) => {
     const bill = await get('SELECT * FROM electric_bills WHERE id = ?', [billId]);
     if (!bill) return res.status(404).send('Electric bill not found.');
 
-    bill.items = parseItems(bill.items_json);
+    await attachBillItems([bill]);
 
-    const [bookings, items] = await Promise.all([
+    const [bookings, card] = await Promise.all([
       all(`
-        SELECT b.id, b.exhibitor_name, b.facia_name, s.space_name
+        SELECT b.id, b.exhibitor_name, b.facia_name, s.space_name, s.board_id
         FROM bookings b 
-        LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s 
+        LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name, MIN(s.distribution_board_id) as board_id FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s 
         ON b.id = s.booking_id
-        WHERE b.booking_status = 'active' OR b.id = ?
+        WHERE b.booking_status IN ${OCCUPYING_STATUS_SQL} OR b.id = ?
       `, [bill.booking_id]),
-      all('SELECT * FROM electric_items ORDER BY name')
+      getRateCard(bill.event_session_id)
     ]);
+    // Items already on the bill stay at the rates it was made with, even if the card has changed since
+    const items = card.filter(item => !bill.items.some(line => line.id === item.id));
+    bill.items.filter(line => line.id).forEach(line => {
+      if (items.some(item => item.id === line.id)) return;
+      const onCard = card.find(item => item.id === line.id);
+      items.push({ ...onCard, id: line.id, name: line.name, service_charge: line.service_charge, fitting_charge: line.fitting_charge });
+    });
+    items.sort((a, b) => a.name.localeCompare(b.name));
+    const boards = (await getBoardLoads(bill.event_session_id)).filter(board => board.id !== null);
 
     res.render('addElectricBill', {
       title: `Edit Electric Bill #${bill.id}`,
       bill,
       bookings,
-      items
+      items,
+      boards
     });
   } catch (err) {
     console.error('Error loading electric bill for editing:', err.message);
@@ -115,7 +148,7 @@ router.get('/edit/:id', async (req, res) => {
 // POST: Update an electric bill
 router.post('/edit/:id', async (req, res) => {
   const billId = req.params.id;
-  const { sl_no, booking_id, items, total_amount, remarks } = req.body;
+  const { sl_no, booking_id, items, remarks, distribution_board_id, override_load } = req.body;
 
   if (res.locals.viewingSession.id !== res.locals.activeSession.id) {
     req.session.flash = { type: 'warning', message: 'Cannot edit data in an archived session.' };
@@ -123,29 +156,42 @@ router.post('/edit/:id', async (req, res) => {
   }
 
   if (req.session.user && req.session.user.role === 'admin') {
-    db.serialize(async () => {
-      try {
-        db.run('BEGIN TRANSACTION');
-        const oldBill = await get('SELECT total_amount, booking_id FROM electric_bills WHERE id = ?', [billId]);
+    const parsedItems = parseItems(items);
+    let priced, load;
+    try {
+      const savedItems = (await getBillItems([Number(billId)])).get(Number(billId));
+      priced = await priceBillItems(parsedItems, res.locals.activeSession.id, { savedItems });
+      load = await assessBillLoad({ bookingId: booking_id, boardId: distribution_board_id, items: parsedItems, sessionId: res.locals.activeSession.id, excludeBillId: billId });
+    } catch (err) {
+      return res.status(400).send(err.message);
+    }
+    if (load.blocked && !override_load) {
+      req.session.flash = { type: 'danger', message: `${describeOverload(load)} Tick "Override capacity" to save it anyway.` };
+      return res.redirect(`/electric/edit/${billId}`);
+    }
+
+    try {
+      await transaction(async (db) => {
+        const oldBill = await db.get('SELECT total_amount, booking_id FROM electric_bills WHERE id = ?', [billId]);
         if (!oldBill) throw new Error('Original electric bill not found.');
-        const newTotalAmount = parseFloat(total_amount) || 0;
-        const amountDifference = newTotalAmount - oldBill.total_amount;
-        const parsedItems = parseItems(items);
-        await run(`UPDATE electric_bills SET sl_no = ?, booking_id = ?, items_json = ?, total_amount = ?, remarks = ? WHERE id = ?`, [sl_no, booking_id, JSON.stringify(parsedItems), newTotalAmount, remarks, billId]);
+        await db.run(`UPDATE electric_bills SET sl_no = ?, booking_id = ?, items_json = NULL, total_amount = ?, remarks = ?, distribution_board_id = ?, connected_load_kw = ? WHERE id = ?`, [sl_no, booking_id, priced.total, remarks, load.boardId, load.loadKw, billId]);
+        await saveBillItems(db, billId, priced.lines);
+        await syncWorkOrder(db, billId);
+        await syncStoredDue(booking_id, db);
         if (String(oldBill.booking_id) !== String(booking_id)) {
-          await run('UPDATE bookings SET due_amount = due_amount - ? WHERE id = ?', [oldBill.total_amount, oldBill.booking_id]);
-          await run('UPDATE bookings SET due_amount = due_amount + ? WHERE id = ?', [newTotalAmount, booking_id]);
-        } else {
-          await run('UPDATE bookings SET due_amount = due_amount + ? WHERE id = ?', [amountDifference, booking_id]);
+          await syncStoredDue(oldBill.booking_id, db);
         }
-        db.run('COMMIT');
-        res.redirect(`/booking/details-full/${booking_id}?message=Electric bill updated successfully.`);
-      } catch (err) {
-        db.run('ROLLBACK');
-        console.error(`Error updating electric bill #${billId}:`, err.message);
-        res.status(500).send('Failed to update electric bill.');
+      });
+      if (load.exceeds) {
+        await logAction(req.session.user.id, req.session.user.username, load.blocked ? 'override_load_limit' : 'exceed_load_limit',
+          `Electric bill #${billId}: ${describeOverload(load)}`, res.locals.activeSession.id);
+        req.session.flash = { type: 'warning', message: `Bill saved. ${describeOverload(load)}` };
       }
-    });
+      res.redirect(`/booking/details-full/${booking_id}?message=Electric bill updated successfully.`);
+    } catch (err) {
+      console.error(`Error updating electric bill #${billId}:`, err.message);
+      res.status(500).send('Failed to update electric bill.');
+    }
   } else {
     // Non-admin: Submit for approval
     const proposed_data = JSON.stringify(req.body);
@@ -165,27 +211,31 @@ router.post('/delete/:id', async (req, res) => {
     return res.redirect(`/booking/details-full/${bill.booking_id}`);
   }
 
-  db.serialize(async () => {
-    try {
-      db.run('BEGIN TRANSACTION');
-
-      const bill = await get('SELECT total_amount, booking_id FROM electric_bills WHERE id = ?', [billId]);
-      if (!bill) {
-        db.run('ROLLBACK');
-        return res.redirect('/booking/list');
-      }
-
-      await run('DELETE FROM electric_bills WHERE id = ?', [billId]);
-      await run('UPDATE bookings SET due_amount = due_amount - ? WHERE id = ?', [bill.total_amount, bill.booking_id]);
-
-      db.run('COMMIT');
-      res.redirect(`/booking/details-full/${bill.booking_id}`);
-    } catch (err) {
-      db.run('ROLLBACK');
-      console.error(`Error deleting electric bill #${billId}:`, err.message);
-      res.status(500).send('Failed to delete electric bill.');
+  try {
+    const bill = await get('SELECT total_amount, booking_id FROM electric_bills WHERE id = ?', [billId]);
+    if (!bill) {
+      return res.redirect('/booking/list');
     }
-  });
+    // The work order is the removal checklist for items up at the stall, so it cannot go with the bill
+    const onSite = await get(`SELECT id FROM electric_work_orders WHERE electric_bill_id = ? AND status IN ${ON_SITE_STATUS_SQL}`, [billId]);
+    if (onSite) {
+      req.session.flash = { type: 'danger', message: `Cannot delete this bill while its items are installed. Tick them off the removal checklist of work order #${onSite.id} first.` };
+      return res.redirect(`/booking/details-full/${bill.booking_id}`);
+    }
+
+    await transaction(async (db) => {
+      // A metered bill's closing reading goes back to unbilled, to be billed again from the meter page
+      await db.run('UPDATE meter_readings SET electric_bill_id = NULL WHERE electric_bill_id = ?', [billId]);
+      await db.run('DELETE FROM electric_bill_items WHERE electric_bill_id = ?', [billId]);
+      await deleteWorkOrder(db, billId);
+      await db.run('DELETE FROM electric_bills WHERE id = ?', [billId]);
+      await syncStoredDue(bill.booking_id, db);
+    });
+    res.redirect(`/booking/details-full/${bill.booking_id}`);
+  } catch (err) {
+    console.error(`Error deleting electric bill #${billId}:`, err.message);
+    res.status(500).send('Failed to delete electric bill.');
+  }
 });
 
 // GET: API endpoint to fetch all bills for a given booking
@@ -193,11 +243,7 @@ router.get('/for-booking/:booking_id', async (req, res) => {
   const { booking_id } = req.params;
   try {
     const bills = await all('SELECT * FROM electric_bills WHERE booking_id = ? ORDER BY bill_date DESC', [booking_id]);
-    const processedBills = bills.map(bill => {
-      bill.items = parseItems(bill.items_json);
-      return bill;
-    });
-    res.json(processedBills || []);
+    res.json(await attachBillItems(bills));
   } catch (err) {
     console.error('Error fetching bills for booking:', err.message);
     res.status(500).json({ error: 'Failed to fetch bills.' });
@@ -220,7 +266,7 @@ router.get('/approve/:edit_id', isAdmin, async (req, res) => {
       return res.status(404).send('Electric bill edit request not found or already processed.');
     }
     const currentBill = await get('SELECT * FROM electric_bills WHERE id = ?', [editRequest.electric_bill_id]);
-    currentBill.items = parseItems(currentBill.items_json);
+    await attachBillItems([currentBill]);
     const proposedData = JSON.parse(editRequest.proposed_data);
     proposedData.items = parseItems(proposedData.items);
 
@@ -242,26 +288,32 @@ router.post('/approve/:edit_id', isAdmin, async (req, res) => {
   try {
     const editRequest = await get('SELECT * FROM electric_bill_edits WHERE id = ?', [editId]);
     const proposedData = JSON.parse(editRequest.proposed_data);
-    const { sl_no, booking_id, items, total_amount, remarks } = proposedData;
-
-    db.run('BEGIN TRANSACTION');
-    const oldBill = await get('SELECT total_amount, booking_id FROM electric_bills WHERE id = ?', [editRequest.electric_bill_id]);
-    const newTotalAmount = parseFloat(total_amount) || 0;
-    const amountDifference = newTotalAmount - oldBill.total_amount;
+    const { sl_no, booking_id, items, remarks, distribution_board_id } = proposedData;
     const parsedItems = parseItems(items);
-    await run(`UPDATE electric_bills SET sl_no = ?, booking_id = ?, items_json = ?, total_amount = ?, remarks = ? WHERE id = ?`, [sl_no, booking_id, JSON.stringify(parsedItems), newTotalAmount, remarks, editRequest.electric_bill_id]);
-    if (String(oldBill.booking_id) !== String(booking_id)) {
-      await run('UPDATE bookings SET due_amount = due_amount - ? WHERE id = ?', [oldBill.total_amount, oldBill.booking_id]);
-      await run('UPDATE bookings SET due_amount = due_amount + ? WHERE id = ?', [newTotalAmount, booking_id]);
-    } else {
-      await run('UPDATE bookings SET due_amount = due_amount + ? WHERE id = ?', [amountDifference, booking_id]);
-    }
-    await run(`UPDATE electric_bill_edits SET status = 'approved' WHERE id = ?`, [editId]);
-    db.run('COMMIT');
+    const savedItems = (await getBillItems([editRequest.electric_bill_id])).get(editRequest.electric_bill_id);
+    const priced = await priceBillItems(parsedItems, res.locals.activeSession.id, { savedItems });
+    // The approving admin sanctions any extra load the edit brings
+    const load = await assessBillLoad({ bookingId: booking_id, boardId: distribution_board_id, items: parsedItems, sessionId: res.locals.activeSession.id, excludeBillId: editRequest.electric_bill_id });
+
+    await transaction(async (db) => {
+      const oldBill = await db.get('SELECT total_amount, booking_id FROM electric_bills WHERE id = ?', [editRequest.electric_bill_id]);
+      await db.run(`UPDATE electric_bills SET sl_no = ?, booking_id = ?, items_json = NULL, total_amount = ?, remarks = ?, distribution_board_id = ?, connected_load_kw = ? WHERE id = ?`, [sl_no, booking_id, priced.total, remarks, load.boardId, load.loadKw, editRequest.electric_bill_id]);
+      await saveBillItems(db, editRequest.electric_bill_id, priced.lines);
+      await syncWorkOrder(db, editRequest.electric_bill_id);
+      await syncStoredDue(booking_id, db);
+      if (String(oldBill.booking_id) !== String(booking_id)) {
+        await syncStoredDue(oldBill.booking_id, db);
+      }
+      await db.run(`UPDATE electric_bill_edits SET status = 'approved' WHERE id = ?`, [editId]);
+    });
 
+    if (load.exceeds) {
+      await logAction(req.session.user.id, req.session.user.username, load.blocked ? 'override_load_limit' : 'exceed_load_limit',
+        `Electric bill #${editRequest.electric_bill_id} (approved edit): ${describeOverload(load)}`, res.locals.activeSession.id);
+      req.session.flash = { type: 'warning', message: describeOverload(load) };
+    }
     res.redirect('/dashboard?message=Electric bill edit approved and applied.');
   } catch (err) {
-    db.run('ROLLBACK');
     console.error('Error approving electric bill edit:', err.message);
     res.status(500).send('Failed to approve electric bill edit.');
   }
@@ -275,4 +327,202 @@ router.post('/reject/:edit_id', isAdmin, async (req, res) => {
   res.redirect('/dashboard?message=Electric bill edit has been rejected.');
 });
 
+// GET: Connected load of each distribution board in the viewing session
+router.get('/load', async (req, res) => {
+  try {
+    const boards = await getBoardLoads(res.locals.viewingSession.id);
+    res.render('electricLoad', { title: 'Electrical Load', boards });
+  } catch (err) {
+    console.error('Error loading electrical load dashboard:', err.message);
+    res.status(500).send('Error loading page.');
+  }
+});
+
+// POST: Work every bill's load out again after item wattages or the space mapping change (Admin only)
+router.post('/load/recalculate', isAdmin, async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot recalculate loads in an archived session.' };
+    return res.redirect('/electric/load');
+  }
+
+  try {
+    let changed = 0;
+    await transaction(async (tx) => {
+      changed = await recalculateSessionLoads(tx, activeSessionId);
+    });
+    await logAction(req.session.user.id, req.session.user.username, 'recalculate_electric_load', `Recalculated connected load: ${changed} bills changed`, activeSessionId);
+    req.session.flash = { type: 'success', message: `Loads recalculated. ${changed} bills changed.` };
+  } catch (err) {
+    console.error('Error recalculating electrical load:', err.message);
+    req.session.flash = { type: 'danger', message: 'Failed to recalculate loads.' };
+  }
+  res.redirect('/electric/load');
+});
+
+// GET: Installation and removal work orders of the viewing session, filtered by status, zone and staff member
+router.get('/work-orders', async (req, res) => {
+  const sessionId = res.locals.viewingSession.id;
+  const filters = { status: req.query.status || '', zone: req.query.zone || '', staffId: req.query.staff_id || '' };
+  try {
+    const [orders, zones, boards, staff] = await Promise.all([
+      listWorkOrders(sessionId, filters),
+      getZoneCounts(sessionId),
+      listBoards(),
+      all('SELECT id, name, role FROM booking_staff WHERE event_session_id = ? ORDER BY name', [sessionId])
+    ]);
+    orders.forEach(order => { order.actions = workOrderActions(order.status); });
+    res.render('electricWorkOrders', {
+      title: 'Electric Work Orders',
+      orders,
+      zones,
+      boards,
+      staff,
+      filters,
+      statuses: WORK_ORDER_STATUSES,
+      badges: WORK_ORDER_BADGES,
+      noZone: NO_ZONE
+    });
+  } catch (err) {
+    console.error('Error loading electric work orders:', err.message);
+    res.status(500).send('Error loading page.');
+  }
+});
+
+// GET: Printable job sheet of one zone's open work orders, for the electricians on the ground
+router.get('/work-orders/job-sheet', async (req, res) => {
+  const sessionId = res.locals.viewingSession.id;
+  const zone = req.query.zone || NO_ZONE;
+  const status = req.query.status || ['pending', 'installed', 'verified'];
+  try {
+    const [orders, boards] = await Promise.all([
+      listWorkOrders(sessionId, { status, zone, staffId: req.query.staff_id }),
+      listBoards()
+    ]);
+    const board = boards.find(b => String(b.id) === String(zone));
+    if (zone !== NO_ZONE && !board) {
+      return res.status(404).send('Distribution board not found.');
+    }
+    res.render('electricJobSheet', {
+      title: `Electrical Job Sheet - ${board ? board.name : 'Not on any board'}`,
+      board,
+      orders,
+      statuses: WORK_ORDER_STATUSES
+    });
+  } catch (err) {
+    console.error('Error loading electrical job sheet:', err.message);
+    res.status(500).send('Error loading job sheet.');
+  }
+});
+
+// POST: Create work orders for bills that have none, such as bills made before work orders (Admin only)
+router.post('/work-orders/generate', isAdmin, async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot create work orders in an archived session.' };
+    return res.redirect('/electric/work-orders');
+  }
+
+  try {
+    let created = 0;
+    await transaction(async (tx) => {
+      created = await createMissingWorkOrders(tx, activeSessionId);
+    });
+    await logAction(req.session.user.id, req.session.user.username, 'generate_electric_work_orders', `Created ${created} electric work orders for existing bills`, activeSessionId);
+    req.session.flash = { type: 'success', message: `${created} work orders created.` };
+  } catch (err) {
+    console.error('Error creating electric work orders:', err.message);
+    req.session.flash = { type: 'danger', message: 'Failed to create work orders.' };
+  }
+  res.redirect('/electric/work-orders');
+});
+
+// GET: One work order with its items and removal checklist
+router.get('/work-orders/:id', async (req, res) => {
+  try {
+    const order = await getWorkOrder(req.params.id);
+    if (!order || order.event_session_id !== res.locals.viewingSession.id) {
+      return res.status(404).send('Work order not found in this session.');
+    }
+    const staff = await all('SELECT id, name, role FROM booking_staff WHERE event_session_id = ? ORDER BY name', [order.event_session_id]);
+    res.render('electricWorkOrder', {
+      title: `Electric Work Order #${order.id}`,
+      order,
+      staff,
+      actions: workOrderActions(order.status),
+      statuses: WORK_ORDER_STATUSES,
+      badges: WORK_ORDER_BADGES
+    });
+  } catch (err) {
+    console.error('Error loading electric work order:', err.message);
+    res.status(500).send('Error loading work order.');
+  }
+});
+
+// POST: Assign a work order to a staff member, or unassign it
+router.post('/work-orders/:id/assign', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  const back = req.get('Referrer') || `/electric/work-orders/${req.params.id}`;
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot change work orders in an archived session.' };
+    return res.redirect(back);
+  }
+
+  try {
+    const { staff } = await assignWorkOrder(req.params.id, req.body.staff_id, activeSessionId);
+    await logAction(req.session.user.id, req.session.user.username, 'assign_electric_work_order',
+      staff ? `Assigned electric work order #${req.params.id} to ${staff.name}` : `Unassigned electric work order #${req.params.id}`, activeSessionId);
+    req.session.flash = { type: 'success', message: staff ? `Work order assigned to ${staff.name}.` : 'Work order unassigned.' };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect(back);
+});
+
+// POST: Mark a work order installed or verified
+router.post('/work-orders/:id/status', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  const back = req.get('Referrer') || `/electric/work-orders/${req.params.id}`;
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot change work orders in an archived session.' };
+    return res.redirect(back);
+  }
+
+  try {
+    const { from, to } = await advanceWorkOrder(req.params.id, req.body.to_status, req.session.user, activeSessionId);
+    await logAction(req.session.user.id, req.session.user.username, 'electric_work_order_status',
+      `Electric work order #${req.params.id} moved from ${WORK_ORDER_STATUSES[from]} to ${WORK_ORDER_STATUSES[to]}`, activeSessionId);
+    req.session.flash = { type: 'success', message: `Work order marked ${WORK_ORDER_STATUSES[to]}.` };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect(back);
+});
+
+// POST: Save the removal checklist; the work order is removed once every item is ticked
+router.post('/work-orders/:id/removal', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  const back = req.get('Referrer') || `/electric/work-orders/${req.params.id}`;
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot change work orders in an archived session.' };
+    return res.redirect(back);
+  }
+
+  const removedItemIds = [].concat(req.body.removed_items || []);
+  try {
+    let result;
+    await transaction(async (tx) => {
+      result = await saveRemovalChecklist(tx, req.params.id, removedItemIds, req.session.user, activeSessionId);
+    });
+    await logAction(req.session.user.id, req.session.user.username, 'electric_work_order_removal',
+      `Electric work order #${req.params.id}: ${result.removed} of ${result.total} items removed${result.complete ? ', order removed' : ''}`, activeSessionId);
+    req.session.flash = result.complete
+      ? { type: 'success', message: 'All items removed. The work order is complete.' }
+      : { type: 'info', message: `Removal checklist saved: ${result.removed} of ${result.total} items removed.` };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect(back);
+});
+
 module.exports = router;
\ No newline at end of file
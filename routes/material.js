@@ -1,6 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const { all, get, run, db, transaction } = require('../db-helpers');
+const { OCCUPYING_STATUS_SQL } = require('../booking-lifecycle');
+const { syncStoredDue } = require('../balance-helpers');
+
+/**
+ * Re-syncs the stored dues after a material issue is edited, for the booking it belonged to and,
+ * if it was moved to another client, that client's booking in the same session.
+ * @param {{client_id: number, event_session_id: number}} oldIssue - The issue as it was before the edit.
+ * @param {number|string} newClientId - The client the issue now belongs to.
+ * @returns {Promise<Object|undefined>} The booking the issue now belongs to.
+ */
+async function syncMaterialDues(oldIssue, newClientId) {
+    const oldBooking = await get('SELECT id FROM bookings WHERE client_id = ? AND event_session_id = ?', [oldIssue.client_id, oldIssue.event_session_id]);
+    const booking = await get('SELECT id FROM bookings WHERE client_id = ? AND event_session_id = ?', [newClientId, oldIssue.event_session_id]);
+    if (oldBooking) await syncStoredDue(oldBooking.id);
+    if (booking && (!oldBooking || booking.id !== oldBooking.id)) await syncStoredDue(booking.id);
+    return booking;
+}
 
 // GET: Show form to issue materials
 router.get('/issue', async (req, res) => {
@@ -10,7 +27,7 @@ router.get('/issue', async (req, res) => {
       all(`
         SELECT c.id as client_id, c.name as client_name, b.facia_name, s.name as space_name
         FROM clients c 
-        JOIN bookings b ON c.id = b.client_id AND b.booking_status = 'active'
+        JOIN bookings b ON c.id = b.client_id AND b.booking_status IN ${OCCUPYING_STATUS_SQL}
         LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s 
         ON b.id = s.booking_id
         ORDER BY c.name
@@ -60,25 +77,20 @@ router.post('/issue', async (req, res) => {
                     plywood_free, table_free, chair_free, rod_free,
                     plywood_paid, table_paid, chair_paid,
                     table_numbers, chair_numbers,
-                    total_payable, advance_paid, balance_due, notes
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    total_payable, advance_paid, balance_due, notes, event_session_id
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `;
             const params = [
                 client_id, sl_no, stall_number, camp, issue_date,
                 plywood_free, table_free, chair_free, rod_free,
                 plywood_paid, table_paid, chair_paid,
                 table_numbers, chair_numbers,
-                total_payable, advance_paid, balance_due, notes
+                total_payable, advance_paid, balance_due, notes, res.locals.activeSession.id
             ];
             await run(sql, params);
 
-            // Update booking due amount if there is a payable amount
-            if (parseFloat(total_payable) > 0) {
-                const booking = await get('SELECT id FROM bookings WHERE client_id = ?', [client_id]);
-                if (booking) {
-                    await run('UPDATE bookings SET due_amount = due_amount + ? WHERE id = ?', [balance_due, booking.id]);
-                }
-            }
+            const booking = await get('SELECT id FROM bookings WHERE client_id = ? AND event_session_id = ?', [client_id, res.locals.activeSession.id]);
+            if (booking) await syncStoredDue(booking.id);
 
             db.run('COMMIT');
             res.redirect(`/material/issue?client_id=${client_id}`);
@@ -99,7 +111,7 @@ router.get('/edit/:id', async (req, res) => {
             all(`
                 SELECT c.id as client_id, c.name as client_name, b.facia_name, s.space_name
                 FROM clients c 
-                JOIN bookings b ON c.id = b.client_id AND b.booking_status = 'active'
+                JOIN bookings b ON c.id = b.client_id AND b.booking_status IN ${OCCUPYING_STATUS_SQL}
                 LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s 
                 ON b.id = s.booking_id
                 ORDER BY c.name
@@ -112,7 +124,7 @@ router.get('/edit/:id', async (req, res) => {
         }
 
         // Find the booking_id for the cancel button link
-        const booking = await get('SELECT id FROM bookings WHERE client_id = ? AND event_session_id = ? AND booking_status = "active"', [issue.client_id, res.locals.viewingSession.id]);
+        const booking = await get(`SELECT id FROM bookings WHERE client_id = ? AND event_session_id = ? AND booking_status IN ${OCCUPYING_STATUS_SQL}`, [issue.client_id, res.locals.viewingSession.id]);
         if (booking) {
             issue.booking_id = booking.id;
         }
@@ -154,15 +166,12 @@ router.post('/edit/:id', async (req, res) => {
         db.serialize(async () => {
             try {
                 db.run('BEGIN TRANSACTION');
-                const oldIssue = await get('SELECT total_payable, client_id FROM material_issues WHERE id = ?', [issueId]);
+                const oldIssue = await get('SELECT client_id, event_session_id FROM material_issues WHERE id = ?', [issueId]);
                 if (!oldIssue) throw new Error('Original material issue not found.');
-                const oldPayable = oldIssue.total_payable || 0;
                 const newPayable = parseFloat(total_payable) || 0;
-                const amountDifference = newPayable - oldPayable;
                 const sql = `UPDATE material_issues SET client_id = ?, sl_no = ?, stall_number = ?, camp = ?, issue_date = ?, plywood_free = ?, table_free = ?, chair_free = ?, rod_free = ?, plywood_paid = ?, table_paid = ?, chair_paid = ?, table_numbers = ?, chair_numbers = ?, total_payable = ?, advance_paid = ?, balance_due = ?, notes = ? WHERE id = ?`;
                 await run(sql, [client_id, sl_no, stall_number, camp, issue_date, plywood_free, table_free, chair_free, rod_free, plywood_paid, table_paid, chair_paid, table_numbers, chair_numbers, newPayable, advance_paid, balance_due, notes, issueId]);
-                const booking = await get('SELECT id FROM bookings WHERE client_id = ?', [client_id]);
-                if (booking) { await run('UPDATE bookings SET due_amount = due_amount + ? WHERE id = ?', [amountDifference, booking.id]); }
+                const booking = await syncMaterialDues(oldIssue, client_id);
                 db.run('COMMIT');
                 res.redirect(`/booking/details-full/${booking.id}?message=Material issue updated successfully.`);
             } catch (err) {
@@ -198,17 +207,15 @@ router.post('/delete/:id', async (req, res) => {
     try {
         let bookingIdToRedirect;
         await transaction(async (db) => {
-            const issue = await db.get('SELECT client_id, total_payable FROM material_issues WHERE id = ?', [issueId]);
+            const issue = await db.get('SELECT client_id, event_session_id FROM material_issues WHERE id = ?', [issueId]);
             if (!issue) throw new Error('Material issue not found.');
             
-            const booking = await db.get('SELECT id FROM bookings WHERE client_id = ?', [issue.client_id]);
+            const booking = await db.get('SELECT id FROM bookings WHERE client_id = ? AND event_session_id = ?', [issue.client_id, issue.event_session_id]);
             if (!booking) throw new Error('Associated booking not found.');
             bookingIdToRedirect = booking.id;
 
-            if (issue.total_payable > 0) {
-                await db.run('UPDATE bookings SET due_amount = due_amount - ? WHERE id = ?', [issue.total_payable, booking.id]);
-            }
             await db.run('DELETE FROM material_issues WHERE id = ?', [issueId]);
+            await syncStoredDue(booking.id, db);
         });
         res.redirect(`/booking/details-full/${bookingIdToRedirect}?message=Material issue deleted successfully.`);
     } catch (err) {
@@ -257,16 +264,13 @@ router.post('/approve/:edit_id', isAdmin, async (req, res) => {
         const { client_id, sl_no, stall_number, camp, issue_date, plywood_free, table_free, chair_free, rod_free, plywood_paid, table_paid, chair_paid, table_numbers, chair_numbers, total_payable, advance_paid, balance_due, notes } = proposedData;
 
         db.run('BEGIN TRANSACTION');
-        const oldIssue = await get('SELECT total_payable, client_id FROM material_issues WHERE id = ?', [editRequest.material_issue_id]);
-        const oldPayable = oldIssue.total_payable || 0;
+        const oldIssue = await get('SELECT client_id, event_session_id FROM material_issues WHERE id = ?', [editRequest.material_issue_id]);
         const newPayable = parseFloat(total_payable) || 0;
-        const amountDifference = newPayable - oldPayable;
 
         const sql = `UPDATE material_issues SET client_id = ?, sl_no = ?, stall_number = ?, camp = ?, issue_date = ?, plywood_free = ?, table_free = ?, chair_free = ?, rod_free = ?, plywood_paid = ?, table_paid = ?, chair_paid = ?, table_numbers = ?, chair_numbers = ?, total_payable = ?, advance_paid = ?, balance_due = ?, notes = ? WHERE id = ?`;
         await run(sql, [client_id, sl_no, stall_number, camp, issue_date, plywood_free, table_free, chair_free, rod_free, plywood_paid, table_paid, chair_paid, table_numbers, chair_numbers, newPayable, advance_paid, balance_due, notes, editRequest.material_issue_id]);
         
-        const booking = await get('SELECT id FROM bookings WHERE client_id = ?', [client_id]);
-        if (booking) { await run('UPDATE bookings SET due_amount = due_amount + ? WHERE id = ?', [amountDifference, booking.id]); }
+        await syncMaterialDues(oldIssue, client_id);
         
         await run(`UPDATE material_issue_edits SET status = 'approved' WHERE id = ?`, [editId]);
         db.run('COMMIT');
@@ -299,7 +303,7 @@ router.get('/api/get-client-free-item-defaults/:clientId', async (req, res) => {
             FROM bookings b 
             JOIN booking_spaces bs ON b.id = bs.booking_id 
             JOIN spaces s ON bs.space_id = s.id 
-            WHERE b.client_id = ? AND b.event_session_id = ? AND b.booking_status = 'active' LIMIT 1`, 
+            WHERE b.client_id = ? AND b.event_session_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL} LIMIT 1`, 
             [clientId, viewingSessionId]);
 
         const spaceType = booking?.space_type?.toLowerCase();
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { isAdmin } = require('./auth'); // Import isAdmin for route-specific checks
 const { all, get, run, logAction, transaction } = require('../db-helpers');
+const { OCCUPYING_STATUS_SQL } = require('../booking-lifecycle');
+const { syncStoredDue } = require('../balance-helpers');
 const qrcode = require('qrcode');
 const path = require('path');
 const multer = require('multer');
@@ -324,7 +326,7 @@ router.get('/issue', async (req, res) => {
             FROM clients c
             JOIN bookings b ON c.id = b.client_id
             JOIN spaces s ON b.space_id = s.id
-            WHERE b.booking_status = 'active' AND b.event_session_id = ?
+            WHERE b.booking_status IN ${OCCUPYING_STATUS_SQL} AND b.event_session_id = ?
             ORDER BY c.name
         `, [res.locals.viewingSession.id]);
 
@@ -369,7 +371,7 @@ router.post('/api/issue-item', async (req, res) => {
                 SELECT s.type as space_type 
                 FROM bookings b 
                 JOIN spaces s ON b.space_id = s.id 
-                WHERE b.client_id = ? AND b.booking_status = 'active' AND b.event_session_id = ?
+                WHERE b.client_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL} AND b.event_session_id = ?
             `, [clientId, res.locals.viewingSession.id]);
 
             const spaceType = booking ? booking.space_type.toLowerCase() : '';
@@ -430,10 +432,8 @@ router.post('/api/issue-item', async (req, res) => {
                     await db.run(`UPDATE material_issues SET ${paidField} = COALESCE(${paidField}, 0) + 1, total_payable = COALESCE(total_payable, 0) + ?, balance_due = COALESCE(balance_due, 0) + ?, ${numberField} = ? WHERE id = ?`, 
                         [itemCost, itemCost, newNumbers, issueRecord.id]);
                     
-                    const bookingForUpdate = await db.get('SELECT id FROM bookings WHERE client_id = ? AND booking_status = "active"', [clientId]);
-                    if (bookingForUpdate) {
-                        await db.run('UPDATE bookings SET due_amount = due_amount + ? WHERE id = ?', [itemCost, bookingForUpdate.id]);
-                    }
+                    const bookingForUpdate = await db.get(`SELECT id FROM bookings WHERE client_id = ? AND event_session_id = ? AND booking_status IN ${OCCUPYING_STATUS_SQL}`, [clientId, issueRecord.event_session_id || res.locals.viewingSession.id]);
+                    if (bookingForUpdate) await syncStoredDue(bookingForUpdate.id, db);
                 } else {
                     // Increment free item count
                     await db.run(`UPDATE material_issues SET ${freeField} = COALESCE(${freeField}, 0) + 1, ${numberField} = ? WHERE id = ?`, [newNumbers, issueRecord.id]);
@@ -524,7 +524,7 @@ router.get('/issued-to/:clientId', async (req, res) => {
         const [client, issuedMaterials, booking] = await Promise.all([
             get('SELECT id, name FROM clients WHERE id = ?', [clientId]),
             all('SELECT * FROM material_stock WHERE issued_to_client_id = ? AND status = ? ORDER BY name', [clientId, 'Issued']),
-            get('SELECT id FROM bookings WHERE client_id = ? AND event_session_id = ? AND booking_status = "active"', [clientId, res.locals.viewingSession.id])
+            get(`SELECT id FROM bookings WHERE client_id = ? AND event_session_id = ? AND booking_status IN ${OCCUPYING_STATUS_SQL}`, [clientId, res.locals.viewingSession.id])
         ]);
 
         if (!client) {
@@ -604,7 +604,7 @@ router.post('/return-all/:clientId', async (req, res) => {
     try {
         const materialsToReturn = await all('SELECT id, unique_id, name FROM material_stock WHERE issued_to_client_id = ? AND status = ?', [clientId, 'Issued']);
 
-        const booking = await get('SELECT id FROM bookings WHERE client_id = ? AND event_session_id = ? AND booking_status = "active"', [clientId, activeSessionId]);
+        const booking = await get(`SELECT id FROM bookings WHERE client_id = ? AND event_session_id = ? AND booking_status IN ${OCCUPYING_STATUS_SQL}`, [clientId, activeSessionId]);
         const redirectUrl = booking ? `/booking/details-full/${booking.id}` : '/materials';
 
         if (materialsToReturn.length === 0) {
@@ -662,7 +662,7 @@ router.get('/history/:id', async (req, res) => {
                 b.id as booking_id
             FROM material_history h
             LEFT JOIN clients c ON h.client_id = c.id
-            LEFT JOIN bookings b ON h.client_id = b.client_id AND b.event_session_id = ? AND b.booking_status = 'active'
+            LEFT JOIN bookings b ON h.client_id = b.client_id AND b.event_session_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL}
             WHERE h.material_id = ?
             ORDER BY h.timestamp DESC
         `, [material.event_session_id, materialId]);
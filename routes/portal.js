@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const { all, get, run, logAction } = require('../db-helpers');
+const { getBookingStatement, getReceiptBooking, getInvoiceBooking } = require('../booking-helpers');
+const { PROFILE_FIELDS, consumePortalToken } = require('../portal-helpers');
+
+/**
+ * Checks if an exhibitor is logged in to the portal. If not, shows the portal login notice.
+ */
+function isExhibitor(req, res, next) {
+  if (req.session.portalClient) {
+    res.locals.portalClient = req.session.portalClient;
+    return next();
+  }
+  res.status(401).render('portalLogin', { title: 'Exhibitor Portal', error: null });
+}
+
+/**
+ * Finds the logged-in exhibitor's booking for the active session.
+ * Cancelled bookings are left out; the most recent booking wins if there are several.
+ */
+function getPortalBooking(req, res) {
+  return get(`
+    SELECT b.*, c.name AS client_name, s.space_name, s.space_type
+    FROM bookings b
+    JOIN clients c ON b.client_id = c.id
+    LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name, GROUP_CONCAT(s.type, ', ') as space_type FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s ON b.id = s.booking_id
+    WHERE b.client_id = ? AND b.event_session_id = ? AND b.booking_status <> 'cancelled'
+    ORDER BY b.id DESC LIMIT 1
+  `, [req.session.portalClient.id, res.locals.activeSession.id]);
+}
+
+// GET /portal/login/:token - Log in with a one-time link
+router.get('/login/:token', async (req, res) => {
+  try {
+    const client = await consumePortalToken(req.params.token);
+    if (!client) {
+      return res.status(401).render('portalLogin', { title: 'Exhibitor Portal', error: 'This login link is invalid, has expired or has already been used. Please ask the exhibition office for a new link.' });
+    }
+    req.session.portalClient = { id: client.id, name: client.name };
+    await logAction(null, `${client.name} (portal)`, 'portal_login', `Exhibitor portal login for client #${client.id}.`, res.locals.activeSession.id);
+    res.redirect('/portal');
+  } catch (err) {
+    console.error('Portal login error:', err.message);
+    res.status(500).send('An error occurred during login.');
+  }
+});
+
+// GET /portal/logout - Log out of the portal
+router.get('/logout', (req, res) => {
+  delete req.session.portalClient;
+  res.render('portalLogin', { title: 'Exhibitor Portal', error: null });
+});
+
+router.use(isExhibitor);
+
+// GET /portal - Show the exhibitor's booking, charges, payments and dues for the active session
+router.get('/', async (req, res) => {
+  try {
+    const booking = await getPortalBooking(req, res);
+    let statement = null;
+    let spaces = [];
+    let corrections = [];
+    if (booking) {
+      statement = await getBookingStatement(booking, res.locals.activeSession.id);
+      booking.payments = statement.payments;
+      booking.financials = statement.financials;
+      [spaces, corrections] = await Promise.all([
+        all('SELECT s.name, s.type, s.size, s.location FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id WHERE bs.booking_id = ? ORDER BY s.type, s.name', [booking.id]),
+        all("SELECT id, status, request_date, rejection_reason FROM booking_edits WHERE booking_id = ? AND source = 'portal' ORDER BY request_date DESC LIMIT 5", [booking.id])
+      ]);
+    }
+    res.render('portalHome', {
+      title: 'Exhibitor Portal',
+      booking,
+      spaces,
+      materials: statement ? statement.materials : [],
+      electricBills: statement ? statement.electricBills : [],
+      shedAllocations: statement ? statement.shedAllocations : [],
+      corrections
+    });
+  } catch (err) {
+    console.error('Error loading exhibitor portal:', err.message);
+    res.status(500).send('Error loading your booking.');
+  }
+});
+
+// GET /portal/receipt - Rent receipt for the exhibitor's booking
+router.get('/receipt', async (req, res) => {
+  try {
+    const portalBooking = await getPortalBooking(req, res);
+    const booking = portalBooking && await getReceiptBooking(portalBooking.id);
+    if (!booking) {
+      return res.status(404).send('Booking not found');
+    }
+    res.render('rentReceipt', { title: `Rent Receipt #${booking.id}`, booking });
+  } catch (err) {
+    console.error('Error fetching portal receipt data:', err.message);
+    res.status(500).send('Error generating receipt.');
+  }
+});
+
+// GET /portal/invoice - Invoice for the exhibitor's booking
+router.get('/invoice', async (req, res) => {
+  try {
+    const portalBooking = await getPortalBooking(req, res);
+    const booking = portalBooking && await getInvoiceBooking(portalBooking.id);
+    if (!booking) {
+      return res.status(404).send('Invoice not found');
+    }
+    res.render('invoice', { title: `Invoice #${booking.id}`, booking, backUrl: '/portal' });
+  } catch (err) {
+    console.error('Error fetching portal invoice data:', err.message);
+    res.status(500).send('Error generating invoice.');
+  }
+});
+
+// GET /portal/profile - Show the profile correction form
+router.get('/profile', async (req, res) => {
+  try {
+    const booking = await getPortalBooking(req, res);
+    if (!booking) {
+      return res.redirect('/portal');
+    }
+    res.render('portalProfile', { title: 'Request Profile Correction', booking, profileFields: PROFILE_FIELDS });
+  } catch (err) {
+    console.error('Error loading portal profile:', err.message);
+    res.status(500).send('Error loading your profile.');
+  }
+});
+
+// POST /portal/profile - Submit a profile correction for staff approval
+router.post('/profile', async (req, res) => {
+  try {
+    const booking = await getPortalBooking(req, res);
+    if (!booking) {
+      return res.redirect('/portal');
+    }
+
+    // Only changed profile fields are sent for approval; rent and payment figures are never touched.
+    const proposedData = {};
+    Object.keys(PROFILE_FIELDS).forEach(field => {
+      const value = (req.body[field] || '').trim();
+      if (value !== (booking[field] || '')) {
+        proposedData[field] = value;
+      }
+    });
+    if (Object.keys(proposedData).length === 0) {
+      req.session.flash = { type: 'info', message: 'No changes were made to your details.' };
+      return res.redirect('/portal/profile');
+    }
+    if (proposedData.exhibitor_name === '' || proposedData.contact_person === '' || proposedData.contact_number === '') {
+      req.session.flash = { type: 'danger', message: 'Exhibitor name, contact person and contact number cannot be empty.' };
+      return res.redirect('/portal/profile');
+    }
+
+    // Portal edits have no staff user behind them, so user_id is 0.
+    await run(
+      `INSERT INTO booking_edits (booking_id, user_id, username, proposed_data, request_date, source) VALUES (?, 0, ?, ?, datetime('now'), 'portal')`,
+      [booking.id, `${req.session.portalClient.name} (portal)`, JSON.stringify(proposedData)]
+    );
+    await logAction(null, `${req.session.portalClient.name} (portal)`, 'portal_profile_correction', `Requested correction of ${Object.keys(proposedData).join(', ')} for booking #${booking.id}.`, res.locals.activeSession.id);
+    req.session.flash = { type: 'success', message: 'Your correction has been sent to the exhibition office for approval.' };
+    res.redirect('/portal');
+  } catch (err) {
+    console.error('Error submitting portal profile correction:', err.message);
+    res.status(500).send('Failed to submit your correction.');
+  }
+});
+
+module.exports = router;
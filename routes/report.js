@@ -1,8 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { Parser } = require('json2csv');
-const { all, get } = require('../db-helpers');
+const { all, get, logAction, transaction } = require('../db-helpers');
 const { isAdmin } = require('./auth');
+const { OCCUPYING_STATUS_SQL } = require('../booking-lifecycle');
+const { CHARGE_HEADS, ALLOCATION_LABELS, BOOKING_ADVANCE_SQL, getPaymentAllocations, describeAllocation } = require('../payment-helpers');
+const { getBookingBalances, syncStoredDue, findDueMismatches } = require('../balance-helpers');
+const { findReceiptGaps } = require('../receipt-helpers');
+const { BANK_PAID_SQL } = require('../instrument-helpers');
+const { attachBillItems, getItemConsumption, getUnitemisedBills } = require('../electric-bill-helpers');
 
 // Use the isAdmin middleware for all report routes
 router.use(isAdmin);
@@ -72,16 +78,11 @@ router.get('/payment-received', async (req, res) => {
         p.payment_mode,
         p.cash_paid,
         p.upi_paid,
-        (p.cash_paid + p.upi_paid) as total_paid,
+        ${BANK_PAID_SQL} as bank_paid,
+        p.clearance_status,
+        (p.cash_paid + p.upi_paid + ${BANK_PAID_SQL}) as total_paid,
         b.exhibitor_name,
-        s.name as space_name,
-        CASE
-          WHEN p.rent_paid > 0 THEN 'Rent'
-          WHEN p.electric_paid > 0 THEN 'Electric'
-          WHEN p.material_paid > 0 THEN 'Material'
-          WHEN p.shed_paid > 0 THEN 'Shed'
-          ELSE 'Unknown'
-        END as payment_category
+        s.name as space_name
       FROM payments p
       JOIN bookings b ON p.booking_id = b.id AND b.event_session_id = p.event_session_id
       LEFT JOIN (
@@ -108,14 +109,10 @@ router.get('/payment-received', async (req, res) => {
       params.push(`%${q}%`, `%${q}%`, `%${q}%`);
     }
     if (category && category !== 'all') {
-      const categoryMap = {
-        'Rent': 'p.rent_paid > 0',
-        'Electric': 'p.electric_paid > 0',
-        'Material': 'p.material_paid > 0',
-        'Shed': 'p.shed_paid > 0'
-      };
-      if (categoryMap[category]) {
-        whereClauses.push(categoryMap[category]);
+      const head = Object.keys(CHARGE_HEADS).find(h => CHARGE_HEADS[h] === category);
+      if (head) {
+        whereClauses.push('EXISTS (SELECT 1 FROM payment_allocations pa WHERE pa.payment_id = p.id AND pa.charge_head = ?)');
+        params.push(head);
       }
     }
 
@@ -123,7 +120,9 @@ router.get('/payment-received', async (req, res) => {
 
     // Get total count and summary for the filtered data
     const summarySql = `
-      SELECT COUNT(*) as count, SUM(p.cash_paid) as total_cash, SUM(p.upi_paid) as total_upi, SUM(p.cash_paid + p.upi_paid) as total_paid 
+      SELECT COUNT(*) as count, SUM(p.cash_paid) as total_cash, SUM(p.upi_paid) as total_upi, SUM(${BANK_PAID_SQL}) as total_bank, SUM(p.cash_paid + p.upi_paid + ${BANK_PAID_SQL}) as total_paid,
+        SUM(p.rent_paid) as rent, SUM(p.electric_paid) as electric, SUM(p.material_paid) as material, SUM(p.shed_paid) as shed,
+        SUM((SELECT SUM(ce.amount) FROM client_credit_entries ce WHERE ce.payment_id = p.id AND ce.entry_type IN ('advance', 'overpayment'))) as credit
       FROM payments p 
       JOIN bookings b ON p.booking_id = b.id 
       LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s 
@@ -139,6 +138,11 @@ router.get('/payment-received', async (req, res) => {
 
     const fullSql = `${sql} ${whereSql} ORDER BY p.payment_date DESC, p.id DESC LIMIT ? OFFSET ?`;
     const payments = await all(fullSql, [...params, limit, offset]);
+    const allocations = await getPaymentAllocations(payments.map(p => p.id));
+    payments.forEach(p => {
+      p.allocations = allocations.get(p.id);
+      p.payment_category = describeAllocation(p.allocations);
+    });
 
     const pagination = {
       currentPage,
@@ -155,7 +159,9 @@ router.get('/payment-received', async (req, res) => {
       summary: {
         total_cash: summaryResult.total_cash || 0,
         total_upi: summaryResult.total_upi || 0,
+        total_bank: summaryResult.total_bank || 0,
         total_paid: summaryResult.total_paid || 0,
+        by_head: Object.keys(ALLOCATION_LABELS).map(head => ({ label: ALLOCATION_LABELS[head], amount: summaryResult[head] || 0 }))
       },
       filters: { start_date: start_date || '', end_date: end_date || '', q: q || '', category }
     });
@@ -173,7 +179,7 @@ router.get('/payment-received/csv', async (req, res) => {
     const { start_date, end_date, q, category } = req.query;
 
     // This query is identical to the one in the main report route
-    const sql = `SELECT p.payment_date, p.receipt_number, b.exhibitor_name, s.space_name, CASE WHEN p.rent_paid > 0 THEN 'Rent' WHEN p.electric_paid > 0 THEN 'Electric' WHEN p.material_paid > 0 THEN 'Material' WHEN p.shed_paid > 0 THEN 'Shed' ELSE 'Unknown' END as payment_category, p.payment_mode, p.cash_paid, p.upi_paid, (p.cash_paid + p.upi_paid) as total_paid 
+    const sql = `SELECT p.payment_date, p.receipt_number, b.exhibitor_name, s.space_name, p.rent_paid, p.electric_paid, p.material_paid, p.shed_paid, p.payment_mode, p.clearance_status, p.cash_paid, p.upi_paid, ${BANK_PAID_SQL} as bank_paid, (p.cash_paid + p.upi_paid + ${BANK_PAID_SQL}) as total_paid 
                  FROM payments p 
                  JOIN bookings b ON p.booking_id = b.id AND b.event_session_id = p.event_session_id 
                  LEFT JOIN (SELECT bs.booking_id, GROUP_CONCAT(s.name, ', ') as space_name FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY bs.booking_id) s 
@@ -186,14 +192,10 @@ router.get('/payment-received/csv', async (req, res) => {
     if (end_date) { whereClauses.push('p.payment_date <= ?'); params.push(end_date); }
     if (q) { whereClauses.push('(b.exhibitor_name LIKE ? OR s.space_name LIKE ? OR p.receipt_number LIKE ?)'); params.push(`%${q}%`, `%${q}%`, `%${q}%`); }
     if (category && category !== 'all') {
-      const categoryMap = {
-        'Rent': 'p.rent_paid > 0',
-        'Electric': 'p.electric_paid > 0',
-        'Material': 'p.material_paid > 0',
-        'Shed': 'p.shed_paid > 0'
-      };
-      if (categoryMap[category]) {
-        whereClauses.push(categoryMap[category]);
+      const head = Object.keys(CHARGE_HEADS).find(h => CHARGE_HEADS[h] === category);
+      if (head) {
+        whereClauses.push('EXISTS (SELECT 1 FROM payment_allocations pa WHERE pa.payment_id = p.id AND pa.charge_head = ?)');
+        params.push(head);
       }
     }
 
@@ -263,29 +265,13 @@ async function getExhibitorFinancialData(viewingSessionId, q) {
         b.id as booking_id,
         b.exhibitor_name,
         b.facia_name,
-        s.space_name,
-        (b.rent_amount - COALESCE(b.discount, 0)) as total_rent,
-        (COALESCE(p.total_paid, 0) + COALESCE(b.advance_amount, 0)) as total_paid,
-        ((b.rent_amount - COALESCE(b.discount, 0)) + COALESCE(eb.total_electric_charge, 0) + COALESCE(mi.total_material_charge, 0) + COALESCE(sh.total_shed_charge, 0)) as total_charged
+        s.space_name
       FROM bookings b
       LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s 
       ON b.id = s.booking_id
-      -- Aggregate Payments for the current session
-      LEFT JOIN (
-        SELECT booking_id, SUM(rent_paid + electric_paid + material_paid + shed_paid) as total_paid
-        FROM payments 
-        WHERE event_session_id = ?
-        GROUP BY booking_id
-      ) p ON b.id = p.booking_id
-      -- Aggregate Electric Bills
-      LEFT JOIN (SELECT booking_id, SUM(total_amount) as total_electric_charge FROM electric_bills WHERE event_session_id = ? GROUP BY booking_id) eb ON b.id = eb.booking_id
-      -- Aggregate Material Issues
-      LEFT JOIN (SELECT client_id, SUM(total_payable) as total_material_charge FROM material_issues WHERE event_session_id = ? GROUP BY client_id) mi ON b.client_id = mi.client_id
-      -- Aggregate Shed Charges
-      LEFT JOIN (SELECT booking_id, SUM(rent) as total_shed_charge FROM (SELECT sa.booking_id, s.rent FROM shed_allocations sa JOIN sheds s ON sa.shed_id = s.id WHERE sa.event_session_id = ? UNION ALL SELECT sb.booking_id, sb.amount as rent FROM shed_bills sb WHERE sb.event_session_id = ?) GROUP BY booking_id) sh ON b.id = sh.booking_id
     `;
   const whereClauses = ['b.event_session_id = ?'];
-  const params = [viewingSessionId, viewingSessionId, viewingSessionId, viewingSessionId, viewingSessionId, viewingSessionId];
+  const params = [viewingSessionId];
 
   if (q) {
       whereClauses.push('(b.exhibitor_name LIKE ? OR s.space_name LIKE ? OR b.facia_name LIKE ?)');
@@ -293,7 +279,24 @@ async function getExhibitorFinancialData(viewingSessionId, q) {
   }
 
   const fullSql = `${sql} WHERE ${whereClauses.join(' AND ')} ORDER BY b.id DESC`;
-  return await all(fullSql, params);
+  const [exhibitors, balances] = await Promise.all([all(fullSql, params), getBookingBalances({ sessionId: viewingSessionId })]);
+
+  // Charges are shown net of credit notes
+  return exhibitors.map(e => {
+    const balance = balances.get(e.booking_id);
+    const net = (head) => head.charged - head.credited;
+    return {
+      ...e,
+      total_rent: net(balance.rent),
+      rent_charged: net(balance.rent),
+      electric_charged: net(balance.electric),
+      material_charged: net(balance.material),
+      shed_charged: net(balance.shed),
+      total_charged: net(balance),
+      total_paid: balance.paid,
+      balance_due: balance.due
+    };
+  });
 }
 
 // GET /report/exhibitor-dues - Show a summary of dues for all exhibitors
@@ -305,15 +308,13 @@ router.get('/exhibitor-dues', async (req, res) => {
     const exhibitors = await getExhibitorFinancialData(viewingSessionId, q);
 
     let subtotal = { total_rent: 0, total_paid: 0, balance_due: 0 };
-    const reportData = exhibitors.map(e => {
-      const balance_due = e.total_charged - e.total_paid;
-      subtotal.total_rent += e.total_rent || 0;
-      subtotal.total_paid += e.total_paid || 0;
-      subtotal.balance_due += balance_due || 0;
-      return { ...e, balance_due };
+    exhibitors.forEach(e => {
+      subtotal.total_rent += e.total_rent;
+      subtotal.total_paid += e.total_paid;
+      subtotal.balance_due += e.balance_due;
     });
 
-    res.render('reportExhibitorDues', { title: 'Exhibitor Dues Report', exhibitors: reportData, subtotal, filters: { q: q || '' } });
+    res.render('reportExhibitorDues', { title: 'Exhibitor Dues Report', exhibitors, subtotal, filters: { q: q || '' } });
   } catch (err) {
     console.error('Error generating exhibitor dues report:', err);
     res.status(500).send('Error generating report.');
@@ -334,7 +335,7 @@ router.get('/exhibitor-dues/csv', async (req, res) => {
       'Space': e.space_name,
       'Total Rent': e.total_rent,
       'Total Paid': e.total_paid,
-      'Balance Due': e.total_charged - e.total_paid
+      'Balance Due': e.balance_due
     }));
 
     const json2csvParser = new Parser();
@@ -358,19 +359,11 @@ router.get('/exhibitor-charges', async (req, res) => {
     const exhibitors = await getExhibitorFinancialData(viewingSessionId, q);
 
     let subtotal = { rent_charged: 0, electric_charged: 0, material_charged: 0, shed_charged: 0, total_charged: 0, total_paid: 0, balance_due: 0 };
-    const reportData = exhibitors.map(e => {
-      const balance_due = e.total_charged - e.total_paid;
-      subtotal.rent_charged += e.rent_charged || 0;
-      subtotal.electric_charged += e.electric_charged || 0;
-      subtotal.material_charged += e.material_charged || 0;
-      subtotal.shed_charged += e.shed_charged || 0;
-      subtotal.total_charged += e.total_charged || 0;
-      subtotal.total_paid += e.total_paid || 0;
-      subtotal.balance_due += balance_due || 0;
-      return { ...e, balance_due };
+    exhibitors.forEach(e => {
+      Object.keys(subtotal).forEach(key => { subtotal[key] += e[key]; });
     });
 
-    res.render('reportExhibitorCharges', { title: 'Exhibitor Charges Report', exhibitors: reportData, subtotal, filters: { q: q || '' } });
+    res.render('reportExhibitorCharges', { title: 'Exhibitor Charges Report', exhibitors, subtotal, filters: { q: q || '' } });
   } catch (err) {
     console.error('Error generating exhibitor charges report:', err);
     res.status(500).send('Error generating report.');
@@ -395,7 +388,7 @@ router.get('/exhibitor-charges/csv', async (req, res) => {
       'Shed': e.shed_charged,
       'Total Charged': e.total_charged,
       'Total Paid': e.total_paid,
-      'Balance Due': e.total_charged - e.total_paid
+      'Balance Due': e.balance_due
     }));
 
     const json2csvParser = new Parser();
@@ -420,7 +413,7 @@ router.get('/exhibitors/csv', async (req, res) => {
                  FROM bookings b 
                  LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name, GROUP_CONCAT(s.type, ', ') as space_type FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s 
                  ON b.id = s.booking_id`;
-    const whereClauses = ['b.event_session_id = ?', "b.booking_status = 'active'"];
+    const whereClauses = ['b.event_session_id = ?', `b.booking_status IN ${OCCUPYING_STATUS_SQL}`];
     const params = [viewingSessionId];
 
     if (q) {
@@ -443,94 +436,52 @@ router.get('/exhibitors/csv', async (req, res) => {
   }
 });
 
+// Builds the due list of a session, one row per booking with each head's charges (net of credit notes), payments and due.
+async function getDueList(viewingSessionId, q) {
+  const sql = `
+    SELECT
+      b.id as booking_id,
+      b.exhibitor_name,
+      b.facia_name,
+      s.space_name,
+      b.contact_number
+    FROM bookings b
+    LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s 
+    ON b.id = s.booking_id
+  `;
+
+  let whereClauses = ['b.event_session_id = ?'];
+  let params = [viewingSessionId];
+
+  if (q) {
+    whereClauses.push('(b.exhibitor_name LIKE ? OR s.space_name LIKE ?)');
+    params.push(`%${q}%`, `%${q}%`);
+  }
+
+  const fullSql = `${sql} WHERE ${whereClauses.join(' AND ')} ORDER BY b.id DESC`;
+  const [bookings, balances] = await Promise.all([all(fullSql, params), getBookingBalances({ sessionId: viewingSessionId })]);
+
+  return bookings.map(b => {
+    const balance = balances.get(b.booking_id);
+    const row = { ...b };
+    Object.keys(CHARGE_HEADS).forEach(head => {
+      row[`total_${head}_charge`] = balance[head].charged - balance[head].credited;
+      row[`total_${head}_paid`] = balance[head].paid;
+      row[`${head}_due`] = balance[head].due;
+    });
+    row.total_charged = balance.charged - balance.credited;
+    row.total_paid = balance.paid;
+    row.total_due = balance.due;
+    return row;
+  });
+}
+
 // GET /report/due-list - Show a list of all outstanding dues
 router.get('/due-list', async (req, res) => {
   try {
     const viewingSessionId = res.locals.viewingSession.id;
     const { q } = req.query;
-    // This refactored query uses JOINs and GROUP BY for better performance
-    const sql = `
-      SELECT
-        b.id as booking_id,
-        b.exhibitor_name,
-        b.facia_name,
-        s.space_name,
-        b.contact_number,
-        -- Rent
-        (b.rent_amount - COALESCE(b.discount, 0)) as total_rent_charge,
-        COALESCE(p.total_rent_paid, 0) + COALESCE(b.advance_amount, 0) as total_rent_paid,
-        -- Electric
-        COALESCE(eb.total_electric_charge, 0) as total_electric_charge,
-        COALESCE(p.total_electric_paid, 0) as total_electric_paid,
-        -- Material
-        COALESCE(mi.total_material_charge, 0) as total_material_charge,
-        COALESCE(p.total_material_paid, 0) as total_material_paid,
-        -- Shed
-        COALESCE(sh.total_shed_charge, 0) as total_shed_charge,
-        COALESCE(p.total_shed_paid, 0) as total_shed_paid
-      FROM bookings b
-      LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s 
-      ON b.id = s.booking_id
-      -- Aggregate Payments for the current session
-      LEFT JOIN (
-        SELECT booking_id, 
-               SUM(rent_paid) as total_rent_paid, 
-               SUM(electric_paid) as total_electric_paid, 
-               SUM(material_paid) as total_material_paid, 
-               SUM(shed_paid) as total_shed_paid
-        FROM payments 
-        WHERE event_session_id = ? GROUP BY booking_id
-      ) p ON b.id = p.booking_id
-      -- Aggregate Electric Bills
-      LEFT JOIN (SELECT booking_id, SUM(total_amount) as total_electric_charge FROM electric_bills WHERE event_session_id = ? GROUP BY booking_id) eb ON b.id = eb.booking_id
-      -- Aggregate Material Issues
-      LEFT JOIN (SELECT client_id, SUM(total_payable) as total_material_charge FROM material_issues WHERE event_session_id = ? GROUP BY client_id) mi ON b.client_id = mi.client_id
-      -- Aggregate Shed Charges (Allocations + Bills)
-      LEFT JOIN (
-        SELECT 
-          booking_id, 
-          SUM(rent) as total_shed_charge 
-        FROM (
-          SELECT sa.booking_id, s.rent FROM shed_allocations sa JOIN sheds s ON sa.shed_id = s.id WHERE sa.event_session_id = ?
-          UNION ALL
-          SELECT sb.booking_id, sb.amount as rent FROM shed_bills sb WHERE sb.event_session_id = ?
-        ) GROUP BY booking_id
-      ) sh ON b.id = sh.booking_id
-    `;
-
-    let whereClauses = ['b.event_session_id = ?'];
-    let params = [viewingSessionId, viewingSessionId, viewingSessionId, viewingSessionId, viewingSessionId, viewingSessionId];
-
-    if (q) {
-      whereClauses.push('(b.exhibitor_name LIKE ? OR s.space_name LIKE ?)');
-      params.push(`%${q}%`, `%${q}%`);
-    }
-
-    const fullSql = `${sql} WHERE ${whereClauses.join(' AND ')} ORDER BY b.id DESC`;
-
-    const bookings = await all(fullSql, params);
-    
-    const dueList = bookings.map(b => {
-      const rent_due = (b.total_rent_charge || 0) - (b.total_rent_paid || 0);
-      const electric_due = (b.total_electric_charge || 0) - (b.total_electric_paid || 0);
-      const material_due = (b.total_material_charge || 0) - (b.total_material_paid || 0);
-      const shed_due = (b.total_shed_charge || 0) - (b.total_shed_paid || 0);
-
-      const total_charged = (b.total_rent_charge || 0) + (b.total_electric_charge || 0) + (b.total_material_charge || 0) + (b.total_shed_charge || 0);
-      const total_paid = (b.total_rent_paid || 0) + (b.total_electric_paid || 0) + (b.total_material_paid || 0) + (b.total_shed_paid || 0);
-      const total_due = total_charged - total_paid;
-
-      return {
-        ...b,
-        rent_due,
-        electric_due,
-        material_due,
-        shed_due,
-        total_due,
-        total_charged,
-        total_paid
-      };
-    });
+    const dueList = await getDueList(viewingSessionId, q);
 
     const allDues = dueList.filter(b => b.total_due > 0.01);
     const rentDues = dueList.filter(b => b.rent_due > 0.01);
@@ -554,54 +505,7 @@ router.get('/due-list/csv', async (req, res) => {
   try {
     const viewingSessionId = res.locals.viewingSession.id;
     const { q, category = 'all' } = req.query;
-    // Replaced N+1 query with the more efficient JOIN-based query from the main due-list report.
-    const sql = `
-      SELECT
-        b.id as booking_id, b.exhibitor_name, b.facia_name, s.space_name,
-        (b.rent_amount - COALESCE(b.discount, 0)) as total_rent_charge,
-        COALESCE(p.total_rent_paid, 0) + COALESCE(b.advance_amount, 0) as total_rent_paid,
-        COALESCE(eb.total_electric_charge, 0) as total_electric_charge,
-        COALESCE(p.total_electric_paid, 0) as total_electric_paid,
-        COALESCE(mi.total_material_charge, 0) as total_material_charge,
-        COALESCE(p.total_material_paid, 0) as total_material_paid,
-        COALESCE(sh.total_shed_charge, 0) as total_shed_charge,
-        COALESCE(p.total_shed_paid, 0) as total_shed_paid
-      FROM bookings b
-      LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s ON b.id = s.booking_id
-      LEFT JOIN (
-        SELECT booking_id, SUM(rent_paid) as total_rent_paid, SUM(electric_paid) as total_electric_paid, SUM(material_paid) as total_material_paid, SUM(shed_paid) as total_shed_paid
-        FROM payments WHERE event_session_id = ? GROUP BY booking_id
-      ) p ON b.id = p.booking_id
-      LEFT JOIN (SELECT booking_id, SUM(total_amount) as total_electric_charge FROM electric_bills WHERE event_session_id = ? GROUP BY booking_id) eb ON b.id = eb.booking_id
-      LEFT JOIN (SELECT client_id, SUM(total_payable) as total_material_charge FROM material_issues WHERE event_session_id = ? GROUP BY client_id) mi ON b.client_id = mi.client_id
-      LEFT JOIN (
-        SELECT booking_id, SUM(rent) as total_shed_charge FROM (
-          SELECT sa.booking_id, s.rent FROM shed_allocations sa JOIN sheds s ON sa.shed_id = s.id WHERE sa.event_session_id = ?
-          UNION ALL
-          SELECT sb.booking_id, sb.amount as rent FROM shed_bills sb WHERE sb.event_session_id = ?
-        ) GROUP BY booking_id
-      ) sh ON b.id = sh.booking_id
-    `;
-
-    let whereClauses = ['b.event_session_id = ?'];
-    let params = [viewingSessionId, viewingSessionId, viewingSessionId, viewingSessionId, viewingSessionId, viewingSessionId];
-    if (q) {
-      whereClauses.push('(b.exhibitor_name LIKE ? OR s.space_name LIKE ?)');
-      params.push(`%${q}%`, `%${q}%`);
-    }
-    const fullSql = `${sql} WHERE ${whereClauses.join(' AND ')} ORDER BY b.id DESC`;
-    const bookings = await all(fullSql, params);
-
-    const fullDueList = bookings.map(b => {
-        const rent_due = (b.total_rent_charge || 0) - (b.total_rent_paid || 0);
-        const electric_due = (b.total_electric_charge || 0) - (b.total_electric_paid || 0);
-        const material_due = (b.total_material_charge || 0) - (b.total_material_paid || 0);
-        const shed_due = (b.total_shed_charge || 0) - (b.total_shed_paid || 0);
-        const total_charged = (b.total_rent_charge || 0) + (b.total_electric_charge || 0) + (b.total_material_charge || 0) + (b.total_shed_charge || 0);
-        const total_paid = (b.total_rent_paid || 0) + (b.total_electric_paid || 0) + (b.total_material_paid || 0) + (b.total_shed_paid || 0);
-        const total_due = total_charged - total_paid;
-        return { ...b, rent_due, electric_due, material_due, shed_due, total_due, total_charged, total_paid };
-    });
+    const fullDueList = await getDueList(viewingSessionId, q);
 
     const categoryMap = {
       all: { data: fullDueList.filter(b => b.total_due > 0.01), fields: ['exhibitor_name', 'facia_name', 'space_name', 'total_charged', 'total_paid', 'total_due'], headers: ['Exhibitor Name', 'Facia Name', 'Space', 'Total Amount', 'Paid Amount', 'Balance Due'] },
@@ -638,53 +542,24 @@ router.get('/booking-summary', async (req, res) => {
         s.space_type, 
         b.rent_amount, 
         b.discount, 
-        b.advance_amount, 
-        b.form_submitted,
-        -- Calculate total charges
-        (b.rent_amount - COALESCE(b.discount, 0)) AS total_charged,
-        -- Calculate total payments
-        (COALESCE(p.total_paid, 0) + COALESCE(b.advance_amount, 0)) AS total_paid,
-        -- Other charges
-        COALESCE(eb.total_electric_charge, 0) AS electric_charged,
-        COALESCE(mi.total_material_charge, 0) AS material_charged,
-        COALESCE(sh.total_shed_charge, 0) AS shed_charged
+        ${BOOKING_ADVANCE_SQL} AS advance_credit, 
+        b.form_submitted
       FROM bookings b
       LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name, GROUP_CONCAT(s.type, ', ') as space_type FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s 
       ON b.id = s.booking_id
-      -- Aggregate Payments
-      LEFT JOIN (
-        SELECT booking_id, SUM(rent_paid + electric_paid + material_paid + shed_paid) as total_paid
-        FROM payments 
-        WHERE event_session_id = ?
-        GROUP BY booking_id
-      ) p ON b.id = p.booking_id
-      -- Aggregate Electric Bills
-      LEFT JOIN (SELECT booking_id, SUM(total_amount) as total_electric_charge FROM electric_bills WHERE event_session_id = ? GROUP BY booking_id) eb ON b.id = eb.booking_id
-      -- Aggregate Material Issues
-      LEFT JOIN (SELECT client_id, SUM(total_payable) as total_material_charge FROM material_issues WHERE event_session_id = ? GROUP BY client_id) mi ON b.client_id = mi.client_id
-      -- Aggregate Shed Charges
-      LEFT JOIN (SELECT booking_id, SUM(rent) as total_shed_charge FROM (SELECT sa.booking_id, s.rent FROM shed_allocations sa JOIN sheds s ON sa.shed_id = s.id WHERE sa.event_session_id = ? UNION ALL SELECT sb.booking_id, sb.amount as rent FROM shed_bills sb WHERE sb.event_session_id = ?) GROUP BY booking_id) sh ON b.id = sh.booking_id
     `;
 
     const whereClauses = ['b.event_session_id = ?'];
     const params = [viewingSessionId];
 
     if (q) {
-      whereClauses.push('(b.exhibitor_name LIKE ? OR s.name LIKE ? OR b.facia_name LIKE ?)');
+      whereClauses.push('(b.exhibitor_name LIKE ? OR s.space_name LIKE ? OR b.facia_name LIKE ?)');
       params.push(`%${q}%`, `%${q}%`, `%${q}%`);
     }
 
     const fullSql = `${sql} WHERE ${whereClauses.join(' AND ')} ORDER BY b.id DESC`;
-    const fullParams = [viewingSessionId, viewingSessionId, viewingSessionId, viewingSessionId, viewingSessionId, ...params];
-    const bookingsData = await all(fullSql, fullParams);
-
-    // Process the results to calculate the final due amount for each booking
-    const bookings = bookingsData.map(b => {
-      const totalCharged = (b.rent_amount || 0) - (b.discount || 0) + (b.electric_charged || 0) + (b.material_charged || 0) + (b.shed_charged || 0);
-      const totalPaid = (b.advance_amount || 0) + (b.total_paid || 0);
-      b.due_amount = totalCharged - totalPaid;
-      return b;
-    });
+    const [bookings, balances] = await Promise.all([all(fullSql, params), getBookingBalances({ sessionId: viewingSessionId })]);
+    bookings.forEach(b => { b.due_amount = balances.get(b.id).due; });
 
     res.render('bookingSummaryReport', {
       title: 'Booking Summary Report',
@@ -702,7 +577,7 @@ router.get('/booking-summary/csv', async (req, res) => {
   try {
     const viewingSessionId = res.locals.viewingSession.id;
     const { q } = req.query;    
-    const sql = `SELECT b.exhibitor_name, b.facia_name, s.space_name, s.space_type, b.rent_amount, b.discount, b.advance_amount, b.due_amount, b.form_submitted FROM bookings b LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name, GROUP_CONCAT(s.type, ', ') as space_type FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s ON b.id = s.booking_id`;
+    const sql = `SELECT b.id, b.exhibitor_name, b.facia_name, s.space_name, s.space_type, b.rent_amount, b.discount, ${BOOKING_ADVANCE_SQL} AS advance_credit, b.form_submitted FROM bookings b LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name, GROUP_CONCAT(s.type, ', ') as space_type FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s ON b.id = s.booking_id`;
 
     const whereClauses = ['b.event_session_id = ?'];
     const params = [viewingSessionId];
@@ -713,11 +588,11 @@ router.get('/booking-summary/csv', async (req, res) => {
     }
 
     const fullSql = `${sql} WHERE ${whereClauses.join(' AND ')} ORDER BY b.id DESC`;
-    const bookings = await all(fullSql, params);
+    const [bookings, balances] = await Promise.all([all(fullSql, params), getBookingBalances({ sessionId: viewingSessionId })]);
 
-    let csv = 'Exhibitor Name,Facia Name,Space,Type,Rent,Discount,Advance,Due,Form Submitted\n';
+    let csv = 'Exhibitor Name,Facia Name,Space,Type,Rent,Discount,Advance (Credit),Due,Form Submitted\n';
     bookings.forEach(b => {
-      csv += `"${b.exhibitor_name}","${b.facia_name || ''}","${b.space_name}","${b.space_type}",${b.rent_amount || 0},${b.discount || 0},${b.advance_amount || 0},${b.due_amount || 0},${b.form_submitted ? 'Yes' : 'No'}\n`;
+      csv += `"${b.exhibitor_name}","${b.facia_name || ''}","${b.space_name}","${b.space_type}",${b.rent_amount || 0},${b.discount || 0},${b.advance_credit},${balances.get(b.id).due},${b.form_submitted ? 'Yes' : 'No'}\n`;
     });
 
     res.setHeader('Content-Type', 'text/csv');
@@ -729,6 +604,51 @@ router.get('/booking-summary/csv', async (req, res) => {
   }
 });
 
+// GET /report/due-reconciliation - List bookings whose stored due no longer matches their charges and payments
+router.get('/due-reconciliation', async (req, res) => {
+  try {
+    const mismatches = await findDueMismatches(res.locals.viewingSession.id);
+    res.render('dueReconciliation', { title: 'Due Reconciliation', mismatches });
+  } catch (err) {
+    console.error('Error loading due reconciliation:', err);
+    res.status(500).send('Error generating report.');
+  }
+});
+
+// POST /report/due-reconciliation/repair - Overwrite stored dues with the computed figures, for one booking or all
+router.post('/due-reconciliation/repair', async (req, res) => {
+  const viewingSessionId = res.locals.viewingSession.id;
+  const bookingId = parseInt(req.body.booking_id, 10) || null;
+  try {
+    const mismatches = (await findDueMismatches(viewingSessionId)).filter(m => !bookingId || m.bookingId === bookingId);
+    await transaction(async (db) => {
+      for (const m of mismatches) {
+        await syncStoredDue(m.bookingId, db);
+      }
+    });
+    if (mismatches.length > 0) {
+      const details = mismatches.map(m => `#${m.bookingId} ${m.stored.toFixed(2)} -> ${m.due.toFixed(2)}`).join(', ');
+      await logAction(req.session.user.id, req.session.user.username, 'repair_due_amounts', `Repaired stored dues: ${details}`, viewingSessionId);
+    }
+    req.session.flash = { type: 'success', message: `Repaired the stored due of ${mismatches.length} booking(s).` };
+  } catch (err) {
+    console.error('Error repairing stored dues:', err.message);
+    req.session.flash = { type: 'danger', message: 'Failed to repair stored dues.' };
+  }
+  res.redirect('/report/due-reconciliation');
+});
+
+// GET /report/receipt-gaps - Receipt numbers per series that are neither on a payment nor voided, and the voided receipts
+router.get('/receipt-gaps', async (req, res) => {
+  try {
+    const series = await findReceiptGaps(res.locals.viewingSession.id);
+    res.render('receiptGaps', { title: 'Receipt Gap Report', series });
+  } catch (err) {
+    console.error('Error loading receipt gap report:', err);
+    res.status(500).send('Error generating report.');
+  }
+});
+
 // GET /report/audit-log - View the audit log of user actions
 router.get('/audit-log', async (req, res) => {
   try {
@@ -786,17 +706,7 @@ router.get('/electric-list', async (req, res) => {
       ORDER BY eb.bill_date DESC, eb.id DESC
     `, [viewingSessionId]);
 
-    bills.forEach(bill => {
-      try {
-        bill.items = JSON.parse(bill.items_json || '[]');
-        // Handle cases where the JSON is double-stringified
-        if (typeof bill.items === 'string') {
-          bill.items = JSON.parse(bill.items);
-        }
-      } catch (e) {
-        bill.items = [];
-      }
-    });
+    await attachBillItems(bills);
 
     res.render('reportElectricList', {
       title: 'Electric Bills Report',
@@ -808,48 +718,70 @@ router.get('/electric-list', async (req, res) => {
   }
 });
 
+// GET /report/electric-items - Show how much of each electric item was billed in the session
+router.get('/electric-items', async (req, res) => {
+  try {
+    const viewingSessionId = res.locals.viewingSession.id;
+    const [items, unitemised] = await Promise.all([getItemConsumption(viewingSessionId), getUnitemisedBills(viewingSessionId)]);
+    res.render('reportElectricItems', { title: 'Item-wise Electric Consumption', items, unitemised });
+  } catch (err) {
+    console.error('Error generating item-wise electric report:', err);
+    res.status(500).send('Error generating report.');
+  }
+});
+
+// GET /report/electric-items/csv - Download the item-wise electric consumption as CSV
+router.get('/electric-items/csv', async (req, res) => {
+  try {
+    const items = await getItemConsumption(res.locals.viewingSession.id);
+    const reportData = items.map(item => ({
+      'Item': item.item_name,
+      'Bills': item.bill_count,
+      'Quantity': item.quantity,
+      'Rate (Min)': item.min_rate,
+      'Rate (Max)': item.max_rate,
+      'Amount': item.amount
+    }));
+
+    const json2csvParser = new Parser({ fields: ['Item', 'Bills', 'Quantity', 'Rate (Min)', 'Rate (Max)', 'Amount'] });
+    const csv = json2csvParser.parse(reportData);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename="electric-items-report.csv"');
+    res.status(200).send(csv);
+  } catch (err) {
+    console.error('Error generating item-wise electric CSV:', err);
+    res.status(500).send('Error generating CSV.');
+  }
+});
+
 // GET /report/shed-list - Show a list of all shed allocations
 router.get('/shed-list', async (req, res) => {
   try {
     const viewingSessionId = res.locals.viewingSession.id;
-    // This query now calculates total charges and payments for sheds for each exhibitor with an allocation.
     const allocations = await all(`
       SELECT 
         b.id as booking_id,
         b.exhibitor_name,
         b.facia_name,
         sp.space_name,
-        GROUP_CONCAT(s.name, ', ') as shed_names,
-        COALESCE(sh.total_shed_charge, 0) as total_charged,
-        COALESCE(p.total_shed_paid, 0) as total_paid,
-        (COALESCE(sh.total_shed_charge, 0) - COALESCE(p.total_shed_paid, 0)) as balance_due
+        GROUP_CONCAT(s.name, ', ') as shed_names
       FROM bookings b
       -- Ensure we only get bookings that have at least one shed allocation
       JOIN shed_allocations sa ON b.id = sa.booking_id AND sa.event_session_id = b.event_session_id
       JOIN sheds s ON sa.shed_id = s.id
       LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) sp ON b.id = sp.booking_id AND b.event_session_id = sa.event_session_id
-      -- Aggregate all shed charges (from allocations and separate bills)
-      LEFT JOIN (
-        SELECT 
-          booking_id, 
-          SUM(rent) as total_shed_charge 
-        FROM (
-          SELECT sa_inner.booking_id, s_inner.rent FROM shed_allocations sa_inner JOIN sheds s_inner ON sa_inner.shed_id = s_inner.id WHERE sa_inner.event_session_id = ?
-          UNION ALL
-          SELECT sb.booking_id, sb.amount as rent FROM shed_bills sb WHERE sb.event_session_id = ?
-        ) GROUP BY booking_id
-      ) sh ON b.id = sh.booking_id
-      -- Aggregate all shed payments
-      LEFT JOIN (
-        SELECT booking_id, SUM(shed_paid) as total_shed_paid
-        FROM payments
-        WHERE event_session_id = ?
-        GROUP BY booking_id
-      ) p ON b.id = p.booking_id
       WHERE b.event_session_id = ?
       GROUP BY b.id, b.exhibitor_name, b.facia_name, sp.space_name
       ORDER BY b.exhibitor_name
-    `, [viewingSessionId, viewingSessionId, viewingSessionId, viewingSessionId]);
+    `, [viewingSessionId]);
+    const balances = await getBookingBalances({ sessionId: viewingSessionId });
+    allocations.forEach(alloc => {
+      const shed = balances.get(alloc.booking_id).shed;
+      alloc.total_charged = shed.charged - shed.credited;
+      alloc.total_paid = shed.paid;
+      alloc.balance_due = shed.due;
+    });
 
     res.render('reportShedList', { title: 'Shed Allocation Report', allocations });
   } catch (err) {
@@ -979,7 +911,7 @@ router.get('/materials', async (req, res) => {
       LEFT JOIN (
         SELECT b.client_id, b.id as booking_id, b.contact_number 
         FROM bookings 
-        WHERE event_session_id = ? AND booking_status = 'active'
+        WHERE event_session_id = ? AND booking_status IN ${OCCUPYING_STATUS_SQL}
       ) b ON c.id = b.client_id
       LEFT JOIN booking_spaces bs ON b.id = bs.booking_id
       LEFT JOIN spaces s ON bs.space_id = s.id
@@ -1032,7 +964,7 @@ router.get('/materials/csv', async (req, res) => {
         c.name as issued_to_client,
         s.space_name
       FROM material_stock ms LEFT JOIN clients c ON ms.issued_to_client_id = c.id
-      LEFT JOIN (SELECT client_id, id as booking_id FROM bookings WHERE event_session_id = ? AND booking_status = 'active') b ON c.id = b.client_id 
+      LEFT JOIN (SELECT client_id, id as booking_id FROM bookings WHERE event_session_id = ? AND booking_status IN ${OCCUPYING_STATUS_SQL}) b ON c.id = b.client_id 
       LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s 
       ON b.booking_id = s.booking_id
       ORDER BY ms.name, ms.id
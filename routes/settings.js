@@ -2,7 +2,13 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const { get, run } = require('../db-helpers');
+const { all, get, run, logAction, transaction } = require('../db-helpers');
+const { RULE_TYPES } = require('../pricing-helpers');
+const { getReceiptSeries, updateReceiptSeries } = require('../receipt-helpers');
+const { normalizeGstin, getTaxHeads, updateTaxHead } = require('../gst-helpers');
+const { getTariffSlabs, addTariffSlab, deleteTariffSlab, copyPreviousTariff } = require('../meter-helpers');
+const { LOAD_ENFORCEMENT, listBoards, saveBoard, deleteBoard, assignSpaces } = require('../electric-load-helpers');
+const { PRINTER_CONNECTIONS, PAPER_WIDTHS, getPrinterSettings, updatePrinterSettings, describePrinter, printTestPage } = require('../printer-helpers');
 
 // Configure storage for logo uploads
 const storage = multer.diskStorage({
@@ -34,7 +40,7 @@ router.get('/address', async (req, res) => {
 
 // POST: Update exhibition address and logo
 router.post('/address', upload.single('logo'), async (req, res) => {
-  const { name, address, location, place } = req.body;
+  const { name, address, location, place, confirm_min_advance_percent, gst_legal_name } = req.body;
   const activeSessionId = res.locals.activeSession.id;
   let logo_path = res.locals.activeSession.logo_path; // Keep old logo if new one isn't uploaded
 
@@ -42,10 +48,24 @@ router.post('/address', upload.single('logo'), async (req, res) => {
     logo_path = `/uploads/logos/${req.file.filename}`;
   }
 
+  const confirmPercent = parseFloat(confirm_min_advance_percent);
+  if (isNaN(confirmPercent) || confirmPercent < 0 || confirmPercent > 100) {
+    req.session.flash = { type: 'danger', message: 'The advance required to confirm a booking must be between 0 and 100%.' };
+    return res.redirect('/settings/address');
+  }
+
+  let gstin;
+  try {
+    gstin = normalizeGstin(req.body.gstin);
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+    return res.redirect('/settings/address');
+  }
+
   try {
     await run(
-      'UPDATE event_sessions SET name = ?, address = ?, location = ?, place = ?, logo_path = ? WHERE id = ?',
-      [name, address, location, place, logo_path, activeSessionId]
+      'UPDATE event_sessions SET name = ?, address = ?, location = ?, place = ?, logo_path = ?, confirm_min_advance_percent = ?, gstin = ?, gst_legal_name = ? WHERE id = ?',
+      [name, address, location, place, logo_path, confirmPercent, gstin, (gst_legal_name || '').trim() || null, activeSessionId]
     );
     req.session.flash = { type: 'success', message: 'Exhibition details updated successfully.' };
     res.redirect('/settings/address');
@@ -80,6 +100,327 @@ router.post('/materials', async (req, res) => {
   res.redirect('/settings/materials');
 });
 
+// GET: Show pricing rules for the viewing session
+router.get('/pricing', async (req, res) => {
+  try {
+    const rules = await all('SELECT * FROM pricing_rules WHERE event_session_id = ? ORDER BY rule_type, id', [res.locals.viewingSession.id]);
+    const categories = await all("SELECT DISTINCT product_category FROM bookings WHERE product_category IS NOT NULL AND product_category <> '' ORDER BY product_category");
+    res.render('managePricingRules', {
+      title: 'Pricing Rules',
+      rules,
+      ruleTypes: RULE_TYPES,
+      categories: categories.map(c => c.product_category),
+      report_url: '/settings/pricing'
+    });
+  } catch (err) {
+    console.error('Error fetching pricing rules:', err.message);
+    res.status(500).send('Error loading settings page.');
+  }
+});
+
+// POST: Add a pricing rule to the active session
+router.post('/pricing/add', async (req, res) => {
+  const { rule_type, name, value, value_type, valid_until, min_spaces, product_category } = req.body;
+  const activeSessionId = res.locals.activeSession.id;
+
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot change pricing rules of an archived session.' };
+    return res.redirect('/settings/pricing');
+  }
+  if (!RULE_TYPES[rule_type] || isNaN(parseFloat(value))) {
+    req.session.flash = { type: 'danger', message: 'Please choose a rule type and enter a value.' };
+    return res.redirect('/settings/pricing');
+  }
+  if (rule_type === 'early_bird' && !valid_until) {
+    req.session.flash = { type: 'danger', message: 'Early-bird rules need a "booked on or before" date.' };
+    return res.redirect('/settings/pricing');
+  }
+  if (rule_type === 'category_surcharge' && !product_category) {
+    req.session.flash = { type: 'danger', message: 'Category surcharges need a product category.' };
+    return res.redirect('/settings/pricing');
+  }
+
+  try {
+    await run(
+      `INSERT INTO pricing_rules (event_session_id, rule_type, name, value, value_type, valid_until, min_spaces, product_category)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        activeSessionId, rule_type, name || null, Math.abs(parseFloat(value)), value_type === 'flat' ? 'flat' : 'percent',
+        rule_type === 'early_bird' ? valid_until : null,
+        rule_type === 'bundle_discount' ? (parseInt(min_spaces, 10) || 2) : null,
+        rule_type === 'category_surcharge' ? product_category.trim() : null
+      ]
+    );
+    await logAction(req.session.user.id, req.session.user.username, 'create_pricing_rule', `Added ${RULE_TYPES[rule_type]} rule: ${value}${value_type === 'flat' ? ' flat' : '%'}`, activeSessionId);
+    req.session.flash = { type: 'success', message: 'Pricing rule added. It applies to spaces allocated from now on.' };
+    res.redirect('/settings/pricing');
+  } catch (err) {
+    console.error('Error adding pricing rule:', err.message);
+    res.status(500).send('Error saving pricing rule.');
+  }
+});
+
+// POST: Enable or disable a pricing rule
+router.post('/pricing/toggle/:id', async (req, res) => {
+  try {
+    await run('UPDATE pricing_rules SET is_active = CASE WHEN is_active = 1 THEN 0 ELSE 1 END WHERE id = ? AND event_session_id = ?', [req.params.id, res.locals.activeSession.id]);
+    await logAction(req.session.user.id, req.session.user.username, 'toggle_pricing_rule', `Toggled pricing rule #${req.params.id}`, res.locals.activeSession.id);
+    res.redirect('/settings/pricing');
+  } catch (err) {
+    console.error('Error toggling pricing rule:', err.message);
+    res.status(500).send('Error updating pricing rule.');
+  }
+});
+
+// POST: Delete a pricing rule. Stored booking breakdowns keep the lines it produced.
+router.post('/pricing/delete/:id', async (req, res) => {
+  try {
+    await run('DELETE FROM pricing_rules WHERE id = ? AND event_session_id = ?', [req.params.id, res.locals.activeSession.id]);
+    await logAction(req.session.user.id, req.session.user.username, 'delete_pricing_rule', `Deleted pricing rule #${req.params.id}`, res.locals.activeSession.id);
+    req.session.flash = { type: 'success', message: 'Pricing rule deleted.' };
+    res.redirect('/settings/pricing');
+  } catch (err) {
+    console.error('Error deleting pricing rule:', err.message);
+    res.status(500).send('Error deleting pricing rule.');
+  }
+});
+
+// GET: Show the receipt numbering series of the viewing session
+router.get('/receipts', async (req, res) => {
+  try {
+    const series = await getReceiptSeries(res.locals.viewingSession.id);
+    res.render('manageReceiptSeries', { title: 'Receipt Numbering', series });
+  } catch (err) {
+    console.error('Error fetching receipt series:', err.message);
+    res.status(500).send('Error loading settings page.');
+  }
+});
+
+// POST: Change the prefix, padding or next number of a receipt series
+router.post('/receipts/:id', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot change receipt numbering of an archived session.' };
+    return res.redirect('/settings/receipts');
+  }
+
+  const { prefix, padding, next_number } = req.body;
+  try {
+    const old = await updateReceiptSeries(req.params.id, activeSessionId, { prefix, padding, nextNumber: next_number });
+    await logAction(req.session.user.id, req.session.user.username, 'update_receipt_series',
+      `Changed ${old.charge_type} receipt series from ${old.prefix} (${old.padding} digits, next ${old.next_number}) to ${prefix.trim()} (${padding} digits, next ${next_number})`, activeSessionId);
+    req.session.flash = { type: 'success', message: 'Receipt series updated.' };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect('/settings/receipts');
+});
+
+// GET: Show the HSN/SAC codes and GST rates of the viewing session's charge heads
+router.get('/tax', async (req, res) => {
+  try {
+    const taxHeads = await getTaxHeads(res.locals.viewingSession.id);
+    res.render('manageTaxHeads', { title: 'GST Settings', taxHeads });
+  } catch (err) {
+    console.error('Error fetching tax heads:', err.message);
+    res.status(500).send('Error loading settings page.');
+  }
+});
+
+// POST: Change the HSN/SAC code, description, rates or GST pricing of a charge head
+router.post('/tax/:id', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot change GST settings of an archived session.' };
+    return res.redirect('/settings/tax');
+  }
+
+  const { hsn_sac, description, cgst_rate, sgst_rate, igst_rate, gst_inclusive } = req.body;
+  const pricing = (inclusive) => (Number(inclusive) ? 'inclusive' : 'exclusive');
+  try {
+    const old = await updateTaxHead(req.params.id, activeSessionId, { hsnSac: hsn_sac, description, cgstRate: cgst_rate, sgstRate: sgst_rate, igstRate: igst_rate, gstInclusive: gst_inclusive });
+    await logAction(req.session.user.id, req.session.user.username, 'update_tax_head',
+      `Changed ${old.charge_type} GST from ${old.hsn_sac} at ${old.cgst_rate}+${old.sgst_rate}/${old.igst_rate}% ${pricing(old.gst_inclusive)} to ${hsn_sac.trim()} at ${cgst_rate}+${sgst_rate}/${igst_rate}% ${pricing(gst_inclusive)}`, activeSessionId);
+    req.session.flash = { type: 'success', message: 'GST settings updated.' };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect('/settings/tax');
+});
+
+// GET: Show the viewing session's electricity tariff for metered consumption
+router.get('/tariff', async (req, res) => {
+  try {
+    const slabs = await getTariffSlabs(res.locals.viewingSession.id);
+    res.render('manageTariff', { title: 'Electricity Tariff', slabs });
+  } catch (err) {
+    console.error('Error fetching tariff slabs:', err.message);
+    res.status(500).send('Error loading settings page.');
+  }
+});
+
+// POST: Add a slab to the tariff
+router.post('/tariff/add', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot change the tariff of an archived session.' };
+    return res.redirect('/settings/tariff');
+  }
+
+  const { up_to_units, rate } = req.body;
+  try {
+    await addTariffSlab(activeSessionId, { upToUnits: up_to_units, rate });
+    await logAction(req.session.user.id, req.session.user.username, 'add_tariff_slab',
+      `Added tariff slab ${up_to_units ? `up to ${up_to_units} units` : 'for all units above the others'} at ₹${rate}/unit`, activeSessionId);
+    req.session.flash = { type: 'success', message: 'Tariff slab added.' };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect('/settings/tariff');
+});
+
+// POST: Remove a slab from the tariff
+router.post('/tariff/delete/:id', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot change the tariff of an archived session.' };
+    return res.redirect('/settings/tariff');
+  }
+
+  try {
+    const slab = await deleteTariffSlab(req.params.id, activeSessionId);
+    await logAction(req.session.user.id, req.session.user.username, 'delete_tariff_slab',
+      `Removed tariff slab ${slab.up_to_units !== null ? `up to ${slab.up_to_units} units` : 'for all units above the others'} at ₹${slab.rate}/unit`, activeSessionId);
+    req.session.flash = { type: 'success', message: 'Tariff slab removed.' };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect('/settings/tariff');
+});
+
+// POST: Start the session's tariff from the previous session's
+router.post('/tariff/copy-previous', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot change the tariff of an archived session.' };
+    return res.redirect('/settings/tariff');
+  }
+
+  try {
+    const copied = await copyPreviousTariff(activeSessionId);
+    await logAction(req.session.user.id, req.session.user.username, 'copy_tariff', `Copied ${copied} tariff slabs from the previous session`, activeSessionId);
+    req.session.flash = { type: 'success', message: `Copied ${copied} tariff slabs from the previous session.` };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect('/settings/tariff');
+});
+
+// GET: Show the distribution boards and which spaces each supplies
+router.get('/distribution-boards', async (req, res) => {
+  try {
+    const [boards, spaces] = await Promise.all([
+      listBoards(),
+      all('SELECT id, name, type, distribution_board_id FROM spaces WHERE is_active = 1 ORDER BY name')
+    ]);
+    const editing = boards.find(board => String(board.id) === String(req.query.edit)) || null;
+    res.render('manageDistributionBoards', { title: 'Distribution Boards', boards, spaces, editing, enforcement: LOAD_ENFORCEMENT });
+  } catch (err) {
+    console.error('Error fetching distribution boards:', err.message);
+    res.status(500).send('Error loading settings page.');
+  }
+});
+
+// POST: Add or update a distribution board
+router.post('/distribution-boards', async (req, res) => {
+  const { id, name, capacity_kw, enforcement, notes } = req.body;
+  try {
+    await saveBoard({ id, name, capacityKw: capacity_kw, enforcement, notes });
+    await logAction(req.session.user.id, req.session.user.username, id ? 'update_distribution_board' : 'create_distribution_board',
+      `${id ? 'Updated' : 'Added'} distribution board ${name.trim()}: ${capacity_kw} kW, ${enforcement === 'block' ? 'blocks' : 'warns'} when over capacity`, res.locals.activeSession.id);
+    req.session.flash = { type: 'success', message: `Distribution board ${name.trim()} saved.` };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+    return res.redirect(`/settings/distribution-boards${id ? `?edit=${id}` : ''}`);
+  }
+  res.redirect('/settings/distribution-boards');
+});
+
+// POST: Remove a distribution board. Its spaces and bills are left without a board.
+router.post('/distribution-boards/delete/:id', async (req, res) => {
+  try {
+    let board;
+    await transaction(async (db) => {
+      board = await deleteBoard(db, req.params.id);
+    });
+    await logAction(req.session.user.id, req.session.user.username, 'delete_distribution_board', `Removed distribution board ${board.name}`, res.locals.activeSession.id);
+    req.session.flash = { type: 'success', message: `Distribution board ${board.name} removed.` };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect('/settings/distribution-boards');
+});
+
+// POST: Save which board supplies each space. Fields are named board_<space id>.
+router.post('/distribution-boards/spaces', async (req, res) => {
+  const assignments = {};
+  Object.entries(req.body).forEach(([field, boardId]) => {
+    const match = field.match(/^board_(\d+)$/);
+    if (match) assignments[match[1]] = boardId;
+  });
+
+  try {
+    let changed = 0;
+    await transaction(async (db) => {
+      changed = await assignSpaces(db, assignments);
+    });
+    await logAction(req.session.user.id, req.session.user.username, 'assign_distribution_boards', `Changed the distribution board of ${changed} spaces`, res.locals.activeSession.id);
+    req.session.flash = { type: 'success', message: `Space mapping saved. ${changed} spaces changed board. Bills already saved stay on the board they were saved against.` };
+  } catch (err) {
+    console.error('Error saving space board mapping:', err.message);
+    req.session.flash = { type: 'danger', message: 'Failed to save the space mapping.' };
+  }
+  res.redirect('/settings/distribution-boards');
+});
+
+// GET: Show the counter's receipt printer settings
+router.get('/printer', async (req, res) => {
+  try {
+    const printer = await getPrinterSettings();
+    res.render('managePrinter', { title: 'Receipt Printer', printer, connections: PRINTER_CONNECTIONS, paperWidths: PAPER_WIDTHS });
+  } catch (err) {
+    console.error('Error fetching printer settings:', err.message);
+    res.status(500).send('Error loading settings page.');
+  }
+});
+
+// POST: Save the receipt printer settings
+router.post('/printer', async (req, res) => {
+  const { enabled, connection, host, port, device_path, output_dir, chars_per_line } = req.body;
+  try {
+    const printer = await updatePrinterSettings({ enabled: !!enabled, connection, host, port, devicePath: device_path, outputDir: output_dir, charsPerLine: chars_per_line });
+    await logAction(req.session.user.id, req.session.user.username, 'update_printer_settings',
+      `Set the receipt printer to the ${describePrinter(printer)}, ${printer.enabled ? 'enabled' : 'disabled'}`, res.locals.activeSession.id);
+    req.session.flash = { type: 'success', message: 'Receipt printer settings saved.' };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect('/settings/printer');
+});
+
+// POST: Print a test slip with the saved settings
+router.post('/printer/test', async (req, res) => {
+  try {
+    const printer = await printTestPage(res.locals.viewingSession);
+    req.session.flash = { type: 'success', message: `Test slip sent to ${printer}.` };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect('/settings/printer');
+});
+
 // GET /settings/backup-db - Download a backup of the database
 router.get('/backup-db', (req, res) => {
   // Ensure only admins can download the backup
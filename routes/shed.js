@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { all, get, run, transaction } = require('../db-helpers');
+const { OCCUPYING_STATUS_SQL } = require('../booking-lifecycle');
+const { syncStoredDue } = require('../balance-helpers');
 
 // GET: Show page to manage all sheds (add, edit, delete)
 router.get('/manage', async (req, res) => {
@@ -13,7 +15,7 @@ router.get('/manage', async (req, res) => {
         s.*,
         CASE WHEN sa.id IS NOT NULL THEN 'Allocated' ELSE 'Available' END as session_status
       FROM sheds s
-      LEFT JOIN shed_allocations sa ON s.id = sa.shed_id AND sa.event_session_id = ?
+      LEFT JOIN shed_allocations sa ON s.id = sa.shed_id AND sa.event_session_id = ? AND sa.released_date IS NULL
     `;
     const params = [viewingSessionId];
 
@@ -70,12 +72,12 @@ router.get('/allocate', async (req, res) => {
            FROM bookings b 
            LEFT JOIN (SELECT booking_id, GROUP_CONCAT(s.name, ', ') as space_name FROM booking_spaces bs JOIN spaces s ON bs.space_id = s.id GROUP BY booking_id) s 
            ON b.id = s.booking_id
-           WHERE b.event_session_id = ? AND b.booking_status = 'active'
+           WHERE b.event_session_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL}
            ORDER BY b.exhibitor_name`, [viewingSessionId]),
-      // A shed is available if it's not in the shed_allocations table for the current viewing session
+      // A shed is available if it has no unreleased allocation in the current viewing session
       all(`
         SELECT s.* FROM sheds s
-        WHERE s.is_active = 1 AND s.id NOT IN (SELECT sa.shed_id FROM shed_allocations sa WHERE sa.event_session_id = ?)
+        WHERE s.is_active = 1 AND s.id NOT IN (SELECT sa.shed_id FROM shed_allocations sa WHERE sa.event_session_id = ? AND sa.released_date IS NULL)
         ORDER BY s.name
       `, [viewingSessionId])
     ]);
@@ -113,8 +115,8 @@ router.post('/allocate', async (req, res) => {
         // 1. Create the allocation record
         await db.run('INSERT INTO shed_allocations (booking_id, shed_id, allocation_date, event_session_id) VALUES (?, ?, date("now"), ?)', [booking_id, shed_id, activeSessionId]);
 
-        // 2. Add the shed rent to the booking's due amount
-        await db.run('UPDATE bookings SET due_amount = due_amount + ? WHERE id = ?', [shed.rent, booking_id]);
+        // 2. Keep the booking's stored due in step
+        await syncStoredDue(booking_id, db);
     });
     req.session.flash = { type: 'success', message: 'Shed allocated successfully.' };
     res.redirect('/booking/list');
@@ -157,7 +159,7 @@ router.post('/delete/:id', async (req, res) => {
 
   try {
     // Check if the shed is currently allocated in ANY active session.
-    const allocation = await get("SELECT sa.id FROM shed_allocations sa JOIN event_sessions es ON sa.event_session_id = es.id WHERE sa.shed_id = ? AND es.is_active = 1", [id]);
+    const allocation = await get("SELECT sa.id FROM shed_allocations sa JOIN event_sessions es ON sa.event_session_id = es.id WHERE sa.shed_id = ? AND es.is_active = 1 AND sa.released_date IS NULL", [id]);
     if (allocation) {
       req.session.flash = { type: 'danger', message: 'Cannot deactivate a shed that is currently allocated in an active session. Please de-allocate it first.' };
       return res.redirect('/shed/manage');
@@ -201,15 +203,11 @@ router.post('/allocation/delete/:id', async (req, res) => {
       if (!allocation) throw new Error('Shed allocation not found.');
       bookingIdToRedirect = allocation.booking_id;
 
-      // 2. Get the shed's rent to subtract from the due amount
-      const shed = await db.get('SELECT rent FROM sheds WHERE id = ?', [allocation.shed_id]);
-      if (!shed) throw new Error('Associated shed not found.');
-
-      // 3. Subtract the shed rent from the booking's due amount
-      await db.run('UPDATE bookings SET due_amount = due_amount - ? WHERE id = ?', [shed.rent, allocation.booking_id]);
-
-      // 4. Delete the allocation record.
+      // 2. Delete the allocation record.
       await db.run('DELETE FROM shed_allocations WHERE id = ?', [allocationId]);
+
+      // 3. Keep the booking's stored due in step
+      await syncStoredDue(allocation.booking_id, db);
     });
     res.redirect(`/booking/details-full/${bookingIdToRedirect}`);
   } catch (err) {
@@ -263,8 +261,8 @@ router.post('/bill', async (req, res) => {
       const sql = `INSERT INTO shed_bills (booking_id, bill_date, description, amount, event_session_id) VALUES (?, date('now'), ?, ?, ?)`;
       await run(sql, [booking_id, description, billAmount, activeSessionId]);
 
-      // 2. Update the master due_amount on the bookings table
-      await run('UPDATE bookings SET due_amount = due_amount + ? WHERE id = ?', [billAmount, booking_id]);
+      // 2. Keep the booking's stored due in step
+      await syncStoredDue(booking_id);
 
       db.run('COMMIT');
       res.redirect(`/booking/details-full/${booking_id}`);
@@ -319,26 +317,20 @@ router.post('/bill/edit/:id', async (req, res) => {
     try {
       db.run('BEGIN TRANSACTION');
 
-      // Get the old bill to calculate the difference in due amount
+      // Get the old bill to know which booking it was on
       const oldBill = await get('SELECT amount, booking_id FROM shed_bills WHERE id = ?', [billId]);
       if (!oldBill) throw new Error('Original shed bill not found.');
 
-      const amountDifference = newAmount - oldBill.amount;
-
       // 1. Update the shed bill itself
       await run(
         'UPDATE shed_bills SET booking_id = ?, description = ?, amount = ? WHERE id = ?',
         [booking_id, description, newAmount, billId]
       );
 
-      // 2. Adjust the due amount on the booking
-      // If the booking changed, reverse the old charge and apply the new one
-      if (oldBill.booking_id !== booking_id) {
-        await run('UPDATE bookings SET due_amount = due_amount - ? WHERE id = ?', [oldBill.amount, oldBill.booking_id]);
-        await run('UPDATE bookings SET due_amount = due_amount + ? WHERE id = ?', [newAmount, booking_id]);
-      } else {
-        // Otherwise, just apply the difference
-        await run('UPDATE bookings SET due_amount = due_amount + ? WHERE id = ?', [amountDifference, booking_id]);
+      // 2. Keep the stored due in step, on the old booking too if the bill moved
+      await syncStoredDue(booking_id);
+      if (String(oldBill.booking_id) !== String(booking_id)) {
+        await syncStoredDue(oldBill.booking_id);
       }
 
       db.run('COMMIT');
@@ -376,8 +368,8 @@ router.post('/bill/delete/:id', async (req, res) => {
       // 2. Delete the shed bill
       await run('DELETE FROM shed_bills WHERE id = ?', [billId]);
 
-      // 3. Subtract the bill amount from the booking's due_amount
-      await run('UPDATE bookings SET due_amount = due_amount - ? WHERE id = ?', [bill.amount, bill.booking_id]);
+      // 3. Keep the booking's stored due in step
+      await syncStoredDue(bill.booking_id);
 
       db.run('COMMIT');
       res.redirect(`/booking/details-full/${bill.booking_id}`);
@@ -1,7 +1,30 @@
 const express = require('express');
 const router = express.Router();
-const { all, get, run } = require('../db-helpers');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { all, get, run, logAction, transaction } = require('../db-helpers');
 const { isAdmin } = require('./auth');
+const { setSessionRent } = require('../pricing-helpers');
+const { OCCUPYING_STATUS_SQL } = require('../booking-lifecycle');
+
+// Configure storage for floor-plan background uploads
+const floorPlanStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const dir = 'public/uploads/floor_plans/';
+    fs.mkdirSync(dir, { recursive: true });
+    cb(null, dir);
+  },
+  filename: function (req, file, cb) {
+    // The timestamp avoids stale browser caches after a re-upload.
+    cb(null, `floor-plan-${Date.now()}${path.extname(file.originalname)}`);
+  }
+});
+
+const uploadFloorPlan = multer({
+  storage: floorPlanStorage,
+  fileFilter: (req, file, cb) => cb(null, file.mimetype.startsWith('image/'))
+});
 
 // GET: Show form to add/manage spaces
 router.get('/add', async (req, res) => {
@@ -11,15 +34,17 @@ router.get('/add', async (req, res) => {
     let sql = `
       SELECT 
         s.*,
+        COALESCE(ssr.rent_amount, s.rent_amount) AS session_rent_amount,
         CASE WHEN b.id IS NOT NULL THEN 'Booked' ELSE 'Available' END as session_status
       FROM spaces s LEFT JOIN (
         SELECT b.id, bs.space_id 
         FROM bookings b 
         JOIN booking_spaces bs ON b.id = bs.booking_id 
-        WHERE b.event_session_id = ? AND b.booking_status = 'active'
+        WHERE b.event_session_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL}
       ) b ON s.id = b.space_id
+      LEFT JOIN space_session_rents ssr ON ssr.space_id = s.id AND ssr.event_session_id = ?
     `;
-    const params = [viewingSessionId];
+    const params = [viewingSessionId, viewingSessionId];
 
     if (status === 'active') {
       sql += ' WHERE s.is_active = 1';
@@ -44,7 +69,7 @@ router.get('/add', async (req, res) => {
 
 // POST: Add a new space
 router.post('/add', async (req, res) => {
-  const { type, name, size, rent_amount, facilities, location } = req.body;
+  const { type, name, size, rent_amount, facilities, location, is_corner } = req.body;
 
   if (res.locals.viewingSession.id !== res.locals.activeSession.id) {
     req.session.flash = { type: 'warning', message: 'Cannot add spaces in an archived session.' };
@@ -53,8 +78,8 @@ router.post('/add', async (req, res) => {
 
   try {
     await run(
-      'INSERT INTO spaces (type, name, size, rent_amount, facilities, location) VALUES (?, ?, ?, ?, ?, ?)',
-      [type, name, size, rent_amount, facilities, location]
+      'INSERT INTO spaces (type, name, size, rent_amount, facilities, location, is_corner) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [type, name, size, rent_amount, facilities, location, is_corner ? 1 : 0]
     );
     req.session.flash = { type: 'success', message: `Space '${name}' was added successfully.` };
     res.redirect('/space/add');
@@ -67,17 +92,24 @@ router.post('/add', async (req, res) => {
 // GET: Show form to edit a space
 router.get('/edit/:id', async (req, res) => {
   try {
-    const spaceToEdit = await get('SELECT * FROM spaces WHERE id = ?', [req.params.id]);
+    // Edits are saved against the active session, so show the rent for that session.
+    const spaceToEdit = await get(`
+      SELECT s.*, COALESCE(ssr.rent_amount, s.rent_amount) AS session_rent_amount
+      FROM spaces s LEFT JOIN space_session_rents ssr ON ssr.space_id = s.id AND ssr.event_session_id = ?
+      WHERE s.id = ?
+    `, [res.locals.activeSession.id, req.params.id]);
     const viewingSessionId = res.locals.viewingSession.id;
     const allSpaces = await all(` 
       SELECT 
         s.*,
+        COALESCE(ssr.rent_amount, s.rent_amount) AS session_rent_amount,
         CASE WHEN b.id IS NOT NULL THEN 'Booked' ELSE 'Available' END as session_status
       FROM spaces s LEFT JOIN (
-        SELECT b.id, bs.space_id FROM bookings b JOIN booking_spaces bs ON b.id = bs.booking_id WHERE b.event_session_id = ? AND b.booking_status = 'active'
+        SELECT b.id, bs.space_id FROM bookings b JOIN booking_spaces bs ON b.id = bs.booking_id WHERE b.event_session_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL}
       ) b ON s.id = b.space_id
+      LEFT JOIN space_session_rents ssr ON ssr.space_id = s.id AND ssr.event_session_id = ?
       ORDER BY s.type, name
-    `, [viewingSessionId]);
+    `, [viewingSessionId, viewingSessionId]);
 
     if (!spaceToEdit) {
       // Handle case where space is not found
@@ -88,7 +120,8 @@ router.get('/edit/:id', async (req, res) => {
       title: 'Edit Space',
       spaces: allSpaces || [],
       space: spaceToEdit, // Pass the specific space to be edited
-      report_url: `/space/edit/${req.params.id}`
+      report_url: `/space/edit/${req.params.id}`,
+      filters: { status: 'all' }
     });
   } catch (err) {
     console.error('Error fetching space for editing:', err.message);
@@ -98,15 +131,39 @@ router.get('/edit/:id', async (req, res) => {
 
 // POST: Update a space
 router.post('/edit/:id', async (req, res) => {
-  const { type, name, size, rent_amount, facilities, location } = req.body;
+  const { type, name, size, rent_amount, session_rent_amount, facilities, location, is_corner } = req.body;
+  const activeSessionId = res.locals.activeSession.id;
 
-  if (res.locals.viewingSession.id !== res.locals.activeSession.id) {
+  if (res.locals.viewingSession.id !== activeSessionId) {
     req.session.flash = { type: 'warning', message: 'Cannot edit spaces in an archived session.' };
     return res.redirect('/space/add');
   }
 
   try {
-    await run('UPDATE spaces SET type=?, name=?, size=?, rent_amount=?, facilities=?, location=? WHERE id=?', [type, name, size, rent_amount, facilities, location, req.params.id]);
+    const space = await get('SELECT rent_amount FROM spaces WHERE id = ?', [req.params.id]);
+    if (!space) {
+      return res.redirect('/space/add');
+    }
+
+    await transaction(async (db) => {
+      // Other sessions without their own price would silently follow a new base rent,
+      // so pin the old base rent on them first.
+      if (space.rent_amount !== null && parseFloat(rent_amount) !== space.rent_amount) {
+        await db.run(`
+          INSERT INTO space_session_rents (space_id, event_session_id, rent_amount, updated_at)
+          SELECT ?, es.id, ?, datetime('now', 'localtime') FROM event_sessions es
+          WHERE es.id <> ? AND NOT EXISTS (SELECT 1 FROM space_session_rents WHERE space_id = ? AND event_session_id = es.id)
+        `, [req.params.id, space.rent_amount, activeSessionId, req.params.id]);
+      }
+      await db.run('UPDATE spaces SET type=?, name=?, size=?, rent_amount=?, facilities=?, location=?, is_corner=? WHERE id=?', [type, name, size, rent_amount, facilities, location, is_corner ? 1 : 0, req.params.id]);
+
+      // A blank session rent means the active session uses the base rent.
+      if (session_rent_amount === undefined || session_rent_amount === '') {
+        await db.run('DELETE FROM space_session_rents WHERE space_id = ? AND event_session_id = ?', [req.params.id, activeSessionId]);
+      } else {
+        await setSessionRent(req.params.id, activeSessionId, parseFloat(session_rent_amount) || 0, db);
+      }
+    });
     req.session.flash = { type: 'success', message: `Space '${name}' was updated successfully.` };
     res.redirect('/space/add');
   } catch (err) {
@@ -131,7 +188,7 @@ router.post('/delete/:id', async (req, res) => {
       SELECT b.id FROM bookings b 
       JOIN booking_spaces bs ON b.id = bs.booking_id
       JOIN event_sessions es ON b.event_session_id = es.id 
-      WHERE bs.space_id = ? AND b.booking_status = 'active' AND es.is_active = 1
+      WHERE bs.space_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL} AND es.is_active = 1
     `, [id]);
     if (booking) {
       req.session.flash = { type: 'danger', message: 'Cannot deactivate a space that is currently booked in an active session. Please cancel the booking first.' };
@@ -161,23 +218,32 @@ router.post('/reactivate/:id', async (req, res) => {
 });
 
 // GET: API endpoint to fetch spaces and their current booking status.
-// Used by dropdowns and dynamic UI elements.
+// Used by dropdowns and dynamic UI elements such as the floor-plan map.
 router.get('/api/spaces-with-status', async (req, res) => {
   try {
     const viewingSessionId = res.locals.viewingSession.id;
 
     const spaces = await all(`
       SELECT 
-        s.id, s.name, s.type, s.rent_amount,
-        CASE WHEN b.id IS NOT NULL THEN 'Booked' ELSE 'Available' END as status
+        s.id, s.name, s.type, s.size, COALESCE(ssr.rent_amount, s.rent_amount) AS rent_amount, s.rent_amount AS base_rent_amount, s.is_active,
+        s.map_x, s.map_y, s.map_width, s.map_height, s.map_rotation,
+        b.id AS booking_id, b.exhibitor_name, b.facia_name,
+        h.booking_id AS hold_booking_id, h.exhibitor_name AS hold_exhibitor_name, h.held_until,
+        CASE WHEN b.id IS NOT NULL THEN 'Booked' WHEN h.id IS NOT NULL THEN 'Held' ELSE 'Available' END as status
       FROM spaces s LEFT JOIN (
-        SELECT b.id, bs.space_id 
+        SELECT b.id, b.exhibitor_name, b.facia_name, bs.space_id 
         FROM bookings b 
         JOIN booking_spaces bs ON b.id = bs.booking_id 
-        WHERE b.event_session_id = ? AND b.booking_status = 'active'
+        WHERE b.event_session_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL}
       ) b ON s.id = b.space_id
+      LEFT JOIN (
+        SELECT sh.id, sh.space_id, sh.booking_id, sh.held_until, hb.exhibitor_name
+        FROM space_holds sh JOIN bookings hb ON sh.booking_id = hb.id
+        WHERE sh.event_session_id = ? AND sh.status = 'held' AND sh.held_until > datetime('now', 'localtime')
+      ) h ON s.id = h.space_id
+      LEFT JOIN space_session_rents ssr ON ssr.space_id = s.id AND ssr.event_session_id = ?
       ORDER BY s.type, s.name;
-    `, [viewingSessionId]);
+    `, [viewingSessionId, viewingSessionId, viewingSessionId]);
 
     res.json(spaces);
   } catch (err) {
@@ -186,6 +252,182 @@ router.get('/api/spaces-with-status', async (req, res) => {
   }
 });
 
+// GET: Show the floor-plan map for the viewing session
+router.get('/map', async (req, res) => {
+  res.render('spaceMap', {
+    title: 'Floor Plan',
+    floorPlanPath: res.locals.viewingSession.floor_plan_path,
+    report_url: '/space/map'
+  });
+});
+
+// GET: Show the floor-plan editor to position spaces on the background image
+router.get('/map/editor', async (req, res) => {
+  try {
+    const spaces = await all('SELECT id, name, type, is_active, map_x FROM spaces ORDER BY is_active DESC, type, name');
+    res.render('spaceMapEditor', {
+      title: 'Floor Plan Editor',
+      floorPlanPath: res.locals.activeSession.floor_plan_path,
+      spaces,
+      report_url: '/space/map/editor'
+    });
+  } catch (err) {
+    console.error('Error loading floor plan editor:', err.message);
+    res.status(500).send('Error loading page.');
+  }
+});
+
+// POST: Upload the floor-plan background image for the active session
+router.post('/map/background', uploadFloorPlan.single('floor_plan'), async (req, res) => {
+  if (res.locals.viewingSession.id !== res.locals.activeSession.id) {
+    req.session.flash = { type: 'warning', message: 'Cannot change the floor plan of an archived session.' };
+    return res.redirect('/space/map/editor');
+  }
+  if (!req.file) {
+    req.session.flash = { type: 'danger', message: 'Please choose an image file for the floor plan.' };
+    return res.redirect('/space/map/editor');
+  }
+
+  try {
+    const floorPlanPath = `/uploads/floor_plans/${req.file.filename}`;
+    await run('UPDATE event_sessions SET floor_plan_path = ? WHERE id = ?', [floorPlanPath, res.locals.activeSession.id]);
+    await logAction(req.session.user.id, req.session.user.username, 'upload_floor_plan', `Uploaded floor plan background: ${floorPlanPath}`, res.locals.activeSession.id);
+    req.session.flash = { type: 'success', message: 'Floor plan background uploaded successfully.' };
+    res.redirect('/space/map/editor');
+  } catch (err) {
+    console.error('Error saving floor plan background:', err.message);
+    res.status(500).send('Error saving floor plan.');
+  }
+});
+
+// POST: Save space positions from the floor-plan editor (JSON)
+router.post('/map/layout', async (req, res) => {
+  const { spaces } = req.body;
+
+  if (res.locals.viewingSession.id !== res.locals.activeSession.id) {
+    return res.status(400).json({ error: 'Cannot edit the floor plan of an archived session.' });
+  }
+  if (!Array.isArray(spaces)) {
+    return res.status(400).json({ error: 'Invalid layout data.' });
+  }
+
+  // A missing coordinate removes the space from the map.
+  const toNumber = (value) => (value === null || value === undefined || value === '' || isNaN(parseFloat(value))) ? null : parseFloat(value);
+
+  try {
+    await transaction(async (db) => {
+      for (const space of spaces) {
+        const x = toNumber(space.map_x);
+        const y = toNumber(space.map_y);
+        const width = toNumber(space.map_width);
+        const height = toNumber(space.map_height);
+        const placed = x !== null && y !== null && width > 0 && height > 0;
+        await db.run(
+          'UPDATE spaces SET map_x = ?, map_y = ?, map_width = ?, map_height = ?, map_rotation = ? WHERE id = ?',
+          placed ? [x, y, width, height, toNumber(space.map_rotation) || 0, space.id] : [null, null, null, null, null, space.id]
+        );
+      }
+    });
+    await logAction(req.session.user.id, req.session.user.username, 'update_floor_plan', `Updated floor plan positions for ${spaces.length} space(s).`, res.locals.activeSession.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error saving floor plan layout:', err.message);
+    res.status(500).json({ error: 'Failed to save floor plan layout.' });
+  }
+});
+
+// GET: Show the rent of every space for the viewing session
+router.get('/rents', async (req, res) => {
+  try {
+    const viewingSessionId = res.locals.viewingSession.id;
+    const spaces = await all(`
+      SELECT s.id, s.name, s.type, s.size, s.rent_amount AS base_rent_amount, ssr.rent_amount AS session_rent_amount, ssr.updated_at
+      FROM spaces s LEFT JOIN space_session_rents ssr ON ssr.space_id = s.id AND ssr.event_session_id = ?
+      WHERE s.is_active = 1
+      ORDER BY s.type, s.name
+    `, [viewingSessionId]);
+    res.render('manageSessionRents', {
+      title: 'Session Space Rents',
+      spaces,
+      otherSessions: res.locals.allSessions.filter(s => s.id !== viewingSessionId),
+      report_url: '/space/rents'
+    });
+  } catch (err) {
+    console.error('Error loading session space rents:', err.message);
+    res.status(500).send('Error loading page.');
+  }
+});
+
+// POST: Save the rents of the active session. A blank rent falls back to the base rent.
+router.post('/rents', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  const rents = req.body.rents || {};
+
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot change the rents of an archived session.' };
+    return res.redirect('/space/rents');
+  }
+
+  try {
+    let updated = 0;
+    await transaction(async (db) => {
+      for (const [spaceId, value] of Object.entries(rents)) {
+        if (value === '' || isNaN(parseFloat(value))) {
+          await db.run('DELETE FROM space_session_rents WHERE space_id = ? AND event_session_id = ?', [spaceId, activeSessionId]);
+        } else {
+          await setSessionRent(spaceId, activeSessionId, parseFloat(value), db);
+          updated++;
+        }
+      }
+    });
+    await logAction(req.session.user.id, req.session.user.username, 'update_session_rents', `Saved session rents for ${updated} space(s).`, activeSessionId);
+    req.session.flash = { type: 'success', message: 'Session rents saved successfully.' };
+    res.redirect('/space/rents');
+  } catch (err) {
+    console.error('Error saving session space rents:', err.message);
+    res.status(500).send('Error saving session rents.');
+  }
+});
+
+// POST: Copy every space's rent from another session into the active session, with an optional uplift
+router.post('/rents/copy', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  const fromSessionId = parseInt(req.body.from_session_id, 10);
+  const upliftPercent = parseFloat(req.body.uplift_percent) || 0;
+
+  if (res.locals.viewingSession.id !== activeSessionId) {
+    req.session.flash = { type: 'warning', message: 'Cannot change the rents of an archived session.' };
+    return res.redirect('/space/rents');
+  }
+
+  const fromSession = res.locals.allSessions.find(s => s.id === fromSessionId);
+  if (!fromSession || fromSessionId === activeSessionId) {
+    req.session.flash = { type: 'danger', message: 'Please choose another session to copy rents from.' };
+    return res.redirect('/space/rents');
+  }
+
+  try {
+    // Spaces without a price in the source session copy its effective rent, i.e. the base rent.
+    const sourceRents = await all(`
+      SELECT s.id, COALESCE(ssr.rent_amount, s.rent_amount) AS rent_amount
+      FROM spaces s LEFT JOIN space_session_rents ssr ON ssr.space_id = s.id AND ssr.event_session_id = ?
+      WHERE s.is_active = 1 AND COALESCE(ssr.rent_amount, s.rent_amount) IS NOT NULL
+    `, [fromSessionId]);
+
+    await transaction(async (db) => {
+      for (const space of sourceRents) {
+        await setSessionRent(space.id, activeSessionId, space.rent_amount * (1 + upliftPercent / 100), db);
+      }
+    });
+    await logAction(req.session.user.id, req.session.user.username, 'copy_session_rents', `Copied rents of ${sourceRents.length} space(s) from session '${fromSession.name}' with ${upliftPercent}% uplift.`, activeSessionId);
+    req.session.flash = { type: 'success', message: `Copied ${sourceRents.length} space rent(s) from '${fromSession.name}' with a ${upliftPercent}% uplift.` };
+    res.redirect('/space/rents');
+  } catch (err) {
+    console.error('Error copying session space rents:', err.message);
+    res.status(500).send('Error copying session rents.');
+  }
+});
+
 // GET: Diagnostic route to find spaces with conflicting booking statuses
 router.get('/diagnostics/conflicts', isAdmin, async (req, res) => {
   try {
@@ -199,7 +441,7 @@ router.get('/diagnostics/conflicts', isAdmin, async (req, res) => {
       `SELECT DISTINCT bs.space_id as id 
        FROM booking_spaces bs 
        JOIN bookings b ON bs.booking_id = b.id 
-       WHERE b.event_session_id = ? AND b.booking_status = 'active'`,
+       WHERE b.event_session_id = ? AND b.booking_status IN ${OCCUPYING_STATUS_SQL}`,
       [viewingSessionId]
     );
     const bookedSpaceIds = new Set(bookedSpaceIdsResult.map(r => r.id));
@@ -3,6 +3,7 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const { all, get, run } = require('../db-helpers');
+const { ID_CARD_LAYOUTS, sendIdCardsPdf } = require('../pdf-helpers');
 
 // Configure storage for photo uploads
 const storage = multer.diskStorage({
@@ -77,6 +78,7 @@ router.get('/list', async (req, res) => {
       title: 'Booking Staff List',
       staff: staff || [],      
       currentRole: filterRole,
+      idCardLayouts: ID_CARD_LAYOUTS,
       report_url: '/staff/list'
     });
   } catch (err) {
@@ -85,6 +87,43 @@ router.get('/list', async (req, res) => {
   }
 });
 
+// GET: ID cards of every staff member of the viewing session in a role (or all roles) as one PDF
+router.get('/id-cards/pdf', async (req, res) => {
+  const role = req.query.role || 'all';
+  let sql = 'SELECT * FROM booking_staff WHERE event_session_id = ?';
+  const params = [res.locals.viewingSession.id];
+  if (role !== 'all') {
+    sql += ' AND role = ?';
+    params.push(role);
+  }
+  sql += ' ORDER BY name';
+
+  try {
+    const staff = await all(sql, params);
+    if (staff.length === 0) {
+      return res.status(404).send('No staff members to print ID cards for.');
+    }
+    sendIdCardsPdf(res, `id-cards-${role.toLowerCase()}.pdf`, staff, { layout: req.query.layout || 'a4', session: res.locals.viewingSession });
+  } catch (err) {
+    console.error('Error generating ID cards PDF:', err.message);
+    res.status(500).send('Error generating ID cards.');
+  }
+});
+
+// GET: A staff member's ID card as a PDF
+router.get('/id-card/:id/pdf', async (req, res) => {
+  try {
+    const staff = await get('SELECT * FROM booking_staff WHERE id = ?', [req.params.id]);
+    if (!staff) {
+      return res.status(404).send('Staff member not found.');
+    }
+    sendIdCardsPdf(res, `id-card-${staff.id}.pdf`, [staff], { layout: req.query.layout || 'card', session: res.locals.viewingSession });
+  } catch (err) {
+    console.error('Error generating ID card PDF:', err.message);
+    res.status(500).send('Error generating ID card.');
+  }
+});
+
 // GET: Show a printable ID card for a staff member
 router.get('/id-card/:id', async (req, res) => {
   const staffId = req.params.id;
@@ -179,6 +218,12 @@ router.post('/delete/:id', async (req, res) => {
       return res.redirect('/staff/list');
     }
 
+    const workOrder = await get('SELECT id FROM electric_work_orders WHERE staff_id = ?', [staffId]);
+    if (workOrder) {
+      req.session.flash = { type: 'danger', message: 'Cannot delete staff member. They are assigned to electric work orders.' };
+      return res.redirect('/staff/list');
+    }
+
     const staff = await get('SELECT photo_path FROM booking_staff WHERE id = ?', [staffId]);
     await run('DELETE FROM booking_staff WHERE id = ?', [staffId]);
 
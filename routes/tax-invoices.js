@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const { Parser } = require('json2csv');
+const { logAction, transaction } = require('../db-helpers');
+const { isAdmin } = require('./auth');
+const { PAGE_SIZES, sendDocumentsPdf, taxInvoiceDocument } = require('../pdf-helpers');
+const { GSTR1_SECTIONS, createTaxInvoice, cancelTaxInvoice, getTaxInvoice, listTaxInvoices, getGstr1Rows } = require('../gst-helpers');
+
+// GET: Tax invoices of the viewing session, with the GSTR-1 export form
+router.get('/', async (req, res) => {
+  const status = ['issued', 'cancelled'].includes(req.query.status) ? req.query.status : null;
+  try {
+    const invoices = await listTaxInvoices(res.locals.viewingSession.id, { status });
+    const totals = invoices.filter(i => i.status === 'issued').reduce((sum, i) => {
+      ['taxable_value', 'cgst_amount', 'sgst_amount', 'igst_amount', 'total_amount'].forEach(f => { sum[f] += i[f]; });
+      return sum;
+    }, { taxable_value: 0, cgst_amount: 0, sgst_amount: 0, igst_amount: 0, total_amount: 0 });
+    res.render('taxInvoices', { title: 'Tax Invoices', invoices, totals, status, gstr1Sections: GSTR1_SECTIONS });
+  } catch (err) {
+    console.error('Error loading tax invoices:', err.message);
+    res.status(500).send('Error loading page.');
+  }
+});
+
+// GET: One section of a GSTR-1 return as CSV, from the invoices issued under the viewing session's GSTIN
+router.get('/gstr1', async (req, res) => {
+  const { section, start_date, end_date } = req.query;
+  const gstin = res.locals.viewingSession.gstin;
+  try {
+    if (!gstin) throw new Error("Set the organiser's GSTIN in Exhibition Details first.");
+    if (!GSTR1_SECTIONS[section]) throw new Error('Choose a GSTR-1 section to export.');
+    if (!start_date || !end_date || start_date > end_date) throw new Error('Choose a valid period to export.');
+
+    const rows = await getGstr1Rows({ gstin, startDate: start_date, endDate: end_date, section });
+    if (rows.length === 0) throw new Error(`There are no ${GSTR1_SECTIONS[section]} entries in this period.`);
+    const json2csvParser = new Parser();
+    const csv = json2csvParser.parse(rows);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="gstr1-${section}-${start_date}-to-${end_date}.csv"`);
+    res.status(200).send(csv);
+  } catch (err) {
+    console.error('Error generating GSTR-1 CSV:', err.message);
+    req.session.flash = { type: 'danger', message: err.message };
+    res.redirect('/tax-invoices');
+  }
+});
+
+// POST: Issue a tax invoice for everything on a booking that is not yet invoiced
+router.post('/generate/:bookingId', async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  const bookingId = req.params.bookingId;
+  const invoiceDate = req.body.invoice_date || new Date().toISOString().split('T')[0];
+  try {
+    if (res.locals.viewingSession.id !== activeSessionId) {
+      throw new Error('Cannot issue tax invoices in an archived session.');
+    }
+    let invoice;
+    await transaction(async (db) => {
+      invoice = await createTaxInvoice(db, { bookingId, sessionId: activeSessionId, invoiceDate, userId: req.session.user.id });
+    });
+    await logAction(req.session.user.id, req.session.user.username, 'issue_tax_invoice',
+      `Issued tax invoice ${invoice.invoiceNumber} of ₹${invoice.totalAmount.toFixed(2)} for booking #${bookingId}`, activeSessionId);
+    req.session.flash = { type: 'success', message: `Tax invoice ${invoice.invoiceNumber} issued.` };
+    res.redirect(`/tax-invoices/${invoice.id}`);
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: `Failed to issue tax invoice: ${err.message}` };
+    res.redirect(`/booking/details-full/${bookingId}`);
+  }
+});
+
+// GET: A printable tax invoice
+router.get('/:id', async (req, res) => {
+  try {
+    const invoice = await getTaxInvoice(req.params.id, res.locals.viewingSession.id);
+    if (!invoice) {
+      return res.status(404).send('Tax invoice not found.');
+    }
+    res.render('taxInvoice', { title: `Tax Invoice ${invoice.invoice_number}`, invoice, pageSizes: PAGE_SIZES, viewingSession: res.locals.viewingSession });
+  } catch (err) {
+    console.error('Error loading tax invoice:', err.message);
+    res.status(500).send('Error loading tax invoice.');
+  }
+});
+
+// GET: A tax invoice as a PDF (?size=a4, a5 or thermal)
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const invoice = await getTaxInvoice(req.params.id, res.locals.viewingSession.id);
+    if (!invoice) {
+      return res.status(404).send('Tax invoice not found.');
+    }
+    const fileName = `${invoice.invoice_number.replace(/[^A-Za-z0-9-]+/g, '-')}.pdf`;
+    sendDocumentsPdf(res, fileName, [taxInvoiceDocument(invoice)], { size: req.query.size || 'a4', session: res.locals.viewingSession });
+  } catch (err) {
+    console.error('Error generating tax invoice PDF:', err.message);
+    res.status(500).send('Error loading tax invoice.');
+  }
+});
+
+// POST: Cancel a tax invoice (Admin only). Its number stays used.
+router.post('/:id/cancel', isAdmin, async (req, res) => {
+  const activeSessionId = res.locals.activeSession.id;
+  try {
+    if (res.locals.viewingSession.id !== activeSessionId) {
+      throw new Error('Cannot cancel tax invoices in an archived session.');
+    }
+    const invoice = await cancelTaxInvoice(req.params.id, activeSessionId, req.body.cancel_reason);
+    await logAction(req.session.user.id, req.session.user.username, 'cancel_tax_invoice',
+      `Cancelled tax invoice ${invoice.invoice_number} of ₹${invoice.total_amount.toFixed(2)}: ${req.body.cancel_reason.trim()}`, activeSessionId);
+    req.session.flash = { type: 'success', message: `Tax invoice ${invoice.invoice_number} cancelled.` };
+  } catch (err) {
+    req.session.flash = { type: 'danger', message: err.message };
+  }
+  res.redirect('/tax-invoices');
+});
+
+module.exports = router;
@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { Parser } = require('json2csv');
-const { all, get, run, logAction } = require('../db-helpers');
+const { all, get, run, logAction, transaction } = require('../db-helpers');
+const { shiftForCash, assertShiftOpen, clearShiftSettlement } = require('../cash-shift-helpers');
+const { normaliseReference } = require('../bank-reconciliation-helpers');
+const { ticketSettlementDocument } = require('../pdf-helpers');
+const { getPrinterSettings, printDocument } = require('../printer-helpers');
 
 // GET /ticketing - Ticketing Dashboard
 router.get('/', async (req, res) => {
@@ -388,11 +392,12 @@ router.get('/distribute', async (req, res) => {
 
         distributionsSql += ` WHERE ${whereClauses.join(' AND ')} ORDER BY td.status, td.distribution_date DESC`;
 
-        const [staff, availableStock, rides, distributions] = await Promise.all([
+        const [staff, availableStock, rides, distributions, printer] = await Promise.all([
             all('SELECT id, name FROM booking_staff ORDER BY name'),
             all("SELECT * FROM ticket_stock WHERE status = 'Available' AND event_session_id = ?", [viewingSessionId]),
             all("SELECT * FROM rides WHERE is_active = 1 ORDER BY name"),
-            all(distributionsSql, params)
+            all(distributionsSql, params),
+            getPrinterSettings()
         ]);
 
         res.render('ticketingDistribute', {
@@ -401,6 +406,7 @@ router.get('/distribute', async (req, res) => {
             stock: availableStock || [],
             rides: rides || [],
             distributions: distributions || [],
+            printerEnabled: !!printer.enabled,
             filters: { staff_id, ride_id, start_date, end_date }
         });
     } catch (err) {
@@ -493,9 +499,11 @@ router.get('/report/staff-settlements', async (req, res) => {
         ss.difference,
         ss.notes,
         ss.status,
-        bs.name as staff_name
+        ss.cash_shift_id,
+        COALESCE(bs.name, u.username) as staff_name
       FROM staff_settlements ss
-      JOIN booking_staff bs ON ss.staff_id = bs.id
+      LEFT JOIN booking_staff bs ON ss.staff_id = bs.id
+      LEFT JOIN users u ON ss.user_id = u.id
     `;
 
         const whereClauses = ['ss.event_session_id = ?'];
@@ -507,7 +515,7 @@ router.get('/report/staff-settlements', async (req, res) => {
         }
 
         if (q) {
-            whereClauses.push('bs.name LIKE ?');
+            whereClauses.push('COALESCE(bs.name, u.username) LIKE ?');
             params.push(`%${q}%`);
         }
 
@@ -530,7 +538,13 @@ router.get('/report/staff-settlements', async (req, res) => {
 // POST /ticketing/report/staff-settlements/clear/:id - Mark a settlement as cleared
 router.post('/report/staff-settlements/clear/:id', async (req, res) => {
     const settlementId = req.params.id;
-    await run("UPDATE staff_settlements SET status = 'settled', settled_on_date = date('now') WHERE id = ?", [settlementId]);
+    const settlement = await get('SELECT cash_shift_id FROM staff_settlements WHERE id = ?', [settlementId]);
+    if (settlement && settlement.cash_shift_id) {
+        // A cashier's short/excess is cleared on its shift as well
+        await transaction(async (db) => clearShiftSettlement(db, settlement.cash_shift_id, req.session.user.id));
+    } else {
+        await run("UPDATE staff_settlements SET status = 'settled', settled_on_date = date('now') WHERE id = ?", [settlementId]);
+    }
     req.session.flash = { type: 'success', message: 'Settlement has been marked as cleared.' };
     res.redirect('/ticketing/report/staff-settlements');
 });
@@ -609,7 +623,7 @@ router.get('/settle/:id', async (req, res) => {
 // POST /ticketing/settle/:id - Process the settlement
 router.post('/settle/:id', async (req, res) => {
     const { id } = req.params;
-    const { returned_start_number, settlement_date, upi_amount, cash_amount, notes } = req.body;
+    const { returned_start_number, settlement_date, upi_amount, upi_reference, cash_amount, notes } = req.body;
     const settled_by_user_id = req.session.user.id;
 
     if (!returned_start_number || !settlement_date) {
@@ -635,6 +649,15 @@ router.post('/settle/:id', async (req, res) => {
         const calculated_revenue = tickets_sold * stock.rate;
         const difference = totalCollected - calculated_revenue;
 
+        // The cash handed over goes into the drawer of the settling user's open shift
+        let cashShiftId;
+        try {
+            cashShiftId = await shiftForCash(settled_by_user_id, dist.event_session_id, cashAmount);
+        } catch (shiftErr) {
+            req.session.flash = { type: 'danger', message: shiftErr.message };
+            return res.redirect(`/ticketing/settle/${id}`);
+        }
+
         // Use a transaction for data integrity
         await run('BEGIN TRANSACTION');
 
@@ -642,9 +665,9 @@ router.post('/settle/:id', async (req, res) => {
         await run(
             `UPDATE ticket_distributions 
              SET status = 'Settled', returned_start_number = ?, settlement_date = ?, tickets_sold = ?, 
-                 calculated_revenue = ?, upi_amount = ?, cash_amount = ?, settled_by_user_id = ?
+                 calculated_revenue = ?, upi_amount = ?, upi_reference = ?, cash_amount = ?, settled_by_user_id = ?, cash_shift_id = ?
              WHERE id = ?`,
-            [returnedStart, settlement_date, tickets_sold, calculated_revenue, upiAmount, cashAmount, settled_by_user_id, id]
+            [returnedStart, settlement_date, tickets_sold, calculated_revenue, upiAmount, upiAmount > 0 ? normaliseReference(upi_reference) : null, cashAmount, settled_by_user_id, cashShiftId, id]
         );
 
         // If there are remaining tickets in the bundle, create a new 'Available' stock item for them.
@@ -699,6 +722,43 @@ router.post('/settle/:id', async (req, res) => {
     }
 });
 
+// POST /ticketing/settle/:id/print - Print the settlement slip on the counter's receipt printer.
+// Printing it again gives a copy stamped as a duplicate.
+router.post('/settle/:id/print', async (req, res) => {
+    try {
+        const dist = await get(`
+            SELECT td.*, bs.name as staff_name, r.name as ride_name, ts.rate as ticket_rate
+            FROM ticket_distributions td
+            JOIN booking_staff bs ON td.staff_id = bs.id
+            JOIN rides r ON td.rate_id = r.id
+            JOIN ticket_stock ts ON td.stock_id = ts.id
+            WHERE td.id = ? AND td.status = 'Settled'
+        `, [req.params.id]);
+        if (!dist) {
+            req.session.flash = { type: 'warning', message: 'This distribution was not found or has not been settled yet.' };
+            return res.redirect('/ticketing/distribute');
+        }
+
+        const result = await printDocument({
+            documentType: 'ticket_settlement',
+            documentId: dist.id,
+            document: ticketSettlementDocument(dist),
+            qr: `TS-${dist.id}`,
+            session: res.locals.viewingSession,
+            userId: req.session.user.id
+        });
+        if (result.duplicate) {
+            await logAction(req.session.user.id, req.session.user.username, 'print_duplicate_settlement',
+                `Printed duplicate copy ${result.copyNumber} of ticket settlement TS-${dist.id} on the ${result.printer}`, dist.event_session_id);
+        }
+        req.session.flash = { type: 'success', message: `${result.duplicate ? `Duplicate copy ${result.copyNumber} of settlement` : 'Settlement'} TS-${dist.id} sent to ${result.printer}.` };
+    } catch (err) {
+        console.error('Error printing ticket settlement:', err.message);
+        req.session.flash = { type: 'danger', message: err.message };
+    }
+    res.redirect('/ticketing/distribute');
+});
+
 // POST /ticketing/distribute/cancel/:id - Cancel a distribution
 router.post('/distribute/cancel/:id', async (req, res) => {
     const { id } = req.params;
@@ -735,6 +795,12 @@ router.post('/settle/revert/:id', async (req, res) => {
             req.session.flash = { type: 'warning', message: 'Settlement not found or already reverted.' };
             return res.redirect('/ticketing/distribute');
         }
+        try {
+            await assertShiftOpen(dist.cash_shift_id);
+        } catch (shiftErr) {
+            req.session.flash = { type: 'warning', message: shiftErr.message };
+            return res.redirect('/ticketing/distribute');
+        }
 
         await run('BEGIN TRANSACTION');
 
@@ -757,7 +823,13 @@ router.post('/settle/revert/:id', async (req, res) => {
         else { await run("UPDATE ticket_stock SET status = 'Distributed' WHERE id = ?", [dist.stock_id]); }
 
         // 5. Revert the ticket_distributions record to 'Distributed' and clear settlement data
-        await run(`UPDATE ticket_distributions SET status = 'Distributed', returned_start_number = NULL, settlement_date = NULL, tickets_sold = NULL, calculated_revenue = NULL, upi_amount = NULL, cash_amount = NULL, settled_by_user_id = NULL WHERE id = ?`, [id]);
+        await run(`UPDATE ticket_distributions SET status = 'Distributed', returned_start_number = NULL, settlement_date = NULL, tickets_sold = NULL, calculated_revenue = NULL, upi_amount = NULL, upi_reference = NULL, cash_amount = NULL, settled_by_user_id = NULL, cash_shift_id = NULL WHERE id = ?`, [id]);
+
+        // 6. A statement line matched to the settlement goes back to unmatched
+        await run("UPDATE bank_statement_lines SET match_status = 'unmatched', match_method = NULL, ticket_distribution_id = NULL WHERE ticket_distribution_id = ?", [id]);
+
+        // 7. Slips printed for the reverted settlement no longer count, so the next settlement prints as an original
+        await run("DELETE FROM receipt_prints WHERE document_type = 'ticket_settlement' AND document_id = ?", [id]);
 
         await run('COMMIT');
 
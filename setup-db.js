@@ -435,44 +435,46 @@ async function setupDatabase() {
       console.log('Accounting table created.');
 
       // --- One-time Migration: Move existing payments to accounting ---
-      console.log('Migrating existing payments to accounting ledger...');
-      try {
-        // Clear old payment-related income to avoid duplicates on re-run
-        await run(`DELETE FROM accounting_transactions WHERE payment_id IS NOT NULL OR category LIKE '% Payment'`);
+      // Only runs while the ledger has no payment income yet; after that the payment routes keep it up to date.
+      const hasPaymentLedger = await get(`SELECT 1 FROM accounting_transactions WHERE payment_id IS NOT NULL OR category LIKE '% Payment' LIMIT 1`);
+      if (!hasPaymentLedger) {
+        try {
+          console.log('Migrating existing payments to accounting ledger...');
 
-        const payments = await all(`
-          SELECT p.*, b.exhibitor_name 
-          FROM payments p 
-          JOIN bookings b ON p.booking_id = b.id
-        `);
+          const payments = await all(`
+            SELECT p.*, b.exhibitor_name 
+            FROM payments p 
+            JOIN bookings b ON p.booking_id = b.id
+          `);
+
+          const adminUser = await get(`SELECT id FROM users WHERE username = 'admin'`);
+          const adminUserId = adminUser ? adminUser.id : null;
 
-        const adminUser = await get(`SELECT id FROM users WHERE username = 'admin'`);
-        const adminUserId = adminUser ? adminUser.id : null;
-
-        for (const p of payments) {
-          let amount = 0;
-          let payment_type = '';
-
-          if (p.rent_paid > 0) { amount = p.rent_paid; payment_type = 'rent'; }
-          else if (p.electric_paid > 0) { amount = p.electric_paid; payment_type = 'electric'; }
-          else if (p.material_paid > 0) { amount = p.material_paid; payment_type = 'material'; }
-          else if (p.shed_paid > 0) { amount = p.shed_paid; payment_type = 'shed'; }
-
-          if (amount > 0) {
-            const categories = {
-              rent: 'Rent Payment',
-              electric: 'Electric Bill Payment',
-              material: 'Material Issue Payment',
-              shed: 'Shed Rent Payment'
-            };
-            const accountingCategory = categories[payment_type] || 'Booking Payment';
-            const accountingDescription = `Payment from ${p.exhibitor_name}`;
-            const accountingSql = `INSERT INTO accounting_transactions (payment_id, transaction_type, category, description, amount, transaction_date, user_id) VALUES (?, ?, ?, ?, ?, ?, ?)`;
-            await run(accountingSql, [p.id, 'income', accountingCategory, accountingDescription, amount, p.payment_date, adminUserId]);
+          for (const p of payments) {
+            let amount = 0;
+            let payment_type = '';
+
+            if (p.rent_paid > 0) { amount = p.rent_paid; payment_type = 'rent'; }
+            else if (p.electric_paid > 0) { amount = p.electric_paid; payment_type = 'electric'; }
+            else if (p.material_paid > 0) { amount = p.material_paid; payment_type = 'material'; }
+            else if (p.shed_paid > 0) { amount = p.shed_paid; payment_type = 'shed'; }
+
+            if (amount > 0) {
+              const categories = {
+                rent: 'Rent Payment',
+                electric: 'Electric Bill Payment',
+                material: 'Material Issue Payment',
+                shed: 'Shed Rent Payment'
+              };
+              const accountingCategory = categories[payment_type] || 'Booking Payment';
+              const accountingDescription = `Payment from ${p.exhibitor_name}`;
+              const accountingSql = `INSERT INTO accounting_transactions (payment_id, transaction_type, category, description, amount, transaction_date, user_id) VALUES (?, ?, ?, ?, ?, ?, ?)`;
+              await run(accountingSql, [p.id, 'income', accountingCategory, accountingDescription, amount, p.payment_date, adminUserId]);
+            }
           }
-        }
-        console.log(`Migrated ${payments.length} payments to accounting.`);
-      } catch (err) { console.error('Could not migrate payments:', err.message); }
+          console.log(`Migrated ${payments.length} payments to accounting.`);
+        } catch (err) { console.error('Could not migrate payments:', err.message); }
+      }
 
       // --- Event Session Table ---
       console.log('Creating event_sessions table...');
@@ -612,6 +614,863 @@ async function setupDatabase() {
       )`);
       console.log('Ticketing tables created.');
 
+      // --- Floor Plan ---
+      // Position of each space on the floor-plan map (SVG user units) and the background image per session.
+      for (const column of ['map_x', 'map_y', 'map_width', 'map_height', 'map_rotation']) {
+        await run(`ALTER TABLE spaces ADD COLUMN ${column} REAL`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      }
+      await run(`ALTER TABLE event_sessions ADD COLUMN floor_plan_path TEXT`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      console.log('Floor plan columns ensured.');
+
+      // --- Waitlist ---
+      // Space preferences of unallocated exhibitors. created_at is their place in the waitlist.
+      await run(`CREATE TABLE IF NOT EXISTS booking_preferences (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        booking_id INTEGER NOT NULL UNIQUE,
+        preferred_space_ids TEXT,
+        space_type TEXT,
+        max_rent REAL,
+        notes TEXT,
+        created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+        updated_at DATETIME,
+        FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE
+      )`);
+
+      // Freed spaces offered to waitlisted exhibitors.
+      await run(`CREATE TABLE IF NOT EXISTS waitlist_offers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        booking_id INTEGER NOT NULL,
+        space_id INTEGER NOT NULL,
+        event_session_id INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'offered' CHECK(status IN ('offered', 'accepted', 'declined', 'withdrawn')),
+        offered_at DATETIME,
+        responded_at DATETIME,
+        offered_by_user_id INTEGER,
+        FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+        FOREIGN KEY (space_id) REFERENCES spaces(id),
+        FOREIGN KEY (event_session_id) REFERENCES event_sessions(id)
+      )`);
+      console.log('Waitlist tables created.');
+
+      // --- Space Holds ---
+      // Temporary reservation of a space for an unallocated booking, released automatically at held_until.
+      await run(`CREATE TABLE IF NOT EXISTS space_holds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        space_id INTEGER NOT NULL,
+        booking_id INTEGER NOT NULL,
+        event_session_id INTEGER NOT NULL,
+        held_until DATETIME NOT NULL,
+        status TEXT NOT NULL DEFAULT 'held' CHECK(status IN ('held', 'converted', 'released', 'expired')),
+        notes TEXT,
+        created_by_user_id INTEGER,
+        created_at DATETIME,
+        released_at DATETIME,
+        FOREIGN KEY (space_id) REFERENCES spaces(id),
+        FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+        FOREIGN KEY (event_session_id) REFERENCES event_sessions(id)
+      )`);
+      console.log('Space holds table created.');
+
+      // --- Pricing Rules ---
+      // Per-session rules applied on top of the base space rent at allocation time.
+      await run(`CREATE TABLE IF NOT EXISTS pricing_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_session_id INTEGER NOT NULL,
+        rule_type TEXT NOT NULL CHECK(rule_type IN ('early_bird', 'corner_premium', 'bundle_discount', 'category_surcharge')),
+        name TEXT,
+        value REAL NOT NULL DEFAULT 0,
+        value_type TEXT NOT NULL DEFAULT 'percent' CHECK(value_type IN ('percent', 'flat')),
+        valid_until DATE,
+        min_spaces INTEGER,
+        product_category TEXT,
+        is_active INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+        FOREIGN KEY (event_session_id) REFERENCES event_sessions(id)
+      )`);
+      await run(`ALTER TABLE spaces ADD COLUMN is_corner INTEGER DEFAULT 0`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      // JSON array of { label, amount } lines making up bookings.rent_amount.
+      await run(`ALTER TABLE bookings ADD COLUMN rent_breakdown_json TEXT`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      console.log('Pricing rules table created.');
+
+      // --- Session Space Rents ---
+      // Rent of a space for one event session. Spaces without a row fall back to spaces.rent_amount.
+      await run(`CREATE TABLE IF NOT EXISTS space_session_rents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        space_id INTEGER NOT NULL,
+        event_session_id INTEGER NOT NULL,
+        rent_amount REAL NOT NULL,
+        updated_at DATETIME,
+        UNIQUE(space_id, event_session_id),
+        FOREIGN KEY (space_id) REFERENCES spaces(id),
+        FOREIGN KEY (event_session_id) REFERENCES event_sessions(id)
+      )`);
+      console.log('Session space rents table created.');
+
+      // --- Exhibitor Portal ---
+      // One-time login tokens for the exhibitor portal. Only a hash of the token is stored.
+      await run(`CREATE TABLE IF NOT EXISTS client_portal_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_id INTEGER NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        revoked_at DATETIME,
+        created_by_user_id INTEGER,
+        created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+        FOREIGN KEY (client_id) REFERENCES clients(id)
+      )`);
+      // 'staff' edits replace the whole booking form; 'portal' edits only carry profile fields.
+      await run(`ALTER TABLE booking_edits ADD COLUMN source TEXT DEFAULT 'staff'`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      console.log('Exhibitor portal tables created.');
+
+      // --- Clients Master ---
+      // Bookings keep a snapshot of the contact details; the clients row is the current profile.
+      await run(`CREATE TABLE IF NOT EXISTS clients (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        contact_person TEXT,
+        contact_number TEXT,
+        full_address TEXT
+      )`);
+      await run(`ALTER TABLE clients ADD COLUMN secondary_number TEXT`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      await run(`ALTER TABLE clients ADD COLUMN email TEXT`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      await run(`ALTER TABLE clients ADD COLUMN gstin TEXT`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      await run(`ALTER TABLE clients ADD COLUMN billing_address TEXT`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      await run(`ALTER TABLE clients ADD COLUMN id_proof TEXT`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      await run(`ALTER TABLE clients ADD COLUMN notes TEXT`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      // Comma-separated, e.g. "food, repeat, vip"
+      await run(`ALTER TABLE clients ADD COLUMN tags TEXT`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      await run(`ALTER TABLE clients ADD COLUMN updated_at DATETIME`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      // Fill the new profile fields from each client's most recent booking.
+      await run(`
+        UPDATE clients SET
+          secondary_number = (SELECT b.secondary_number FROM bookings b WHERE b.client_id = clients.id ORDER BY b.id DESC LIMIT 1),
+          id_proof = (SELECT b.id_proof FROM bookings b WHERE b.client_id = clients.id ORDER BY b.id DESC LIMIT 1)
+        WHERE secondary_number IS NULL AND id_proof IS NULL
+      `);
+      console.log('Clients master table updated.');
+
+      // --- Booking Lifecycle ---
+      // Old status names map onto the lifecycle: 'unallocated' is 'registered' and 'active' is 'allocated'.
+      await run(`UPDATE bookings SET booking_status = 'registered' WHERE booking_status = 'unallocated'`);
+      await run(`UPDATE bookings SET booking_status = 'allocated' WHERE booking_status = 'active' OR booking_status IS NULL`);
+      await run(`CREATE TABLE IF NOT EXISTS booking_status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        booking_id INTEGER NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        changed_at DATETIME DEFAULT (datetime('now', 'localtime')),
+        user_id INTEGER,
+        username TEXT,
+        note TEXT,
+        FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE
+      )`);
+      // Share of the rent (advance plus rent payments) that must be paid before a booking can be confirmed.
+      await run(`ALTER TABLE event_sessions ADD COLUMN confirm_min_advance_percent REAL DEFAULT 25`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      console.log('Booking lifecycle tables created.');
+
+      // --- Cancellations & Credit Notes ---
+      // Charges are never deleted on cancellation; a credit note reverses each one instead.
+      await run(`CREATE TABLE IF NOT EXISTS credit_notes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        booking_id INTEGER NOT NULL,
+        event_session_id INTEGER,
+        charge_type TEXT NOT NULL CHECK(charge_type IN ('rent', 'electric', 'material', 'shed')),
+        source_table TEXT,
+        source_id INTEGER,
+        amount REAL NOT NULL,
+        reason TEXT,
+        issue_date DATE NOT NULL,
+        user_id INTEGER,
+        created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+        FOREIGN KEY (booking_id) REFERENCES bookings(id)
+      )`);
+      await run(`CREATE TABLE IF NOT EXISTS booking_cancellations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        booking_id INTEGER NOT NULL UNIQUE,
+        event_session_id INTEGER,
+        cancellation_date DATE NOT NULL,
+        reason TEXT,
+        amount_received REAL NOT NULL DEFAULT 0,
+        forfeiture_percent REAL,
+        refund_amount REAL NOT NULL DEFAULT 0,
+        retained_amount REAL NOT NULL DEFAULT 0,
+        refund_mode TEXT,
+        accounting_transaction_id INTEGER,
+        user_id INTEGER,
+        created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+        FOREIGN KEY (booking_id) REFERENCES bookings(id)
+      )`);
+      // Links refunds (and later other booking-level entries) in the ledger to their booking.
+      await run(`ALTER TABLE accounting_transactions ADD COLUMN booking_id INTEGER`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      // A released shed is free again but its allocation stays on record as a charge.
+      await run(`ALTER TABLE shed_allocations ADD COLUMN released_date DATE`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      console.log('Cancellation and credit note tables created.');
+
+      // --- Payment Allocations ---
+      // One payment can be split across charge heads; each line is stored and gets its own ledger entry.
+      await run(`CREATE TABLE IF NOT EXISTS payment_allocations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        payment_id INTEGER NOT NULL,
+        charge_head TEXT NOT NULL CHECK(charge_head IN ('rent', 'electric', 'material', 'shed')),
+        amount REAL NOT NULL,
+        FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE
+      )`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_payment_allocations_payment ON payment_allocations (payment_id)`);
+      await run(`ALTER TABLE accounting_transactions ADD COLUMN payment_allocation_id INTEGER`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      // Existing payments carry a single head in their *_paid columns.
+      await run(`
+        INSERT INTO payment_allocations (payment_id, charge_head, amount)
+        SELECT id, 'rent', rent_paid FROM payments p WHERE rent_paid > 0 AND NOT EXISTS (SELECT 1 FROM payment_allocations pa WHERE pa.payment_id = p.id)
+        UNION ALL SELECT id, 'electric', electric_paid FROM payments p WHERE electric_paid > 0 AND NOT EXISTS (SELECT 1 FROM payment_allocations pa WHERE pa.payment_id = p.id)
+        UNION ALL SELECT id, 'material', material_paid FROM payments p WHERE material_paid > 0 AND NOT EXISTS (SELECT 1 FROM payment_allocations pa WHERE pa.payment_id = p.id)
+        UNION ALL SELECT id, 'shed', shed_paid FROM payments p WHERE shed_paid > 0 AND NOT EXISTS (SELECT 1 FROM payment_allocations pa WHERE pa.payment_id = p.id)
+      `);
+      await run(`
+        UPDATE accounting_transactions
+        SET payment_allocation_id = (SELECT MIN(pa.id) FROM payment_allocations pa WHERE pa.payment_id = accounting_transactions.payment_id)
+        WHERE payment_id IS NOT NULL AND payment_allocation_id IS NULL
+      `);
+      console.log('Payment allocations table created.');
+
+      // --- Client Credit Wallet ---
+      // Money held for a client rather than against a charge: advances, overpayments and refunds not yet paid out.
+      // The balance is the sum of the entries, so it follows the client into later sessions.
+      await run(`CREATE TABLE IF NOT EXISTS client_credit_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_id INTEGER NOT NULL,
+        booking_id INTEGER,
+        event_session_id INTEGER,
+        entry_type TEXT NOT NULL CHECK(entry_type IN ('advance', 'overpayment', 'refund_pending', 'applied', 'refunded')),
+        amount REAL NOT NULL,
+        payment_id INTEGER,
+        accounting_transaction_id INTEGER,
+        description TEXT,
+        entry_date DATE NOT NULL,
+        user_id INTEGER,
+        created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+        FOREIGN KEY (client_id) REFERENCES clients(id),
+        FOREIGN KEY (booking_id) REFERENCES bookings(id)
+      )`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_client_credit_entries_client ON client_credit_entries (client_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_client_credit_entries_payment ON client_credit_entries (payment_id)`);
+      console.log('Client credit wallet table created.');
+
+      // --- Booking Advances as Client Credit ---
+      // The advance typed in at registration used to count as rent paid. It is now client credit: each booking's
+      // advance_amount becomes an 'advance' entry with its ledger income, applied straight back to the booking's
+      // rent as a client credit payment, and the column is cleared. The booking's due is unchanged. A booking
+      // without a client is first linked to one by name, or to a new one, the same way registration does.
+      const advanceBookings = await all(`SELECT * FROM bookings WHERE advance_amount > 0`);
+      for (const booking of advanceBookings) {
+        try {
+          await run('BEGIN TRANSACTION');
+          let clientId = booking.client_id;
+          if (!clientId) {
+            const client = await get('SELECT id FROM clients WHERE LOWER(TRIM(name)) = LOWER(TRIM(?)) ORDER BY id LIMIT 1', [booking.exhibitor_name]);
+            clientId = client
+              ? client.id
+              : (await run(`INSERT INTO clients (name, contact_person, contact_number, secondary_number, full_address, id_proof, updated_at) VALUES (?, ?, ?, ?, ?, ?, datetime('now', 'localtime'))`,
+                  [booking.exhibitor_name.trim(), booking.contact_person, booking.contact_number, booking.secondary_number, booking.full_address, booking.id_proof])).lastID;
+            await run('UPDATE bookings SET client_id = ? WHERE id = ?', [clientId, booking.id]);
+          }
+          const amount = booking.advance_amount;
+          const entryDate = (booking.booking_date || '').slice(0, 10) || new Date().toISOString().split('T')[0];
+          const description = `Advance from ${booking.exhibitor_name} at registration`;
+          const received = await run(
+            `INSERT INTO accounting_transactions (transaction_type, category, description, amount, transaction_date, event_session_id, booking_id) VALUES ('income', 'Client Credit', ?, ?, ?, ?, ?)`,
+            [description, amount, entryDate, booking.event_session_id, booking.id]
+          );
+          await run(
+            `INSERT INTO client_credit_entries (client_id, booking_id, event_session_id, entry_type, amount, accounting_transaction_id, description, entry_date) VALUES (?, ?, ?, 'advance', ?, ?, ?, ?)`,
+            [clientId, booking.id, booking.event_session_id, amount, received.lastID, description, entryDate]
+          );
+
+          const payment = await run(
+            `INSERT INTO payments (booking_id, receipt_number, payment_date, payment_mode, cash_paid, upi_paid, rent_paid, event_session_id, remarks) VALUES (?, 'NA', ?, 'Client Credit', 0, 0, ?, ?, 'Advance taken at registration')`,
+            [booking.id, entryDate, amount, booking.event_session_id]
+          );
+          const appliedDescription = `Credit applied to Rent for ${booking.exhibitor_name}`;
+          const applied = await run(
+            `INSERT INTO accounting_transactions (transaction_type, category, description, amount, transaction_date, event_session_id, booking_id) VALUES ('expenditure', 'Client Credit Applied', ?, ?, ?, ?, ?)`,
+            [appliedDescription, amount, entryDate, booking.event_session_id, booking.id]
+          );
+          await run(
+            `INSERT INTO client_credit_entries (client_id, booking_id, event_session_id, entry_type, amount, payment_id, accounting_transaction_id, description, entry_date) VALUES (?, ?, ?, 'applied', ?, ?, ?, ?, ?)`,
+            [clientId, booking.id, booking.event_session_id, -amount, payment.lastID, applied.lastID, appliedDescription, entryDate]
+          );
+          const allocation = await run(`INSERT INTO payment_allocations (payment_id, charge_head, amount) VALUES (?, 'rent', ?)`, [payment.lastID, amount]);
+          await run(
+            `INSERT INTO accounting_transactions (payment_allocation_id, transaction_type, category, description, amount, transaction_date, event_session_id) VALUES (?, 'income', 'Rent Payment', ?, ?, ?, ?)`,
+            [allocation.lastID, `Payment from ${booking.exhibitor_name}`, amount, entryDate, booking.event_session_id]
+          );
+          await run('UPDATE bookings SET advance_amount = 0 WHERE id = ?', [booking.id]);
+          await run('COMMIT');
+        } catch (e) {
+          await run('ROLLBACK').catch(() => {});
+          throw e;
+        }
+      }
+      if (advanceBookings.length > 0) {
+        console.log(`Moved the advances of ${advanceBookings.length} bookings to client credit applied to rent.`);
+      }
+      console.log('Booking advances checked.');
+
+      // --- Receipt Numbering ---
+      // One numbering series per session and charge head; a payment takes the next number of the series
+      // for the head it mostly pays. Numbers are never reused: a deleted payment leaves a void record.
+      await run(`CREATE TABLE IF NOT EXISTS receipt_series (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_session_id INTEGER NOT NULL,
+        charge_type TEXT NOT NULL,
+        prefix TEXT NOT NULL,
+        padding INTEGER NOT NULL DEFAULT 4,
+        next_number INTEGER NOT NULL DEFAULT 1,
+        UNIQUE (event_session_id, charge_type),
+        FOREIGN KEY (event_session_id) REFERENCES event_sessions(id)
+      )`);
+      await run(`ALTER TABLE payments ADD COLUMN receipt_series_id INTEGER REFERENCES receipt_series(id)`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      await run(`ALTER TABLE payments ADD COLUMN receipt_seq INTEGER`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_receipt_seq ON payments (receipt_series_id, receipt_seq)`);
+      await run(`CREATE TABLE IF NOT EXISTS receipt_voids (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        receipt_series_id INTEGER,
+        receipt_seq INTEGER,
+        receipt_number TEXT NOT NULL,
+        payment_id INTEGER,
+        booking_id INTEGER,
+        event_session_id INTEGER,
+        amount REAL,
+        payment_date DATE,
+        reason TEXT,
+        user_id INTEGER,
+        voided_at DATETIME DEFAULT (datetime('now', 'localtime')),
+        FOREIGN KEY (receipt_series_id) REFERENCES receipt_series(id)
+      )`);
+      console.log('Receipt numbering tables created.');
+
+      // --- Cash Counter Shifts ---
+      // A cashier opens a shift with a float; cash payments and ticket settlements they take are tied to it.
+      // At close the counted cash is compared with the expected; any short/excess stays unsettled until cleared.
+      await run(`CREATE TABLE IF NOT EXISTS cash_shifts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_session_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        opened_at DATETIME DEFAULT (datetime('now', 'localtime')),
+        opening_float REAL NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'closed')),
+        closed_at DATETIME,
+        closed_by_user_id INTEGER,
+        denominations TEXT,
+        counted_cash REAL,
+        expected_cash REAL,
+        difference REAL,
+        notes TEXT,
+        settlement_status TEXT CHECK(settlement_status IN ('unsettled', 'settled')),
+        settled_by_user_id INTEGER,
+        settled_on_date TEXT,
+        FOREIGN KEY (event_session_id) REFERENCES event_sessions(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`);
+      await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_cash_shifts_open ON cash_shifts (user_id) WHERE status = 'open'`);
+      await run(`ALTER TABLE payments ADD COLUMN cash_shift_id INTEGER REFERENCES cash_shifts(id)`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      await run(`ALTER TABLE ticket_distributions ADD COLUMN cash_shift_id INTEGER REFERENCES cash_shifts(id)`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      console.log('Cash shift table created.');
+
+      // --- Cash Shift Settlements ---
+      // A cash shift's short/excess is posted to staff_settlements like a ticket seller's. Those rows belong
+      // to a cashier (user_id) and their shift rather than a booking_staff member, so staff_id becomes optional.
+      await run(`ALTER TABLE staff_settlements ADD COLUMN user_id INTEGER REFERENCES users(id)`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      await run(`ALTER TABLE staff_settlements ADD COLUMN cash_shift_id INTEGER REFERENCES cash_shifts(id)`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      const settlementStaffColumn = (await all(`PRAGMA table_info(staff_settlements)`)).find(col => col.name === 'staff_id');
+      if (settlementStaffColumn.notnull === 1) {
+        console.log('Rebuilding staff_settlements table to allow settlements without a staff member...');
+        try {
+          await run('BEGIN TRANSACTION');
+          await run('ALTER TABLE staff_settlements RENAME TO staff_settlements_old');
+          await run(`CREATE TABLE staff_settlements (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            staff_id INTEGER,
+            event_session_id INTEGER NOT NULL,
+            settlement_date TEXT NOT NULL,
+            expected_amount REAL NOT NULL,
+            actual_amount REAL NOT NULL,
+            difference REAL NOT NULL,
+            notes TEXT,
+            status TEXT NOT NULL DEFAULT 'unsettled',
+            settled_by_user_id INTEGER,
+            settled_on_date TEXT,
+            user_id INTEGER,
+            cash_shift_id INTEGER,
+            FOREIGN KEY (staff_id) REFERENCES booking_staff(id),
+            FOREIGN KEY (event_session_id) REFERENCES event_sessions(id),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (cash_shift_id) REFERENCES cash_shifts(id)
+          )`);
+          const settlementColumns = (await all(`PRAGMA table_info(staff_settlements_old)`)).map(c => c.name).join(', ');
+          await run(`INSERT INTO staff_settlements (${settlementColumns}) SELECT ${settlementColumns} FROM staff_settlements_old`);
+          await run('DROP TABLE staff_settlements_old');
+          await run('COMMIT');
+        } catch (e) {
+          await run('ROLLBACK').catch(() => {});
+          throw e;
+        }
+      }
+      // Post the short/excess of shifts closed before this
+      const postedShifts = await run(`
+        INSERT INTO staff_settlements (user_id, cash_shift_id, event_session_id, settlement_date, expected_amount, actual_amount, difference, notes, settled_by_user_id, status, settled_on_date)
+        SELECT cs.user_id, cs.id, cs.event_session_id, date(cs.closed_at), cs.expected_cash, cs.counted_cash, cs.difference, cs.notes, cs.closed_by_user_id, cs.settlement_status, cs.settled_on_date
+        FROM cash_shifts cs
+        WHERE cs.status = 'closed' AND cs.settlement_status IS NOT NULL
+          AND NOT EXISTS (SELECT 1 FROM staff_settlements ss WHERE ss.cash_shift_id = cs.id)
+      `);
+      if (postedShifts.changes > 0) {
+        console.log(`Posted ${postedShifts.changes} cash shift differences to staff settlements.`);
+      }
+      console.log('Cash shift settlements checked.');
+
+      // --- UPI References & Bank Reconciliation ---
+      // The UPI transaction reference (UTR/RRN) of payments and ticket settlements, and the lines of imported
+      // bank or PSP statements with the payment or settlement each was matched to.
+      await run(`ALTER TABLE payments ADD COLUMN upi_reference TEXT`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      await run(`ALTER TABLE ticket_distributions ADD COLUMN upi_reference TEXT`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      await run(`CREATE TABLE IF NOT EXISTS bank_statement_imports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_session_id INTEGER NOT NULL,
+        file_name TEXT,
+        imported_at DATETIME DEFAULT (datetime('now', 'localtime')),
+        user_id INTEGER,
+        line_count INTEGER NOT NULL DEFAULT 0,
+        FOREIGN KEY (event_session_id) REFERENCES event_sessions(id)
+      )`);
+      await run(`CREATE TABLE IF NOT EXISTS bank_statement_lines (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        import_id INTEGER NOT NULL,
+        event_session_id INTEGER NOT NULL,
+        txn_date DATE,
+        amount REAL NOT NULL,
+        reference TEXT,
+        description TEXT,
+        match_status TEXT NOT NULL DEFAULT 'unmatched' CHECK(match_status IN ('matched', 'unmatched', 'duplicate', 'ignored')),
+        match_method TEXT,
+        match_note TEXT,
+        payment_id INTEGER,
+        ticket_distribution_id INTEGER,
+        resolved_by_user_id INTEGER,
+        resolved_at DATETIME,
+        FOREIGN KEY (import_id) REFERENCES bank_statement_imports(id) ON DELETE CASCADE,
+        FOREIGN KEY (payment_id) REFERENCES payments(id),
+        FOREIGN KEY (ticket_distribution_id) REFERENCES ticket_distributions(id)
+      )`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_reference ON bank_statement_lines (reference)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_payments_upi_reference ON payments (upi_reference)`);
+      console.log('Bank reconciliation tables created.');
+
+      // --- Cheque & Bank Transfer Payments ---
+      // Cheques, NEFT/RTGS transfers and demand drafts are held as pending until cleared; their allocation is
+      // kept aside and only applied on clearance. A bounced instrument is reversed and may carry a bounce charge.
+      const instrumentColumns = [
+        'instrument_amount REAL DEFAULT 0',
+        'instrument_number TEXT',
+        'instrument_bank TEXT',
+        'instrument_date DATE',
+        `clearance_status TEXT CHECK(clearance_status IN ('pending', 'cleared', 'bounced'))`,
+        'pending_allocation TEXT',
+        'cleared_on DATE',
+        'bounced_on DATE',
+        'bounce_reason TEXT',
+        'bounce_charge REAL DEFAULT 0',
+        'bounce_charge_head TEXT',
+        'clearance_user_id INTEGER REFERENCES users(id)'
+      ];
+      for (const column of instrumentColumns) {
+        await run(`ALTER TABLE payments ADD COLUMN ${column}`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      }
+      await run(`CREATE INDEX IF NOT EXISTS idx_payments_clearance_status ON payments (clearance_status)`);
+      console.log('Payment instrument columns added.');
+
+      // --- Bounced Instrument Credit ---
+      // Credit added by a cheque, transfer or draft that bounces is taken back with a 'bounced' entry, which
+      // may leave the client owing. The entry_type CHECK is widened by rebuilding the table.
+      const creditTable = await get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'client_credit_entries'`);
+      if (!creditTable.sql.includes("'bounced'")) {
+        console.log('Rebuilding client_credit_entries table to allow bounced entries...');
+        try {
+          await run('BEGIN TRANSACTION');
+          await run('ALTER TABLE client_credit_entries RENAME TO client_credit_entries_old');
+          await run(`CREATE TABLE client_credit_entries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            client_id INTEGER NOT NULL,
+            booking_id INTEGER,
+            event_session_id INTEGER,
+            entry_type TEXT NOT NULL CHECK(entry_type IN ('advance', 'overpayment', 'refund_pending', 'applied', 'refunded', 'bounced')),
+            amount REAL NOT NULL,
+            payment_id INTEGER,
+            accounting_transaction_id INTEGER,
+            description TEXT,
+            entry_date DATE NOT NULL,
+            user_id INTEGER,
+            created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+            FOREIGN KEY (client_id) REFERENCES clients(id),
+            FOREIGN KEY (booking_id) REFERENCES bookings(id)
+          )`);
+          const creditColumns = (await all(`PRAGMA table_info(client_credit_entries_old)`)).map(c => c.name).join(', ');
+          await run(`INSERT INTO client_credit_entries (${creditColumns}) SELECT ${creditColumns} FROM client_credit_entries_old`);
+          await run('DROP TABLE client_credit_entries_old');
+          await run(`CREATE INDEX IF NOT EXISTS idx_client_credit_entries_client ON client_credit_entries (client_id)`);
+          await run(`CREATE INDEX IF NOT EXISTS idx_client_credit_entries_payment ON client_credit_entries (payment_id)`);
+          await run('COMMIT');
+        } catch (e) {
+          await run('ROLLBACK').catch(() => {});
+          throw e;
+        }
+      }
+      console.log('Client credit entry types checked.');
+
+      // --- GST Tax Invoices ---
+      // The organiser's GST registration is per session; the exhibitor's is clients.gstin.
+      await run(`ALTER TABLE event_sessions ADD COLUMN gstin TEXT`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      await run(`ALTER TABLE event_sessions ADD COLUMN gst_legal_name TEXT`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+
+      // HSN/SAC code and GST rates of each charge head, per session. Charges are GST-inclusive.
+      await run(`
+        CREATE TABLE IF NOT EXISTS tax_heads (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          event_session_id INTEGER NOT NULL REFERENCES event_sessions(id),
+          charge_type TEXT NOT NULL CHECK(charge_type IN ('rent', 'electric', 'material', 'shed')),
+          hsn_sac TEXT NOT NULL,
+          description TEXT NOT NULL,
+          cgst_rate REAL NOT NULL DEFAULT 0,
+          sgst_rate REAL NOT NULL DEFAULT 0,
+          igst_rate REAL NOT NULL DEFAULT 0,
+          UNIQUE (event_session_id, charge_type)
+        )
+      `);
+
+      // Tax invoices are numbered in one sequence per financial year, across sessions. A cancelled
+      // invoice keeps its number. Supplier and recipient details are copied as they were on the day.
+      await run(`
+        CREATE TABLE IF NOT EXISTS tax_invoices (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          event_session_id INTEGER NOT NULL REFERENCES event_sessions(id),
+          booking_id INTEGER NOT NULL REFERENCES bookings(id),
+          client_id INTEGER REFERENCES clients(id),
+          financial_year TEXT NOT NULL,
+          invoice_seq INTEGER NOT NULL,
+          invoice_number TEXT NOT NULL UNIQUE,
+          invoice_date DATE NOT NULL,
+          supplier_gstin TEXT NOT NULL,
+          supplier_name TEXT,
+          supplier_address TEXT,
+          recipient_gstin TEXT,
+          recipient_name TEXT NOT NULL,
+          recipient_address TEXT,
+          place_of_supply TEXT NOT NULL,
+          supply_type TEXT NOT NULL CHECK(supply_type IN ('intra', 'inter')),
+          taxable_value REAL NOT NULL DEFAULT 0,
+          cgst_amount REAL NOT NULL DEFAULT 0,
+          sgst_amount REAL NOT NULL DEFAULT 0,
+          igst_amount REAL NOT NULL DEFAULT 0,
+          total_amount REAL NOT NULL DEFAULT 0,
+          status TEXT NOT NULL DEFAULT 'issued' CHECK(status IN ('issued', 'cancelled')),
+          cancelled_at DATETIME,
+          cancel_reason TEXT,
+          user_id INTEGER REFERENCES users(id),
+          created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+          UNIQUE (financial_year, invoice_seq)
+        )
+      `);
+      await run(`
+        CREATE TABLE IF NOT EXISTS tax_invoice_lines (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          invoice_id INTEGER NOT NULL REFERENCES tax_invoices(id) ON DELETE CASCADE,
+          charge_type TEXT NOT NULL,
+          description TEXT NOT NULL,
+          hsn_sac TEXT NOT NULL,
+          amount REAL NOT NULL,
+          taxable_value REAL NOT NULL,
+          cgst_rate REAL NOT NULL DEFAULT 0,
+          cgst_amount REAL NOT NULL DEFAULT 0,
+          sgst_rate REAL NOT NULL DEFAULT 0,
+          sgst_amount REAL NOT NULL DEFAULT 0,
+          igst_rate REAL NOT NULL DEFAULT 0,
+          igst_amount REAL NOT NULL DEFAULT 0
+        )
+      `);
+      await run(`CREATE INDEX IF NOT EXISTS idx_tax_invoices_booking ON tax_invoices (booking_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_tax_invoices_session_date ON tax_invoices (event_session_id, invoice_date)`);
+      console.log('GST tax invoice tables created.');
+
+      // --- GST-Exclusive Charge Heads ---
+      // Each session's charge head says whether its charges include GST (1) or have it added on top (0).
+      // Invoice lines keep the setting they were issued with. Existing heads and lines were GST-inclusive.
+      await run(`ALTER TABLE tax_heads ADD COLUMN gst_inclusive INTEGER NOT NULL DEFAULT 1`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      await run(`ALTER TABLE tax_invoice_lines ADD COLUMN gst_inclusive INTEGER NOT NULL DEFAULT 1`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      console.log('GST pricing columns checked.');
+
+      // --- Receipt Printer ---
+      // The counter's ESC/POS printer (one row), and every copy printed on it so reprints come out marked as duplicates.
+      await run(`
+        CREATE TABLE IF NOT EXISTS printer_settings (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          enabled INTEGER NOT NULL DEFAULT 0,
+          connection TEXT NOT NULL DEFAULT 'file' CHECK (connection IN ('network', 'usb', 'file')),
+          host TEXT,
+          port INTEGER NOT NULL DEFAULT 9100,
+          device_path TEXT,
+          output_dir TEXT NOT NULL DEFAULT 'printer-output',
+          chars_per_line INTEGER NOT NULL DEFAULT 48,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await run(`
+        CREATE TABLE IF NOT EXISTS receipt_prints (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          event_session_id INTEGER NOT NULL REFERENCES event_sessions(id),
+          document_type TEXT NOT NULL CHECK (document_type IN ('payment', 'ticket_settlement')),
+          document_id INTEGER NOT NULL,
+          copy_number INTEGER NOT NULL,
+          printer TEXT NOT NULL,
+          user_id INTEGER REFERENCES users(id),
+          printed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (document_type, document_id, copy_number)
+        )
+      `);
+      console.log('Receipt printer tables created.');
+
+      // --- Metered Electricity ---
+      // Sub-meters on spaces or bookings, their readings, and the session's tariff slabs. A closing
+      // reading bills (closing - opening) units as an electric_bills entry.
+      await run(`
+        CREATE TABLE IF NOT EXISTS electric_meters (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          event_session_id INTEGER NOT NULL REFERENCES event_sessions(id),
+          meter_number TEXT NOT NULL,
+          space_id INTEGER REFERENCES spaces(id),
+          booking_id INTEGER REFERENCES bookings(id),
+          installed_on DATE NOT NULL,
+          opening_reading REAL NOT NULL,
+          status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'closed')),
+          notes TEXT,
+          user_id INTEGER REFERENCES users(id),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (event_session_id, meter_number),
+          CHECK (space_id IS NOT NULL OR booking_id IS NOT NULL)
+        )
+      `);
+      await run(`
+        CREATE TABLE IF NOT EXISTS meter_readings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          meter_id INTEGER NOT NULL REFERENCES electric_meters(id),
+          reading_date DATE NOT NULL,
+          reading REAL NOT NULL,
+          reading_type TEXT NOT NULL DEFAULT 'daily' CHECK (reading_type IN ('daily', 'closing')),
+          photo_path TEXT,
+          flag TEXT CHECK (flag IN ('decrease', 'spike')),
+          flag_note TEXT,
+          reviewed_by_user_id INTEGER REFERENCES users(id),
+          reviewed_at DATETIME,
+          electric_bill_id INTEGER REFERENCES electric_bills(id),
+          user_id INTEGER REFERENCES users(id),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await run(`
+        CREATE TABLE IF NOT EXISTS electric_tariff_slabs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          event_session_id INTEGER NOT NULL REFERENCES event_sessions(id),
+          up_to_units REAL,
+          rate REAL NOT NULL,
+          UNIQUE (event_session_id, up_to_units)
+        )
+      `);
+      await run(`CREATE INDEX IF NOT EXISTS idx_meter_readings_meter ON meter_readings (meter_id, reading_date)`);
+      console.log('Metered electricity tables created.');
+
+      // --- Electrical Load ---
+      // Distribution boards supply the spaces mapped to them. Each electric bill records the board it
+      // draws from and its connected load, so a board's load for a session is the sum over its bills.
+      await run(`ALTER TABLE electric_items ADD COLUMN wattage REAL DEFAULT 0`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      await run(`
+        CREATE TABLE IF NOT EXISTS distribution_boards (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          capacity_kw REAL NOT NULL CHECK (capacity_kw > 0),
+          enforcement TEXT NOT NULL DEFAULT 'warn' CHECK (enforcement IN ('warn', 'block')),
+          notes TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await run(`ALTER TABLE spaces ADD COLUMN distribution_board_id INTEGER REFERENCES distribution_boards(id)`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      await run(`ALTER TABLE electric_bills ADD COLUMN distribution_board_id INTEGER REFERENCES distribution_boards(id)`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      await run(`ALTER TABLE electric_bills ADD COLUMN connected_load_kw REAL DEFAULT 0`).catch(e => { if (!e.message.includes('duplicate column name')) throw e; });
+      console.log('Electrical load columns and distribution boards table ensured.');
+
+      // --- Electric Bill Line Items ---
+      // One row per billed item with the rates charged at the time, replacing electric_bills.items_json.
+      // Lines billed from a meter carry the meter instead of a catalogue item.
+      await run(`
+        CREATE TABLE IF NOT EXISTS electric_bill_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          electric_bill_id INTEGER NOT NULL REFERENCES electric_bills(id) ON DELETE CASCADE,
+          line_no INTEGER NOT NULL,
+          electric_item_id INTEGER REFERENCES electric_items(id),
+          meter_id INTEGER REFERENCES electric_meters(id),
+          item_name TEXT NOT NULL,
+          quantity REAL NOT NULL,
+          service_charge REAL NOT NULL DEFAULT 0,
+          fitting_charge REAL NOT NULL DEFAULT 0,
+          amount REAL NOT NULL,
+          UNIQUE (electric_bill_id, line_no)
+        )
+      `);
+      await run(`CREATE INDEX IF NOT EXISTS idx_electric_bill_items_item ON electric_bill_items (electric_item_id)`);
+
+      // Move the items_json blobs into line items. A migrated bill's blob is cleared, so this runs once per
+      // bill; blobs that cannot be read are left in place and listed for someone to re-enter by hand.
+      // Older blobs hold only the item id, name and quantity, and their item ids predate the current
+      // catalogue, so items are matched on id and name, then on name, and priced from the catalogue. A
+      // single-line bill whose catalogue price does not make its total is priced from the total instead.
+      const blobBills = await all(`SELECT id, sl_no, booking_id, items_json, total_amount FROM electric_bills WHERE items_json IS NOT NULL`);
+      if (blobBills.length > 0) {
+        const catalogue = await all('SELECT id, name, service_charge, fitting_charge FROM electric_items');
+        const round2 = (n) => Math.round(n * 100) / 100;
+        const unreadable = [];
+        const mismatched = [];
+        let migrated = 0;
+
+        await run('BEGIN TRANSACTION');
+        try {
+          for (const bill of blobBills) {
+            let items;
+            try {
+              items = JSON.parse(bill.items_json);
+              if (typeof items === 'string') items = JSON.parse(items);
+            } catch {
+              items = null;
+            }
+            if (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object' || !(item.name || item.id) || isNaN(parseFloat(item.quantity)))) {
+              unreadable.push(bill);
+              continue;
+            }
+
+            const lines = items.map(item => {
+              const name = String(item.name || '').trim();
+              const match = catalogue.find(c => String(c.id) === String(item.id) && c.name === name) || catalogue.find(c => c.name === name);
+              const quantity = parseFloat(item.quantity);
+              const priced = item.service_charge !== undefined || item.fitting_charge !== undefined;
+              const serviceCharge = priced ? parseFloat(item.service_charge) || 0 : (match ? match.service_charge : 0);
+              const fittingCharge = priced ? parseFloat(item.fitting_charge) || 0 : (match ? match.fitting_charge : 0);
+              const amount = item.total !== undefined ? parseFloat(item.total) || 0 : round2((serviceCharge + fittingCharge) * quantity);
+              return { itemId: match ? match.id : null, name: name || (match ? match.name : `Item #${item.id}`), quantity, serviceCharge, fittingCharge, amount, priced };
+            });
+            let sum = round2(lines.reduce((s, line) => s + line.amount, 0));
+            if (sum !== round2(bill.total_amount || 0) && lines.length === 1 && !lines[0].priced && lines[0].quantity > 0) {
+              const line = lines[0];
+              line.serviceCharge = round2(bill.total_amount / line.quantity);
+              line.fittingCharge = 0;
+              line.amount = round2(bill.total_amount);
+              sum = line.amount;
+            }
+            if (sum !== round2(bill.total_amount || 0)) mismatched.push({ ...bill, sum });
+
+            for (const [i, line] of lines.entries()) {
+              await run(
+                `INSERT INTO electric_bill_items (electric_bill_id, line_no, electric_item_id, item_name, quantity, service_charge, fitting_charge, amount)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [bill.id, i + 1, line.itemId, line.name, line.quantity, line.serviceCharge, line.fittingCharge, line.amount]
+              );
+            }
+            await run('UPDATE electric_bills SET items_json = NULL WHERE id = ?', [bill.id]);
+            migrated++;
+          }
+          await run('COMMIT');
+        } catch (err) {
+          await run('ROLLBACK');
+          throw err;
+        }
+
+        console.log(`Moved the items of ${migrated} electric bills into line items.`);
+        if (mismatched.length > 0) {
+          console.warn(`⚠️ ${mismatched.length} migrated electric bills have lines that do not add up to the bill total:`);
+          mismatched.forEach(b => console.warn(`   Bill #${b.id} (Sl. No. ${b.sl_no || '-'}, booking #${b.booking_id}): lines ${b.sum.toFixed(2)}, total ${(b.total_amount || 0).toFixed(2)}`));
+        }
+        if (unreadable.length > 0) {
+          console.warn(`⚠️ ${unreadable.length} electric bills have items that could not be read. They are listed on the Item-wise Electric Consumption report for re-entry:`);
+          unreadable.forEach(b => console.warn(`   Bill #${b.id} (Sl. No. ${b.sl_no || '-'}, booking #${b.booking_id}): ${String(b.items_json).slice(0, 80)}`));
+        }
+      }
+      console.log('Electric bill line items table created.');
+
+      // --- Electric Work Orders ---
+      // Each electric bill with items to put up gets one work order for the electricians. Its items are a
+      // copy of the bill's lines, ticked off one by one on the removal checklist when the stall vacates.
+      await run(`
+        CREATE TABLE IF NOT EXISTS electric_work_orders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          electric_bill_id INTEGER NOT NULL UNIQUE REFERENCES electric_bills(id),
+          booking_id INTEGER NOT NULL REFERENCES bookings(id),
+          event_session_id INTEGER NOT NULL REFERENCES event_sessions(id),
+          status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'installed', 'verified', 'removed')),
+          staff_id INTEGER REFERENCES booking_staff(id),
+          notes TEXT,
+          installed_at DATETIME,
+          installed_by_user_id INTEGER REFERENCES users(id),
+          verified_at DATETIME,
+          verified_by_user_id INTEGER REFERENCES users(id),
+          removed_at DATETIME,
+          removed_by_user_id INTEGER REFERENCES users(id),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await run(`
+        CREATE TABLE IF NOT EXISTS electric_work_order_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          work_order_id INTEGER NOT NULL REFERENCES electric_work_orders(id) ON DELETE CASCADE,
+          line_no INTEGER NOT NULL,
+          item_name TEXT NOT NULL,
+          quantity REAL NOT NULL,
+          removed_at DATETIME,
+          removed_by_user_id INTEGER REFERENCES users(id),
+          UNIQUE (work_order_id, line_no)
+        )
+      `);
+      await run(`CREATE INDEX IF NOT EXISTS idx_electric_work_orders_booking ON electric_work_orders (booking_id, status)`);
+      console.log('Electric work order tables created.');
+
+      // --- Electric Rate Cards ---
+      // The rates of electric items for one event session. electric_items keeps only what is the same in
+      // every session (name, wattage); its service_charge and fitting_charge are no longer read.
+      const hadRateCards = await get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'electric_item_rates'`);
+      await run(`
+        CREATE TABLE IF NOT EXISTS electric_item_rates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          electric_item_id INTEGER NOT NULL REFERENCES electric_items(id),
+          event_session_id INTEGER NOT NULL REFERENCES event_sessions(id),
+          service_charge REAL NOT NULL DEFAULT 0,
+          fitting_charge REAL NOT NULL DEFAULT 0,
+          updated_at DATETIME,
+          UNIQUE (electric_item_id, event_session_id)
+        )
+      `);
+      if (!hadRateCards) {
+        // Give every existing session a card, each item at the rate it was last billed at in that session,
+        // or else at the old catalogue rate.
+        const seeded = await run(`
+          INSERT INTO electric_item_rates (electric_item_id, event_session_id, service_charge, fitting_charge, updated_at)
+          SELECT ei.id, es.id,
+            COALESCE(billed.service_charge, ei.service_charge, 0), COALESCE(billed.fitting_charge, ei.fitting_charge, 0), datetime('now', 'localtime')
+          FROM event_sessions es CROSS JOIN electric_items ei
+          LEFT JOIN electric_bill_items billed ON billed.id = (
+            SELECT li.id FROM electric_bill_items li JOIN electric_bills eb ON li.electric_bill_id = eb.id
+            WHERE li.electric_item_id = ei.id AND eb.event_session_id = es.id
+            ORDER BY eb.bill_date DESC, li.id DESC LIMIT 1
+          )
+        `);
+        console.log(`Seeded ${seeded.changes} electric item rates across existing sessions.`);
+      }
+      console.log('Electric rate cards table created.');
+
     } catch (err) {
       console.error('Error during database setup:', err.message);
     } finally {